@@ -0,0 +1,88 @@
+/**
+ * Ejecutor de migraciones de datos
+ * Ejecutar: node scripts/migrate.js [nombre-migracion] [--parroquia=<id>] [--dry-run]
+ *
+ * Sin nombre se ejecutan todas las migraciones de scripts/migrations en orden.
+ * Cada migración debe ser idempotente y exportar { descripcion, up(opciones) }.
+ */
+
+// Cargar variables de entorno
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const database = require('../src/config/database');
+
+const DIRECTORIO_MIGRACIONES = path.join(__dirname, 'migrations');
+
+// Leer argumentos: posicionales = nombres de migración, --clave=valor = opciones
+function parsearArgumentos(argv) {
+  const nombres = [];
+  const opciones = {};
+
+  argv.forEach(arg => {
+    if (arg.startsWith('--')) {
+      const [clave, valor] = arg.slice(2).split('=');
+      opciones[clave.replace(/-([a-z])/g, (_, letra) => letra.toUpperCase())] = valor === undefined ? true : valor;
+    } else {
+      nombres.push(arg);
+    }
+  });
+
+  return { nombres, opciones };
+}
+
+function cargarMigraciones(nombres) {
+  const archivos = fs.readdirSync(DIRECTORIO_MIGRACIONES)
+    .filter(archivo => archivo.endsWith('.js'))
+    .sort();
+
+  const seleccionados = nombres.length === 0 ? archivos : archivos.filter(archivo =>
+    nombres.some(nombre => archivo === nombre || archivo === `${nombre}.js` || archivo.startsWith(`${nombre}-`))
+  );
+
+  if (nombres.length > 0 && seleccionados.length === 0) {
+    throw new Error(`No se encontraron migraciones para: ${nombres.join(', ')}`);
+  }
+
+  return seleccionados.map(archivo => ({
+    nombre: archivo.replace(/\.js$/, ''),
+    ...require(path.join(DIRECTORIO_MIGRACIONES, archivo))
+  }));
+}
+
+async function ejecutarMigraciones() {
+  const { nombres, opciones } = parsearArgumentos(process.argv.slice(2));
+  let codigoSalida = 0;
+
+  try {
+    const migraciones = cargarMigraciones(nombres);
+
+    await database.connect();
+    // Registrar modelos
+    require('../src/models');
+
+    for (const migracion of migraciones) {
+      console.log(`\n▶️  ${migracion.nombre}: ${migracion.descripcion}`);
+      const resultado = await migracion.up(opciones);
+      console.log(`✅ ${migracion.nombre} completada`, resultado || '');
+    }
+
+    if (opciones.dryRun) {
+      console.log('\nℹ️  Modo simulación (--dry-run): no se guardaron cambios');
+    }
+
+  } catch (error) {
+    console.error('\n❌ Error ejecutando migraciones:', error.message);
+    codigoSalida = 1;
+  } finally {
+    await database.disconnect().catch(() => {});
+    process.exit(codigoSalida);
+  }
+}
+
+if (require.main === module) {
+  ejecutarMigraciones();
+}
+
+module.exports = { parsearArgumentos, cargarMigraciones };
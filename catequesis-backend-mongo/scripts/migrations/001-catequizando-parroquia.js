@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * Asigna parroquia a los catequizandos existentes a partir de su inscripción más reciente.
+ * Los que no tengan inscripciones reciben la parroquia indicada con --parroquia=<id>
+ * o se listan para asignarlos manualmente.
+ */
+module.exports = {
+  descripcion: 'Inferir la parroquia de los catequizandos desde sus inscripciones',
+
+  async up({ parroquia: parroquiaPorDefecto, dryRun = false } = {}) {
+    const Catequizando = mongoose.model('Catequizando');
+    const Inscripcion = mongoose.model('Inscripcion');
+    const Parroquia = mongoose.model('Parroquia');
+
+    if (parroquiaPorDefecto) {
+      if (!mongoose.isValidObjectId(parroquiaPorDefecto) || !(await Parroquia.exists({ _id: parroquiaPorDefecto }))) {
+        throw new Error(`La parroquia por defecto ${parroquiaPorDefecto} no existe`);
+      }
+    }
+
+    const sinParroquia = await Catequizando.find({
+      $or: [{ parroquia: { $exists: false } }, { parroquia: null }]
+    }).select('_id nombres apellidos documentoIdentidad').lean();
+
+    if (sinParroquia.length === 0) {
+      return { pendientes: 0, inferidos: 0, porDefecto: 0, sinAsignar: 0 };
+    }
+
+    // Parroquia de la inscripción más reciente de cada catequizando
+    const ultimas = await Inscripcion.aggregate([
+      { $match: { catequizando: { $in: sinParroquia.map(c => c._id) } } },
+      { $sort: { fechaInscripcion: -1, createdAt: -1 } },
+      { $group: { _id: '$catequizando', parroquia: { $first: '$parroquia' } } }
+    ]);
+
+    const parroquiaPorCatequizando = new Map(ultimas.map(u => [u._id.toString(), u.parroquia]));
+    const operaciones = [];
+    const sinAsignar = [];
+    let inferidos = 0;
+    let porDefecto = 0;
+
+    sinParroquia.forEach(catequizando => {
+      let parroquia = parroquiaPorCatequizando.get(catequizando._id.toString());
+
+      if (parroquia) {
+        inferidos++;
+      } else if (parroquiaPorDefecto) {
+        parroquia = new mongoose.Types.ObjectId(parroquiaPorDefecto);
+        porDefecto++;
+      } else {
+        sinAsignar.push(catequizando);
+        return;
+      }
+
+      operaciones.push({
+        updateOne: {
+          filter: { _id: catequizando._id, $or: [{ parroquia: { $exists: false } }, { parroquia: null }] },
+          update: { $set: { parroquia } }
+        }
+      });
+    });
+
+    if (operaciones.length > 0 && !dryRun) {
+      await Catequizando.bulkWrite(operaciones, { ordered: false });
+    }
+
+    if (sinAsignar.length > 0) {
+      console.warn(`⚠️ ${sinAsignar.length} catequizandos sin inscripciones no pudieron asignarse (use --parroquia=<id>):`);
+      sinAsignar.forEach(c => console.warn(`   - ${c.documentoIdentidad} ${c.nombres} ${c.apellidos} (${c._id})`));
+    }
+
+    return {
+      pendientes: sinParroquia.length,
+      inferidos,
+      porDefecto,
+      sinAsignar: sinAsignar.length
+    };
+  }
+};
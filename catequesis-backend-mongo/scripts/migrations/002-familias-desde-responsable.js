@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const normalizarTelefono = (telefono) => String(telefono || '').replace(/\D/g, '');
+
+/**
+ * Crea familias a partir del responsable embebido de los catequizandos sin familia.
+ * Los hermanos se agrupan por parroquia + teléfono del responsable, de modo que
+ * la misma madre registrada en varios catequizandos queda como un único representante.
+ */
+module.exports = {
+  descripcion: 'Crear familias desde el responsable embebido de los catequizandos',
+
+  async up({ dryRun = false } = {}) {
+    const Catequizando = mongoose.model('Catequizando');
+    const Familia = mongoose.model('Familia');
+
+    const catequizandos = await Catequizando.find({
+      $or: [{ familia: { $exists: false } }, { familia: null }],
+      parroquia: { $ne: null },
+      'responsable.nombres': { $nin: [null, ''] },
+      'responsable.telefono': { $nin: [null, ''] }
+    }).select('apellidos parroquia responsable contacto').lean();
+
+    // Agrupar hermanos por parroquia y teléfono del responsable
+    const grupos = new Map();
+    catequizandos.forEach(catequizando => {
+      const clave = `${catequizando.parroquia}:${normalizarTelefono(catequizando.responsable.telefono)}`;
+      if (!grupos.has(clave)) grupos.set(clave, []);
+      grupos.get(clave).push(catequizando);
+    });
+
+    let familiasCreadas = 0;
+    let catequizandosVinculados = 0;
+
+    for (const hermanos of grupos.values()) {
+      const { responsable, parroquia, contacto, apellidos } = hermanos[0];
+
+      const familia = new Familia({
+        nombre: `Familia ${responsable.apellidos || apellidos}`.trim(),
+        parroquia,
+        direccion: contacto?.direccion,
+        ciudad: contacto?.ciudad,
+        representantes: [{
+          nombres: responsable.nombres,
+          apellidos: responsable.apellidos || apellidos,
+          telefono: responsable.telefono,
+          relacion: responsable.relacion || 'otro',
+          principal: true
+        }]
+      });
+
+      if (!dryRun) {
+        await familia.save();
+        await Catequizando.updateMany(
+          { _id: { $in: hermanos.map(h => h._id) } },
+          { $set: { familia: familia._id } }
+        );
+      }
+
+      familiasCreadas++;
+      catequizandosVinculados += hermanos.length;
+    }
+
+    return {
+      pendientes: catequizandos.length,
+      familiasCreadas,
+      catequizandosVinculados
+    };
+  }
+};
@@ -113,7 +113,7 @@ async function createSampleData() {
   datos.niveles = await createNiveles();
   
   // 4. Crear Catequizandos
-  datos.catequizandos = await createCatequizandos();
+  datos.catequizandos = await createCatequizandos(datos.parroquias);
   
   // 5. Crear Grupos
   datos.grupos = await createGrupos(datos.parroquias, datos.niveles, datos.usuarios);
@@ -413,7 +413,7 @@ async function createNiveles() {
 }
 
 // Crear Catequizandos
-async function createCatequizandos() {
+async function createCatequizandos(parroquias) {
   console.log('👦 Creando catequizandos...');
   
   const catequizandosData = [
@@ -562,7 +562,10 @@ async function createCatequizandos() {
     }
   ];
   
-  const catequizandos = await Catequizando.insertMany(catequizandosData);
+  // Todos los catequizandos de ejemplo pertenecen a la primera parroquia
+  const catequizandos = await Catequizando.insertMany(
+    catequizandosData.map(catequizando => ({ ...catequizando, parroquia: parroquias[0]._id }))
+  );
   console.log(`✅ ${catequizandos.length} catequizandos creados`);
   return catequizandos;
 }
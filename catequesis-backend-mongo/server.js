@@ -1,6 +1,8 @@
 const app = require('./src/app');
 const config = require('./src/config/environment');
 const database = require('./src/config/database');
+const { LISTA_ESPERA_CONFIG, ALERTAS_CONFIG } = require('./src/utils/constants');
+const { proximaHoraDelDia } = require('./src/utils/fechas');
 
 // Variables globales
 let server = null;
@@ -255,6 +257,48 @@ function setupMonitoring() {
   }
 }
 
+/**
+ * Configurar tareas periódicas
+ */
+function setupScheduledTasks() {
+  const { ListaEspera, AlertaRiesgo } = require('./src/models');
+
+  // Vencer ofertas de listas de espera no aceptadas y ofrecer el cupo al siguiente
+  setInterval(async () => {
+    try {
+      const procesadas = await ListaEspera.procesarOfertasVencidas();
+      if (procesadas > 0) {
+        console.log(`⏳ Ofertas de lista de espera vencidas procesadas en ${procesadas} grupo(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error procesando ofertas vencidas de lista de espera:', error);
+    }
+  }, LISTA_ESPERA_CONFIG.INTERVALO_EXPIRACION_MINUTOS * 60 * 1000);
+
+  // Evaluación nocturna de alertas de catequizandos en riesgo
+  const evaluarAlertas = async () => {
+    try {
+      const resumen = await AlertaRiesgo.evaluarTodas();
+      console.log(`🚩 Alertas de riesgo: ${resumen.nuevas} nuevas, ${resumen.actualizadas} vigentes y ${resumen.resueltas} resueltas en ${resumen.grupos} grupo(s)`);
+    } catch (error) {
+      console.error('❌ Error evaluando alertas de riesgo:', error);
+    }
+  };
+
+  // Se calcula cada noche la siguiente ejecución en la zona configurada: un intervalo fijo
+  // de 24 h se desfasa con los cambios de horario y con la zona del servidor
+  const programarEvaluacion = () => {
+    const proximaEvaluacion = proximaHoraDelDia(ALERTAS_CONFIG.HORA_EVALUACION);
+
+    setTimeout(async () => {
+      await evaluarAlertas();
+      programarEvaluacion();
+    }, proximaEvaluacion - Date.now());
+  };
+
+  programarEvaluacion();
+}
+
 /**
  * Función principal
  */
@@ -272,6 +316,9 @@ async function main() {
     
     console.log('📊 Configurando monitoreo...');
     setupMonitoring();
+
+    console.log('⏰ Configurando tareas periódicas...');
+    setupScheduledTasks();
     
     console.log('🎉 Sistema iniciado completamente');
     
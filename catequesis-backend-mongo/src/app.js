@@ -15,9 +15,17 @@ const usuarioRoutes = require('./routes/usuarioRoutes');
 const parroquiaRoutes = require('./routes/parroquiaRoutes');
 const nivelRoutes = require('./routes/nivelRoutes');
 const catequizandoRoutes = require('./routes/catequizandoRoutes');
+const familiaRoutes = require('./routes/familiaRoutes');
 const grupoRoutes = require('./routes/grupoRoutes');
 const inscripcionRoutes = require('./routes/inscripcionRoutes');
 const asistenciaRoutes = require('./routes/asistenciaRoutes');
+const certificadoRoutes = require('./routes/certificadoRoutes');
+const registroSacramentalRoutes = require('./routes/registroSacramentalRoutes');
+const celebracionRoutes = require('./routes/celebracionRoutes');
+const publicRoutes = require('./routes/publicRoutes');
+const auditoriaRoutes = require('./routes/auditoriaRoutes');
+const rolRoutes = require('./routes/rolRoutes');
+const alertaRoutes = require('./routes/alertaRoutes');
 
 const app = express();
 
@@ -140,9 +148,17 @@ function setupRoutes() {
           parroquias: '/api/parroquias',
           niveles: '/api/niveles',
           catequizandos: '/api/catequizandos',
+          familias: '/api/familias',
           grupos: '/api/grupos',
           inscripciones: '/api/inscripciones',
-          asistencias: '/api/asistencias'
+          asistencias: '/api/asistencias',
+          certificados: '/api/certificados',
+          sacramentos: '/api/sacramentos',
+          celebraciones: '/api/celebraciones',
+          auditoria: '/api/auditoria',
+          roles: '/api/roles',
+          alertas: '/api/alertas',
+          public: '/api/public'
         }
       },
       timestamp: new Date().toISOString()
@@ -192,9 +208,17 @@ function setupRoutes() {
   app.use('/api/parroquias', parroquiaRoutes);
   app.use('/api/niveles', nivelRoutes);
   app.use('/api/catequizandos', catequizandoRoutes);
+  app.use('/api/familias', familiaRoutes);
   app.use('/api/grupos', grupoRoutes);
   app.use('/api/inscripciones', inscripcionRoutes);
   app.use('/api/asistencias', asistenciaRoutes);
+  app.use('/api/certificados', certificadoRoutes);
+  app.use('/api/sacramentos', registroSacramentalRoutes);
+  app.use('/api/celebraciones', celebracionRoutes);
+  app.use('/api/auditoria', auditoriaRoutes);
+  app.use('/api/roles', rolRoutes);
+  app.use('/api/alertas', alertaRoutes);
+  app.use('/api/public', publicRoutes);
 
   // Middleware para rutas no encontradas
   app.use((req, res) => {
@@ -210,9 +234,17 @@ function setupRoutes() {
         parroquias: '/api/parroquias/*',
         niveles: '/api/niveles/*',
         catequizandos: '/api/catequizandos/*',
+        familias: '/api/familias/*',
         grupos: '/api/grupos/*',
         inscripciones: '/api/inscripciones/*',
-        asistencias: '/api/asistencias/*'
+        asistencias: '/api/asistencias/*',
+        certificados: '/api/certificados/*',
+        sacramentos: '/api/sacramentos/*',
+        celebraciones: '/api/celebraciones/*',
+        auditoria: '/api/auditoria/*',
+        roles: '/api/roles/*',
+        alertas: '/api/alertas/*',
+        public: '/api/public/*'
       },
       timestamp: new Date().toISOString()
     });
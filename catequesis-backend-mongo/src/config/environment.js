@@ -7,7 +7,11 @@ const config = {
     nodeEnv: process.env.NODE_ENV || 'development',
     allowedOrigins: process.env.ALLOWED_ORIGINS 
       ? process.env.ALLOWED_ORIGINS.split(',')
-      : ['http://localhost:3000', 'http://localhost:3001']
+      : ['http://localhost:3000', 'http://localhost:3001'],
+    // URL del frontend (enlaces enviados por correo)
+    frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3001',
+    // Zona horaria de las parroquias (límites del día en sesiones y asistencias)
+    zonaHoraria: process.env.APP_TIMEZONE || 'America/Guayaquil'
   },
 
   // Configuración de MongoDB
@@ -48,10 +52,66 @@ const config = {
   // Configuración de JWT
   jwt: {
     secret: process.env.JWT_SECRET || 'default-secret-key-change-in-production',
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m', // Access token de corta duración
+    refreshExpiresDays: parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS) || 30,
     algorithm: 'HS256'
   },
 
+  // Configuración de certificados
+  certificados: {
+    // Secreto para firmar los códigos de verificación (HMAC)
+    secret: process.env.CERTIFICADOS_SECRET || process.env.JWT_SECRET || 'default-certificados-secret-change-in-production'
+  },
+
+  // Autenticación de dos factores (TOTP)
+  dosFactores: {
+    emisor: process.env.TWO_FACTOR_ISSUER || 'Sistema de Catequesis',
+    // Clave para cifrar los secretos TOTP en la base de datos
+    claveCifrado: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'default-2fa-key-change-in-production',
+    // Obligatorio para administradores (los párrocos dependen de su parroquia)
+    requeridoAdmin: process.env.TWO_FACTOR_REQUIRED_ADMIN === 'true',
+    desafioExpiresIn: '5m',
+    periodo: 30,
+    digitos: 6,
+    ventana: 1,
+    codigosRecuperacion: 10
+  },
+
+  // Check-in de asistencia por código QR
+  asistenciaQR: {
+    // Secreto propio para firmar los códigos (HMAC); no se comparte con JWT
+    secret: process.env.ASISTENCIA_QR_SECRET || 'default-asistencia-qr-secret-change-in-production',
+    periodo: parseInt(process.env.ASISTENCIA_QR_PERIOD) || 60, // Segundos de vigencia de cada código
+    ventana: 1, // Códigos anteriores aceptados (demora al escanear)
+    toleranciaLlegada: parseInt(process.env.ASISTENCIA_QR_TOLERANCIA) || 10 // Minutos antes de marcar llegada tarde
+  },
+
+  // Auditoría
+  auditoria: {
+    // Registrar también las consultas (GET); por defecto solo las escrituras
+    registrarLecturas: process.env.AUDIT_READS === 'true'
+  },
+
+  // Importación masiva de catequizandos
+  importacion: {
+    maxFilas: parseInt(process.env.IMPORT_MAX_ROWS) || 1000
+  },
+
+  // Configuración de correo
+  mail: {
+    // Transporte: 'smtp' en producción, 'file' o 'console' en desarrollo
+    transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console'),
+    from: process.env.MAIL_FROM || 'Sistema de Catequesis <no-reply@catequesis.local>',
+    outputDir: process.env.MAIL_OUTPUT_DIR || 'logs/mail',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    }
+  },
+
   // Configuración de Bcrypt
   bcrypt: {
     rounds: parseInt(process.env.BCRYPT_ROUNDS) || 12
@@ -89,7 +149,7 @@ const config = {
 };
 
 // Validar variables de entorno críticas
-const requiredEnvVars = ['MONGODB_URI', 'JWT_SECRET'];
+const requiredEnvVars = ['MONGODB_URI', 'JWT_SECRET', 'ASISTENCIA_QR_SECRET'];
 
 if (config.server.nodeEnv === 'production') {
   const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
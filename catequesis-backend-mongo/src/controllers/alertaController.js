@@ -0,0 +1,337 @@
+const mongoose = require('mongoose');
+const { AlertaRiesgo, Grupo } = require('../models');
+const { applyParroquiaFilter } = require('../utils/queryhelpers');
+
+/**
+ * Los catequistas solo ven y gestionan las alertas de sus grupos
+ */
+const esCatequistaDelGrupo = (grupo, usuario) =>
+  grupo.catequistas.some(cat => cat.usuario.toString() === usuario.id && cat.activo);
+
+/**
+ * Verificar que el usuario pueda gestionar la alerta (parroquia y, si es catequista, grupo asignado)
+ */
+const puedeGestionar = async (alerta, usuario) => {
+  if (usuario.tipoPerfil === 'admin') return true;
+  if (usuario.parroquia?.toString() !== alerta.parroquia.toString()) return false;
+  if (usuario.tipoPerfil !== 'catequista') return true;
+
+  const grupo = await Grupo.findById(alerta.grupo).select('catequistas');
+  return !!grupo && esCatequistaDelGrupo(grupo, usuario);
+};
+
+/**
+ * Controlador de Alertas tempranas de catequizandos en riesgo
+ */
+class AlertaController {
+  /**
+   * Obtener las alertas del grupo (por defecto las abiertas)
+   * GET /api/grupos/:id/alertas
+   */
+  async getAlertasGrupo(req, res) {
+    try {
+      const { id } = req.params;
+      const { estado, tipo, severidad } = req.query;
+
+      const grupo = await Grupo.findOne(applyParroquiaFilter({ _id: id }, req.user))
+        .select('nombre periodo catequistas configuracion.asistenciaMinima');
+
+      if (!grupo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Grupo no encontrado'
+        });
+      }
+
+      if (req.user.tipoPerfil === 'catequista' && !esCatequistaDelGrupo(grupo, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'No estás asignado a este grupo'
+        });
+      }
+
+      const filtros = { grupo: grupo._id };
+      // Por defecto solo las abiertas; estado=todas incluye las resueltas
+      if (!estado) {
+        filtros.estado = { $ne: 'resuelta' };
+      } else if (estado !== 'todas') {
+        filtros.estado = estado;
+      }
+      if (tipo) filtros.tipo = tipo;
+      if (severidad) filtros.severidad = severidad;
+
+      const alertas = await AlertaRiesgo.find(filtros)
+        .populate('catequizando', 'nombres apellidos')
+        .populate('notas.usuario', 'datosPersonales.nombres datosPersonales.apellidos')
+        .sort({ severidad: 1, ultimaDeteccion: -1 });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Alertas obtenidas exitosamente',
+        data: {
+          grupo: {
+            _id: grupo._id,
+            nombre: grupo.nombre,
+            periodo: grupo.periodo,
+            asistenciaMinima: grupo.configuracion?.asistenciaMinima
+          },
+          total: alertas.length,
+          catequizandosEnRiesgo: new Set(alertas.map(a => a.inscripcion.toString())).size,
+          alertas
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo alertas del grupo:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Panel de alertas de la parroquia: totales, por tipo, por grupo y las de severidad alta
+   * GET /api/alertas/panel
+   */
+  async getPanel(req, res) {
+    try {
+      const { parroquia } = req.query;
+
+      const filtros = {};
+      if (req.user.tipoPerfil === 'admin') {
+        if (parroquia) filtros.parroquia = new mongoose.Types.ObjectId(parroquia);
+      } else {
+        filtros.parroquia = new mongoose.Types.ObjectId(req.user.parroquia);
+      }
+
+      // El catequista solo ve las alertas de sus grupos asignados
+      if (req.user.tipoPerfil === 'catequista') {
+        const grupos = await Grupo.find({
+          parroquia: filtros.parroquia,
+          catequistas: { $elemMatch: { usuario: req.user.id, activo: true } }
+        }).distinct('_id');
+        filtros.grupo = { $in: grupos };
+      }
+
+      const [panel, prioritarias] = await Promise.all([
+        AlertaRiesgo.obtenerPanel(filtros),
+        AlertaRiesgo.find({ ...filtros, estado: 'activa', severidad: 'alta' })
+          .populate('catequizando', 'nombres apellidos')
+          .populate('grupo', 'nombre')
+          .sort({ ultimaDeteccion: -1 })
+          .limit(20)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Panel de alertas obtenido exitosamente',
+        data: {
+          ...panel,
+          prioritarias
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo panel de alertas:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Evaluar las reglas de riesgo sin esperar la ejecución nocturna
+   * POST /api/alertas/evaluar
+   */
+  async evaluarAlertas(req, res) {
+    try {
+      const { grupo: grupoId } = req.body;
+
+      let resumen;
+      if (grupoId) {
+        const grupo = await Grupo.findOne(applyParroquiaFilter({ _id: grupoId }, req.user))
+          .select('parroquia configuracion.asistenciaMinima');
+
+        if (!grupo) {
+          return res.status(404).json({
+            success: false,
+            message: 'Grupo no encontrado'
+          });
+        }
+
+        resumen = await AlertaRiesgo.evaluarGrupo(grupo);
+      } else {
+        resumen = await AlertaRiesgo.evaluarTodas(applyParroquiaFilter({}, req.user));
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: `${resumen.nuevas} alertas nuevas, ${resumen.resueltas} resueltas`,
+        data: resumen
+      });
+
+    } catch (error) {
+      console.error('Error evaluando alertas:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Reconocer la alerta (el catequista está al tanto y da seguimiento)
+   * PUT /api/alertas/:id/reconocer
+   */
+  async reconocerAlerta(req, res) {
+    try {
+      const { id } = req.params;
+      const { nota } = req.body;
+
+      const alerta = await AlertaRiesgo.findById(id);
+
+      if (!alerta) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alerta no encontrada'
+        });
+      }
+
+      if (!(await puedeGestionar(alerta, req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tienes permisos para esta alerta'
+        });
+      }
+
+      if (alerta.estado !== 'activa') {
+        return res.status(400).json({
+          success: false,
+          message: `La alerta ya está ${alerta.estado}`
+        });
+      }
+
+      alerta.reconocer(req.user.id, nota);
+      await alerta.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Alerta reconocida',
+        data: alerta
+      });
+
+    } catch (error) {
+      console.error('Error reconociendo alerta:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Resolver la alerta indicando cómo se atendió
+   * PUT /api/alertas/:id/resolver
+   */
+  async resolverAlerta(req, res) {
+    try {
+      const { id } = req.params;
+      const { nota } = req.body;
+
+      const alerta = await AlertaRiesgo.findById(id);
+
+      if (!alerta) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alerta no encontrada'
+        });
+      }
+
+      if (!(await puedeGestionar(alerta, req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tienes permisos para esta alerta'
+        });
+      }
+
+      if (alerta.estado === 'resuelta') {
+        return res.status(400).json({
+          success: false,
+          message: 'La alerta ya fue resuelta'
+        });
+      }
+
+      alerta.resolver(req.user.id, nota);
+      await alerta.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Alerta resuelta',
+        data: alerta
+      });
+
+    } catch (error) {
+      console.error('Error resolviendo alerta:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Agregar una nota de seguimiento a la alerta
+   * POST /api/alertas/:id/notas
+   */
+  async agregarNota(req, res) {
+    try {
+      const { id } = req.params;
+      const { contenido } = req.body;
+
+      const alerta = await AlertaRiesgo.findById(id);
+
+      if (!alerta) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alerta no encontrada'
+        });
+      }
+
+      if (!(await puedeGestionar(alerta, req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tienes permisos para esta alerta'
+        });
+      }
+
+      alerta.agregarNota(contenido, req.user.id);
+      await alerta.save();
+
+      return res.status(201).json({
+        success: true,
+        message: 'Nota agregada exitosamente',
+        data: alerta.notas
+      });
+
+    } catch (error) {
+      console.error('Error agregando nota a la alerta:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+}
+
+module.exports = new AlertaController();
@@ -1,4 +1,38 @@
-const { Asistencia, Inscripcion, Grupo } = require('../models');
+const mongoose = require('mongoose');
+const { Asistencia, Inscripcion, Grupo, Sesion, SincronizacionAsistencia } = require('../models');
+const { exportarListado } = require('../utils/exportacion');
+const { verificarCodigoQR } = require('../utils/codigoQR');
+const config = require('../config/environment');
+const { enviarCorreo, escaparHtml } = require('../utils/mailer');
+const { JUSTIFICACION_CONFIG } = require('../utils/constants');
+const { inicioDelDia, horaLocal } = require('../utils/fechas');
+
+/**
+ * Enviar el enlace de justificación al representante principal (o al catequizando)
+ * Devuelve el correo de destino o null si no hay a quién enviarlo
+ */
+const notificarEnlaceJustificacion = async (asistencia, enlace) => {
+  const { catequizando, grupo } = asistencia.inscripcion;
+
+  const principal = catequizando.familia?.representantes?.find(r => r.principal && r.email);
+  const para = principal?.email || catequizando.contacto?.email;
+  if (!para) return null;
+
+  const fecha = asistencia.fecha.toLocaleDateString('es-EC');
+  const dias = JUSTIFICACION_CONFIG.DIAS_VIGENCIA_ENLACE;
+
+  await enviarCorreo({
+    para,
+    asunto: `Justificar ausencia de ${catequizando.nombres} - Catequesis`,
+    texto: `${catequizando.nombres} ${catequizando.apellidos} no asistió a la catequesis del grupo ${grupo.nombre} el ${fecha}.\n\n` +
+      `Puede justificar la ausencia desde el siguiente enlace (válido por ${dias} días):\n\n${enlace}`,
+    html: `<p>${escaparHtml(`${catequizando.nombres} ${catequizando.apellidos}`)} no asistió a la catequesis ` +
+      `del grupo ${escaparHtml(grupo.nombre)} el ${fecha}.</p>` +
+      `<p><a href="${escaparHtml(enlace)}">Justificar ausencia</a> (válido por ${dias} días)</p>`
+  });
+
+  return para;
+};
 
 /**
  * Controlador de Asistencias
@@ -184,14 +218,6 @@ class AsistenciaController {
    */
   async registrarAsistencia(req, res) {
     try {
-      // Verificar permisos
-      if (!['admin', 'parroco', 'secretaria', 'catequista'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para registrar asistencias'
-        });
-      }
-
       const asistenciaData = req.body;
 
       // Verificar que la inscripción existe
@@ -246,6 +272,25 @@ class AsistenciaController {
         });
       }
 
+      // Vincular a la sesión del grupo (se crea si no estaba programada)
+      const sesion = await Sesion.obtenerParaAsistencia(inscripcion.grupo, asistenciaData.fecha, {
+        tipo: asistenciaData.tipoClase,
+        tema: asistenciaData.tema,
+        catequista: req.user.tipoPerfil === 'catequista' ? req.user.id : null,
+        usuario: req.user.id
+      });
+
+      if (sesion.estado === 'cancelada') {
+        return res.status(400).json({
+          success: false,
+          message: `La sesión de esa fecha fue cancelada: ${sesion.cancelacion.motivo}`
+        });
+      }
+
+      asistenciaData.sesion = sesion._id;
+      asistenciaData.tipoClase = sesion.tipo;
+      asistenciaData.tema = sesion.tema?.nombre;
+
       // Agregar información de registro
       asistenciaData.registro = {
         registradoPor: req.user.id,
@@ -301,14 +346,6 @@ class AsistenciaController {
       const { grupoId } = req.params;
       const { fecha, asistencias, tema, tipoClase = 'regular' } = req.body;
 
-      // Verificar permisos
-      if (!['admin', 'parroco', 'secretaria', 'catequista'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para registrar asistencias'
-        });
-      }
-
       const grupo = await Grupo.findById(grupoId).populate('parroquia');
       if (!grupo) {
         return res.status(404).json({
@@ -357,20 +394,20 @@ class AsistenciaController {
         });
       }
 
-      // Crear registros de asistencia
-      const registrosAsistencia = asistencias.map(asistencia => ({
-        ...asistencia,
-        fecha: new Date(fecha),
-        tema,
+      // Crear registros de asistencia vinculados a la sesión del grupo
+      const { sesion, asistencias: nuevasAsistencias } = await Asistencia.registrarParaGrupo(grupo, fecha, asistencias, {
         tipoClase,
-        registro: {
-          registradoPor: req.user.id,
-          fechaRegistro: new Date(),
-          metodoRegistro: 'lista'
-        }
-      }));
+        tema,
+        catequista: req.user.tipoPerfil === 'catequista' ? req.user.id : null,
+        usuario: req.user.id
+      });
 
-      const nuevasAsistencias = await Asistencia.insertMany(registrosAsistencia);
+      if (sesion.estado === 'cancelada') {
+        return res.status(400).json({
+          success: false,
+          message: `La sesión de esa fecha fue cancelada: ${sesion.cancelacion.motivo}`
+        });
+      }
 
       // Actualizar estadísticas del grupo
       await grupo.actualizarEstadisticas();
@@ -382,6 +419,7 @@ class AsistenciaController {
           total: nuevasAsistencias.length,
           fecha: fecha,
           grupo: grupo.nombre,
+          sesion,
           asistencias: nuevasAsistencias
         }
       });
@@ -396,22 +434,274 @@ class AsistenciaController {
   }
 
   /**
-   * Actualizar asistencia
-   * PUT /api/asistencias/:id
+   * Check-in por código QR: marca presente al catequizando en la sesión en curso
+   * POST /api/asistencias/checkin/qr
    */
-  async updateAsistencia(req, res) {
+  async checkinQR(req, res) {
     try {
-      const { id } = req.params;
-      const updateData = req.body;
+      const { codigo, ubicacion } = req.body;
 
-      // Verificar permisos
-      if (!['admin', 'parroco', 'secretaria', 'catequista'].includes(req.user.tipoPerfil)) {
+      const verificacion = verificarCodigoQR(codigo);
+      if (!verificacion.valido) {
+        return res.status(400).json({
+          success: false,
+          message: verificacion.motivo
+        });
+      }
+
+      const inscripcion = await Inscripcion.findById(verificacion.inscripcion)
+        .populate('catequizando', 'nombres apellidos')
+        .populate('grupo');
+
+      if (!inscripcion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inscripción no encontrada'
+        });
+      }
+
+      // Verificar permisos de parroquia
+      if (req.user.tipoPerfil !== 'admin' && 
+          req.user.parroquia?.toString() !== inscripcion.parroquia.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tienes permisos para esta inscripción'
+        });
+      }
+
+      const grupo = inscripcion.grupo;
+
+      // Si es catequista, verificar que esté asignado al grupo
+      if (req.user.tipoPerfil === 'catequista') {
+        const esAsignado = grupo.catequistas.some(cat => 
+          cat.usuario.toString() === req.user.id && cat.activo
+        );
+        
+        if (!esAsignado) {
+          return res.status(403).json({
+            success: false,
+            message: 'No estás asignado a este grupo'
+          });
+        }
+      }
+
+      if (!inscripcion.activa) {
+        return res.status(400).json({
+          success: false,
+          message: 'La inscripción no está activa'
+        });
+      }
+
+      const ahora = new Date();
+      if (!grupo.estaEnHorario(ahora)) {
+        return res.status(400).json({
+          success: false,
+          message: `El grupo ${grupo.nombre} no está en horario de clase (${grupo.horarios.diaSemana} ${grupo.horarios.horaInicio}-${grupo.horarios.horaFin})`
+        });
+      }
+
+      // Cada código se acepta una sola vez
+      const consumido = await Inscripcion.consumirCodigoQR(inscripcion._id, verificacion.paso);
+      if (!consumido) {
+        return res.status(409).json({
+          success: false,
+          message: 'El código QR ya fue utilizado; solicite uno nuevo'
+        });
+      }
+
+      const sesion = await Sesion.obtenerParaAsistencia(grupo, ahora, {
+        catequista: req.user.tipoPerfil === 'catequista' ? req.user.id : null,
+        usuario: req.user.id
+      });
+
+      if (sesion.estado === 'cancelada') {
+        return res.status(400).json({
+          success: false,
+          message: `La sesión de hoy fue cancelada: ${sesion.cancelacion.motivo}`
+        });
+      }
+
+      const { hora: horaLlegada } = horaLocal(ahora);
+      const [hi, mi] = (sesion.horaInicio || grupo.horarios.horaInicio).split(':').map(Number);
+      const [hl, ml] = horaLlegada.split(':').map(Number);
+      const llegadaTarde = (hl * 60 + ml) > (hi * 60 + mi) + config.asistenciaQR.toleranciaLlegada;
+
+      const registro = {
+        registradoPor: req.user.id,
+        fechaRegistro: ahora,
+        metodoRegistro: 'qr',
+        ...(ubicacion && { ubicacion })
+      };
+
+      // Si ya se pasó lista y figuraba ausente, el check-in registra su llegada
+      const inicioDia = inicioDelDia(ahora);
+      let asistencia = await Asistencia.findOne({
+        inscripcion: inscripcion._id,
+        $or: [
+          { sesion: sesion._id },
+          { fecha: { $gte: inicioDia, $lte: ahora } }
+        ]
+      });
+
+      if (asistencia?.asistio) {
+        return res.status(409).json({
+          success: false,
+          message: 'El catequizando ya tiene registrada su asistencia en esta sesión'
+        });
+      }
+
+      if (asistencia) {
+        asistencia.asistio = true;
+        asistencia.sesion = sesion._id;
+        asistencia.set('detalles', { horaLlegada, llegadaTarde, ausenciaJustificada: true });
+        asistencia.registro = registro;
+      } else {
+        asistencia = new Asistencia({
+          inscripcion: inscripcion._id,
+          fecha: ahora,
+          sesion: sesion._id,
+          asistio: true,
+          tipoClase: sesion.tipo,
+          tema: sesion.tema?.nombre,
+          detalles: { horaLlegada, llegadaTarde },
+          registro
+        });
+      }
+
+      await asistencia.save();
+
+      return res.status(201).json({
+        success: true,
+        message: llegadaTarde
+          ? `Asistencia registrada (llegada tarde): ${inscripcion.catequizando.nombres} ${inscripcion.catequizando.apellidos}`
+          : `Asistencia registrada: ${inscripcion.catequizando.nombres} ${inscripcion.catequizando.apellidos}`,
+        data: {
+          asistencia,
+          catequizando: inscripcion.catequizando,
+          grupo: { _id: grupo._id, nombre: grupo.nombre },
+          sesion: sesion._id
+        }
+      });
+
+    } catch (error) {
+      console.error('Error registrando check-in QR:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos de asistencia inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Sincronizar asistencias y observaciones capturadas sin conexión por el catequista
+   * Devuelve la resolución de cada cambio y el delta del grupo desde el último token
+   * POST /api/asistencias/sync/grupo/:grupoId
+   */
+  async sincronizarGrupo(req, res) {
+    try {
+      const { grupoId } = req.params;
+      const { tokenSincronizacion, dispositivo, cambios = [] } = req.body;
+
+      const grupo = await Grupo.findById(grupoId);
+      if (!grupo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Grupo no encontrado'
+        });
+      }
+
+      // Verificar permisos de parroquia
+      if (req.user.tipoPerfil !== 'admin' && 
+          req.user.parroquia?.toString() !== grupo.parroquia.toString()) {
         return res.status(403).json({
           success: false,
-          message: 'No tienes permisos para actualizar asistencias'
+          message: 'No tienes permisos para este grupo'
         });
       }
 
+      // Si es catequista, verificar que esté asignado al grupo
+      if (req.user.tipoPerfil === 'catequista') {
+        const esAsignado = grupo.catequistas.some(cat => 
+          cat.usuario.toString() === req.user.id && cat.activo
+        );
+        
+        if (!esAsignado) {
+          return res.status(403).json({
+            success: false,
+            message: 'No estás asignado a este grupo'
+          });
+        }
+      }
+
+      let desde = null;
+      if (tokenSincronizacion) {
+        desde = SincronizacionAsistencia.leerToken(tokenSincronizacion, grupo._id);
+        if (!desde) {
+          return res.status(400).json({
+            success: false,
+            message: 'Token de sincronización inválido; sincronice sin token para obtener el grupo completo'
+          });
+        }
+      }
+
+      // El nuevo token se toma antes de aplicar para no perder cambios concurrentes
+      const inicio = new Date();
+
+      const resultados = await SincronizacionAsistencia.aplicarLote(grupo, cambios, {
+        usuario: req.user.id,
+        catequista: req.user.tipoPerfil === 'catequista' ? req.user.id : null,
+        dispositivo
+      });
+
+      if (resultados.some(r => ['creado', 'actualizado'].includes(r.estado) && r.tipo === 'asistencia')) {
+        await grupo.actualizarEstadisticas();
+      }
+
+      const delta = await SincronizacionAsistencia.obtenerDelta(grupo, desde);
+
+      const resumen = resultados.reduce((total, resultado) => {
+        total[resultado.estado] = (total[resultado.estado] || 0) + 1;
+        return total;
+      }, {});
+
+      return res.status(200).json({
+        success: true,
+        message: `${cambios.length} cambios procesados`,
+        data: {
+          resultados,
+          resumen,
+          delta,
+          tokenSincronizacion: SincronizacionAsistencia.generarToken(grupo._id, inicio)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error sincronizando asistencias:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Actualizar asistencia
+   * PUT /api/asistencias/:id
+   */
+  async updateAsistencia(req, res) {
+    try {
+      const { id } = req.params;
+      const updateData = req.body;
+
       const asistencia = await Asistencia.findById(id)
         .populate({
           path: 'inscripcion',
@@ -453,6 +743,8 @@ class AsistenciaController {
 
       // Actualizar asistencia
       Object.assign(asistencia, updateData);
+      asistencia.registro.modificadoPor = req.user.id;
+      asistencia.registro.fechaModificacion = new Date();
       await asistencia.save();
 
       return res.status(200).json({
@@ -593,24 +885,20 @@ class AsistenciaController {
    */
   async getReporteAsistencia(req, res) {
     try {
-      const { parroquia, grupo, fechaInicio, fechaFin } = req.query;
+      const { parroquia, grupo, fechaInicio, fechaFin, format = 'json' } = req.query;
 
       const filtros = {};
 
-      // Filtrar por parroquia del usuario si no es admin
+      // El filtro se aplica sobre el grupo en que se tomó la asistencia (sin conversión a ObjectId);
+      // así los traslados no mueven la asistencia ya registrada a otro grupo o parroquia
       if (req.user.tipoPerfil !== 'admin') {
-        // Necesitamos hacer el filtro a través de inscripciones
-        const inscripcionesParroquia = await Inscripcion.find({
-          parroquia: req.user.parroquia
-        }).select('_id');
-        
-        filtros['inscripcion.parroquia'] = req.user.parroquia;
+        filtros['grupo.parroquia'] = req.user.parroquia;
       } else if (parroquia) {
-        filtros['inscripcion.parroquia'] = parroquia;
+        filtros['grupo.parroquia'] = new mongoose.Types.ObjectId(parroquia);
       }
 
       if (grupo) {
-        filtros['inscripcion.grupo'] = grupo;
+        filtros['grupo._id'] = new mongoose.Types.ObjectId(grupo);
       }
 
       if (fechaInicio || fechaFin) {
@@ -619,6 +907,14 @@ class AsistenciaController {
         if (fechaFin) filtros.fecha.$lte = new Date(fechaFin);
       }
 
+      if (format !== 'json') {
+        return exportarListado(req, res, {
+          entidad: 'reporte-asistencia',
+          parroquia: filtros['grupo.parroquia'],
+          registros: Asistencia.obtenerReporteAsistencia(filtros).allowDiskUse(true).cursor()
+        });
+      }
+
       const reporte = await Asistencia.obtenerReporteAsistencia(filtros);
 
       return res.status(200).json({
@@ -649,14 +945,6 @@ class AsistenciaController {
       const { id } = req.params;
       const { contenido, tipo = 'general' } = req.body;
 
-      // Verificar permisos
-      if (!['admin', 'parroco', 'secretaria', 'catequista'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para agregar observaciones'
-        });
-      }
-
       const asistencia = await Asistencia.findById(id)
         .populate({
           path: 'inscripcion',
@@ -710,14 +998,6 @@ class AsistenciaController {
       const { id } = req.params;
       const { descripcion, entregada = false, calificacion, observaciones } = req.body;
 
-      // Solo catequistas y superiores pueden registrar tareas
-      if (!['admin', 'parroco', 'secretaria', 'catequista'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para registrar tareas'
-        });
-      }
-
       const asistencia = await Asistencia.findById(id)
         .populate({
           path: 'inscripcion',
@@ -782,14 +1062,6 @@ class AsistenciaController {
    */
   async getAusenciasPendientes(req, res) {
     try {
-      // Solo admin, párroco y secretaria pueden ver esto
-      if (!['admin', 'parroco', 'secretaria'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para ver ausencias pendientes'
-        });
-      }
-
       const ausencias = await Asistencia.obtenerAusenciasPorNotificar();
 
       // Filtrar por parroquia si no es admin
@@ -815,21 +1087,345 @@ class AsistenciaController {
   }
 
   /**
-   * Marcar notificación como enviada
-   * PUT /api/asistencias/:id/notificacion/:tipo
+   * Generar el enlace para que el representante justifique la ausencia
+   * POST /api/asistencias/:id/justificacion/enlace
    */
-  async marcarNotificacionEnviada(req, res) {
+  async solicitarJustificacion(req, res) {
     try {
-      const { id, tipo } = req.params;
+      const { id } = req.params;
 
-      // Verificar permisos
-      if (!['admin', 'parroco', 'secretaria'].includes(req.user.tipoPerfil)) {
+      const asistencia = await Asistencia.findById(id)
+        .populate({
+          path: 'inscripcion',
+          populate: [
+            {
+              path: 'catequizando',
+              select: 'nombres apellidos contacto.email familia',
+              populate: { path: 'familia', select: 'representantes' }
+            },
+            { path: 'grupo', select: 'nombre catequistas' }
+          ]
+        });
+
+      if (!asistencia) {
+        return res.status(404).json({
+          success: false,
+          message: 'Asistencia no encontrada'
+        });
+      }
+
+      // Verificar permisos de parroquia
+      if (req.user.tipoPerfil !== 'admin' && 
+          req.user.parroquia?.toString() !== asistencia.inscripcion.parroquia.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tienes permisos para esta asistencia'
+        });
+      }
+
+      // Si es catequista, verificar que esté asignado al grupo
+      if (req.user.tipoPerfil === 'catequista') {
+        const esAsignado = asistencia.inscripcion.grupo.catequistas.some(cat => 
+          cat.usuario.toString() === req.user.id && cat.activo
+        );
+        
+        if (!esAsignado) {
+          return res.status(403).json({
+            success: false,
+            message: 'No estás asignado a este grupo'
+          });
+        }
+      }
+
+      if (asistencia.asistio) {
+        return res.status(400).json({
+          success: false,
+          message: 'Solo se pueden justificar ausencias'
+        });
+      }
+
+      // Aprobada desde un enlace o registrada como justificada por el personal
+      if (asistencia.justificacion?.estado === 'aprobada' || asistencia.detalles?.ausenciaJustificada) {
+        return res.status(400).json({
+          success: false,
+          message: 'La ausencia ya fue justificada'
+        });
+      }
+
+      const token = asistencia.generarEnlaceJustificacion(req.user.id);
+      await asistencia.save();
+
+      const enlace = `${config.server.frontendUrl}/justificar-ausencia?token=${token}`;
+
+      // Si el correo falla el enlace sigue siendo válido para compartirlo por otro medio
+      let notificadoA = null;
+      try {
+        notificadoA = await notificarEnlaceJustificacion(asistencia, enlace);
+      } catch (envioError) {
+        console.error('Error enviando enlace de justificación:', envioError);
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: notificadoA
+          ? `Enlace de justificación enviado a ${notificadoA}`
+          : 'Enlace de justificación generado; compártalo con el representante',
+        data: {
+          enlace,
+          expiraEn: asistencia.justificacion.expiraEn,
+          notificadoA
+        }
+      });
+
+    } catch (error) {
+      console.error('Error solicitando justificación:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener justificaciones enviadas por los representantes pendientes de revisión
+   * GET /api/asistencias/justificaciones/pendientes
+   */
+  async getJustificacionesPendientes(req, res) {
+    try {
+      // Filtrar por parroquia si no es admin y, para catequistas, por sus grupos
+      let inscripciones = null;
+      if (req.user.tipoPerfil !== 'admin') {
+        const filtroInscripciones = { parroquia: req.user.parroquia };
+
+        if (req.user.tipoPerfil === 'catequista') {
+          filtroInscripciones.grupo = {
+            $in: await Grupo.distinct('_id', {
+              parroquia: req.user.parroquia,
+              catequistas: { $elemMatch: { usuario: req.user.id, activo: true } }
+            })
+          };
+        }
+
+        inscripciones = await Inscripcion.distinct('_id', filtroInscripciones);
+      }
+
+      const justificaciones = await Asistencia.obtenerJustificacionesPendientes(inscripciones);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Justificaciones pendientes obtenidas exitosamente',
+        // Inscripciones eliminadas después de enviar la justificación
+        data: justificaciones.filter(a => a.inscripcion)
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo justificaciones pendientes:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Aprobar o rechazar la justificación enviada por el representante
+   * PUT /api/asistencias/:id/justificacion/revisar
+   */
+  async revisarJustificacion(req, res) {
+    try {
+      const { id } = req.params;
+      const { decision, comentario } = req.body;
+
+      const asistencia = await Asistencia.findById(id)
+        .populate({
+          path: 'inscripcion',
+          select: 'parroquia grupo',
+          populate: { path: 'grupo', select: 'catequistas' }
+        });
+
+      if (!asistencia) {
+        return res.status(404).json({
+          success: false,
+          message: 'Asistencia no encontrada'
+        });
+      }
+
+      // Verificar permisos de parroquia
+      if (req.user.tipoPerfil !== 'admin' && 
+          req.user.parroquia?.toString() !== asistencia.inscripcion.parroquia.toString()) {
         return res.status(403).json({
           success: false,
-          message: 'No tienes permisos para marcar notificaciones'
+          message: 'No tienes permisos para esta asistencia'
         });
       }
 
+      // Si es catequista, verificar que esté asignado al grupo
+      if (req.user.tipoPerfil === 'catequista') {
+        const esAsignado = asistencia.inscripcion.grupo.catequistas.some(cat => 
+          cat.usuario.toString() === req.user.id && cat.activo
+        );
+        
+        if (!esAsignado) {
+          return res.status(403).json({
+            success: false,
+            message: 'No estás asignado a este grupo'
+          });
+        }
+      }
+
+      if (asistencia.justificacion?.estado !== 'pendiente') {
+        return res.status(400).json({
+          success: false,
+          message: 'La ausencia no tiene una justificación pendiente de revisión'
+        });
+      }
+
+      asistencia.revisarJustificacion(decision, req.user.id, comentario);
+      // El post-save recalcula la asistencia de la inscripción (Inscripcion.actualizarAsistencia)
+      await asistencia.save();
+
+      const inscripcion = await Inscripcion.findById(asistencia.inscripcion._id).select('evaluacion.asistencia');
+
+      return res.status(200).json({
+        success: true,
+        message: decision === 'aprobada' ? 'Justificación aprobada' : 'Justificación rechazada',
+        data: {
+          justificacion: asistencia.justificacion,
+          detalles: asistencia.detalles,
+          asistenciaInscripcion: inscripcion?.evaluacion?.asistencia
+        }
+      });
+
+    } catch (error) {
+      console.error('Error revisando justificación:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Datos de la ausencia a justificar desde el enlace enviado al representante
+   * GET /api/public/justificaciones/:token
+   */
+  async getJustificacionPublica(req, res) {
+    try {
+      const { token } = req.params;
+
+      const asistencia = await Asistencia.buscarPorTokenJustificacion(token)
+        .populate({
+          path: 'inscripcion',
+          select: 'catequizando grupo',
+          populate: [
+            { path: 'catequizando', select: 'nombres' },
+            { path: 'grupo', select: 'nombre' }
+          ]
+        });
+
+      if (!asistencia) {
+        return res.status(404).json({
+          success: false,
+          message: 'El enlace de justificación no es válido o ha expirado'
+        });
+      }
+
+      // Solo datos mínimos: el enlace puede reenviarse
+      return res.status(200).json({
+        success: true,
+        message: 'Ausencia obtenida exitosamente',
+        data: {
+          catequizando: asistencia.inscripcion?.catequizando?.nombres,
+          grupo: asistencia.inscripcion?.grupo?.nombre,
+          fecha: asistencia.fecha,
+          estado: asistencia.justificacion.estado,
+          motivo: asistencia.justificacion.motivo,
+          expiraEn: asistencia.justificacion.expiraEn
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo justificación:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Enviar la justificación de la ausencia (representante, desde el enlace)
+   * POST /api/public/justificaciones/:token
+   */
+  async enviarJustificacion(req, res) {
+    try {
+      const { token } = req.params;
+      const { motivo, descripcion, documento, representante } = req.body;
+
+      const asistencia = await Asistencia.buscarPorTokenJustificacion(token);
+
+      if (!asistencia) {
+        return res.status(404).json({
+          success: false,
+          message: 'El enlace de justificación no es válido o ha expirado'
+        });
+      }
+
+      // Se puede corregir mientras no haya sido revisada
+      if (!['enlace_enviado', 'pendiente'].includes(asistencia.justificacion.estado)) {
+        return res.status(400).json({
+          success: false,
+          message: 'La justificación ya fue revisada'
+        });
+      }
+
+      asistencia.registrarJustificacion({ motivo, descripcion, documento, representante });
+      await asistencia.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Justificación enviada; será revisada por la catequesis',
+        data: {
+          estado: asistencia.justificacion.estado,
+          fechaEnvio: asistencia.justificacion.fechaEnvio
+        }
+      });
+
+    } catch (error) {
+      console.error('Error enviando justificación:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Marcar notificación como enviada
+   * PUT /api/asistencias/:id/notificacion/:tipo
+   */
+  async marcarNotificacionEnviada(req, res) {
+    try {
+      const { id, tipo } = req.params;
+
       const asistencia = await Asistencia.findById(id);
       if (!asistencia) {
         return res.status(404).json({
@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const { AuditLog } = require('../models');
+
+/**
+ * Controlador de Auditoría
+ */
+class AuditoriaController {
+  /**
+   * Obtener registros de auditoría
+   * GET /api/auditoria
+   */
+  async getAuditoria(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        usuario,
+        modelo,
+        entidadId,
+        accion,
+        parroquia,
+        fechaInicio,
+        fechaFin
+      } = req.query;
+
+      // Construir filtros
+      const filtros = {};
+
+      // Filtrar por parroquia (admin puede ver todas)
+      if (req.user.tipoPerfil !== 'admin') {
+        filtros.parroquia = req.user.parroquia;
+      } else if (parroquia) {
+        filtros.parroquia = parroquia;
+      }
+
+      if (usuario) filtros.usuario = usuario;
+      if (modelo) filtros['entidad.modelo'] = modelo;
+      if (entidadId) filtros['entidad.id'] = entidadId;
+      if (accion) filtros.accion = accion.toUpperCase();
+
+      if (fechaInicio || fechaFin) {
+        filtros.fecha = {};
+        if (fechaInicio) filtros.fecha.$gte = new Date(fechaInicio);
+        if (fechaFin) filtros.fecha.$lte = new Date(fechaFin);
+      }
+
+      // Paginación
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [registros, total] = await Promise.all([
+        AuditLog.find(filtros)
+          .populate('usuario', 'username datosPersonales.nombres datosPersonales.apellidos')
+          .populate('parroquia', 'nombre')
+          .sort({ fecha: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        AuditLog.countDocuments(filtros)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Registros de auditoría obtenidos exitosamente',
+        data: {
+          registros,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            totalItems: total,
+            itemsPerPage: parseInt(limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo auditoría:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener historial de una entidad
+   * GET /api/auditoria/entidad/:modelo/:id
+   */
+  async getHistorialEntidad(req, res) {
+    try {
+      const { modelo, id } = req.params;
+
+      const filtros = {
+        'entidad.modelo': modelo,
+        'entidad.id': id
+      };
+
+      if (req.user.tipoPerfil !== 'admin') {
+        filtros.parroquia = req.user.parroquia;
+      }
+
+      const registros = await AuditLog.find(filtros)
+        .populate('usuario', 'username datosPersonales.nombres datosPersonales.apellidos')
+        .sort({ fecha: -1 })
+        .limit(200);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Historial obtenido exitosamente',
+        data: registros
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo historial de entidad:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener registro de auditoría por ID
+   * GET /api/auditoria/:id
+   */
+  async getAuditoriaById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const registro = await AuditLog.findById(id)
+        .populate('usuario', 'username tipoPerfil datosPersonales.nombres datosPersonales.apellidos')
+        .populate('parroquia', 'nombre');
+
+      if (!registro) {
+        return res.status(404).json({
+          success: false,
+          message: 'Registro de auditoría no encontrado'
+        });
+      }
+
+      // Verificar permisos de parroquia si no es admin
+      if (req.user.tipoPerfil !== 'admin' &&
+          req.user.parroquia?.toString() !== registro.parroquia?._id?.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tienes acceso a este registro'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Registro de auditoría obtenido exitosamente',
+        data: registro
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo registro de auditoría:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Resumen de actividad por acción y usuario
+   * GET /api/auditoria/stats
+   */
+  async getAuditoriaStats(req, res) {
+    try {
+      const { fechaInicio, fechaFin, parroquia } = req.query;
+
+      const match = {};
+
+      if (req.user.tipoPerfil !== 'admin') {
+        match.parroquia = new mongoose.Types.ObjectId(req.user.parroquia);
+      } else if (parroquia) {
+        match.parroquia = new mongoose.Types.ObjectId(parroquia);
+      }
+
+      if (fechaInicio || fechaFin) {
+        match.fecha = {};
+        if (fechaInicio) match.fecha.$gte = new Date(fechaInicio);
+        if (fechaFin) match.fecha.$lte = new Date(fechaFin);
+      }
+
+      const [porAccion, porUsuario, total] = await Promise.all([
+        AuditLog.aggregate([
+          { $match: match },
+          { $group: { _id: '$accion', total: { $sum: 1 } } },
+          { $sort: { total: -1 } }
+        ]),
+        AuditLog.aggregate([
+          { $match: match },
+          { $group: { _id: '$usuario', username: { $first: '$username' }, total: { $sum: 1 } } },
+          { $sort: { total: -1 } },
+          { $limit: 20 }
+        ]),
+        AuditLog.countDocuments(match)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Estadísticas de auditoría obtenidas exitosamente',
+        data: {
+          total,
+          porAccion,
+          porUsuario
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo estadísticas de auditoría:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+}
+
+module.exports = new AuditoriaController();
@@ -1,6 +1,83 @@
 const jwt = require('jsonwebtoken');
-const { Usuario } = require('../models');
+const { Usuario, SesionUsuario } = require('../models');
 const config = require('../config/environment');
+const { enviarCorreo, escaparHtml } = require('../utils/mailer');
+const { SESSION_CONFIG } = require('../utils/constants');
+
+/**
+ * Firmar access token de corta duración asociado a una sesión
+ */
+const firmarAccessToken = (usuario, sesionId) => {
+  const tokenPayload = {
+    id: usuario._id,
+    username: usuario.username,
+    tipoPerfil: usuario.tipoPerfil,
+    parroquia: usuario.parroquia?._id || usuario.parroquia,
+    primerLogin: usuario.primerLogin,
+    sid: sesionId
+  };
+
+  return jwt.sign(tokenPayload, config.jwt.secret, {
+    expiresIn: config.jwt.expiresIn,
+    algorithm: config.jwt.algorithm
+  });
+};
+
+/**
+ * Revocar la familia de refresh tokens cuando un token ya rotado se presenta de nuevo
+ */
+const revocarPorReutilizacion = async (sesion) => {
+  if (!sesion.revocada) {
+    await sesion.revocar('reutilizacion');
+  }
+  console.warn(`[SECURITY] Reutilización de refresh token detectada - sesión ${sesion._id} revocada`);
+};
+
+/**
+ * Crear la sesión persistente y responder con los tokens del login
+ */
+const completarLogin = async (req, res, usuario, extras = {}) => {
+  await usuario.registrarLoginExitoso();
+
+  const { sesion, refreshToken } = await SesionUsuario.crear(usuario._id, {
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+
+  const token = firmarAccessToken(usuario, sesion._id);
+
+  // Preparar datos del usuario para respuesta
+  const usuarioRespuesta = {
+    id: usuario._id,
+    username: usuario.username,
+    tipoPerfil: usuario.tipoPerfil,
+    parroquia: usuario.parroquia,
+    datosPersonales: usuario.datosPersonales,
+    configuraciones: usuario.configuraciones,
+    primerLogin: usuario.primerLogin,
+    ultimoLogin: usuario.ultimoLogin,
+    dosFactores: usuario.dosFactores?.habilitado || false
+  };
+
+  // Poblar información de parroquia si existe
+  if (usuario.parroquia) {
+    await usuario.populate('parroquia', 'nombre direccion telefono');
+    usuarioRespuesta.parroquiaInfo = usuario.parroquia;
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: 'Login exitoso',
+    data: {
+      usuario: usuarioRespuesta,
+      token,
+      refreshToken,
+      expiresIn: config.jwt.expiresIn,
+      refreshExpiresAt: sesion.expira,
+      ...extras
+    }
+  });
+};
 
 /**
  * Controlador de autenticación
@@ -61,53 +138,348 @@ class AuthController {
         });
       }
 
-      // Login exitoso - registrar
-      await usuario.registrarLoginExitoso();
+      // Segundo paso: si tiene 2FA habilitado se emite un token de desafío
+      if (usuario.dosFactores?.habilitado) {
+        const tokenDesafio = jwt.sign(
+          { id: usuario._id, tipo: '2fa' },
+          config.jwt.secret,
+          { expiresIn: config.dosFactores.desafioExpiresIn, algorithm: config.jwt.algorithm }
+        );
+
+        return res.status(200).json({
+          success: true,
+          message: 'Ingresa el código de tu aplicación de autenticación',
+          data: {
+            requiere2FA: true,
+            tokenDesafio
+          }
+        });
+      }
+
+      return completarLogin(req, res, usuario, {
+        configurar2FA: usuario.requiereDosFactores()
+      });
+
+    } catch (error) {
+      console.error('Error en login:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Completar login con código de 2FA o código de recuperación
+   * POST /api/auth/login/2fa
+   */
+  async loginDosFactores(req, res) {
+    try {
+      const { tokenDesafio, codigo } = req.body;
+
+      let decoded;
+      try {
+        decoded = jwt.verify(tokenDesafio, config.jwt.secret);
+      } catch (error) {
+        decoded = null;
+      }
+
+      if (!decoded || decoded.tipo !== '2fa') {
+        return res.status(401).json({
+          success: false,
+          message: 'El desafío de autenticación es inválido o ha expirado'
+        });
+      }
+
+      const usuario = await Usuario.findById(decoded.id)
+        .populate('parroquia', 'nombre configuracion.seguridad')
+        .select('+dosFactores.secreto +dosFactores.ultimoPaso +dosFactores.codigosRecuperacion');
+
+      if (!usuario || !usuario.estaActivo()) {
+        return res.status(401).json({
+          success: false,
+          message: 'Usuario inactivo o bloqueado'
+        });
+      }
+
+      const metodo = usuario.verificarDosFactores(codigo);
+
+      if (!metodo) {
+        await usuario.registrarLoginFallido();
+
+        return res.status(401).json({
+          success: false,
+          message: 'Código de verificación inválido',
+          intentosFallidos: usuario.intentosFallidos
+        });
+      }
+
+      const extras = {};
+      if (metodo === 'recuperacion') {
+        extras.codigosRecuperacionRestantes = usuario.codigosRecuperacionRestantes();
+      }
 
-      // Generar token JWT
-      const tokenPayload = {
-        id: usuario._id,
-        username: usuario.username,
-        tipoPerfil: usuario.tipoPerfil,
-        parroquia: usuario.parroquia,
-        primerLogin: usuario.primerLogin
-      };
+      return completarLogin(req, res, usuario, extras);
 
-      const token = jwt.sign(tokenPayload, config.jwt.secret, {
-        expiresIn: config.jwt.expiresIn,
-        algorithm: config.jwt.algorithm
+    } catch (error) {
+      console.error('Error en login con 2FA:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
       });
+    }
+  }
 
-      // Preparar datos del usuario para respuesta
-      const usuarioRespuesta = {
-        id: usuario._id,
-        username: usuario.username,
-        tipoPerfil: usuario.tipoPerfil,
-        parroquia: usuario.parroquia,
-        datosPersonales: usuario.datosPersonales,
-        configuraciones: usuario.configuraciones,
-        primerLogin: usuario.primerLogin,
-        ultimoLogin: usuario.ultimoLogin
-      };
+  /**
+   * Estado de la autenticación de dos factores
+   * GET /api/auth/2fa
+   */
+  async getDosFactores(req, res) {
+    try {
+      const usuario = await Usuario.findById(req.user.id)
+        .populate('parroquia', 'nombre configuracion.seguridad')
+        .select('+dosFactores.codigosRecuperacion');
 
-      // Poblar información de parroquia si existe
-      if (usuario.parroquia) {
-        await usuario.populate('parroquia', 'nombre direccion telefono');
-        usuarioRespuesta.parroquiaInfo = usuario.parroquia;
+      if (!usuario) {
+        return res.status(404).json({
+          success: false,
+          message: 'Usuario no encontrado'
+        });
       }
 
       return res.status(200).json({
         success: true,
-        message: 'Login exitoso',
+        message: 'Estado de 2FA obtenido exitosamente',
         data: {
-          usuario: usuarioRespuesta,
-          token,
-          expiresIn: config.jwt.expiresIn
+          disponible: usuario.puedeUsarDosFactores(),
+          habilitado: usuario.dosFactores.habilitado,
+          habilitadoEn: usuario.dosFactores.habilitadoEn,
+          requerido: usuario.requiereDosFactores(),
+          codigosRecuperacionRestantes: usuario.codigosRecuperacionRestantes()
         }
       });
 
     } catch (error) {
-      console.error('Error en login:', error);
+      console.error('Error obteniendo estado de 2FA:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Iniciar configuración de 2FA (secreto y URI para el código QR)
+   * POST /api/auth/2fa/setup
+   */
+  async setupDosFactores(req, res) {
+    try {
+      const usuario = await Usuario.findById(req.user.id);
+
+      if (!usuario) {
+        return res.status(404).json({
+          success: false,
+          message: 'Usuario no encontrado'
+        });
+      }
+
+      if (!usuario.puedeUsarDosFactores()) {
+        return res.status(403).json({
+          success: false,
+          message: 'La autenticación de dos factores solo está disponible para administradores y párrocos'
+        });
+      }
+
+      if (usuario.dosFactores.habilitado) {
+        return res.status(409).json({
+          success: false,
+          message: 'La autenticación de dos factores ya está habilitada'
+        });
+      }
+
+      const { secreto, uri } = usuario.iniciarDosFactores();
+      await usuario.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Escanea el código QR con tu aplicación y confirma con un código',
+        data: {
+          secreto,
+          uri
+        }
+      });
+
+    } catch (error) {
+      console.error('Error iniciando configuración de 2FA:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Confirmar y habilitar 2FA
+   * POST /api/auth/2fa/enable
+   */
+  async enableDosFactores(req, res) {
+    try {
+      const { codigo } = req.body;
+
+      const usuario = await Usuario.findById(req.user.id)
+        .select('+dosFactores.secretoPendiente');
+
+      if (!usuario) {
+        return res.status(404).json({
+          success: false,
+          message: 'Usuario no encontrado'
+        });
+      }
+
+      if (usuario.dosFactores.habilitado) {
+        return res.status(409).json({
+          success: false,
+          message: 'La autenticación de dos factores ya está habilitada'
+        });
+      }
+
+      const codigosRecuperacion = usuario.confirmarDosFactores(codigo);
+      await usuario.save();
+
+      // Las demás sesiones se abrieron sin segundo factor
+      await SesionUsuario.revocarPorUsuario(usuario._id, 'usuario', {
+        excepto: req.user.sesion,
+        revocadaPor: usuario._id
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Autenticación de dos factores habilitada. Guarda los códigos de recuperación en un lugar seguro',
+        data: {
+          codigosRecuperacion
+        }
+      });
+
+    } catch (error) {
+      if (error.message.includes('pendiente') || error.message.includes('inválido')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error habilitando 2FA:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Deshabilitar 2FA (requiere contraseña y código vigente)
+   * POST /api/auth/2fa/disable
+   */
+  async disableDosFactores(req, res) {
+    try {
+      const { password, codigo } = req.body;
+
+      const usuario = await Usuario.findById(req.user.id)
+        .populate('parroquia', 'nombre configuracion.seguridad')
+        .select('+password +dosFactores.secreto +dosFactores.ultimoPaso +dosFactores.codigosRecuperacion');
+
+      if (!usuario) {
+        return res.status(404).json({
+          success: false,
+          message: 'Usuario no encontrado'
+        });
+      }
+
+      if (!usuario.dosFactores.habilitado) {
+        return res.status(400).json({
+          success: false,
+          message: 'La autenticación de dos factores no está habilitada'
+        });
+      }
+
+      if (usuario.requiereDosFactores()) {
+        return res.status(403).json({
+          success: false,
+          message: 'La autenticación de dos factores es obligatoria para tu perfil'
+        });
+      }
+
+      const passwordValida = await usuario.compararPassword(password);
+
+      if (!passwordValida || !usuario.verificarDosFactores(codigo)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Contraseña o código de verificación incorrectos'
+        });
+      }
+
+      usuario.desactivarDosFactores();
+      await usuario.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Autenticación de dos factores deshabilitada'
+      });
+
+    } catch (error) {
+      console.error('Error deshabilitando 2FA:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Regenerar códigos de recuperación (invalida los anteriores)
+   * POST /api/auth/2fa/recovery-codes
+   */
+  async regenerarCodigosRecuperacion(req, res) {
+    try {
+      const { codigo } = req.body;
+
+      const usuario = await Usuario.findById(req.user.id)
+        .select('+dosFactores.secreto +dosFactores.ultimoPaso +dosFactores.codigosRecuperacion');
+
+      if (!usuario) {
+        return res.status(404).json({
+          success: false,
+          message: 'Usuario no encontrado'
+        });
+      }
+
+      if (!usuario.dosFactores.habilitado) {
+        return res.status(400).json({
+          success: false,
+          message: 'La autenticación de dos factores no está habilitada'
+        });
+      }
+
+      if (usuario.verificarDosFactores(codigo) !== 'totp') {
+        return res.status(401).json({
+          success: false,
+          message: 'Código de verificación inválido'
+        });
+      }
+
+      const codigosRecuperacion = usuario.generarCodigosRecuperacion();
+      await usuario.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Códigos de recuperación regenerados',
+        data: {
+          codigosRecuperacion
+        }
+      });
+
+    } catch (error) {
+      console.error('Error regenerando códigos de recuperación:', error);
       return res.status(500).json({
         success: false,
         message: 'Error interno del servidor'
@@ -147,6 +519,42 @@ class AuthController {
     }
   }
 
+  /**
+   * Obtener permisos efectivos del usuario actual
+   * GET /api/auth/permisos
+   */
+  async getPermisos(req, res) {
+    try {
+      const usuario = await Usuario.findById(req.user.id).populate('roles', 'nombre descripcion');
+
+      if (!usuario) {
+        return res.status(404).json({
+          success: false,
+          message: 'Usuario no encontrado'
+        });
+      }
+
+      const permisos = await usuario.obtenerPermisos();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Permisos obtenidos exitosamente',
+        data: {
+          tipoPerfil: usuario.tipoPerfil,
+          roles: usuario.roles,
+          permisos
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo permisos:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
   /**
    * Actualizar perfil del usuario
    * PUT /api/auth/profile
@@ -245,6 +653,12 @@ class AuthController {
       usuario.primerLogin = false; // Marcar como que ya no es primer login
       await usuario.save();
 
+      // Cerrar las demás sesiones del usuario
+      await SesionUsuario.revocarPorUsuario(usuario._id, 'cambio_password', {
+        excepto: req.user.sesion,
+        revocadaPor: usuario._id
+      });
+
       return res.status(200).json({
         success: true,
         message: 'Contraseña cambiada exitosamente'
@@ -265,9 +679,13 @@ class AuthController {
    */
   async logout(req, res) {
     try {
-      // En JWT, el logout se maneja del lado del cliente
-      // Aquí podríamos agregar el token a una blacklist si fuera necesario
-      
+      // Revocar la sesión actual: invalida el access token y el refresh token
+      const sesion = await SesionUsuario.findById(req.user.sesion);
+
+      if (sesion && !sesion.revocada) {
+        await sesion.revocar('logout', req.user.id);
+      }
+
       return res.status(200).json({
         success: true,
         message: 'Sesión cerrada exitosamente'
@@ -283,41 +701,158 @@ class AuthController {
   }
 
   /**
-   * Refrescar token
+   * Cerrar sesión en todos los dispositivos
+   * POST /api/auth/logout-all
+   */
+  async logoutAll(req, res) {
+    try {
+      const resultado = await SesionUsuario.revocarPorUsuario(req.user.id, 'logout', {
+        revocadaPor: req.user.id
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Sesiones cerradas en todos los dispositivos',
+        data: {
+          sesionesCerradas: resultado.modifiedCount
+        }
+      });
+
+    } catch (error) {
+      console.error('Error cerrando todas las sesiones:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener sesiones activas del usuario actual
+   * GET /api/auth/sessions
+   */
+  async getSessions(req, res) {
+    try {
+      const sesiones = await SesionUsuario.obtenerActivasPorUsuario(req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Sesiones obtenidas exitosamente',
+        data: sesiones.map(sesion => sesion.obtenerResumen(req.user.sesion))
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo sesiones:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Cerrar una sesión propia
+   * DELETE /api/auth/sessions/:id
+   */
+  async revokeSession(req, res) {
+    try {
+      const { id } = req.params;
+
+      const sesion = await SesionUsuario.findOne({ _id: id, usuario: req.user.id });
+
+      if (!sesion || !sesion.estaActiva()) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sesión no encontrada'
+        });
+      }
+
+      await sesion.revocar('usuario', req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Sesión cerrada exitosamente',
+        data: {
+          id: sesion._id,
+          actual: sesion._id.toString() === req.user.sesion
+        }
+      });
+
+    } catch (error) {
+      console.error('Error cerrando sesión:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Refrescar token (rotación de refresh token)
    * POST /api/auth/refresh
    */
   async refreshToken(req, res) {
     try {
-      const usuario = await Usuario.findById(req.user.id)
-        .populate('parroquia', 'nombre');
+      const { refreshToken } = req.body;
+
+      const { sesion, reutilizado } = await SesionUsuario.validarRefreshToken(refreshToken);
+
+      if (!sesion) {
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token inválido'
+        });
+      }
+
+      // Reutilización de un token rotado: revocar toda la familia
+      if (reutilizado) {
+        await revocarPorReutilizacion(sesion);
+
+        return res.status(401).json({
+          success: false,
+          message: 'Sesión revocada por seguridad, inicia sesión nuevamente'
+        });
+      }
+
+      if (!sesion.estaActiva()) {
+        return res.status(401).json({
+          success: false,
+          message: 'Sesión expirada o revocada'
+        });
+      }
+
+      const usuario = await Usuario.findById(sesion.usuario);
 
       if (!usuario || !usuario.estaActivo()) {
+        await sesion.revocar('usuario_desactivado');
         return res.status(401).json({
           success: false,
           message: 'Usuario no válido para renovar token'
         });
       }
 
-      // Generar nuevo token
-      const tokenPayload = {
-        id: usuario._id,
-        username: usuario.username,
-        tipoPerfil: usuario.tipoPerfil,
-        parroquia: usuario.parroquia?._id,
-        primerLogin: usuario.primerLogin
-      };
+      const nuevoRefreshToken = await sesion.rotar();
 
-      const nuevoToken = jwt.sign(tokenPayload, config.jwt.secret, {
-        expiresIn: config.jwt.expiresIn,
-        algorithm: config.jwt.algorithm
-      });
+      // Otra petición rotó el mismo token primero: se presentó dos veces
+      if (!nuevoRefreshToken) {
+        await revocarPorReutilizacion(sesion);
+
+        return res.status(401).json({
+          success: false,
+          message: 'Sesión revocada por seguridad, inicia sesión nuevamente'
+        });
+      }
+
+      const nuevoToken = firmarAccessToken(usuario, sesion._id);
 
       return res.status(200).json({
         success: true,
         message: 'Token renovado exitosamente',
         data: {
           token: nuevoToken,
-          expiresIn: config.jwt.expiresIn
+          refreshToken: nuevoRefreshToken,
+          expiresIn: config.jwt.expiresIn,
+          refreshExpiresAt: sesion.expira
         }
       });
 
@@ -371,22 +906,59 @@ class AuthController {
   }
 
   /**
-   * Solicitar reseteo de contraseña (placeholder para futuro)
+   * Solicitar reseteo de contraseña
    * POST /api/auth/forgot-password
    */
   async forgotPassword(req, res) {
+    // Respuesta genérica para no revelar si el usuario existe
+    const respuestaGenerica = {
+      success: true,
+      message: 'Si el usuario existe y tiene un email registrado, recibirá instrucciones para restablecer su contraseña'
+    };
+
     try {
-      const { username, email } = req.body;
+      const { username } = req.body;
 
-      // TODO: Implementar lógica de reseteo de contraseña
-      // - Buscar usuario por username o email
-      // - Generar token temporal
-      // - Enviar email con enlace de reseteo
-      
-      return res.status(501).json({
-        success: false,
-        message: 'Funcionalidad de reseteo de contraseña en desarrollo'
-      });
+      const usuario = await Usuario.findOne({ username: username.toLowerCase().trim() });
+
+      if (!usuario || !usuario.activo) {
+        return res.status(200).json(respuestaGenerica);
+      }
+
+      if (!usuario.datosPersonales?.email) {
+        console.warn(`Reseteo solicitado para ${usuario.username} sin email registrado`);
+        return res.status(200).json(respuestaGenerica);
+      }
+
+      const token = usuario.generarTokenReseteo();
+      await usuario.save();
+
+      const enlace = `${config.server.frontendUrl}/reset-password?token=${token}`;
+      const minutos = Math.round(SESSION_CONFIG.PASSWORD_RESET_EXPIRY / 60000);
+      const nombre = usuario.datosPersonales.nombres || usuario.username;
+
+      try {
+        await enviarCorreo({
+          para: usuario.datosPersonales.email,
+          asunto: 'Restablecer contraseña - Sistema de Catequesis',
+          texto: `Hola ${nombre},\n\n` +
+            'Recibimos una solicitud para restablecer tu contraseña.\n' +
+            `Abre el siguiente enlace (válido por ${minutos} minutos y de un solo uso):\n\n` +
+            `${enlace}\n\n` +
+            'Si no solicitaste el cambio, ignora este mensaje.',
+          html: `<p>Hola ${escaparHtml(nombre)},</p>` +
+            '<p>Recibimos una solicitud para restablecer tu contraseña.</p>' +
+            `<p><a href="${enlace}">Restablecer contraseña</a> (válido por ${minutos} minutos y de un solo uso)</p>` +
+            '<p>Si no solicitaste el cambio, ignora este mensaje.</p>'
+        });
+      } catch (envioError) {
+        // Invalidar el token si no se pudo entregar
+        usuario.resetPassword = { tokenHash: undefined, expira: null, solicitadoEn: null };
+        await usuario.save();
+        throw envioError;
+      }
+
+      return res.status(200).json(respuestaGenerica);
 
     } catch (error) {
       console.error('Error en forgot password:', error);
@@ -398,21 +970,42 @@ class AuthController {
   }
 
   /**
-   * Resetear contraseña (placeholder para futuro)
+   * Resetear contraseña con token
    * POST /api/auth/reset-password
    */
   async resetPassword(req, res) {
     try {
       const { token, passwordNueva } = req.body;
 
-      // TODO: Implementar lógica de reseteo
-      // - Verificar token temporal
-      // - Cambiar contraseña
-      // - Invalidar token
-      
-      return res.status(501).json({
-        success: false,
-        message: 'Funcionalidad de reseteo de contraseña en desarrollo'
+      // El token queda invalidado aunque la contraseña no llegue a cambiarse
+      const usuario = await Usuario.consumirTokenReseteo(token);
+
+      if (!usuario) {
+        return res.status(400).json({
+          success: false,
+          message: 'El enlace de reseteo es inválido o ha expirado'
+        });
+      }
+
+      if (!usuario.activo) {
+        return res.status(401).json({
+          success: false,
+          message: 'Usuario inactivo'
+        });
+      }
+
+      usuario.password = passwordNueva;
+      usuario.primerLogin = false;
+      usuario.intentosFallidos = 0;
+      usuario.bloqueadoHasta = null;
+      await usuario.save();
+
+      // Cerrar todas las sesiones abiertas con la contraseña anterior
+      await SesionUsuario.revocarPorUsuario(usuario._id, 'cambio_password');
+
+      return res.status(200).json({
+        success: true,
+        message: 'Contraseña restablecida exitosamente'
       });
 
     } catch (error) {
@@ -1,4 +1,16 @@
-const { Catequizando, Inscripcion, Certificado } = require('../models');
+const mongoose = require('mongoose');
+const { Catequizando, Inscripcion, Certificado, Parroquia, Familia, AuditLog, Grupo, Nivel } = require('../models');
+const { applyParroquiaFilter } = require('../utils/queryhelpers');
+const { batchResponse } = require('../utils/response');
+const { exportarListado } = require('../utils/exportacion');
+const {
+  leerHojaCalculo,
+  resolverMapeo,
+  extraerRegistro,
+  validarRegistros,
+  construirCatequizando
+} = require('../utils/importacion');
+const config = require('../config/environment');
 
 /**
  * Controlador de Catequizandos
@@ -19,11 +31,17 @@ class CatequizandoController {
         edad_max,
         genero,
         ciudad,
-        casos_especiales = 'all'
+        casos_especiales = 'all',
+        parroquia,
+        format = 'json'
       } = req.query;
       
-      // Construir filtros
-      const filtros = {};
+      // Construir filtros (cada parroquia solo ve sus catequizandos)
+      const filtros = applyParroquiaFilter({}, req.user);
+
+      if (req.user.tipoPerfil === 'admin' && parroquia) {
+        filtros.parroquia = parroquia;
+      }
       
       if (activos !== 'all') {
         filtros['estado.activo'] = activos === 'true';
@@ -69,6 +87,17 @@ class CatequizandoController {
         if (fechaMaxima) filtros.fechaNacimiento.$lte = fechaMaxima;
       }
 
+      // Exportación (sin paginar)
+      if (format !== 'json') {
+        return exportarListado(req, res, {
+          entidad: 'catequizandos',
+          parroquia: filtros.parroquia,
+          registros: Catequizando.find(filtros)
+            .sort({ apellidos: 1, nombres: 1 })
+            .cursor()
+        });
+      }
+
       // Paginación
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -77,7 +106,7 @@ class CatequizandoController {
           .sort({ apellidos: 1, nombres: 1 })
           .skip(skip)
           .limit(parseInt(limit))
-          .select('nombres apellidos fechaNacimiento documentoIdentidad genero contacto.ciudad estado'),
+          .select('nombres apellidos fechaNacimiento documentoIdentidad genero contacto.ciudad estado parroquia'),
         Catequizando.countDocuments(filtros)
       ]);
 
@@ -132,8 +161,9 @@ async getCatequizandoById(req, res) {
       });
     }
 
-    // ✅ Buscar catequizando sin populate problemático
-    const catequizando = await Catequizando.findById(id);
+    // ✅ Buscar catequizando sin populate problemático (solo de la parroquia del usuario)
+    const catequizando = await Catequizando.findOne(applyParroquiaFilter({ _id: id }, req.user))
+      .populate('familia', 'nombre representantes notasCustodia');
 
     if (!catequizando) {
       console.log('❌ Backend: Catequizando not found for ID:', id);
@@ -233,7 +263,7 @@ async getCatequizandoById(req, res) {
     try {
       const { documento } = req.params;
 
-      const catequizando = await Catequizando.buscarPorDocumento(documento);
+      const catequizando = await Catequizando.buscarPorDocumento(documento, applyParroquiaFilter({}, req.user));
 
       if (!catequizando) {
         return res.status(404).json({
@@ -268,15 +298,26 @@ async getCatequizandoById(req, res) {
    */
   async createCatequizando(req, res) {
     try {
-      // Verificar permisos
-      if (!['admin', 'parroco', 'secretaria'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
+      const { historialParroquias, ...catequizandoData } = req.body;
+
+      // El catequizando pertenece a la parroquia del usuario (el admin debe indicarla)
+      if (req.user.tipoPerfil !== 'admin') {
+        catequizandoData.parroquia = req.user.parroquia;
+      } else if (!catequizandoData.parroquia) {
+        return res.status(400).json({
           success: false,
-          message: 'No tienes permisos para crear catequizandos'
+          message: 'La parroquia es requerida'
         });
       }
 
-      const catequizandoData = req.body;
+      // La familia debe ser de la misma parroquia
+      if (catequizandoData.familia &&
+          !(await Familia.exists({ _id: catequizandoData.familia, parroquia: catequizandoData.parroquia }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'La familia no existe o pertenece a otra parroquia'
+        });
+      }
 
       // Verificar que no exista el documento
       const documentoExistente = await Catequizando.buscarPorDocumento(catequizandoData.documentoIdentidad);
@@ -342,17 +383,10 @@ async getCatequizandoById(req, res) {
   async updateCatequizando(req, res) {
     try {
       const { id } = req.params;
-      const updateData = req.body;
-
-      // Verificar permisos
-      if (!['admin', 'parroco', 'secretaria'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para actualizar catequizandos'
-        });
-      }
+      // La parroquia solo cambia mediante transferencia
+      const { parroquia, historialParroquias, ...updateData } = req.body;
 
-      const catequizando = await Catequizando.findById(id);
+      const catequizando = await Catequizando.findOne(applyParroquiaFilter({ _id: id }, req.user));
 
       if (!catequizando) {
         return res.status(404).json({
@@ -376,6 +410,15 @@ async getCatequizandoById(req, res) {
         }
       }
 
+      // La familia debe ser de la misma parroquia
+      if (updateData.familia &&
+          !(await Familia.exists({ _id: updateData.familia, parroquia: catequizando.parroquia }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'La familia no existe o pertenece a otra parroquia'
+        });
+      }
+
       // Actualizar catequizando
       Object.assign(catequizando, updateData);
       await catequizando.save();
@@ -550,7 +593,7 @@ async deleteCatequizando(req, res) {
     try {
       const { id } = req.params;
 
-      const catequizando = await Catequizando.findById(id);
+      const catequizando = await Catequizando.findOne(applyParroquiaFilter({ _id: id }, req.user));
       if (!catequizando) {
         return res.status(404).json({
           success: false,
@@ -583,7 +626,7 @@ async deleteCatequizando(req, res) {
     try {
       const { id } = req.params;
 
-      const catequizando = await Catequizando.findById(id);
+      const catequizando = await Catequizando.findOne(applyParroquiaFilter({ _id: id }, req.user));
       if (!catequizando) {
         return res.status(404).json({
           success: false,
@@ -624,9 +667,10 @@ async deleteCatequizando(req, res) {
       }
 
       let catequizandos;
+      const filtros = applyParroquiaFilter({}, req.user);
 
       if (tipo === 'sin_inscripcion') {
-        catequizandos = await Catequizando.obtenerSinInscripcion();
+        catequizandos = await Catequizando.obtenerSinInscripcion(filtros);
         // Filtrar por búsqueda
         catequizandos = catequizandos.filter(cat => 
           cat.nombres.toLowerCase().includes(q.toLowerCase()) ||
@@ -634,7 +678,7 @@ async deleteCatequizando(req, res) {
           cat.documentoIdentidad.toLowerCase().includes(q.toLowerCase())
         );
       } else {
-        catequizandos = await Catequizando.buscarPorTexto(q);
+        catequizandos = await Catequizando.buscarPorTexto(q, filtros);
       }
 
       // Agregar edad calculada
@@ -664,14 +708,12 @@ async deleteCatequizando(req, res) {
    */
   async getCatequizandosStats(req, res) {
     try {
+      const { parroquia } = req.query;
+
       // Filtrar por parroquia si no es admin
-      const filtros = {};
-      if (req.user.tipoPerfil !== 'admin' && req.user.parroquia) {
-        // Para filtrar por parroquia necesitamos hacer join con inscripciones
-        const inscripcionesParroquia = await Inscripcion.distinct('catequizando', {
-          parroquia: req.user.parroquia
-        });
-        filtros._id = { $in: inscripcionesParroquia };
+      const filtros = applyParroquiaFilter({}, req.user);
+      if (req.user.tipoPerfil === 'admin' && parroquia) {
+        filtros.parroquia = new mongoose.Types.ObjectId(parroquia);
       }
 
       const stats = await Catequizando.obtenerEstadisticas(filtros);
@@ -714,7 +756,7 @@ async deleteCatequizando(req, res) {
       const { id } = req.params;
       const { id_nivel } = req.body;
 
-      const catequizando = await Catequizando.findById(id);
+      const catequizando = await Catequizando.findOne(applyParroquiaFilter({ _id: id }, req.user));
       if (!catequizando) {
         return res.status(404).json({
           success: false,
@@ -731,7 +773,7 @@ async deleteCatequizando(req, res) {
         });
       }
 
-      const validacion = catequizando.esAptoParaNivel(nivel);
+      const validacion = await catequizando.esAptoParaNivel(nivel);
 
       if (validacion.apto) {
         return res.status(200).json({
@@ -765,7 +807,7 @@ async deleteCatequizando(req, res) {
       const { mes } = req.query;
       const mesActual = mes ? parseInt(mes) : new Date().getMonth() + 1;
 
-      const cumpleañeros = await Catequizando.obtenerCumpleanosMes(mesActual);
+      const cumpleañeros = await Catequizando.obtenerCumpleanosMes(mesActual, applyParroquiaFilter({}, req.user));
 
       // Agregar edad calculada y día del cumpleaños
       const cumpleañerosConInfo = cumpleañeros.map(cat => ({
@@ -799,15 +841,7 @@ async deleteCatequizando(req, res) {
       const { id } = req.params;
       const { motivo, fecha } = req.body;
 
-      // Verificar permisos
-      if (!['admin', 'parroco', 'secretaria'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para marcar catequizandos como egresados'
-        });
-      }
-
-      const catequizando = await Catequizando.findById(id);
+      const catequizando = await Catequizando.findOne(applyParroquiaFilter({ _id: id }, req.user));
       if (!catequizando) {
         return res.status(404).json({
           success: false,
@@ -840,19 +874,18 @@ async deleteCatequizando(req, res) {
     try {
       const { id } = req.params;
 
-      // Verificar permisos
-      if (!['admin', 'parroco', 'secretaria'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
+      const catequizando = await Catequizando.findOne(applyParroquiaFilter({ _id: id }, req.user));
+      if (!catequizando) {
+        return res.status(404).json({
           success: false,
-          message: 'No tienes permisos para reactivar catequizandos'
+          message: 'Catequizando no encontrado'
         });
       }
 
-      const catequizando = await Catequizando.findById(id);
-      if (!catequizando) {
-        return res.status(404).json({
+      if (catequizando.fusionadoEn) {
+        return res.status(400).json({
           success: false,
-          message: 'Catequizando no encontrado'
+          message: 'El catequizando fue fusionado en otro registro y no puede reactivarse'
         });
       }
 
@@ -872,6 +905,456 @@ async deleteCatequizando(req, res) {
       });
     }
   }
+
+  /**
+   * Transferir catequizando a otra parroquia
+   * PUT /api/catequizandos/:id/transferir
+   */
+  async transferirCatequizando(req, res) {
+    try {
+      const { id } = req.params;
+      const { parroquia, motivo } = req.body;
+
+      // El párroco solo puede transferir catequizandos de su parroquia
+      const catequizando = await Catequizando.findOne(applyParroquiaFilter({ _id: id }, req.user));
+      if (!catequizando) {
+        return res.status(404).json({
+          success: false,
+          message: 'Catequizando no encontrado'
+        });
+      }
+
+      const parroquiaDestino = await Parroquia.findById(parroquia);
+      if (!parroquiaDestino || !parroquiaDestino.activa) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parroquia de destino no encontrada o inactiva'
+        });
+      }
+
+      if (catequizando.parroquia?.toString() === parroquiaDestino._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'El catequizando ya pertenece a esa parroquia'
+        });
+      }
+
+      // No se transfiere con inscripciones en curso en la parroquia actual
+      const inscripcionesEnCurso = await Inscripcion.countDocuments({
+        catequizando: id,
+        parroquia: catequizando.parroquia,
+        estado: { $in: ['pendiente', 'activa'] }
+      });
+
+      if (inscripcionesEnCurso > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'El catequizando tiene inscripciones en curso en su parroquia actual; retírelas o complételas antes de transferirlo'
+        });
+      }
+
+      await catequizando.transferirParroquia(parroquiaDestino._id, {
+        motivo,
+        usuario: req.user.id
+      });
+
+      await catequizando.populate('parroquia', 'nombre');
+
+      return res.status(200).json({
+        success: true,
+        message: `Catequizando transferido a ${parroquiaDestino.nombre} exitosamente`,
+        data: catequizando
+      });
+
+    } catch (error) {
+      console.error('Error transfiriendo catequizando:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Buscar posibles catequizandos duplicados
+   * GET /api/catequizandos/duplicados
+   */
+  async getDuplicados(req, res) {
+    try {
+      const {
+        umbral = 60,
+        limite = 100,
+        incluirInactivos = 'false',
+        parroquia
+      } = req.query;
+
+      const filtros = applyParroquiaFilter({}, req.user);
+
+      if (req.user.tipoPerfil === 'admin' && parroquia) {
+        filtros.parroquia = parroquia;
+      }
+
+      if (incluirInactivos !== 'true') {
+        filtros['estado.activo'] = true;
+      }
+
+      const duplicados = await Catequizando.buscarDuplicados(filtros, {
+        umbral: parseInt(umbral),
+        limite: parseInt(limite)
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Se encontraron ${duplicados.length} posibles duplicados`,
+        data: duplicados
+      });
+
+    } catch (error) {
+      console.error('Error buscando duplicados:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Fusionar un catequizando duplicado en este
+   * POST /api/catequizandos/:id/fusionar
+   */
+  async fusionarCatequizandos(req, res) {
+    try {
+      const { id } = req.params;
+      const { duplicado: duplicadoId, usarDocumentoDuplicado = false } = req.body;
+
+      if (id === duplicadoId) {
+        return res.status(400).json({
+          success: false,
+          message: 'No se puede fusionar un catequizando consigo mismo'
+        });
+      }
+
+      const [catequizando, duplicado] = await Promise.all([
+        Catequizando.findOne(applyParroquiaFilter({ _id: id }, req.user)),
+        Catequizando.findOne(applyParroquiaFilter({ _id: duplicadoId }, req.user))
+      ]);
+
+      if (!catequizando || !duplicado) {
+        return res.status(404).json({
+          success: false,
+          message: 'Catequizando no encontrado'
+        });
+      }
+
+      if (catequizando.parroquia?.toString() !== duplicado.parroquia?.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Los catequizandos pertenecen a parroquias distintas; transfiera uno de ellos antes de fusionarlos'
+        });
+      }
+
+      if (catequizando.fusionadoEn || duplicado.fusionadoEn) {
+        return res.status(400).json({
+          success: false,
+          message: 'Uno de los catequizandos ya fue fusionado en otro registro'
+        });
+      }
+
+      const antes = catequizando.toObject();
+      const registroDuplicado = duplicado.toObject();
+
+      const resumen = await catequizando.fusionarDuplicado(duplicado, {
+        usuario: req.user.id,
+        usarDocumentoDuplicado
+      });
+
+      // Registrar la fusión con los datos originales del duplicado
+      await AuditLog.registrar({
+        actor: req.user,
+        accion: 'FUSIONAR_CATEQUIZANDO',
+        modelo: 'Catequizando',
+        entidadId: catequizando._id,
+        parroquia: catequizando.parroquia,
+        cambios: AuditLog.calcularCambios(antes, catequizando.toObject()),
+        detalles: {
+          duplicado: registroDuplicado,
+          resumen
+        },
+        req
+      }).catch(error => console.error('Error registrando auditoría de fusión:', error));
+
+      return res.status(200).json({
+        success: true,
+        message: 'Catequizandos fusionados exitosamente',
+        data: {
+          catequizando,
+          duplicadoFusionado: {
+            _id: duplicado._id,
+            nombres: duplicado.nombres,
+            apellidos: duplicado.apellidos,
+            documentoIdentidad: duplicado.documentoIdentidad,
+            fusionadoEn: duplicado.fusionadoEn
+          },
+          resumen
+        }
+      });
+
+    } catch (error) {
+      console.error('Error fusionando catequizandos:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos de catequizando inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Importar catequizandos desde CSV / XLSX
+   * POST /api/catequizandos/import
+   * Por defecto solo valida (dryRun); con dryRun=false crea los registros válidos
+   * y, si se indica grupo (campo o columna), sus inscripciones
+   */
+  async importarCatequizandos(req, res) {
+    try {
+      const dryRun = req.body.dryRun !== false;
+      const validarCedula = req.body.validarCedula !== false;
+      const mapeoUsuario = (req.body.mapeo && JSON.parse(req.body.mapeo)) || {};
+
+      // Los registros pertenecen a la parroquia del usuario (el admin debe indicarla)
+      const parroquia = req.user.tipoPerfil === 'admin' ? req.body.parroquia : req.user.parroquia;
+      if (!parroquia) {
+        return res.status(400).json({
+          success: false,
+          message: 'La parroquia es requerida'
+        });
+      }
+
+      if (req.user.tipoPerfil === 'admin') {
+        const parroquiaDestino = await Parroquia.findById(parroquia);
+        if (!parroquiaDestino || !parroquiaDestino.activa) {
+          return res.status(404).json({
+            success: false,
+            message: 'Parroquia no encontrada o inactiva'
+          });
+        }
+      }
+
+      let hoja;
+      try {
+        hoja = await leerHojaCalculo(req.file.buffer, req.file.extension);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'No se pudo leer el archivo; verifique que sea un CSV o XLSX válido'
+        });
+      }
+
+      const { encabezados, filas } = hoja;
+
+      if (filas.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'El archivo no contiene filas para importar'
+        });
+      }
+
+      if (filas.length > config.importacion.maxFilas) {
+        return res.status(400).json({
+          success: false,
+          message: `El archivo excede el máximo de ${config.importacion.maxFilas} filas por importación`
+        });
+      }
+
+      const mapeo = resolverMapeo(encabezados, mapeoUsuario);
+      const obligatorios = ['nombres', 'apellidos', 'documentoIdentidad', 'fechaNacimiento', 'genero', 'direccion', 'telefono', 'ciudad'];
+      const faltantes = obligatorios.filter(campo => !mapeo[campo] || !encabezados.includes(mapeo[campo]));
+
+      if (faltantes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Faltan columnas obligatorias en el archivo o en el mapeo',
+          errors: faltantes.map(campo => `No se encontró la columna para "${campo}"`),
+          data: { encabezados, mapeo }
+        });
+      }
+
+      // Grupos activos de la parroquia (grupo por defecto o columna "grupo" con el nombre)
+      const grupos = await Grupo.find({ parroquia, 'estado.activo': true });
+      const grupoPorDefecto = req.body.grupo ? grupos.find(g => g._id.toString() === req.body.grupo) : null;
+
+      if (req.body.grupo && !grupoPorDefecto) {
+        return res.status(404).json({
+          success: false,
+          message: 'Grupo no encontrado o inactivo en la parroquia'
+        });
+      }
+
+      const cupos = new Map();
+      const obtenerCupo = async (grupo) => {
+        const clave = grupo._id.toString();
+        if (!cupos.has(clave)) {
+          const activas = await Inscripcion.countDocuments({ grupo: grupo._id, activa: true });
+          cupos.set(clave, (grupo.informacion?.capacidadMaxima || 25) - activas);
+        }
+        return cupos.get(clave);
+      };
+
+      const niveles = new Map();
+      const obtenerNivel = async (grupo) => {
+        const clave = grupo.nivel.toString();
+        if (!niveles.has(clave)) {
+          niveles.set(clave, await Nivel.findById(grupo.nivel));
+        }
+        return niveles.get(clave);
+      };
+
+      const validados = validarRegistros(filas.map(fila => extraerRegistro(fila, mapeo)), { validarCedula });
+
+      // Documentos ya registrados en el sistema
+      const existentes = await Catequizando.find({
+        documentoIdentidad: { $in: validados.map(v => v.registro.documentoIdentidad).filter(Boolean) }
+      }).select('documentoIdentidad parroquia');
+      const parroquiaPorDocumento = new Map(existentes.map(c => [c.documentoIdentidad, c.parroquia?.toString()]));
+
+      const filasPreparadas = [];
+
+      for (const { registro, errores } of validados) {
+        const existente = parroquiaPorDocumento.get(registro.documentoIdentidad);
+        if (existente) {
+          errores.push(existente === parroquia.toString()
+            ? 'documentoIdentidad: Ya existe un catequizando con este documento'
+            : 'documentoIdentidad: El catequizando está registrado en otra parroquia; solicite su transferencia');
+        }
+
+        let grupo = grupoPorDefecto;
+        if (registro.grupo) {
+          const nombreGrupo = registro.grupo.toLowerCase();
+          grupo = grupos.find(g => g.nombre.toLowerCase() === nombreGrupo || g._id.toString() === registro.grupo);
+          if (!grupo) errores.push(`grupo: No existe un grupo activo "${registro.grupo}" en la parroquia`);
+        }
+
+        const catequizando = new Catequizando({ ...construirCatequizando(registro), parroquia });
+        try {
+          await catequizando.validate();
+        } catch (error) {
+          if (error.name !== 'ValidationError') throw error;
+          Object.values(error.errors).forEach(err => {
+            if (!errores.some(e => e.startsWith(`${err.path}:`))) errores.push(`${err.path}: ${err.message}`);
+          });
+        }
+
+        // Requisitos del nivel (edad, bautismo, nivel anterior, estado y pagos), igual que en la inscripción individual
+        let elegibilidad = null;
+        if (grupo && errores.length === 0) {
+          const nivel = await obtenerNivel(grupo);
+          if (!nivel) {
+            errores.push(`grupo: El nivel del grupo ${grupo.nombre} no existe`);
+          } else {
+            elegibilidad = await catequizando.esAptoParaNivel(nivel);
+            elegibilidad.incumplidas.forEach(mensaje => errores.push(`grupo: ${mensaje}`));
+          }
+        }
+
+        if (grupo && errores.length === 0) {
+          const cupo = await obtenerCupo(grupo);
+          if (cupo <= 0) {
+            errores.push(`grupo: El grupo ${grupo.nombre} no tiene cupos disponibles`);
+          } else {
+            cupos.set(grupo._id.toString(), cupo - 1);
+          }
+        }
+
+        filasPreparadas.push({ registro, errores, catequizando, grupo, elegibilidad });
+      }
+
+      const resultados = filasPreparadas.map(({ registro, errores, grupo }) => ({
+        fila: registro.fila,
+        success: errores.length === 0,
+        documentoIdentidad: registro.documentoIdentidad,
+        nombre: `${registro.nombres || ''} ${registro.apellidos || ''}`.trim(),
+        grupo: grupo?.nombre,
+        errors: errores
+      }));
+
+      if (dryRun) {
+        const validas = resultados.filter(r => r.success).length;
+        return batchResponse(res, resultados,
+          `Validación completada: ${validas} de ${resultados.length} filas válidas (simulación, no se guardaron cambios)`);
+      }
+
+      // Modo confirmación: crear los registros válidos
+      const gruposAfectados = new Map();
+
+      for (const [indice, { catequizando, grupo, elegibilidad }] of filasPreparadas.entries()) {
+        const resultado = resultados[indice];
+        if (!resultado.success) continue;
+
+        try {
+          await catequizando.save();
+          resultado.id = catequizando._id;
+        } catch (error) {
+          resultado.success = false;
+          resultado.errors = [error.code === 11000
+            ? 'documentoIdentidad: Ya existe un catequizando con este documento'
+            : error.message];
+          continue;
+        }
+
+        if (!grupo) continue;
+
+        // El catequizando queda creado aunque falle la inscripción
+        try {
+          const inscripcion = await Inscripcion.create({
+            catequizando: catequizando._id,
+            grupo: grupo._id,
+            parroquia: grupo.parroquia,
+            fechaInicio: grupo.fechas?.inicioClases || new Date(),
+            proceso: {
+              registradoPor: req.user.id,
+              validaciones: Inscripcion.construirValidaciones(elegibilidad)
+            }
+          });
+          resultado.inscripcion = inscripcion._id;
+          gruposAfectados.set(grupo._id.toString(), grupo);
+        } catch (error) {
+          resultado.success = false;
+          resultado.errors = [`inscripcion: ${error.message}`];
+        }
+      }
+
+      for (const grupo of gruposAfectados.values()) {
+        await grupo.actualizarEstadisticas();
+      }
+
+      const creados = resultados.filter(r => r.id).length;
+      return batchResponse(res, resultados, `Importación completada: ${creados} catequizandos creados`);
+
+    } catch (error) {
+      console.error('Error importando catequizandos:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
 }
 
 module.exports = new CatequizandoController();
\ No newline at end of file
@@ -0,0 +1,682 @@
+const { Celebracion, Nivel, Inscripcion, ListaEspera } = require('../models');
+const { applyParroquiaFilter } = require('../utils/queryhelpers');
+const { batchResponse } = require('../utils/response');
+
+/**
+ * Controlador de Celebraciones de sacramentos (primera comunión, confirmación)
+ */
+class CelebracionController {
+  /**
+   * Obtener celebraciones
+   * GET /api/celebraciones
+   */
+  async getAllCelebraciones(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        sacramento,
+        estado,
+        periodo,
+        parroquia
+      } = req.query;
+
+      const filtros = applyParroquiaFilter({}, req.user);
+
+      if (req.user.tipoPerfil === 'admin' && parroquia) {
+        filtros.parroquia = parroquia;
+      }
+
+      if (sacramento) filtros.sacramento = sacramento;
+      if (estado) filtros.estado = estado;
+      if (periodo) filtros.periodo = periodo;
+
+      // Paginación
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [celebraciones, total] = await Promise.all([
+        Celebracion.find(filtros)
+          .populate('parroquia', 'nombre')
+          .populate('nivel', 'nombre orden')
+          .select('-candidatos.padrinos')
+          .sort({ fecha: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Celebracion.countDocuments(filtros)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Celebraciones obtenidas exitosamente',
+        data: {
+          celebraciones: celebraciones.map(celebracion => ({
+            ...celebracion.toObject(),
+            candidatos: undefined,
+            totalCandidatos: celebracion.candidatosActivos().length
+          })),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            totalItems: total,
+            itemsPerPage: parseInt(limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo celebraciones:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener celebración con candidatos en orden de ubicación
+   * GET /api/celebraciones/:id
+   */
+  async getCelebracionById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const celebracion = await Celebracion.findOne(applyParroquiaFilter({ _id: id }, req.user))
+        .populate('parroquia', 'nombre')
+        .populate('nivel', 'nombre orden configuracion.sacramentoAsociado')
+        .populate('candidatos.catequizando', 'nombres apellidos documentoIdentidad fechaNacimiento')
+        .populate('candidatos.padrinos', 'nombres apellidos rol estado')
+        .populate('candidatos.registroSacramental', 'libro folio numero');
+
+      if (!celebracion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Celebración no encontrada'
+        });
+      }
+
+      const candidatos = [...celebracion.candidatos]
+        .sort((a, b) => (a.orden || Infinity) - (b.orden || Infinity));
+
+      return res.status(200).json({
+        success: true,
+        message: 'Celebración obtenida exitosamente',
+        data: {
+          ...celebracion.toObject(),
+          candidatos,
+          resumen: {
+            convocados: candidatos.filter(c => c.estado === 'convocado').length,
+            confirmados: candidatos.filter(c => c.estado === 'confirmado').length,
+            celebrados: candidatos.filter(c => c.estado === 'celebrado').length,
+            ausentes: candidatos.filter(c => c.estado === 'ausente').length,
+            sinPadrinoAprobado: candidatos.filter(c =>
+              ['convocado', 'confirmado'].includes(c.estado) &&
+              !c.padrinos.some(p => p.estado === 'aprobado')
+            ).length
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo celebración:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Candidatos elegibles (aprobados en el nivel y sin el sacramento)
+   * GET /api/celebraciones/:id/elegibles
+   */
+  async getElegibles(req, res) {
+    try {
+      const { id } = req.params;
+
+      const celebracion = await Celebracion.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!celebracion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Celebración no encontrada'
+        });
+      }
+
+      const elegibles = await Celebracion.obtenerCandidatosElegibles(celebracion);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Candidatos elegibles obtenidos exitosamente',
+        data: {
+          total: elegibles.length,
+          elegibles
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo candidatos elegibles:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Planificar celebración para un nivel con sacramento asociado
+   * POST /api/celebraciones
+   */
+  async createCelebracion(req, res) {
+    try {
+      const { candidatos, estado, registro, creadoPor, ...celebracionData } = req.body;
+
+      if (req.user.tipoPerfil !== 'admin') {
+        celebracionData.parroquia = req.user.parroquia;
+      } else if (!celebracionData.parroquia) {
+        return res.status(400).json({
+          success: false,
+          message: 'La parroquia es requerida'
+        });
+      }
+
+      const nivel = await Nivel.findById(celebracionData.nivel).select('nombre configuracion.sacramentoAsociado');
+
+      if (!nivel) {
+        return res.status(404).json({
+          success: false,
+          message: 'Nivel no encontrado'
+        });
+      }
+
+      if (!nivel.configuracion?.sacramentoAsociado) {
+        return res.status(400).json({
+          success: false,
+          message: `El nivel ${nivel.nombre} no tiene un sacramento asociado`
+        });
+      }
+
+      const celebracion = new Celebracion({
+        ...celebracionData,
+        sacramento: nivel.configuracion.sacramentoAsociado,
+        creadoPor: req.user.id
+      });
+
+      await celebracion.save();
+
+      return res.status(201).json({
+        success: true,
+        message: 'Celebración planificada exitosamente',
+        data: celebracion
+      });
+
+    } catch (error) {
+      console.error('Error creando celebración:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Actualizar datos de la celebración (fecha, templo, celebrante, estado de planificación)
+   * PUT /api/celebraciones/:id
+   */
+  async updateCelebracion(req, res) {
+    try {
+      const { id } = req.params;
+      const { fecha, lugar, celebrante, periodo, observaciones, confirmar } = req.body;
+
+      const celebracion = await Celebracion.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!celebracion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Celebración no encontrada'
+        });
+      }
+
+      if (!celebracion.estaAbierta()) {
+        return res.status(400).json({
+          success: false,
+          message: `No se puede modificar una celebración ${celebracion.estado}`
+        });
+      }
+
+      if (fecha !== undefined) celebracion.fecha = fecha;
+      if (lugar !== undefined) celebracion.lugar = lugar;
+      if (celebrante !== undefined) celebracion.celebrante = celebrante;
+      if (periodo !== undefined) celebracion.periodo = periodo;
+      if (observaciones !== undefined) celebracion.observaciones = observaciones;
+      if (confirmar !== undefined) celebracion.estado = confirmar ? 'confirmada' : 'planificada';
+
+      await celebracion.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Celebración actualizada exitosamente',
+        data: celebracion
+      });
+
+    } catch (error) {
+      console.error('Error actualizando celebración:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Convocar candidatos (los indicados, o todos los elegibles si no se indica ninguno)
+   * POST /api/celebraciones/:id/candidatos
+   */
+  async agregarCandidatos(req, res) {
+    try {
+      const { id } = req.params;
+      const { catequizandos = [] } = req.body;
+
+      const celebracion = await Celebracion.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!celebracion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Celebración no encontrada'
+        });
+      }
+
+      if (!celebracion.estaAbierta()) {
+        return res.status(400).json({
+          success: false,
+          message: `No se pueden convocar candidatos a una celebración ${celebracion.estado}`
+        });
+      }
+
+      const elegibles = await Celebracion.obtenerCandidatosElegibles(celebracion);
+      const porId = new Map(elegibles.map(e => [e.catequizando._id.toString(), e]));
+      const solicitados = catequizandos.length > 0 ? catequizandos.map(String) : [...porId.keys()];
+
+      const resultados = solicitados.map(catequizandoId => {
+        const elegible = porId.get(catequizandoId);
+
+        if (!elegible) {
+          return {
+            catequizando: catequizandoId,
+            success: false,
+            error: 'No es elegible (sin aprobar el nivel, ya recibió el sacramento o está convocado en otra celebración)'
+          };
+        }
+
+        // La convocatoria queda bloqueada hasta que el párroco apruebe al padrino
+        if (elegible.padrinos.length === 0) {
+          return {
+            catequizando: catequizandoId,
+            success: false,
+            error: 'No tiene padrino o madrina aprobado por el párroco'
+          };
+        }
+
+        celebracion.agregarCandidato({
+          catequizando: catequizandoId,
+          inscripcion: elegible.inscripcion,
+          padrinos: elegible.padrinos.map(p => p._id)
+        });
+
+        return {
+          catequizando: catequizandoId,
+          success: true,
+          advertencias: elegible.advertencias
+        };
+      });
+
+      await celebracion.save();
+
+      return batchResponse(res, resultados, 'Candidatos convocados');
+
+    } catch (error) {
+      console.error('Error convocando candidatos:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Actualizar estado u observaciones de un candidato (confirmar asistencia, retirar)
+   * PUT /api/celebraciones/:id/candidatos/:catequizandoId
+   */
+  async actualizarCandidato(req, res) {
+    try {
+      const { id, catequizandoId } = req.params;
+      const { estado, observaciones } = req.body;
+
+      const celebracion = await Celebracion.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!celebracion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Celebración no encontrada'
+        });
+      }
+
+      if (!celebracion.estaAbierta()) {
+        return res.status(400).json({
+          success: false,
+          message: `No se pueden modificar candidatos de una celebración ${celebracion.estado}`
+        });
+      }
+
+      const candidato = celebracion.obtenerCandidato(catequizandoId);
+
+      if (!candidato) {
+        return res.status(404).json({
+          success: false,
+          message: 'El catequizando no es candidato de esta celebración'
+        });
+      }
+
+      if (estado !== undefined) candidato.estado = estado;
+      if (observaciones !== undefined) candidato.observaciones = observaciones;
+
+      await celebracion.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Candidato actualizado exitosamente',
+        data: candidato
+      });
+
+    } catch (error) {
+      console.error('Error actualizando candidato:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Definir el orden de ubicación (lista de catequizandos, o alfabético si no se indica)
+   * PUT /api/celebraciones/:id/orden
+   */
+  async ordenarCandidatos(req, res) {
+    try {
+      const { id } = req.params;
+      let { orden = [] } = req.body;
+
+      const celebracion = await Celebracion.findOne(applyParroquiaFilter({ _id: id }, req.user))
+        .populate('candidatos.catequizando', 'nombres apellidos');
+
+      if (!celebracion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Celebración no encontrada'
+        });
+      }
+
+      if (orden.length === 0) {
+        orden = [...celebracion.candidatos]
+          .sort((a, b) =>
+            `${a.catequizando.apellidos} ${a.catequizando.nombres}`
+              .localeCompare(`${b.catequizando.apellidos} ${b.catequizando.nombres}`, 'es'))
+          .map(c => c.catequizando._id);
+      }
+
+      celebracion.depopulate('candidatos.catequizando');
+      celebracion.ordenarCandidatos(orden);
+
+      await celebracion.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Orden de ubicación actualizado exitosamente',
+        data: [...celebracion.candidatos]
+          .sort((a, b) => a.orden - b.orden)
+          .map(c => ({ catequizando: c.catequizando, orden: c.orden, estado: c.estado }))
+      });
+
+    } catch (error) {
+      console.error('Error ordenando candidatos:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Programar ensayo
+   * POST /api/celebraciones/:id/ensayos
+   */
+  async agregarEnsayo(req, res) {
+    try {
+      const { id } = req.params;
+      const { fecha, lugar, notas } = req.body;
+
+      const celebracion = await Celebracion.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!celebracion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Celebración no encontrada'
+        });
+      }
+
+      if (!celebracion.estaAbierta()) {
+        return res.status(400).json({
+          success: false,
+          message: `No se pueden programar ensayos en una celebración ${celebracion.estado}`
+        });
+      }
+
+      celebracion.ensayos.push({ fecha, lugar: lugar || celebracion.lugar, notas });
+      celebracion.ensayos.sort((a, b) => a.fecha - b.fecha);
+
+      await celebracion.save();
+
+      return res.status(201).json({
+        success: true,
+        message: 'Ensayo programado exitosamente',
+        data: celebracion.ensayos
+      });
+
+    } catch (error) {
+      console.error('Error programando ensayo:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Marcar como celebrada: asienta las partidas y actualiza los sacramentos de los catequizandos
+   * PUT /api/celebraciones/:id/celebrar
+   */
+  async marcarCelebrada(req, res) {
+    try {
+      const { id } = req.params;
+      const { libro, folioInicial, partidasPorFolio, ausentes = [] } = req.body;
+
+      const celebracion = await Celebracion.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!celebracion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Celebración no encontrada'
+        });
+      }
+
+      if (!celebracion.estaAbierta()) {
+        return res.status(400).json({
+          success: false,
+          message: `La celebración ya está ${celebracion.estado}`
+        });
+      }
+
+      if (celebracion.fecha > new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'La celebración aún no se ha realizado'
+        });
+      }
+
+      if (celebracion.candidatosActivos().length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'La celebración no tiene candidatos convocados'
+        });
+      }
+
+      const resultados = await celebracion.marcarCelebrada({
+        libro,
+        folioInicial,
+        partidasPorFolio,
+        ausentes
+      }, req.user.id);
+
+      // Las inscripciones de los celebrados quedan completadas; se guardan una a una para que
+      // se emita el certificado automático, y los cupos liberados se ofrecen a la lista de espera
+      const celebrados = celebracion.candidatos.filter(c => c.estado === 'celebrado' && c.inscripcion);
+      const inscripciones = await Inscripcion.find({
+        _id: { $in: celebrados.map(c => c.inscripcion) },
+        estado: 'activa'
+      });
+      const gruposConCupo = new Set();
+
+      for (const inscripcion of inscripciones) {
+        try {
+          await inscripcion.cambiarEstado('completada', 'Sacramento celebrado', req.user.id);
+          gruposConCupo.add(inscripcion.grupo.toString());
+        } catch (error) {
+          console.error(`Error completando la inscripción ${inscripcion._id}:`, error);
+        }
+      }
+
+      for (const grupo of gruposConCupo) {
+        try {
+          await ListaEspera.ofrecerCupos(grupo);
+        } catch (error) {
+          console.error('Error ofreciendo cupo de lista de espera:', error);
+        }
+      }
+
+      return batchResponse(
+        res,
+        resultados,
+        celebracion.estado === 'celebrada'
+          ? 'Celebración registrada y partidas asentadas'
+          : 'Celebración registrada con errores; vuelva a intentar para los pendientes'
+      );
+
+    } catch (error) {
+      console.error('Error registrando celebración:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Cancelar celebración
+   * PUT /api/celebraciones/:id/cancelar
+   */
+  async cancelarCelebracion(req, res) {
+    try {
+      const { id } = req.params;
+      const { motivo } = req.body;
+
+      const celebracion = await Celebracion.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!celebracion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Celebración no encontrada'
+        });
+      }
+
+      if (!celebracion.estaAbierta()) {
+        return res.status(400).json({
+          success: false,
+          message: `La celebración ya está ${celebracion.estado}`
+        });
+      }
+
+      celebracion.estado = 'cancelada';
+      celebracion.motivoCancelacion = motivo;
+
+      await celebracion.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Celebración cancelada exitosamente',
+        data: celebracion
+      });
+
+    } catch (error) {
+      console.error('Error cancelando celebración:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+}
+
+module.exports = new CelebracionController();
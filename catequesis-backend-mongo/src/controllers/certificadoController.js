@@ -0,0 +1,531 @@
+const mongoose = require('mongoose');
+const { Certificado, Inscripcion, Grupo } = require('../models');
+const { exportResponse } = require('../utils/response');
+const { generarCertificadoPDF, generarCertificadosPDF, NOMBRES_SACRAMENTOS } = require('../utils/pdf');
+
+/**
+ * Mensaje según el índice único que provocó el error de clave duplicada
+ */
+const mensajeClaveDuplicada = (error) => {
+  if (error.keyPattern?.inscripcion) {
+    return 'Ya existe un certificado vigente para esta inscripción';
+  }
+  return 'No se pudo asignar un folio único, intente nuevamente';
+};
+
+/**
+ * Controlador de Certificados
+ */
+class CertificadoController {
+  /**
+   * Obtener todos los certificados
+   * GET /api/certificados
+   */
+  async getAllCertificados(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        parroquia,
+        nivel,
+        grupo,
+        catequizando,
+        estado = 'all',
+        folio
+      } = req.query;
+
+      // Construir filtros
+      const filtros = {};
+
+      // Filtrar por parroquia (admin puede ver todas)
+      if (req.user.tipoPerfil !== 'admin') {
+        filtros.parroquia = req.user.parroquia;
+      } else if (parroquia) {
+        filtros.parroquia = parroquia;
+      }
+
+      if (nivel) filtros.nivel = nivel;
+      if (grupo) filtros.grupo = grupo;
+      if (catequizando) filtros.catequizando = catequizando;
+      if (folio) filtros.folio = folio.toUpperCase();
+
+      if (estado !== 'all') {
+        filtros.estado = estado;
+      }
+
+      // Paginación
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [certificados, total] = await Promise.all([
+        Certificado.find(filtros)
+          .populate('catequizando', 'nombres apellidos documentoIdentidad')
+          .populate('nivel', 'nombre orden')
+          .populate('grupo', 'nombre periodo')
+          .populate('parroquia', 'nombre')
+          .populate('parroco', 'datosPersonales.nombres datosPersonales.apellidos')
+          .sort({ fechaEmision: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Certificado.countDocuments(filtros)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Certificados obtenidos exitosamente',
+        data: {
+          certificados,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            totalItems: total,
+            itemsPerPage: parseInt(limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo certificados:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener certificado por ID
+   * GET /api/certificados/:id
+   */
+  async getCertificadoById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const certificado = await Certificado.findById(id)
+        .populate('catequizando', 'nombres apellidos documentoIdentidad fechaNacimiento')
+        .populate('nivel', 'nombre orden configuracion.sacramentoAsociado')
+        .populate('grupo', 'nombre periodo')
+        .populate('parroquia', 'nombre direccion')
+        .populate('parroco', 'datosPersonales.nombres datosPersonales.apellidos')
+        .populate('emision.emitidoPor', 'username datosPersonales.nombres datosPersonales.apellidos')
+        .populate('revocacion.revocadoPor', 'username datosPersonales.nombres datosPersonales.apellidos')
+        .populate('reemision.reemplazaA', 'folio fechaEmision')
+        .populate('reemision.reemplazadoPor', 'folio fechaEmision');
+
+      if (!certificado) {
+        return res.status(404).json({
+          success: false,
+          message: 'Certificado no encontrado'
+        });
+      }
+
+      // Verificar permisos
+      if (req.user.tipoPerfil !== 'admin' &&
+          req.user.parroquia?.toString() !== certificado.parroquia._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tienes permisos para ver este certificado'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Certificado obtenido exitosamente',
+        data: certificado
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo certificado:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Descargar certificado en PDF
+   * GET /api/certificados/:id/pdf
+   */
+  async getCertificadoPDF(req, res) {
+    try {
+      const { id } = req.params;
+
+      const certificado = await Certificado.findById(id)
+        .populate('catequizando')
+        .populate('nivel', 'nombre')
+        .populate('grupo', 'nombre periodo')
+        .populate('parroquia', 'nombre direccion informacion ubicacion')
+        .populate('parroco', 'datosPersonales.nombres datosPersonales.apellidos');
+
+      if (!certificado) {
+        return res.status(404).json({
+          success: false,
+          message: 'Certificado no encontrado'
+        });
+      }
+
+      // Verificar permisos
+      if (req.user.tipoPerfil !== 'admin' &&
+          req.user.parroquia?.toString() !== certificado.parroquia._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tienes permisos para ver este certificado'
+        });
+      }
+
+      const pdf = await generarCertificadoPDF(certificado);
+
+      return exportResponse(res, pdf, 'pdf', `certificado-${certificado.folio}.pdf`);
+
+    } catch (error) {
+      console.error('Error generando PDF de certificado:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Descargar en un solo PDF los certificados vigentes de un grupo
+   * GET /api/certificados/grupo/:grupoId/pdf
+   */
+  async getCertificadosGrupoPDF(req, res) {
+    try {
+      const { grupoId } = req.params;
+
+      const grupo = await Grupo.findById(grupoId);
+      if (!grupo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Grupo no encontrado'
+        });
+      }
+
+      // Verificar permisos
+      if (req.user.tipoPerfil !== 'admin' &&
+          req.user.parroquia?.toString() !== grupo.parroquia.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tienes permisos para este grupo'
+        });
+      }
+
+      const certificados = await Certificado.find({ grupo: grupoId, estado: 'vigente' })
+        .populate('catequizando')
+        .populate('nivel', 'nombre')
+        .populate('grupo', 'nombre periodo')
+        .populate('parroquia', 'nombre direccion informacion ubicacion')
+        .populate('parroco', 'datosPersonales.nombres datosPersonales.apellidos')
+        .sort({ folio: 1 });
+
+      if (certificados.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'El grupo no tiene certificados vigentes'
+        });
+      }
+
+      const pdf = await generarCertificadosPDF(certificados, `Certificados ${grupo.nombre}`);
+
+      return exportResponse(res, pdf, 'pdf', `certificados-${grupo.nombre}-${grupo.periodo}.pdf`);
+
+    } catch (error) {
+      console.error('Error generando PDF de certificados del grupo:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Emitir certificado para una inscripción
+   * POST /api/certificados
+   */
+  async emitirCertificado(req, res) {
+    try {
+      const { inscripcion: inscripcionId, observaciones } = req.body;
+
+      const inscripcion = await Inscripcion.findById(inscripcionId);
+      if (!inscripcion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inscripción no encontrada'
+        });
+      }
+
+      // Verificar permisos de parroquia
+      if (req.user.tipoPerfil !== 'admin' &&
+          req.user.parroquia?.toString() !== inscripcion.parroquia.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tienes permisos para esta inscripción'
+        });
+      }
+
+      const certificado = await Certificado.emitirDesdeInscripcion(inscripcion._id, {
+        usuario: req.user.id,
+        observaciones
+      });
+
+      await certificado.populate([
+        { path: 'catequizando', select: 'nombres apellidos documentoIdentidad' },
+        { path: 'nivel', select: 'nombre orden' },
+        { path: 'grupo', select: 'nombre periodo' },
+        { path: 'parroquia', select: 'nombre' }
+      ]);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Certificado emitido exitosamente',
+        data: certificado
+      });
+
+    } catch (error) {
+      console.error('Error emitiendo certificado:', error);
+
+      if (error.message.includes('Ya existe un certificado vigente')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: mensajeClaveDuplicada(error)
+        });
+      }
+
+      if (error.message.includes('debe estar completada') ||
+          error.message.includes('no está aprobada') ||
+          error.message.includes('no otorga certificado')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Reemitir certificado (reemplaza el actual con un nuevo folio)
+   * POST /api/certificados/:id/reemitir
+   */
+  async reemitirCertificado(req, res) {
+    try {
+      const { id } = req.params;
+      const { motivo } = req.body;
+
+      const certificado = await Certificado.findById(id);
+      if (!certificado) {
+        return res.status(404).json({
+          success: false,
+          message: 'Certificado no encontrado'
+        });
+      }
+
+      // Verificar permisos de parroquia
+      if (req.user.tipoPerfil !== 'admin' &&
+          req.user.parroquia?.toString() !== certificado.parroquia.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tienes permisos para este certificado'
+        });
+      }
+
+      const nuevoCertificado = await certificado.reemitir(motivo, req.user.id);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Certificado reemitido exitosamente',
+        data: {
+          anterior: {
+            id: certificado._id,
+            folio: certificado.folio,
+            estado: certificado.estado
+          },
+          certificado: nuevoCertificado
+        }
+      });
+
+    } catch (error) {
+      console.error('Error reemitiendo certificado:', error);
+
+      if (error.message.includes('Solo se pueden reemitir')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: mensajeClaveDuplicada(error)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Revocar certificado
+   * PUT /api/certificados/:id/revocar
+   */
+  async revocarCertificado(req, res) {
+    try {
+      const { id } = req.params;
+      const { motivo } = req.body;
+
+      const certificado = await Certificado.findById(id);
+      if (!certificado) {
+        return res.status(404).json({
+          success: false,
+          message: 'Certificado no encontrado'
+        });
+      }
+
+      // Verificar permisos de parroquia
+      if (req.user.tipoPerfil !== 'admin' &&
+          req.user.parroquia?.toString() !== certificado.parroquia.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tienes permisos para este certificado'
+        });
+      }
+
+      await certificado.revocar(motivo, req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Certificado revocado exitosamente',
+        data: {
+          id: certificado._id,
+          folio: certificado.folio,
+          estado: certificado.estado,
+          revocacion: certificado.revocacion
+        }
+      });
+
+    } catch (error) {
+      console.error('Error revocando certificado:', error);
+
+      if (error.message.includes('Solo se pueden revocar')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener estadísticas de certificados
+   * GET /api/certificados/stats
+   */
+  async getCertificadosStats(req, res) {
+    try {
+      const { parroquia } = req.query;
+
+      const filtros = {};
+
+      // Filtrar por parroquia del usuario si no es admin
+      if (req.user.tipoPerfil !== 'admin') {
+        filtros.parroquia = req.user.parroquia;
+      } else if (parroquia) {
+        filtros.parroquia = parroquia;
+      }
+
+      // El aggregate no convierte strings a ObjectId automáticamente
+      if (filtros.parroquia) {
+        filtros.parroquia = new mongoose.Types.ObjectId(filtros.parroquia.toString());
+      }
+
+      const stats = await Certificado.obtenerEstadisticas(filtros);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Estadísticas obtenidas exitosamente',
+        data: stats[0] || {
+          total: 0,
+          vigentes: 0,
+          revocados: 0,
+          reemplazados: 0,
+          automaticos: 0
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo estadísticas:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Verificar autenticidad de un certificado (público)
+   * GET /api/public/certificados/verificar/:codigo
+   */
+  async verificarCertificado(req, res) {
+    try {
+      const { codigo } = req.params;
+
+      const certificado = await Certificado.buscarPorCodigoVerificacion(codigo);
+
+      if (!certificado) {
+        return res.status(404).json({
+          success: false,
+          message: 'Código de verificación inválido o certificado inexistente',
+          data: { valido: false }
+        });
+      }
+
+      // Solo datos mínimos: no se exponen nombres completos ni documentos
+      return res.status(200).json({
+        success: true,
+        message: certificado.estaVigente()
+          ? 'Certificado válido'
+          : `Certificado ${certificado.estado}`,
+        data: {
+          valido: certificado.estaVigente(),
+          estado: certificado.estado,
+          folio: certificado.folio,
+          iniciales: certificado.obtenerIniciales(),
+          nivel: certificado.nivel?.nombre,
+          sacramento: NOMBRES_SACRAMENTOS[certificado.sacramentoAsociado] || null,
+          parroquia: certificado.parroquia?.nombre,
+          fechaEmision: certificado.fechaEmision,
+          fechaRevocacion: certificado.revocacion?.fecha || null
+        }
+      });
+
+    } catch (error) {
+      console.error('Error verificando certificado:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+}
+
+module.exports = new CertificadoController();
@@ -0,0 +1,543 @@
+const { Familia, Catequizando, Inscripcion } = require('../models');
+const { applyParroquiaFilter, escapeRegex } = require('../utils/queryhelpers');
+
+/**
+ * Controlador de Familias / Representantes
+ */
+class FamiliaController {
+  /**
+   * Obtener todas las familias
+   * GET /api/familias
+   */
+  async getAllFamilias(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        search,
+        activa = 'all',
+        parroquia
+      } = req.query;
+
+      // Construir filtros (cada parroquia solo ve sus familias)
+      const filtros = applyParroquiaFilter({}, req.user);
+
+      if (req.user.tipoPerfil === 'admin' && parroquia) {
+        filtros.parroquia = parroquia;
+      }
+
+      if (activa !== 'all') {
+        filtros.activa = activa === 'true';
+      }
+
+      if (search) {
+        const regex = { $regex: escapeRegex(search), $options: 'i' };
+        filtros.$or = [
+          { nombre: regex },
+          { 'representantes.nombres': regex },
+          { 'representantes.apellidos': regex },
+          { 'representantes.documentoIdentidad': regex },
+          { 'representantes.telefono': regex }
+        ];
+      }
+
+      // Paginación
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [familias, total] = await Promise.all([
+        Familia.find(filtros)
+          .populate('parroquia', 'nombre')
+          .sort({ nombre: 1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Familia.countDocuments(filtros)
+      ]);
+
+      // Número de hijos por familia
+      const conteos = await Catequizando.aggregate([
+        { $match: { familia: { $in: familias.map(f => f._id) } } },
+        { $group: { _id: '$familia', total: { $sum: 1 } } }
+      ]);
+      const hijosPorFamilia = new Map(conteos.map(c => [c._id.toString(), c.total]));
+
+      return res.status(200).json({
+        success: true,
+        message: 'Familias obtenidas exitosamente',
+        data: {
+          familias: familias.map(familia => ({
+            ...familia.toObject(),
+            totalHijos: hijosPorFamilia.get(familia._id.toString()) || 0
+          })),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            totalItems: total,
+            itemsPerPage: parseInt(limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo familias:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener familia por ID con sus hijos
+   * GET /api/familias/:id
+   */
+  async getFamiliaById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const familia = await Familia.findOne(applyParroquiaFilter({ _id: id }, req.user))
+        .populate('parroquia', 'nombre')
+        .populate('creadoPor', 'username');
+
+      if (!familia) {
+        return res.status(404).json({
+          success: false,
+          message: 'Familia no encontrada'
+        });
+      }
+
+      const hijos = await familia.obtenerHijos()
+        .select('nombres apellidos fechaNacimiento documentoIdentidad genero estado');
+
+      return res.status(200).json({
+        success: true,
+        message: 'Familia obtenida exitosamente',
+        data: {
+          ...familia.toObject(),
+          hijos: hijos.map(hijo => ({
+            ...hijo.toObject(),
+            edad: hijo.calcularEdad()
+          }))
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo familia:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Crear nueva familia
+   * POST /api/familias
+   */
+  async createFamilia(req, res) {
+    try {
+      const { catequizandos = [], ...familiaData } = req.body;
+
+      // La familia pertenece a la parroquia del usuario (el admin debe indicarla)
+      if (req.user.tipoPerfil !== 'admin') {
+        familiaData.parroquia = req.user.parroquia;
+      } else if (!familiaData.parroquia) {
+        return res.status(400).json({
+          success: false,
+          message: 'La parroquia es requerida'
+        });
+      }
+
+      // Los hijos indicados deben existir y ser de la misma parroquia
+      if (catequizandos.length > 0) {
+        const encontrados = await Catequizando.countDocuments({
+          _id: { $in: catequizandos },
+          parroquia: familiaData.parroquia
+        });
+
+        if (encontrados !== catequizandos.length) {
+          return res.status(400).json({
+            success: false,
+            message: 'Algunos catequizandos no existen o pertenecen a otra parroquia'
+          });
+        }
+      }
+
+      const familia = new Familia({
+        ...familiaData,
+        creadoPor: req.user.id
+      });
+
+      await familia.save();
+
+      if (catequizandos.length > 0) {
+        await Catequizando.updateMany({ _id: { $in: catequizandos } }, { familia: familia._id });
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: 'Familia creada exitosamente',
+        data: familia
+      });
+
+    } catch (error) {
+      console.error('Error creando familia:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Actualizar familia (los cambios se reflejan en todos los hermanos)
+   * PUT /api/familias/:id
+   */
+  async updateFamilia(req, res) {
+    try {
+      const { id } = req.params;
+      // La parroquia y los hijos no se modifican por esta vía
+      const { parroquia, catequizandos, creadoPor, ...updateData } = req.body;
+
+      const familia = await Familia.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!familia) {
+        return res.status(404).json({
+          success: false,
+          message: 'Familia no encontrada'
+        });
+      }
+
+      Object.assign(familia, updateData);
+      await familia.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Familia actualizada exitosamente',
+        data: familia
+      });
+
+    } catch (error) {
+      console.error('Error actualizando familia:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Eliminar familia (los hijos quedan sin familia)
+   * DELETE /api/familias/:id
+   */
+  async deleteFamilia(req, res) {
+    try {
+      const { id } = req.params;
+
+      const familia = await Familia.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!familia) {
+        return res.status(404).json({
+          success: false,
+          message: 'Familia no encontrada'
+        });
+      }
+
+      const resultado = await Catequizando.updateMany({ familia: familia._id }, { familia: null });
+      await Familia.findByIdAndDelete(id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Familia eliminada exitosamente',
+        data: {
+          id: familia._id,
+          nombre: familia.nombre,
+          catequizandosDesvinculados: resultado.modifiedCount
+        }
+      });
+
+    } catch (error) {
+      console.error('Error eliminando familia:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener hijos de la familia
+   * GET /api/familias/:id/catequizandos
+   */
+  async getHijos(req, res) {
+    try {
+      const { id } = req.params;
+
+      const familia = await Familia.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!familia) {
+        return res.status(404).json({
+          success: false,
+          message: 'Familia no encontrada'
+        });
+      }
+
+      const hijos = await familia.obtenerHijos();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Catequizandos de la familia obtenidos exitosamente',
+        data: hijos.map(hijo => ({
+          ...hijo.toObject(),
+          edad: hijo.calcularEdad()
+        }))
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo hijos de la familia:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Vincular catequizando a la familia
+   * POST /api/familias/:id/catequizandos
+   */
+  async vincularCatequizando(req, res) {
+    try {
+      const { id } = req.params;
+      const { catequizando: catequizandoId } = req.body;
+
+      const familia = await Familia.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!familia) {
+        return res.status(404).json({
+          success: false,
+          message: 'Familia no encontrada'
+        });
+      }
+
+      const catequizando = await Catequizando.findOne({ _id: catequizandoId, parroquia: familia.parroquia });
+
+      if (!catequizando) {
+        return res.status(404).json({
+          success: false,
+          message: 'Catequizando no encontrado en la parroquia de la familia'
+        });
+      }
+
+      if (catequizando.familia && catequizando.familia.toString() !== familia._id.toString()) {
+        return res.status(409).json({
+          success: false,
+          message: 'El catequizando ya pertenece a otra familia; desvincúlelo primero'
+        });
+      }
+
+      catequizando.familia = familia._id;
+      await catequizando.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Catequizando vinculado a la familia exitosamente',
+        data: {
+          familia: familia._id,
+          catequizando: catequizando._id,
+          nombre: catequizando.getNombreCompleto()
+        }
+      });
+
+    } catch (error) {
+      console.error('Error vinculando catequizando a familia:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Desvincular catequizando de la familia
+   * DELETE /api/familias/:id/catequizandos/:catequizandoId
+   */
+  async desvincularCatequizando(req, res) {
+    try {
+      const { id, catequizandoId } = req.params;
+
+      const familia = await Familia.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!familia) {
+        return res.status(404).json({
+          success: false,
+          message: 'Familia no encontrada'
+        });
+      }
+
+      const catequizando = await Catequizando.findOneAndUpdate(
+        { _id: catequizandoId, familia: familia._id },
+        { familia: null },
+        { new: true }
+      );
+
+      if (!catequizando) {
+        return res.status(404).json({
+          success: false,
+          message: 'El catequizando no pertenece a esta familia'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Catequizando desvinculado de la familia exitosamente',
+        data: {
+          familia: familia._id,
+          catequizando: catequizando._id
+        }
+      });
+
+    } catch (error) {
+      console.error('Error desvinculando catequizando de familia:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener inscripciones de todos los hijos
+   * GET /api/familias/:id/inscripciones
+   */
+  async getInscripciones(req, res) {
+    try {
+      const { id } = req.params;
+      const { activas = 'all' } = req.query;
+
+      const familia = await Familia.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!familia) {
+        return res.status(404).json({
+          success: false,
+          message: 'Familia no encontrada'
+        });
+      }
+
+      const hijos = await Catequizando.find({ familia: familia._id }).select('_id');
+      const filtros = { catequizando: { $in: hijos.map(h => h._id) } };
+
+      if (activas !== 'all') {
+        filtros.activa = activas === 'true';
+      }
+
+      const inscripciones = await Inscripcion.find(filtros)
+        .populate('catequizando', 'nombres apellidos documentoIdentidad')
+        .populate({
+          path: 'grupo',
+          select: 'nombre periodo nivel',
+          populate: { path: 'nivel', select: 'nombre orden' }
+        })
+        .populate('parroquia', 'nombre')
+        .sort({ fechaInscripcion: -1 });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Inscripciones de la familia obtenidas exitosamente',
+        data: inscripciones
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo inscripciones de la familia:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener pagos pendientes de todos los hijos con el total adeudado
+   * GET /api/familias/:id/pagos-pendientes
+   */
+  async getPagosPendientes(req, res) {
+    try {
+      const { id } = req.params;
+
+      const familia = await Familia.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!familia) {
+        return res.status(404).json({
+          success: false,
+          message: 'Familia no encontrada'
+        });
+      }
+
+      const hijos = await Catequizando.find({ familia: familia._id }).select('_id');
+
+      const inscripciones = await Inscripcion.find({
+        catequizando: { $in: hijos.map(h => h._id) },
+        activa: true
+      })
+        .populate('catequizando', 'nombres apellidos documentoIdentidad')
+        .populate('grupo', 'nombre periodo');
+
+      const pendientes = inscripciones
+        .filter(inscripcion => !inscripcion.estaPagadaCompleta())
+        .map(inscripcion => {
+          const total = inscripcion.calcularMontoTotal();
+          const pagado = inscripcion.calcularMontoPagado();
+
+          return {
+            inscripcion: inscripcion._id,
+            catequizando: inscripcion.catequizando,
+            grupo: inscripcion.grupo,
+            pagos: inscripcion.pagos,
+            montoTotal: total,
+            montoPagado: pagado,
+            saldoPendiente: total - pagado
+          };
+        });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Pagos pendientes de la familia obtenidos exitosamente',
+        data: {
+          familia: {
+            id: familia._id,
+            nombre: familia.nombre,
+            principal: familia.obtenerPrincipal()
+          },
+          pendientes,
+          totalPendiente: pendientes.reduce((sum, p) => sum + p.saldoPendiente, 0)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo pagos pendientes de la familia:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+}
+
+module.exports = new FamiliaController();
@@ -1,4 +1,5 @@
 const { Grupo, Usuario, Inscripcion } = require('../models');
+const { exportarListado } = require('../utils/exportacion');
 
 /**
  * Controlador de Grupos
@@ -18,7 +19,8 @@ class GrupoController {
         periodo, 
         estado = 'all',
         catequista,
-        diaSemana
+        diaSemana,
+        format = 'json'
       } = req.query;
       
       // Construir filtros
@@ -56,6 +58,20 @@ class GrupoController {
         filtros['catequistas.activo'] = true;
       }
 
+      // Exportación (sin paginar)
+      if (format !== 'json') {
+        return exportarListado(req, res, {
+          entidad: 'grupos',
+          parroquia: filtros.parroquia,
+          registros: Grupo.find(filtros)
+            .populate('parroquia', 'nombre')
+            .populate('nivel', 'nombre orden')
+            .populate('catequistas.usuario', 'datosPersonales.nombres datosPersonales.apellidos username')
+            .sort({ periodo: -1, nombre: 1 })
+            .cursor()
+        });
+      }
+
       // Paginación
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -170,14 +186,6 @@ class GrupoController {
    */
   async createGrupo(req, res) {
     try {
-      // Verificar permisos
-      if (!['admin', 'parroco', 'secretaria'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para crear grupos'
-        });
-      }
-
       const grupoData = req.body;
 
       // Asignar parroquia del usuario si no es admin
@@ -257,14 +265,6 @@ class GrupoController {
       const { id } = req.params;
       const updateData = req.body;
 
-      // Verificar permisos
-      if (!['admin', 'parroco', 'secretaria'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para actualizar grupos'
-        });
-      }
-
       const grupo = await Grupo.findById(id);
 
       if (!grupo) {
@@ -421,14 +421,6 @@ class GrupoController {
       const { id } = req.params;
       const { usuarioId, rol = 'catequista' } = req.body;
 
-      // Verificar permisos
-      if (!['admin', 'parroco'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para asignar catequistas'
-        });
-      }
-
       const grupo = await Grupo.findById(id);
       if (!grupo) {
         return res.status(404).json({
@@ -508,14 +500,6 @@ class GrupoController {
     try {
       const { id, usuarioId } = req.params;
 
-      // Verificar permisos
-      if (!['admin', 'parroco'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para remover catequistas'
-        });
-      }
-
       const grupo = await Grupo.findById(id);
       if (!grupo) {
         return res.status(404).json({
@@ -616,14 +600,6 @@ class GrupoController {
       const { id } = req.params;
       const { estado, motivo } = req.body;
 
-      // Verificar permisos
-      if (!['admin', 'parroco'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para cambiar el estado del grupo'
-        });
-      }
-
       const grupo = await Grupo.findById(id);
       if (!grupo) {
         return res.status(404).json({
@@ -789,14 +765,6 @@ class GrupoController {
       const { id } = req.params;
       const { nuevoPeriodo, nuevosHorarios } = req.body;
 
-      // Verificar permisos
-      if (!['admin', 'parroco'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para duplicar grupos'
-        });
-      }
-
       const grupoOriginal = await Grupo.findById(id);
       if (!grupoOriginal) {
         return res.status(404).json({
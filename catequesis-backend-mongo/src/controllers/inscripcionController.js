@@ -1,4 +1,248 @@
-const { Inscripcion, Catequizando, Grupo, Parroquia } = require('../models');
+const mongoose = require('mongoose');
+const { Inscripcion, Catequizando, Grupo, Parroquia, Nivel, ListaEspera, Usuario } = require('../models');
+const { exportarListado } = require('../utils/exportacion');
+const { applyParroquiaFilter } = require('../utils/queryhelpers');
+const { enviarCorreo, escaparHtml } = require('../utils/mailer');
+const { ENLACE_QR_CONFIG } = require('../utils/constants');
+const config = require('../config/environment');
+
+/**
+ * Enviar el enlace del código QR al representante principal (o al catequizando)
+ * Devuelve el correo de destino o null si no hay a quién enviarlo
+ */
+const notificarEnlaceQR = async (inscripcion, enlace) => {
+  const { catequizando, grupo } = inscripcion;
+
+  const principal = catequizando.familia?.representantes?.find(r => r.principal && r.email);
+  const para = principal?.email || catequizando.contacto?.email;
+  if (!para) return null;
+
+  const nombre = `${catequizando.nombres} ${catequizando.apellidos}`;
+  const dias = ENLACE_QR_CONFIG.DIAS_VIGENCIA;
+
+  await enviarCorreo({
+    para,
+    asunto: `Código QR de asistencia de ${catequizando.nombres} - Catequesis`,
+    texto: `Desde el siguiente enlace puede mostrar el código QR con el que ${nombre} registra su asistencia ` +
+      `en el grupo ${grupo.nombre}. El código cambia cada minuto; ábralo al llegar a la catequesis ` +
+      `(enlace válido por ${dias} días):\n\n${enlace}`,
+    html: `<p>Desde el siguiente enlace puede mostrar el código QR con el que ${escaparHtml(nombre)} registra su asistencia ` +
+      `en el grupo ${escaparHtml(grupo.nombre)}. El código cambia cada minuto; ábralo al llegar a la catequesis.</p>` +
+      `<p><a href="${escaparHtml(enlace)}">Ver código QR</a> (válido por ${dias} días)</p>`
+  });
+
+  return para;
+};
+
+/**
+ * Trasladar la inscripción al grupo de destino (mismo nivel). Valida parroquia, inscripciones
+ * en curso y cupo, y aplica el traslado del catequizando y de la inscripción en una transacción.
+ * El traslado a otra parroquia pedido por un párroco queda como solicitud hasta que la
+ * parroquia de destino lo acepta (aceptacion); el administrador lo aplica directamente.
+ */
+const trasladarInscripcion = async (req, res, inscripcion, grupoId, { motivo, aceptacion = false } = {}) => {
+  if (!['pendiente', 'activa'].includes(inscripcion.estado)) {
+    return res.status(400).json({
+      success: false,
+      message: `No se puede transferir una inscripción ${inscripcion.estado}`
+    });
+  }
+
+  const [grupoOrigen, grupoDestino] = await Promise.all([
+    Grupo.findById(inscripcion.grupo),
+    Grupo.findById(grupoId)
+  ]);
+
+  if (!grupoDestino) {
+    return res.status(404).json({
+      success: false,
+      message: 'Grupo de destino no encontrado'
+    });
+  }
+
+  if (!grupoDestino.estado.activo) {
+    return res.status(400).json({
+      success: false,
+      message: 'No se puede transferir a un grupo inactivo'
+    });
+  }
+
+  if (grupoDestino._id.toString() === inscripcion.grupo.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'La inscripción ya pertenece a ese grupo'
+    });
+  }
+
+  // Las calificaciones y asistencias solo tienen sentido dentro del mismo nivel
+  if (grupoOrigen && grupoOrigen.nivel.toString() !== grupoDestino.nivel.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Solo se puede transferir a un grupo del mismo nivel'
+    });
+  }
+
+  const cambiaParroquia = grupoDestino.parroquia.toString() !== inscripcion.parroquia.toString();
+  let parroquiaDestino = null;
+
+  if (cambiaParroquia) {
+    const solicitante = await Usuario.findById(req.user.id);
+    if (!solicitante || !(await solicitante.tienePermiso('inscripciones', 'approve'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para transferir a otra parroquia'
+      });
+    }
+
+    // Quien acepta el traslado debe ser de la parroquia del grupo de destino
+    if (aceptacion && req.user.tipoPerfil !== 'admin' &&
+        req.user.parroquia?.toString() !== grupoDestino.parroquia.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Solo la parroquia de destino puede aceptar el traslado'
+      });
+    }
+
+    parroquiaDestino = await Parroquia.findById(grupoDestino.parroquia);
+    if (!parroquiaDestino || !parroquiaDestino.activa) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parroquia de destino no encontrada o inactiva'
+      });
+    }
+
+    // El catequizando cambia de parroquia: no debe quedar con otras inscripciones en curso
+    const otrasEnCurso = await Inscripcion.countDocuments({
+      _id: { $ne: inscripcion._id },
+      catequizando: inscripcion.catequizando,
+      parroquia: inscripcion.parroquia,
+      estado: { $in: ['pendiente', 'activa'] }
+    });
+
+    if (otrasEnCurso > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'El catequizando tiene otras inscripciones en curso en su parroquia actual; retírelas o complételas antes de transferirlo'
+      });
+    }
+  }
+
+  const inscripcionExistente = await Inscripcion.exists({
+    catequizando: inscripcion.catequizando,
+    grupo: grupoDestino._id
+  });
+
+  if (inscripcionExistente) {
+    return res.status(409).json({
+      success: false,
+      message: 'El catequizando ya tiene una inscripción en el grupo de destino'
+    });
+  }
+
+  // Traslado a otra parroquia pedido por un párroco: queda pendiente hasta que la parroquia de destino lo acepte
+  if (cambiaParroquia && !aceptacion && req.user.tipoPerfil !== 'admin') {
+    inscripcion.solicitudTraslado = {
+      grupoDestino: grupoDestino._id,
+      parroquiaDestino: grupoDestino.parroquia,
+      motivo,
+      solicitadaPor: req.user.id,
+      fecha: new Date()
+    };
+    await inscripcion.save();
+
+    return res.status(202).json({
+      success: true,
+      message: `Solicitud de traslado registrada; queda pendiente de aceptación de la parroquia ${parroquiaDestino.nombre}`,
+      data: {
+        id: inscripcion._id,
+        solicitudTraslado: inscripcion.solicitudTraslado
+      }
+    });
+  }
+
+  // Cupo en el destino: respeta la lista de espera salvo que el catequizando tenga la oferta
+  const lista = await ListaEspera.findOne({ grupo: grupoDestino._id });
+  const ofertasVencidas = lista ? lista.expirarOfertas() : [];
+  const entrada = lista?.obtenerEntrada(inscripcion.catequizando);
+
+  if (entrada?.estado !== 'ofertada') {
+    const cuposLibres = await ListaEspera.calcularCuposLibres(grupoDestino, lista);
+    const enEspera = lista
+      ? lista.entradasActivas().filter(e => e.estado === 'en_espera' && e !== entrada).length
+      : 0;
+
+    if (cuposLibres === 0 || enEspera > 0) {
+      if (lista?.isModified()) await lista.save();
+      return res.status(400).json({
+        success: false,
+        message: 'El grupo de destino no tiene cupos disponibles'
+      });
+    }
+  }
+
+  // El catequizando y la inscripción cambian de parroquia juntos o no cambia ninguno
+  let transferida;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      transferida = await Inscripcion.findById(inscripcion._id).session(session);
+
+      if (cambiaParroquia) {
+        const catequizando = await Catequizando.findById(transferida.catequizando).session(session);
+        if (catequizando.parroquia?.toString() !== grupoDestino.parroquia.toString()) {
+          await catequizando.transferirParroquia(grupoDestino.parroquia, {
+            motivo: motivo || `Traslado al grupo ${grupoDestino.nombre}`,
+            usuario: req.user.id
+          });
+        }
+      }
+
+      transferida.solicitudTraslado = undefined;
+      await transferida.transferir(grupoDestino, { motivo, usuario: req.user.id });
+    });
+  } finally {
+    transferida?.$session(null);
+    await session.endSession();
+  }
+
+  // Si el catequizando esperaba cupo en el destino, su entrada queda atendida
+  if (lista) {
+    await ListaEspera.modificar(grupoDestino._id, (listaActual) => {
+      const espera = entrada && listaActual.obtenerEntrada(transferida.catequizando);
+      if (espera) {
+        listaActual.cerrarEntrada(espera, 'aceptada', { inscripcion: transferida._id });
+      }
+      listaActual.expirarOfertas();
+    });
+  }
+  if (ofertasVencidas.length > 0) {
+    await ListaEspera.ofrecerCupos(grupoDestino._id);
+  }
+
+  // Actualizar estadísticas de ambos grupos; el cupo liberado pasa a la lista de espera del origen
+  await Promise.all([
+    grupoDestino.actualizarEstadisticas(),
+    grupoOrigen?.actualizarEstadisticas()
+  ]);
+
+  if (grupoOrigen && transferida.activa) {
+    await ListaEspera.ofrecerCupos(grupoOrigen._id);
+  }
+
+  await transferida.populate([
+    { path: 'catequizando', select: 'nombres apellidos documentoIdentidad' },
+    { path: 'grupo', select: 'nombre nivel periodo' },
+    { path: 'parroquia', select: 'nombre' },
+    { path: 'transferencias.grupoAnterior', select: 'nombre' },
+    { path: 'transferencias.grupoNuevo', select: 'nombre' }
+  ]);
+
+  return res.status(200).json({
+    success: true,
+    message: `Inscripción transferida al grupo ${grupoDestino.nombre} exitosamente`,
+    data: transferida
+  });
+};
 
 /**
  * Controlador de Inscripciones
@@ -17,7 +261,8 @@ class InscripcionController {
         parroquia, 
         estado = 'all',
         activas = 'all',
-        pagosPendientes = 'false'
+        pagosPendientes = 'false',
+        format = 'json'
       } = req.query;
       
       // Construir filtros
@@ -59,6 +304,20 @@ class InscripcionController {
         filtros.grupo = { $in: misGrupos.map(g => g._id) };
       }
 
+      // Exportación (sin paginar)
+      if (format !== 'json') {
+        return exportarListado(req, res, {
+          entidad: 'inscripciones',
+          parroquia: filtros.parroquia,
+          registros: Inscripcion.find(filtros)
+            .populate('catequizando', 'nombres apellidos documentoIdentidad')
+            .populate('grupo', 'nombre periodo')
+            .populate('parroquia', 'nombre')
+            .sort({ fechaInscripcion: -1 })
+            .cursor()
+        });
+      }
+
       // Paginación
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -144,23 +403,190 @@ class InscripcionController {
   }
 
   /**
-   * Crear nueva inscripción
-   * POST /api/inscripciones
+   * Obtener el código QR vigente para el check-in de asistencia
+   * GET /api/inscripciones/:id/qr
    */
-  async createInscripcion(req, res) {
+  async getCodigoQR(req, res) {
+    try {
+      const { id } = req.params;
+
+      const inscripcion = await Inscripcion.findById(id)
+        .populate('catequizando', 'nombres apellidos')
+        .populate('grupo', 'nombre');
+
+      if (!inscripcion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inscripción no encontrada'
+        });
+      }
+
+      // Verificar permisos
+      if (req.user.tipoPerfil !== 'admin' && 
+          req.user.parroquia?.toString() !== inscripcion.parroquia.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tienes permisos para esta inscripción'
+        });
+      }
+
+      if (!inscripcion.activa) {
+        return res.status(400).json({
+          success: false,
+          message: 'La inscripción no está activa'
+        });
+      }
+
+      const { codigo, expiraEn } = inscripcion.generarCodigoQR();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Código QR generado exitosamente',
+        data: {
+          inscripcion: inscripcion._id,
+          catequizando: inscripcion.catequizando,
+          grupo: inscripcion.grupo,
+          codigo,
+          expiraEn
+        }
+      });
+
+    } catch (error) {
+      console.error('Error generando código QR:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Generar el enlace para que el representante muestre el código QR vigente
+   * POST /api/inscripciones/:id/qr/enlace
+   */
+  async enviarEnlaceQR(req, res) {
     try {
+      const { id } = req.params;
+
+      const inscripcion = await Inscripcion.findById(id)
+        .populate({
+          path: 'catequizando',
+          select: 'nombres apellidos contacto.email familia',
+          populate: { path: 'familia', select: 'representantes' }
+        })
+        .populate('grupo', 'nombre');
+
+      if (!inscripcion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inscripción no encontrada'
+        });
+      }
+
       // Verificar permisos
-      if (!['admin', 'parroco', 'secretaria'].includes(req.user.tipoPerfil)) {
+      if (req.user.tipoPerfil !== 'admin' && 
+          req.user.parroquia?.toString() !== inscripcion.parroquia.toString()) {
         return res.status(403).json({
           success: false,
-          message: 'No tienes permisos para crear inscripciones'
+          message: 'No tienes permisos para esta inscripción'
         });
       }
 
-      const inscripcionData = req.body;
+      if (!inscripcion.activa) {
+        return res.status(400).json({
+          success: false,
+          message: 'La inscripción no está activa'
+        });
+      }
+
+      const token = inscripcion.generarEnlaceQR(req.user.id);
+      await inscripcion.save();
 
-      // Verificar que el catequizando existe
-      const catequizando = await Catequizando.findById(inscripcionData.catequizando);
+      const enlace = `${config.server.frontendUrl}/codigo-qr?token=${token}`;
+
+      // Si el correo falla el enlace sigue siendo válido para compartirlo por otro medio
+      let notificadoA = null;
+      try {
+        notificadoA = await notificarEnlaceQR(inscripcion, enlace);
+      } catch (envioError) {
+        console.error('Error enviando enlace del código QR:', envioError);
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: notificadoA
+          ? `Enlace del código QR enviado a ${notificadoA}`
+          : 'Enlace del código QR generado; compártalo con el representante',
+        data: {
+          enlace,
+          expiraEn: inscripcion.checkinQR.enlace.expiraEn,
+          notificadoA
+        }
+      });
+
+    } catch (error) {
+      console.error('Error generando enlace del código QR:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Código QR vigente desde el enlace enviado al representante
+   * GET /api/public/codigos-qr/:token
+   */
+  async getCodigoQRPublico(req, res) {
+    try {
+      const { token } = req.params;
+
+      const inscripcion = await Inscripcion.buscarPorTokenQR(token)
+        .populate('catequizando', 'nombres')
+        .populate('grupo', 'nombre');
+
+      if (!inscripcion) {
+        return res.status(404).json({
+          success: false,
+          message: 'El enlace del código QR no es válido o ha expirado'
+        });
+      }
+
+      const { codigo, expiraEn } = inscripcion.generarCodigoQR();
+
+      // Solo datos mínimos: el enlace puede reenviarse
+      return res.status(200).json({
+        success: true,
+        message: 'Código QR generado exitosamente',
+        data: {
+          catequizando: inscripcion.catequizando?.nombres,
+          grupo: inscripcion.grupo?.nombre,
+          codigo,
+          expiraEn
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo código QR público:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Crear nueva inscripción
+   * POST /api/inscripciones
+   */
+  async createInscripcion(req, res) {
+    try {
+      const { listaEspera: usarListaEspera = true, ...inscripcionData } = req.body;
+
+      // Verificar que el catequizando existe (en la parroquia del usuario)
+      const catequizando = await Catequizando.findOne(
+        applyParroquiaFilter({ _id: inscripcionData.catequizando }, req.user)
+      );
       if (!catequizando) {
         return res.status(404).json({
           success: false,
@@ -168,8 +594,8 @@ class InscripcionController {
         });
       }
 
-      // Verificar que el grupo existe y tiene capacidad
-      const grupo = await Grupo.findById(inscripcionData.grupo);
+      // Verificar que el grupo existe (en la parroquia del usuario)
+      const grupo = await Grupo.findOne(applyParroquiaFilter({ _id: inscripcionData.grupo }, req.user));
       if (!grupo) {
         return res.status(404).json({
           success: false,
@@ -184,11 +610,12 @@ class InscripcionController {
         });
       }
 
-      const tieneCapacidad = await grupo.tieneCapacidadDisponible();
-      if (!tieneCapacidad) {
-        return res.status(400).json({
+      // El catequizando debe pertenecer a la parroquia del grupo; se responde 404
+      // para no exponer datos (edad, pagos) de catequizandos de otra parroquia
+      if (catequizando.parroquia?.toString() !== grupo.parroquia.toString()) {
+        return res.status(404).json({
           success: false,
-          message: 'El grupo ha alcanzado su capacidad máxima'
+          message: 'Catequizando no encontrado en la parroquia del grupo; debe transferirse antes de inscribirlo'
         });
       }
 
@@ -206,17 +633,79 @@ class InscripcionController {
         });
       }
 
+      // Requisitos del nivel (edad, bautismo, nivel anterior, estado y pagos)
+      const nivel = await Nivel.findById(grupo.nivel);
+      if (!nivel) {
+        return res.status(400).json({
+          success: false,
+          message: 'El nivel del grupo no existe'
+        });
+      }
+
+      const elegibilidad = await catequizando.esAptoParaNivel(nivel);
+      if (!elegibilidad.apto) {
+        return res.status(400).json({
+          success: false,
+          message: 'El catequizando no cumple los requisitos del nivel',
+          data: elegibilidad
+        });
+      }
+
+      // Cupo: quien tiene una oferta vigente de la lista de espera lo ocupa;
+      // si no hay cupos libres o hay otros esperando, el catequizando entra a la cola
+      const lista = await ListaEspera.findOne({ grupo: grupo._id });
+      const ofertasVencidas = lista ? lista.expirarOfertas() : [];
+      const entrada = lista?.obtenerEntrada(catequizando._id);
+
+      if (entrada?.estado !== 'ofertada') {
+        const cuposLibres = await ListaEspera.calcularCuposLibres(grupo, lista);
+        const enEspera = lista ? lista.entradasActivas().filter(e => e.estado === 'en_espera').length : 0;
+
+        if (cuposLibres === 0 || enEspera > 0) {
+          if (entrada) {
+            if (lista.isModified()) await lista.save();
+            return res.status(409).json({
+              success: false,
+              message: `El catequizando ya está en la lista de espera del grupo (posición ${entrada.posicion})`
+            });
+          }
+
+          if (!usarListaEspera) {
+            if (lista?.isModified()) await lista.save();
+            return res.status(400).json({
+              success: false,
+              message: 'El grupo ha alcanzado su capacidad máxima'
+            });
+          }
+
+          const listaGrupo = lista || new ListaEspera({ parroquia: grupo.parroquia, grupo: grupo._id });
+          const nuevaEntrada = listaGrupo.agregar(catequizando._id, req.user.id);
+          await listaGrupo.save();
+
+          // Cupos libres sin ofrecer (ej. ofertas recién vencidas): se ofrecen según el orden de la cola
+          if (cuposLibres > 0 || ofertasVencidas.length > 0) {
+            await ListaEspera.ofrecerCupos(grupo._id);
+          }
+
+          return res.status(202).json({
+            success: true,
+            message: `El grupo no tiene cupos disponibles; el catequizando quedó en lista de espera (posición ${nuevaEntrada.posicion})`,
+            data: {
+              listaEspera: listaGrupo._id,
+              catequizando: catequizando._id,
+              grupo: grupo._id,
+              posicion: nuevaEntrada.posicion
+            }
+          });
+        }
+      }
+
       // Asignar parroquia del grupo
       inscripcionData.parroquia = grupo.parroquia;
       inscripcionData.proceso = {
         registradoPor: req.user.id,
         documentosPresentados: [],
-        validaciones: {
-          edad: { realizada: false },
-          documentos: { realizada: false },
-          bautismo: { realizada: false },
-          nivelAnterior: { realizada: false }
-        },
+        validaciones: Inscripcion.construirValidaciones(elegibilidad),
         aprobacionFinal: {
           aprobada: false
         }
@@ -225,6 +714,20 @@ class InscripcionController {
       const nuevaInscripcion = new Inscripcion(inscripcionData);
       await nuevaInscripcion.save();
 
+      // La oferta de la lista de espera queda aceptada (sobre la versión vigente de la cola)
+      if (lista) {
+        await ListaEspera.modificar(grupo._id, (listaActual) => {
+          const oferta = entrada && listaActual.obtenerEntrada(catequizando._id);
+          if (oferta) {
+            listaActual.cerrarEntrada(oferta, 'aceptada', { inscripcion: nuevaInscripcion._id });
+          }
+          listaActual.expirarOfertas();
+        });
+      }
+      if (ofertasVencidas.length > 0) {
+        await ListaEspera.ofrecerCupos(grupo._id);
+      }
+
       // Poblar datos para respuesta
       await nuevaInscripcion.populate([
         { path: 'catequizando', select: 'nombres apellidos documentoIdentidad' },
@@ -243,6 +746,14 @@ class InscripcionController {
 
     } catch (error) {
       console.error('Error creando inscripción:', error);
+
+      // Otra operación modificó la lista de espera al mismo tiempo
+      if (error.name === 'VersionError') {
+        return res.status(409).json({
+          success: false,
+          message: 'La lista de espera fue modificada por otra operación; intente nuevamente'
+        });
+      }
       
       if (error.name === 'ValidationError') {
         return res.status(400).json({
@@ -268,14 +779,6 @@ class InscripcionController {
       const { id } = req.params;
       const updateData = req.body;
 
-      // Verificar permisos
-      if (!['admin', 'parroco', 'secretaria'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para actualizar inscripciones'
-        });
-      }
-
       const inscripcion = await Inscripcion.findById(id);
       if (!inscripcion) {
         return res.status(404).json({
@@ -337,14 +840,6 @@ class InscripcionController {
       const { id } = req.params;
       const { estado, motivo } = req.body;
 
-      // Verificar permisos
-      if (!['admin', 'parroco', 'secretaria'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para cambiar el estado de inscripciones'
-        });
-      }
-
       const inscripcion = await Inscripcion.findById(id);
       if (!inscripcion) {
         return res.status(404).json({
@@ -384,22 +879,230 @@ class InscripcionController {
   }
 
   /**
-   * Registrar pago
-   * POST /api/inscripciones/:id/pagos
+   * Transferir inscripción a otro grupo del mismo nivel (opcionalmente de otra parroquia)
+   * Conserva pagos, calificaciones y asistencias y deja constancia del traslado
+   * POST /api/inscripciones/:id/transferir
    */
-  async registrarPago(req, res) {
+  async transferirInscripcion(req, res) {
     try {
       const { id } = req.params;
-      const { tipo, monto, metodoPago, comprobante } = req.body;
+      const { grupo: grupoId, motivo } = req.body;
 
-      // Verificar permisos
-      if (!['admin', 'parroco', 'secretaria'].includes(req.user.tipoPerfil)) {
+      const inscripcion = await Inscripcion.findById(id);
+      if (!inscripcion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inscripción no encontrada'
+        });
+      }
+
+      // Verificar permisos de parroquia
+      if (req.user.tipoPerfil !== 'admin' && 
+          req.user.parroquia?.toString() !== inscripcion.parroquia.toString()) {
         return res.status(403).json({
           success: false,
-          message: 'No tienes permisos para registrar pagos'
+          message: 'No tienes permisos para esta inscripción'
         });
       }
 
+      return await trasladarInscripcion(req, res, inscripcion, grupoId, { motivo });
+
+    } catch (error) {
+      console.error('Error transfiriendo inscripción:', error);
+
+      // Otra operación modificó la lista de espera al mismo tiempo
+      if (error.name === 'VersionError') {
+        return res.status(409).json({
+          success: false,
+          message: 'La lista de espera fue modificada por otra operación; intente nuevamente'
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Traslados entre parroquias pendientes de aceptación (entrantes y salientes de la parroquia)
+   * GET /api/inscripciones/traslados-pendientes
+   */
+  async getTrasladosPendientes(req, res) {
+    try {
+      const filtros = { 'solicitudTraslado.grupoDestino': { $exists: true } };
+
+      if (req.user.tipoPerfil !== 'admin') {
+        filtros.$or = [
+          { parroquia: req.user.parroquia },
+          { 'solicitudTraslado.parroquiaDestino': req.user.parroquia }
+        ];
+      }
+
+      const inscripciones = await Inscripcion.find(filtros)
+        .select('catequizando grupo parroquia estado solicitudTraslado')
+        .populate('catequizando', 'nombres apellidos documentoIdentidad')
+        .populate('grupo', 'nombre')
+        .populate('parroquia', 'nombre')
+        .populate('solicitudTraslado.grupoDestino', 'nombre')
+        .populate('solicitudTraslado.parroquiaDestino', 'nombre')
+        .sort({ 'solicitudTraslado.fecha': 1 });
+
+      const parroquia = req.user.parroquia?.toString();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Traslados pendientes obtenidos exitosamente',
+        data: {
+          entrantes: inscripciones.filter(i => req.user.tipoPerfil === 'admin' ||
+            i.solicitudTraslado.parroquiaDestino?._id.toString() === parroquia),
+          salientes: inscripciones.filter(i => req.user.tipoPerfil === 'admin' ||
+            i.parroquia?._id.toString() === parroquia)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo traslados pendientes:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Aceptar el traslado solicitado por otra parroquia (párroco de la parroquia de destino)
+   * POST /api/inscripciones/:id/transferir/aceptar
+   */
+  async aceptarTraslado(req, res) {
+    try {
+      const { id } = req.params;
+
+      const inscripcion = await Inscripcion.findById(id);
+      const solicitud = inscripcion?.solicitudTraslado;
+
+      if (!solicitud?.grupoDestino) {
+        return res.status(404).json({
+          success: false,
+          message: 'No hay una solicitud de traslado pendiente para esta inscripción'
+        });
+      }
+
+      if (req.user.tipoPerfil !== 'admin' &&
+          req.user.parroquia?.toString() !== solicitud.parroquiaDestino?.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Solo la parroquia de destino puede aceptar el traslado'
+        });
+      }
+
+      return await trasladarInscripcion(req, res, inscripcion, solicitud.grupoDestino.toString(), {
+        motivo: solicitud.motivo,
+        aceptacion: true
+      });
+
+    } catch (error) {
+      console.error('Error aceptando traslado:', error);
+
+      if (error.name === 'VersionError') {
+        return res.status(409).json({
+          success: false,
+          message: 'La lista de espera fue modificada por otra operación; intente nuevamente'
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Rechazar (parroquia de destino) o retirar (parroquia de origen) una solicitud de traslado
+   * DELETE /api/inscripciones/:id/transferir
+   */
+  async cancelarTraslado(req, res) {
+    try {
+      const { id } = req.params;
+
+      const inscripcion = await Inscripcion.findById(id);
+      const solicitud = inscripcion?.solicitudTraslado;
+
+      if (!solicitud?.grupoDestino) {
+        return res.status(404).json({
+          success: false,
+          message: 'No hay una solicitud de traslado pendiente para esta inscripción'
+        });
+      }
+
+      const parroquia = req.user.parroquia?.toString();
+      if (req.user.tipoPerfil !== 'admin' &&
+          parroquia !== inscripcion.parroquia.toString() &&
+          parroquia !== solicitud.parroquiaDestino?.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tienes permisos para esta solicitud de traslado'
+        });
+      }
+
+      inscripcion.solicitudTraslado = undefined;
+      inscripcion.observaciones.push({
+        fecha: new Date(),
+        usuario: req.user.id,
+        tipo: 'administrativa',
+        contenido: req.user.tipoPerfil === 'admin'
+          ? 'Solicitud de traslado cancelada por la administración'
+          : parroquia === inscripcion.parroquia.toString()
+            ? 'Solicitud de traslado retirada por la parroquia de origen'
+            : 'Solicitud de traslado rechazada por la parroquia de destino',
+        privada: false
+      });
+      await inscripcion.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Solicitud de traslado cancelada',
+        data: { id: inscripcion._id }
+      });
+
+    } catch (error) {
+      console.error('Error cancelando traslado:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Registrar pago
+   * POST /api/inscripciones/:id/pagos
+   */
+  async registrarPago(req, res) {
+    try {
+      const { id } = req.params;
+      const { tipo, monto, metodoPago, comprobante } = req.body;
+
+      // El permiso pagos:create se verifica en la ruta (requirePermission)
+
       const inscripcion = await Inscripcion.findById(id);
       if (!inscripcion) {
         return res.status(404).json({
@@ -455,14 +1158,6 @@ class InscripcionController {
       const { id } = req.params;
       const { contenido, tipo = 'general', privada = false } = req.body;
 
-      // Verificar permisos
-      if (!['admin', 'parroco', 'secretaria', 'catequista'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para agregar observaciones'
-        });
-      }
-
       const inscripcion = await Inscripcion.findById(id);
       if (!inscripcion) {
         return res.status(404).json({
@@ -508,14 +1203,6 @@ class InscripcionController {
       const { id } = req.params;
       const { concepto, calificacion, observaciones } = req.body;
 
-      // Solo catequistas y superiores pueden calificar
-      if (!['admin', 'parroco', 'secretaria', 'catequista'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para registrar calificaciones'
-        });
-      }
-
       const inscripcion = await Inscripcion.findById(id);
       if (!inscripcion) {
         return res.status(404).json({
@@ -628,15 +1315,23 @@ class InscripcionController {
    */
   async getPagosPendientes(req, res) {
     try {
-      const { parroquia } = req.query;
+      const { parroquia, format = 'json' } = req.query;
       
       const filtros = {};
       
-      // Filtrar por parroquia del usuario si no es admin
+      // Filtrar por parroquia del usuario si no es admin (aggregate no convierte a ObjectId)
       if (req.user.tipoPerfil !== 'admin') {
         filtros.parroquia = req.user.parroquia;
       } else if (parroquia) {
-        filtros.parroquia = parroquia;
+        filtros.parroquia = new mongoose.Types.ObjectId(parroquia);
+      }
+
+      if (format !== 'json') {
+        return exportarListado(req, res, {
+          entidad: 'pagos-pendientes',
+          parroquia: filtros.parroquia,
+          registros: Inscripcion.obtenerPendientesDePago(filtros).allowDiskUse(true).cursor()
+        });
       }
 
       const pagosPendientes = await Inscripcion.obtenerPendientesDePago(filtros);
@@ -719,14 +1414,6 @@ class InscripcionController {
     try {
       const { id } = req.params;
 
-      // Solo párroco y admin pueden aprobar
-      if (!['admin', 'parroco'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para aprobar inscripciones'
-        });
-      }
-
       const inscripcion = await Inscripcion.findById(id);
       if (!inscripcion) {
         return res.status(404).json({
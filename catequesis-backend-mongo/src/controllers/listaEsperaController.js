@@ -0,0 +1,258 @@
+const { ListaEspera, Grupo, Inscripcion } = require('../models');
+const { applyParroquiaFilter } = require('../utils/queryhelpers');
+
+/**
+ * Controlador de Listas de espera de grupos
+ */
+class ListaEsperaController {
+  /**
+   * Obtener la cola del grupo con las ofertas vigentes y los cupos libres
+   * GET /api/grupos/:id/lista-espera
+   */
+  async getListaEspera(req, res) {
+    try {
+      const { id } = req.params;
+      const { historial = 'false' } = req.query;
+
+      const grupo = await Grupo.findOne(applyParroquiaFilter({ _id: id }, req.user))
+        .select('nombre periodo informacion.capacidadMaxima estado');
+
+      if (!grupo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Grupo no encontrado'
+        });
+      }
+
+      const lista = await ListaEspera.findOne({ grupo: grupo._id })
+        .populate('entradas.catequizando', 'nombres apellidos documentoIdentidad fechaNacimiento')
+        .populate('entradas.registradoPor', 'datosPersonales.nombres datosPersonales.apellidos');
+
+      const [inscripcionesActivas, cuposLibres] = await Promise.all([
+        Inscripcion.countDocuments({ grupo: grupo._id, activa: true }),
+        ListaEspera.calcularCuposLibres(grupo, lista)
+      ]);
+
+      const ahora = new Date();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Lista de espera obtenida exitosamente',
+        data: {
+          grupo,
+          capacidad: grupo.informacion?.capacidadMaxima || 25,
+          inscripcionesActivas,
+          cuposLibres,
+          entradas: (lista?.entradasActivas() || []).map(entrada => ({
+            ...entrada.toObject(),
+            ofertaVencida: entrada.estado === 'ofertada' && entrada.oferta?.expiraEn <= ahora
+          })),
+          ...(historial === 'true' && {
+            historial: (lista?.entradas || [])
+              .filter(entrada => !['en_espera', 'ofertada'].includes(entrada.estado))
+              .sort((a, b) => b.fechaRespuesta - a.fechaRespuesta)
+          })
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo lista de espera:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Reordenar la cola (lista de catequizandos en el nuevo orden)
+   * PUT /api/grupos/:id/lista-espera/orden
+   */
+  async reordenarLista(req, res) {
+    try {
+      const { id } = req.params;
+      const { orden } = req.body;
+
+      const grupo = await Grupo.findOne(applyParroquiaFilter({ _id: id }, req.user)).select('_id');
+
+      if (!grupo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Grupo no encontrado'
+        });
+      }
+
+      const lista = await ListaEspera.findOne({ grupo: grupo._id });
+
+      if (!lista || lista.entradasActivas().length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'El grupo no tiene lista de espera'
+        });
+      }
+
+      const desconocidos = orden.filter(catequizandoId => !lista.obtenerEntrada(catequizandoId));
+      if (desconocidos.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Algunos catequizandos no están en la lista de espera',
+          errors: desconocidos
+        });
+      }
+
+      lista.reordenar(orden);
+      await lista.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Lista de espera reordenada exitosamente',
+        data: lista.entradasActivas()
+      });
+
+    } catch (error) {
+      console.error('Error reordenando lista de espera:', error);
+
+      // Otra operación modificó la lista de espera al mismo tiempo
+      if (error.name === 'VersionError') {
+        return res.status(409).json({
+          success: false,
+          message: 'La lista de espera fue modificada por otra operación; intente nuevamente'
+        });
+      }
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Registrar que el catequizando rechazó el cupo ofrecido (se ofrece al siguiente)
+   * PUT /api/grupos/:id/lista-espera/:catequizandoId/rechazar
+   */
+  async rechazarOferta(req, res) {
+    try {
+      const { id, catequizandoId } = req.params;
+      const { motivo } = req.body;
+
+      const grupo = await Grupo.findOne(applyParroquiaFilter({ _id: id }, req.user)).select('_id');
+
+      if (!grupo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Grupo no encontrado'
+        });
+      }
+
+      const lista = await ListaEspera.findOne({ grupo: grupo._id });
+      const entrada = lista?.obtenerEntrada(catequizandoId);
+
+      if (!entrada) {
+        return res.status(404).json({
+          success: false,
+          message: 'El catequizando no está en la lista de espera'
+        });
+      }
+
+      if (entrada.estado !== 'ofertada') {
+        return res.status(400).json({
+          success: false,
+          message: 'El catequizando no tiene una oferta de cupo pendiente'
+        });
+      }
+
+      lista.cerrarEntrada(entrada, 'rechazada', { motivo: motivo || 'Rechazó el cupo ofrecido' });
+      await lista.save();
+
+      const ofertadas = await ListaEspera.ofrecerCupos(grupo._id);
+
+      return res.status(200).json({
+        success: true,
+        message: ofertadas.length > 0
+          ? 'Oferta rechazada; el cupo se ofreció al siguiente en la lista'
+          : 'Oferta rechazada',
+        data: {
+          entrada,
+          ofertadas: ofertadas.map(e => e.catequizando)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error rechazando oferta de lista de espera:', error);
+
+      // Otra operación modificó la lista de espera al mismo tiempo
+      if (error.name === 'VersionError') {
+        return res.status(409).json({
+          success: false,
+          message: 'La lista de espera fue modificada por otra operación; intente nuevamente'
+        });
+      }
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Retirar al catequizando de la lista de espera
+   * DELETE /api/grupos/:id/lista-espera/:catequizandoId
+   */
+  async cancelarEntrada(req, res) {
+    try {
+      const { id, catequizandoId } = req.params;
+      const { motivo } = req.body;
+
+      const grupo = await Grupo.findOne(applyParroquiaFilter({ _id: id }, req.user)).select('_id');
+
+      if (!grupo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Grupo no encontrado'
+        });
+      }
+
+      const lista = await ListaEspera.findOne({ grupo: grupo._id });
+      const entrada = lista?.obtenerEntrada(catequizandoId);
+
+      if (!entrada) {
+        return res.status(404).json({
+          success: false,
+          message: 'El catequizando no está en la lista de espera'
+        });
+      }
+
+      const teniaOferta = entrada.estado === 'ofertada';
+      lista.cerrarEntrada(entrada, 'cancelada', { motivo });
+      await lista.save();
+
+      // El cupo reservado pasa al siguiente
+      if (teniaOferta) {
+        await ListaEspera.ofrecerCupos(grupo._id);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Catequizando retirado de la lista de espera',
+        data: entrada
+      });
+
+    } catch (error) {
+      console.error('Error cancelando entrada de lista de espera:', error);
+
+      // Otra operación modificó la lista de espera al mismo tiempo
+      if (error.name === 'VersionError') {
+        return res.status(409).json({
+          success: false,
+          message: 'La lista de espera fue modificada por otra operación; intente nuevamente'
+        });
+      }
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+}
+
+module.exports = new ListaEsperaController();
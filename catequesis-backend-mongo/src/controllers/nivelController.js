@@ -1,4 +1,5 @@
 const { Nivel } = require('../models');
+const { applyParroquiaFilter } = require('../utils/queryhelpers');
 
 /**
  * Controlador de Niveles
@@ -427,17 +428,9 @@ class NivelController {
     try {
       const { idCatequizando } = req.params;
 
-      // Verificar permisos
-      if (!['admin', 'parroco', 'secretaria', 'catequista'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para ver la progresión de catequizandos'
-        });
-      }
-
       // Verificar que el catequizando existe
       const { Catequizando } = require('../models');
-      const catequizando = await Catequizando.findById(idCatequizando);
+      const catequizando = await Catequizando.findOne(applyParroquiaFilter({ _id: idCatequizando }, req.user));
 
       if (!catequizando) {
         return res.status(404).json({
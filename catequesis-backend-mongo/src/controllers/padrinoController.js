@@ -0,0 +1,406 @@
+const { Padrino, Catequizando } = require('../models');
+const { applyParroquiaFilter } = require('../utils/queryhelpers');
+const { SACRAMENTOS } = require('../utils/constants');
+
+/**
+ * Controlador de Padrinos y madrinas de primera comunión y confirmación
+ */
+class PadrinoController {
+  /**
+   * Obtener padrinos del catequizando con su lista de verificación
+   * GET /api/catequizandos/:id/padrinos
+   */
+  async getPadrinos(req, res) {
+    try {
+      const { id } = req.params;
+      const { sacramento, estado } = req.query;
+
+      const catequizando = await Catequizando.findOne(applyParroquiaFilter({ _id: id }, req.user))
+        .select('_id');
+
+      if (!catequizando) {
+        return res.status(404).json({
+          success: false,
+          message: 'Catequizando no encontrado'
+        });
+      }
+
+      const filtros = { catequizando: catequizando._id };
+      if (sacramento) filtros.sacramento = sacramento;
+      if (estado) filtros.estado = estado;
+
+      const padrinos = await Padrino.find(filtros)
+        .populate('revision.revisadoPor', 'datosPersonales.nombres datosPersonales.apellidos')
+        .sort({ sacramento: 1, createdAt: -1 });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Padrinos obtenidos exitosamente',
+        data: padrinos.map(padrino => ({
+          ...padrino.toObject(),
+          requisitos: padrino.obtenerListaVerificacion(),
+          edad: padrino.calcularEdad()
+        }))
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo padrinos:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Registrar padrino o madrina (queda pendiente de aprobación del párroco)
+   * POST /api/catequizandos/:id/padrinos
+   */
+  async createPadrino(req, res) {
+    try {
+      const { id } = req.params;
+      const { estado, revision, requisitos, partidas, creadoPor, ...padrinoData } = req.body;
+
+      const catequizando = await Catequizando.findOne(applyParroquiaFilter({ _id: id }, req.user))
+        .populate('familia', 'representantes');
+
+      if (!catequizando) {
+        return res.status(404).json({
+          success: false,
+          message: 'Catequizando no encontrado'
+        });
+      }
+
+      const campo = padrinoData.sacramento === SACRAMENTOS.CONFIRMACION ? 'confirmacion' : 'primeraComunion';
+      if (catequizando.sacramentos?.[campo]?.recibido) {
+        return res.status(400).json({
+          success: false,
+          message: 'El catequizando ya recibió este sacramento'
+        });
+      }
+
+      const padrino = new Padrino({
+        ...padrinoData,
+        parroquia: catequizando.parroquia,
+        catequizando: catequizando._id,
+        documentos: (padrinoData.documentos || []).map(documento => ({ ...documento, subidoPor: req.user.id })),
+        creadoPor: req.user.id
+      });
+
+      await padrino.evaluarRequisitos(catequizando);
+      await padrino.save();
+
+      return res.status(201).json({
+        success: true,
+        message: 'Padrino registrado exitosamente; pendiente de aprobación del párroco',
+        data: {
+          ...padrino.toObject(),
+          requisitos: padrino.obtenerListaVerificacion()
+        }
+      });
+
+    } catch (error) {
+      console.error('Error registrando padrino:', error);
+
+      // Un padrino y una madrina como máximo por sacramento (índice único)
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: `El catequizando ya tiene ${req.body.rol === 'madrina' ? 'madrina' : 'padrino'} registrado para este sacramento`
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Actualizar datos del padrino; si ya estaba aprobado vuelve a revisión
+   * PUT /api/catequizandos/:id/padrinos/:padrinoId
+   */
+  async updatePadrino(req, res) {
+    try {
+      const { id, padrinoId } = req.params;
+
+      const padrino = await Padrino.findOne(applyParroquiaFilter({ _id: padrinoId, catequizando: id }, req.user));
+
+      if (!padrino) {
+        return res.status(404).json({
+          success: false,
+          message: 'Padrino no encontrado'
+        });
+      }
+
+      if (padrino.estado === 'rechazado') {
+        return res.status(400).json({
+          success: false,
+          message: 'El padrino fue rechazado; registre uno nuevo'
+        });
+      }
+
+      const camposPermitidos = [
+        'nombres', 'apellidos', 'documentoIdentidad', 'fechaNacimiento',
+        'relacion', 'contacto', 'confirmado', 'primeraComunion'
+      ];
+
+      camposPermitidos.forEach(campo => {
+        if (req.body[campo] !== undefined) padrino.set(campo, req.body[campo]);
+      });
+
+      const requiereRevision = padrino.estado === 'aprobado' && padrino.isModified();
+      if (requiereRevision) {
+        padrino.estado = 'pendiente';
+        padrino.revision = undefined;
+      }
+
+      const catequizando = await Catequizando.findById(padrino.catequizando).populate('familia', 'representantes');
+      await padrino.evaluarRequisitos(catequizando);
+      await padrino.save();
+
+      return res.status(200).json({
+        success: true,
+        message: requiereRevision
+          ? 'Padrino actualizado; requiere nueva aprobación del párroco'
+          : 'Padrino actualizado exitosamente',
+        data: {
+          ...padrino.toObject(),
+          requisitos: padrino.obtenerListaVerificacion()
+        }
+      });
+
+    } catch (error) {
+      console.error('Error actualizando padrino:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Adjuntar referencia a un documento del padrino (identidad, certificados)
+   * POST /api/catequizandos/:id/padrinos/:padrinoId/documentos
+   */
+  async agregarDocumento(req, res) {
+    try {
+      const { id, padrinoId } = req.params;
+      const { tipo, nombre, url } = req.body;
+
+      const padrino = await Padrino.findOne(applyParroquiaFilter({ _id: padrinoId, catequizando: id }, req.user));
+
+      if (!padrino) {
+        return res.status(404).json({
+          success: false,
+          message: 'Padrino no encontrado'
+        });
+      }
+
+      padrino.documentos.push({ tipo, nombre, url, subidoPor: req.user.id });
+
+      const catequizando = await Catequizando.findById(padrino.catequizando).populate('familia', 'representantes');
+      await padrino.evaluarRequisitos(catequizando);
+      await padrino.save();
+
+      return res.status(201).json({
+        success: true,
+        message: 'Documento agregado exitosamente',
+        data: {
+          documento: padrino.documentos[padrino.documentos.length - 1],
+          requisitos: padrino.obtenerListaVerificacion()
+        }
+      });
+
+    } catch (error) {
+      console.error('Error agregando documento del padrino:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Marcar un requisito manual (ej. entrevista) o verificar un sacramento sin partida
+   * PUT /api/catequizandos/:id/padrinos/:padrinoId/requisitos/:requisito
+   */
+  async marcarRequisito(req, res) {
+    try {
+      const { id, padrinoId, requisito } = req.params;
+      const { cumplido, observacion } = req.body;
+
+      const padrino = await Padrino.findOne(applyParroquiaFilter({ _id: padrinoId, catequizando: id }, req.user));
+
+      if (!padrino) {
+        return res.status(404).json({
+          success: false,
+          message: 'Padrino no encontrado'
+        });
+      }
+
+      if (padrino.estado !== 'pendiente') {
+        return res.status(400).json({
+          success: false,
+          message: `No se puede modificar la lista de verificación de un padrino ${padrino.estado}`
+        });
+      }
+
+      const catequizando = await Catequizando.findById(padrino.catequizando).populate('familia', 'representantes');
+      await padrino.evaluarRequisitos(catequizando);
+
+      try {
+        padrino.marcarRequisito(requisito, { cumplido, observacion }, req.user.id);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      await padrino.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Requisito actualizado exitosamente',
+        data: padrino.obtenerListaVerificacion()
+      });
+
+    } catch (error) {
+      console.error('Error marcando requisito del padrino:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Aprobar padrino (párroco); exige la lista de verificación completa
+   * PUT /api/catequizandos/:id/padrinos/:padrinoId/aprobar
+   */
+  async aprobarPadrino(req, res) {
+    try {
+      const { id, padrinoId } = req.params;
+      const { observaciones } = req.body;
+
+      const padrino = await Padrino.findOne(applyParroquiaFilter({ _id: padrinoId, catequizando: id }, req.user));
+
+      if (!padrino) {
+        return res.status(404).json({
+          success: false,
+          message: 'Padrino no encontrado'
+        });
+      }
+
+      if (padrino.estado !== 'pendiente') {
+        return res.status(400).json({
+          success: false,
+          message: `El padrino ya fue ${padrino.estado}`
+        });
+      }
+
+      // Reevaluar por si cambiaron los datos de la familia o los libros
+      const catequizando = await Catequizando.findById(padrino.catequizando).populate('familia', 'representantes');
+      await padrino.evaluarRequisitos(catequizando);
+
+      try {
+        padrino.aprobar(req.user.id, observaciones);
+      } catch (error) {
+        await padrino.save();
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          data: padrino.obtenerListaVerificacion()
+        });
+      }
+
+      await padrino.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Padrino aprobado exitosamente',
+        data: padrino
+      });
+
+    } catch (error) {
+      console.error('Error aprobando padrino:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Rechazar padrino (párroco)
+   * PUT /api/catequizandos/:id/padrinos/:padrinoId/rechazar
+   */
+  async rechazarPadrino(req, res) {
+    try {
+      const { id, padrinoId } = req.params;
+      const { motivo } = req.body;
+
+      const padrino = await Padrino.findOne(applyParroquiaFilter({ _id: padrinoId, catequizando: id }, req.user));
+
+      if (!padrino) {
+        return res.status(404).json({
+          success: false,
+          message: 'Padrino no encontrado'
+        });
+      }
+
+      if (padrino.estado === 'rechazado') {
+        return res.status(400).json({
+          success: false,
+          message: 'El padrino ya fue rechazado'
+        });
+      }
+
+      padrino.rechazar(req.user.id, motivo);
+      await padrino.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Padrino rechazado',
+        data: padrino
+      });
+
+    } catch (error) {
+      console.error('Error rechazando padrino:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+}
+
+module.exports = new PadrinoController();
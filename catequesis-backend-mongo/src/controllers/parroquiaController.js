@@ -99,14 +99,6 @@ class ParroquiaController {
    */
   async createParroquia(req, res) {
     try {
-      // Verificar permisos
-      if (!['admin', 'parroco'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para crear parroquias'
-        });
-      }
-
       const parroquiaData = req.body;
 
       // Verificar que no exista una parroquia con el mismo nombre
@@ -157,19 +149,19 @@ class ParroquiaController {
       const { id } = req.params;
       const updateData = req.body;
 
-      // Verificar permisos
-      if (!['admin', 'parroco'].includes(req.user.tipoPerfil)) {
+      // Si es párroco, solo puede actualizar su propia parroquia
+      if (req.user.tipoPerfil === 'parroco' && req.user.parroquia?.toString() !== id) {
         return res.status(403).json({
           success: false,
-          message: 'No tienes permisos para actualizar parroquias'
+          message: 'Solo puedes actualizar tu propia parroquia'
         });
       }
 
-      // Si es párroco, solo puede actualizar su propia parroquia
-      if (req.user.tipoPerfil === 'parroco' && req.user.parroquia?.toString() !== id) {
+      // Las políticas de seguridad (ej. 2FA obligatorio) solo las define el administrador
+      if (req.user.tipoPerfil !== 'admin' && updateData.configuracion?.seguridad !== undefined) {
         return res.status(403).json({
           success: false,
-          message: 'Solo puedes actualizar tu propia parroquia'
+          message: 'Solo los administradores pueden cambiar las políticas de seguridad'
         });
       }
 
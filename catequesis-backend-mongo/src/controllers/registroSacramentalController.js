@@ -0,0 +1,353 @@
+const mongoose = require('mongoose');
+const { RegistroSacramental, Catequizando } = require('../models');
+const { applyParroquiaFilter } = require('../utils/queryhelpers');
+const { SACRAMENTOS } = require('../utils/constants');
+const { exportResponse } = require('../utils/response');
+const { generarPartidaPDF } = require('../utils/pdf');
+
+/**
+ * Controlador de Registros Sacramentales (libros parroquiales)
+ */
+class RegistroSacramentalController {
+  /**
+   * Buscar partidas sacramentales
+   * GET /api/sacramentos
+   */
+  async getAllRegistros(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        search = '',
+        sacramento,
+        libro,
+        catequizando,
+        fechaInicio,
+        fechaFin,
+        parroquia
+      } = req.query;
+
+      // Cada parroquia solo consulta sus libros
+      const filtros = applyParroquiaFilter({}, req.user);
+
+      if (req.user.tipoPerfil === 'admin' && parroquia) {
+        filtros.parroquia = parroquia;
+      }
+
+      if (sacramento) filtros.sacramento = sacramento;
+      if (libro) filtros.libro = parseInt(libro);
+      if (catequizando) filtros.catequizando = catequizando;
+
+      if (fechaInicio || fechaFin) {
+        filtros.fechaCelebracion = {};
+        if (fechaInicio) filtros.fechaCelebracion.$gte = new Date(fechaInicio);
+        if (fechaFin) filtros.fechaCelebracion.$lte = new Date(fechaFin);
+      }
+
+      const consulta = RegistroSacramental.buscar(filtros, search);
+      const conteo = RegistroSacramental.countDocuments(consulta.getFilter());
+
+      // Paginación
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [registros, total] = await Promise.all([
+        consulta
+          .populate('parroquia', 'nombre')
+          .skip(skip)
+          .limit(parseInt(limit)),
+        conteo
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Registros sacramentales obtenidos exitosamente',
+        data: {
+          registros: registros.map(registro => ({
+            ...registro.toObject(),
+            referencia: registro.obtenerReferencia(),
+            corregido: registro.notasMarginales.some(nota => nota.tipo === 'correccion')
+          })),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            totalItems: total,
+            itemsPerPage: parseInt(limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo registros sacramentales:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Resumen de libros por sacramento (partidas, último número, rango de fechas)
+   * GET /api/sacramentos/libros
+   */
+  async getLibros(req, res) {
+    try {
+      const { sacramento, parroquia } = req.query;
+
+      // aggregate no convierte a ObjectId
+      const filtros = applyParroquiaFilter({}, req.user);
+
+      if (req.user.tipoPerfil === 'admin' && parroquia) {
+        filtros.parroquia = new mongoose.Types.ObjectId(parroquia);
+      }
+
+      if (sacramento) filtros.sacramento = sacramento;
+
+      const libros = await RegistroSacramental.resumenLibros(filtros);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Libros sacramentales obtenidos exitosamente',
+        data: libros.map(libro => ({
+          ...libro,
+          siguienteNumero: libro.ultimoNumero + 1
+        }))
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo libros sacramentales:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener partida con sus notas marginales y los datos vigentes (con correcciones)
+   * GET /api/sacramentos/:id
+   */
+  async getRegistroById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const registro = await RegistroSacramental.findOne(applyParroquiaFilter({ _id: id }, req.user))
+        .populate('parroquia', 'nombre informacion.diocesis')
+        .populate('catequizando', 'nombres apellidos documentoIdentidad')
+        .populate('notasMarginales.registradoPor', 'datosPersonales.nombres datosPersonales.apellidos')
+        .populate('creadoPor', 'datosPersonales.nombres datosPersonales.apellidos');
+
+      if (!registro) {
+        return res.status(404).json({
+          success: false,
+          message: 'Registro sacramental no encontrado'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Registro sacramental obtenido exitosamente',
+        data: {
+          registro,
+          datosVigentes: registro.obtenerDatosVigentes()
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo registro sacramental:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Descargar la partida en PDF (con las correcciones marginales aplicadas)
+   * GET /api/sacramentos/:id/pdf
+   */
+  async getRegistroPDF(req, res) {
+    try {
+      const { id } = req.params;
+
+      const registro = await RegistroSacramental.findOne(applyParroquiaFilter({ _id: id }, req.user))
+        .populate('parroquia', 'nombre direccion informacion ubicacion');
+
+      if (!registro) {
+        return res.status(404).json({
+          success: false,
+          message: 'Registro sacramental no encontrado'
+        });
+      }
+
+      const pdf = await generarPartidaPDF(registro.obtenerDatosVigentes());
+
+      return exportResponse(
+        res,
+        pdf,
+        'pdf',
+        `partida-${registro.sacramento}-L${registro.libro}-N${registro.numero}.pdf`
+      );
+
+    } catch (error) {
+      console.error('Error generando PDF de partida:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Asentar una partida (el número se asigna en secuencia dentro del libro)
+   * POST /api/sacramentos
+   */
+  async createRegistro(req, res) {
+    try {
+      const { creadoPor, notasMarginales, ...registroData } = req.body;
+
+      // La partida pertenece a la parroquia del usuario (el admin debe indicarla)
+      if (req.user.tipoPerfil !== 'admin') {
+        registroData.parroquia = req.user.parroquia;
+      } else if (!registroData.parroquia) {
+        return res.status(400).json({
+          success: false,
+          message: 'La parroquia es requerida'
+        });
+      }
+
+      if (registroData.catequizando) {
+        const catequizando = await Catequizando.findOne({
+          _id: registroData.catequizando,
+          parroquia: registroData.parroquia
+        }).select('nombres apellidos documentoIdentidad fechaNacimiento');
+
+        if (!catequizando) {
+          return res.status(400).json({
+            success: false,
+            message: 'El catequizando no existe o pertenece a otra parroquia'
+          });
+        }
+
+        // Un mismo sacramento (salvo matrimonio) se recibe una sola vez
+        if (registroData.sacramento !== SACRAMENTOS.MATRIMONIO) {
+          const existente = await RegistroSacramental.findOne({
+            catequizando: catequizando._id,
+            sacramento: registroData.sacramento
+          });
+
+          if (existente) {
+            return res.status(409).json({
+              success: false,
+              message: `El catequizando ya tiene registrada esta partida (${existente.obtenerReferencia()})`
+            });
+          }
+        }
+
+        // Datos de la persona tomados del catequizando si no se indicaron
+        registroData.persona = {
+          nombres: catequizando.nombres,
+          apellidos: catequizando.apellidos,
+          documentoIdentidad: catequizando.documentoIdentidad,
+          fechaNacimiento: catequizando.fechaNacimiento,
+          ...registroData.persona
+        };
+      }
+
+      const registro = await RegistroSacramental.registrar(registroData, req.user.id);
+
+      return res.status(201).json({
+        success: true,
+        message: `Partida asentada exitosamente (${registro.obtenerReferencia()})`,
+        data: registro
+      });
+
+    } catch (error) {
+      console.error('Error creando registro sacramental:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'Ya existe una partida con ese número en el libro'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Agregar nota marginal (corrección, anotación o nulidad); la partida original no se modifica
+   * POST /api/sacramentos/:id/notas
+   */
+  async agregarNotaMarginal(req, res) {
+    try {
+      const { id } = req.params;
+      const { tipo, contenido, campo, valorCorregido, autorizadoPor } = req.body;
+
+      const registro = await RegistroSacramental.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!registro) {
+        return res.status(404).json({
+          success: false,
+          message: 'Registro sacramental no encontrado'
+        });
+      }
+
+      const nota = registro.agregarNotaMarginal({
+        tipo,
+        contenido,
+        campo,
+        valorCorregido,
+        autorizadoPor
+      }, req.user.id);
+
+      await registro.save();
+
+      return res.status(201).json({
+        success: true,
+        message: 'Nota marginal registrada exitosamente',
+        data: {
+          nota,
+          datosVigentes: registro.obtenerDatosVigentes()
+        }
+      });
+
+    } catch (error) {
+      console.error('Error agregando nota marginal:', error);
+
+      if (error.message.includes('no admite corrección') ||
+          error.message.includes('El valor corregido')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+}
+
+module.exports = new RegistroSacramentalController();
@@ -0,0 +1,413 @@
+const { Rol, Usuario } = require('../models');
+const { RECURSOS, ACCIONES } = require('../utils/constants');
+const { applyParroquiaFilter } = require('../utils/queryhelpers');
+
+/**
+ * Permisos que el usuario intenta otorgar sin tenerlos (el admin puede otorgar cualquiera)
+ */
+const permisosExcedentes = async (usuarioAuth, permisos = []) => {
+  if (usuarioAuth.tipoPerfil === 'admin') return [];
+
+  const usuario = await Usuario.findById(usuarioAuth.id);
+  const propios = usuario ? await usuario.obtenerPermisos() : [];
+
+  return Rol.permisosNoConcedidos(permisos, propios);
+};
+
+/**
+ * Controlador de Roles y Permisos
+ */
+class RolController {
+  /**
+   * Obtener la matriz de permisos por perfil y el catálogo de recursos/acciones
+   * GET /api/roles/matriz
+   */
+  async getMatriz(req, res) {
+    try {
+      const perfiles = await Rol.obtenerMatriz();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Matriz de permisos obtenida exitosamente',
+        data: {
+          recursos: Object.values(RECURSOS),
+          acciones: Object.values(ACCIONES),
+          perfiles
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo matriz de permisos:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Actualizar permisos de un perfil (rol del sistema)
+   * PUT /api/roles/perfil/:tipoPerfil
+   */
+  async updatePerfil(req, res) {
+    try {
+      const { tipoPerfil } = req.params;
+      const { permisos } = req.body;
+
+      // Solo admin puede modificar la matriz de perfiles
+      if (req.user.tipoPerfil !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Solo los administradores pueden modificar los permisos de los perfiles'
+        });
+      }
+
+      // El perfil admin conserva siempre todos los permisos
+      if (tipoPerfil === 'admin') {
+        return res.status(400).json({
+          success: false,
+          message: 'Los permisos del perfil administrador no se pueden modificar'
+        });
+      }
+
+      let rol = await Rol.findOne({ sistema: true, nombre: tipoPerfil });
+
+      if (!rol) {
+        rol = new Rol({
+          nombre: tipoPerfil,
+          sistema: true,
+          descripcion: `Permisos del perfil ${tipoPerfil}`,
+          creadoPor: req.user.id
+        });
+      }
+
+      rol.permisos = permisos;
+      rol.activo = true;
+      await rol.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Permisos del perfil actualizados exitosamente',
+        data: rol
+      });
+
+    } catch (error) {
+      console.error('Error actualizando permisos de perfil:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Restablecer permisos por defecto de un perfil
+   * DELETE /api/roles/perfil/:tipoPerfil
+   */
+  async resetPerfil(req, res) {
+    try {
+      const { tipoPerfil } = req.params;
+
+      if (req.user.tipoPerfil !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Solo los administradores pueden modificar los permisos de los perfiles'
+        });
+      }
+
+      await Rol.deleteOne({ sistema: true, nombre: tipoPerfil });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Permisos del perfil restablecidos a los valores por defecto',
+        data: {
+          perfil: tipoPerfil,
+          permisos: Rol.obtenerPermisosPorDefecto(tipoPerfil)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error restableciendo permisos de perfil:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener roles personalizados
+   * GET /api/roles
+   */
+  async getAllRoles(req, res) {
+    try {
+      const { parroquia, activos = 'all' } = req.query;
+
+      const filtros = { sistema: false };
+
+      // Admin ve todos; los demás ven los globales y los de su parroquia
+      if (req.user.tipoPerfil !== 'admin') {
+        filtros.parroquia = { $in: [null, req.user.parroquia] };
+      } else if (parroquia) {
+        filtros.parroquia = parroquia;
+      }
+
+      if (activos !== 'all') {
+        filtros.activo = activos === 'true';
+      }
+
+      const roles = await Rol.find(filtros)
+        .populate('parroquia', 'nombre')
+        .sort({ nombre: 1 });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Roles obtenidos exitosamente',
+        data: roles
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo roles:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener rol por ID
+   * GET /api/roles/:id
+   */
+  async getRolById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const rol = await Rol.findById(id).populate('parroquia', 'nombre');
+
+      if (!rol) {
+        return res.status(404).json({
+          success: false,
+          message: 'Rol no encontrado'
+        });
+      }
+
+      if (req.user.tipoPerfil !== 'admin' && rol.parroquia &&
+          req.user.parroquia?.toString() !== rol.parroquia._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tienes acceso a este rol'
+        });
+      }
+
+      // Los roles globales se asignan en todas las parroquias; cada párroco solo ve los de la suya
+      const usuarios = await Usuario.find(applyParroquiaFilter({ roles: rol._id }, req.user))
+        .select('username tipoPerfil datosPersonales.nombres datosPersonales.apellidos');
+
+      return res.status(200).json({
+        success: true,
+        message: 'Rol obtenido exitosamente',
+        data: {
+          ...rol.toObject(),
+          usuarios
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo rol:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Crear rol personalizado
+   * POST /api/roles
+   */
+  async createRol(req, res) {
+    try {
+      const { nombre, descripcion, permisos } = req.body;
+      let { parroquia } = req.body;
+
+      // Los roles de parroquia los crea su párroco; los globales solo el admin
+      if (req.user.tipoPerfil !== 'admin') {
+        parroquia = req.user.parroquia;
+      }
+
+      const excedentes = await permisosExcedentes(req.user, permisos);
+      if (excedentes.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'No puedes otorgar permisos que no tienes',
+          errors: excedentes
+        });
+      }
+
+      const rol = new Rol({
+        nombre,
+        descripcion,
+        permisos,
+        parroquia: parroquia || null,
+        creadoPor: req.user.id
+      });
+
+      await rol.save();
+
+      return res.status(201).json({
+        success: true,
+        message: 'Rol creado exitosamente',
+        data: rol
+      });
+
+    } catch (error) {
+      console.error('Error creando rol:', error);
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'Ya existe un rol con ese nombre'
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Actualizar rol personalizado
+   * PUT /api/roles/:id
+   */
+  async updateRol(req, res) {
+    try {
+      const { id } = req.params;
+      const { descripcion, permisos, activo } = req.body;
+
+      const rol = await Rol.findById(id);
+
+      if (!rol || rol.sistema) {
+        return res.status(404).json({
+          success: false,
+          message: 'Rol no encontrado'
+        });
+      }
+
+      if (req.user.tipoPerfil !== 'admin' &&
+          (!rol.parroquia || req.user.parroquia?.toString() !== rol.parroquia.toString())) {
+        return res.status(403).json({
+          success: false,
+          message: 'Solo puedes modificar roles de tu parroquia'
+        });
+      }
+
+      if (permisos !== undefined) {
+        const excedentes = await permisosExcedentes(req.user, permisos);
+        if (excedentes.length > 0) {
+          return res.status(403).json({
+            success: false,
+            message: 'No puedes otorgar permisos que no tienes',
+            errors: excedentes
+          });
+        }
+      }
+
+      if (descripcion !== undefined) rol.descripcion = descripcion;
+      if (permisos !== undefined) rol.permisos = permisos;
+      if (activo !== undefined) rol.activo = activo;
+
+      await rol.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Rol actualizado exitosamente',
+        data: rol
+      });
+
+    } catch (error) {
+      console.error('Error actualizando rol:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Eliminar rol personalizado (se quita de los usuarios que lo tengan)
+   * DELETE /api/roles/:id
+   */
+  async deleteRol(req, res) {
+    try {
+      const { id } = req.params;
+
+      const rol = await Rol.findById(id);
+
+      if (!rol || rol.sistema) {
+        return res.status(404).json({
+          success: false,
+          message: 'Rol no encontrado'
+        });
+      }
+
+      if (req.user.tipoPerfil !== 'admin' &&
+          (!rol.parroquia || req.user.parroquia?.toString() !== rol.parroquia.toString())) {
+        return res.status(403).json({
+          success: false,
+          message: 'Solo puedes eliminar roles de tu parroquia'
+        });
+      }
+
+      const resultado = await Usuario.updateMany({ roles: rol._id }, { $pull: { roles: rol._id } });
+      await Rol.findByIdAndDelete(id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Rol eliminado exitosamente',
+        data: {
+          id: rol._id,
+          nombre: rol.nombre,
+          usuariosAfectados: resultado.modifiedCount
+        }
+      });
+
+    } catch (error) {
+      console.error('Error eliminando rol:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+}
+
+module.exports = new RolController();
@@ -0,0 +1,412 @@
+const { Sesion, Grupo, Nivel, Asistencia } = require('../models');
+const { applyParroquiaFilter } = require('../utils/queryhelpers');
+
+/**
+ * Los catequistas solo gestionan las sesiones de sus grupos
+ */
+const puedeGestionar = (grupo, usuario) => {
+  if (usuario.tipoPerfil !== 'catequista') return true;
+
+  return grupo.catequistas.some(cat => cat.usuario.toString() === usuario.id && cat.activo);
+};
+
+/**
+ * Tema del programa del nivel (Nivel.contenido.temas)
+ */
+const buscarTemaNivel = async (nivelId, temaId) => {
+  const nivel = await Nivel.findById(nivelId).select('contenido.temas');
+  return nivel?.contenido?.temas?.id(temaId) || null;
+};
+
+/**
+ * Controlador de Sesiones de clase de los grupos
+ */
+class SesionController {
+  /**
+   * Obtener las sesiones del grupo con el número de asistentes
+   * GET /api/grupos/:id/sesiones
+   */
+  async getSesiones(req, res) {
+    try {
+      const { id } = req.params;
+      const { estado, tipo, fechaInicio, fechaFin } = req.query;
+
+      const grupo = await Grupo.findOne(applyParroquiaFilter({ _id: id }, req.user)).select('_id');
+
+      if (!grupo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Grupo no encontrado'
+        });
+      }
+
+      const filtros = { grupo: grupo._id };
+      if (estado) filtros.estado = estado;
+      if (tipo) filtros.tipo = tipo;
+      if (fechaInicio || fechaFin) {
+        filtros.fecha = {};
+        if (fechaInicio) filtros.fecha.$gte = new Date(fechaInicio);
+        if (fechaFin) filtros.fecha.$lte = new Date(fechaFin);
+      }
+
+      const sesiones = await Sesion.find(filtros)
+        .populate('catequista', 'datosPersonales.nombres datosPersonales.apellidos')
+        .sort({ fecha: 1 });
+
+      const conteos = await Asistencia.aggregate([
+        { $match: { sesion: { $in: sesiones.map(s => s._id) } } },
+        {
+          $group: {
+            _id: '$sesion',
+            registros: { $sum: 1 },
+            asistentes: { $sum: { $cond: ['$asistio', 1, 0] } }
+          }
+        }
+      ]);
+      const porSesion = new Map(conteos.map(c => [c._id.toString(), c]));
+
+      return res.status(200).json({
+        success: true,
+        message: 'Sesiones obtenidas exitosamente',
+        data: sesiones.map(sesion => ({
+          ...sesion.toObject(),
+          registrosAsistencia: porSesion.get(sesion._id.toString())?.registros || 0,
+          asistentes: porSesion.get(sesion._id.toString())?.asistentes || 0
+        }))
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo sesiones:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Clases impartidas y cobertura de temas del grupo
+   * GET /api/grupos/:id/sesiones/resumen
+   */
+  async getResumen(req, res) {
+    try {
+      const { id } = req.params;
+
+      const grupo = await Grupo.findOne(applyParroquiaFilter({ _id: id }, req.user))
+        .select('nombre nivel periodo');
+
+      if (!grupo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Grupo no encontrado'
+        });
+      }
+
+      const resumen = await Sesion.obtenerResumenGrupo(grupo);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Resumen de sesiones obtenido exitosamente',
+        data: {
+          grupo,
+          ...resumen
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo resumen de sesiones:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Generar las sesiones del grupo según su horario, calendario y temas del nivel
+   * POST /api/grupos/:id/sesiones/generar
+   */
+  async generarSesiones(req, res) {
+    try {
+      const { id } = req.params;
+      const { desde, hasta, regenerar = false } = req.body;
+
+      const grupo = await Grupo.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!grupo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Grupo no encontrado'
+        });
+      }
+
+      const resultado = await Sesion.generarParaGrupo(grupo, {
+        desde,
+        hasta,
+        regenerar,
+        usuario: req.user.id
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: `${resultado.creadas} sesiones generadas exitosamente`,
+        data: resultado
+      });
+
+    } catch (error) {
+      console.error('Error generando sesiones:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Programar una sesión fuera del calendario (extraordinaria, retiro, evento)
+   * POST /api/grupos/:id/sesiones
+   */
+  async createSesion(req, res) {
+    try {
+      const { id } = req.params;
+      const { fecha, horaInicio, horaFin, tipo = 'extraordinaria', temaId, tema, catequista, observaciones } = req.body;
+
+      const grupo = await Grupo.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!grupo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Grupo no encontrado'
+        });
+      }
+
+      const sesion = new Sesion({
+        parroquia: grupo.parroquia,
+        grupo: grupo._id,
+        fecha,
+        horaInicio: horaInicio || grupo.horarios.horaInicio,
+        horaFin: horaFin || grupo.horarios.horaFin,
+        tipo,
+        catequista,
+        observaciones,
+        origen: 'manual',
+        creadaPor: req.user.id
+      });
+
+      if (temaId) {
+        const temaNivel = await buscarTemaNivel(grupo.nivel, temaId);
+        if (!temaNivel) {
+          return res.status(400).json({
+            success: false,
+            message: 'El tema no pertenece al programa del nivel'
+          });
+        }
+        sesion.asignarTema(temaNivel);
+      } else if (tema) {
+        sesion.tema = { nombre: tema };
+      }
+
+      await sesion.save();
+
+      return res.status(201).json({
+        success: true,
+        message: 'Sesión programada exitosamente',
+        data: sesion
+      });
+
+    } catch (error) {
+      console.error('Error creando sesión:', error);
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'El grupo ya tiene una sesión en esa fecha'
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Actualizar tema, catequista, horario o duración de la sesión
+   * PUT /api/grupos/:id/sesiones/:sesionId
+   */
+  async updateSesion(req, res) {
+    try {
+      const { id, sesionId } = req.params;
+      const { temaId, tema } = req.body;
+
+      const grupo = await Grupo.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!grupo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Grupo no encontrado'
+        });
+      }
+
+      if (!puedeGestionar(grupo, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'No estás asignado a este grupo'
+        });
+      }
+
+      const sesion = await Sesion.findOne({ _id: sesionId, grupo: grupo._id });
+
+      if (!sesion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sesión no encontrada'
+        });
+      }
+
+      if (sesion.estado === 'cancelada') {
+        return res.status(400).json({
+          success: false,
+          message: 'No se puede modificar una sesión cancelada'
+        });
+      }
+
+      const camposPermitidos = ['horaInicio', 'horaFin', 'tipo', 'catequista', 'duracionMinutos', 'observaciones'];
+      camposPermitidos.forEach(campo => {
+        if (req.body[campo] !== undefined) sesion.set(campo, req.body[campo]);
+      });
+
+      if (temaId) {
+        const temaNivel = await buscarTemaNivel(grupo.nivel, temaId);
+        if (!temaNivel) {
+          return res.status(400).json({
+            success: false,
+            message: 'El tema no pertenece al programa del nivel'
+          });
+        }
+        sesion.asignarTema(temaNivel);
+      } else if (tema !== undefined) {
+        sesion.tema = tema ? { nombre: tema } : undefined;
+      }
+
+      await sesion.save();
+
+      // Mantener el tema y tipo copiados en los registros de asistencia
+      if (sesion.estado === 'realizada') {
+        await Asistencia.updateMany(
+          { sesion: sesion._id },
+          { $set: { tema: sesion.tema?.nombre, tipoClase: sesion.tipo } }
+        );
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Sesión actualizada exitosamente',
+        data: sesion
+      });
+
+    } catch (error) {
+      console.error('Error actualizando sesión:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Cancelar una sesión (sin asistencia registrada)
+   * PUT /api/grupos/:id/sesiones/:sesionId/cancelar
+   */
+  async cancelarSesion(req, res) {
+    try {
+      const { id, sesionId } = req.params;
+      const { motivo } = req.body;
+
+      const grupo = await Grupo.findOne(applyParroquiaFilter({ _id: id }, req.user));
+
+      if (!grupo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Grupo no encontrado'
+        });
+      }
+
+      if (!puedeGestionar(grupo, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'No estás asignado a este grupo'
+        });
+      }
+
+      const sesion = await Sesion.findOne({ _id: sesionId, grupo: grupo._id });
+
+      if (!sesion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sesión no encontrada'
+        });
+      }
+
+      if (sesion.estado === 'cancelada') {
+        return res.status(400).json({
+          success: false,
+          message: 'La sesión ya fue cancelada'
+        });
+      }
+
+      try {
+        await sesion.cancelar(motivo, req.user.id);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      await sesion.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Sesión cancelada',
+        data: sesion
+      });
+
+    } catch (error) {
+      console.error('Error cancelando sesión:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+}
+
+module.exports = new SesionController();
@@ -1,4 +1,4 @@
-const { Usuario, Parroquia } = require('../models');
+const { Usuario, Parroquia, SesionUsuario, Rol } = require('../models');
 const bcrypt = require('bcryptjs');
 
 /**
@@ -134,14 +134,6 @@ class UsuarioController {
    */
   async createUsuario(req, res) {
     try {
-      // Solo admin y párroco pueden crear usuarios
-      if (!['admin', 'parroco'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para crear usuarios'
-        });
-      }
-
       const usuarioData = req.body;
 
       // Verificar que no exista el username
@@ -242,13 +234,15 @@ class UsuarioController {
       const { id } = req.params;
       const updateData = req.body;
 
-      // Verificar permisos básicos
-      if (!['admin', 'parroco', 'secretaria'].includes(req.user.tipoPerfil) && 
-          req.user.id !== id) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para actualizar usuarios'
-        });
+      // Verificar permisos básicos (cada usuario puede actualizar sus propios datos)
+      if (req.user.id !== id) {
+        const solicitante = await Usuario.findById(req.user.id);
+        if (!solicitante || !(await solicitante.tienePermiso('usuarios', 'update'))) {
+          return res.status(403).json({
+            success: false,
+            message: 'No tienes permisos para actualizar usuarios'
+          });
+        }
       }
 
       const usuario = await Usuario.findById(id);
@@ -419,6 +413,7 @@ class UsuarioController {
       }
 
       await Usuario.findByIdAndDelete(id);
+      await SesionUsuario.deleteMany({ usuario: id });
 
       return res.status(200).json({
         success: true,
@@ -444,14 +439,6 @@ class UsuarioController {
       const { id } = req.params;
       const { activo } = req.body;
 
-      // Solo admin y párroco pueden cambiar estado
-      if (!['admin', 'parroco'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para cambiar el estado de usuarios'
-        });
-      }
-
       const usuario = await Usuario.findById(id);
       if (!usuario) {
         return res.status(404).json({
@@ -480,6 +467,15 @@ class UsuarioController {
       usuario.activo = activo;
       await usuario.save();
 
+      // Al desactivar, cerrar todas las sesiones abiertas del usuario
+      let sesionesCerradas = 0;
+      if (!usuario.activo) {
+        const resultado = await SesionUsuario.revocarPorUsuario(usuario._id, 'usuario_desactivado', {
+          revocadaPor: req.user.id
+        });
+        sesionesCerradas = resultado.modifiedCount;
+      }
+
       const mensaje = activo ? 'Usuario activado exitosamente' : 'Usuario desactivado exitosamente';
 
       return res.status(200).json({
@@ -488,7 +484,8 @@ class UsuarioController {
         data: {
           id: usuario._id,
           username: usuario.username,
-          activo: usuario.activo
+          activo: usuario.activo,
+          sesionesCerradas
         }
       });
 
@@ -509,14 +506,6 @@ class UsuarioController {
     try {
       const { id } = req.params;
 
-      // Solo admin y párroco pueden desbloquear
-      if (!['admin', 'parroco'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para desbloquear usuarios'
-        });
-      }
-
       const usuario = await Usuario.findById(id);
       if (!usuario) {
         return res.status(404).json({
@@ -536,6 +525,22 @@ class UsuarioController {
 
       await usuario.desbloquear();
 
+      // Las sesiones previas al bloqueo se reanudan, salvo que se pida cerrarlas
+      // (por ejemplo, si el bloqueo se debió a un posible acceso indebido)
+      let sesionesCerradas = 0;
+      if (req.body?.cerrarSesiones === true) {
+        const resultado = await SesionUsuario.revocarPorUsuario(usuario._id, 'admin', {
+          revocadaPor: req.user.id
+        });
+        sesionesCerradas = resultado.modifiedCount;
+      }
+
+      const sesionesActivas = await SesionUsuario.countDocuments({
+        usuario: usuario._id,
+        revocada: false,
+        expira: { $gt: new Date() }
+      });
+
       return res.status(200).json({
         success: true,
         message: 'Usuario desbloqueado exitosamente',
@@ -543,7 +548,9 @@ class UsuarioController {
           id: usuario._id,
           username: usuario.username,
           bloqueadoHasta: usuario.bloqueadoHasta,
-          intentosFallidos: usuario.intentosFallidos
+          intentosFallidos: usuario.intentosFallidos,
+          sesionesActivas,
+          sesionesCerradas
         }
       });
 
@@ -565,14 +572,6 @@ class UsuarioController {
       const { id } = req.params;
       const { nuevaPassword } = req.body;
 
-      // Solo admin y párroco pueden resetear contraseñas
-      if (!['admin', 'parroco'].includes(req.user.tipoPerfil)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para resetear contraseñas'
-        });
-      }
-
       const usuario = await Usuario.findById(id);
       if (!usuario) {
         return res.status(404).json({
@@ -606,6 +605,11 @@ class UsuarioController {
       
       await usuario.save();
 
+      // Cerrar las sesiones abiertas con la contraseña anterior
+      await SesionUsuario.revocarPorUsuario(usuario._id, 'cambio_password', {
+        revocadaPor: req.user.id
+      });
+
       return res.status(200).json({
         success: true,
         message: 'Contraseña reseteada exitosamente',
@@ -765,6 +769,249 @@ class UsuarioController {
     }
   }
 
+  /**
+   * Obtener sesiones activas de un usuario
+   * GET /api/usuarios/:id/sessions
+   */
+  async getUsuarioSessions(req, res) {
+    try {
+      const { id } = req.params;
+
+      const usuario = await Usuario.findById(id);
+      if (!usuario) {
+        return res.status(404).json({
+          success: false,
+          message: 'Usuario no encontrado'
+        });
+      }
+
+      // Verificar permisos de parroquia si no es admin
+      if (req.user.tipoPerfil !== 'admin' && 
+          req.user.parroquia?.toString() !== usuario.parroquia?.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'No puedes ver sesiones de usuarios de otras parroquias'
+        });
+      }
+
+      const sesiones = await SesionUsuario.obtenerActivasPorUsuario(usuario._id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Sesiones obtenidas exitosamente',
+        data: {
+          usuario: {
+            id: usuario._id,
+            username: usuario.username
+          },
+          sesiones: sesiones.map(sesion => sesion.obtenerResumen(req.user.sesion))
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo sesiones de usuario:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Cerrar todas las sesiones de un usuario
+   * DELETE /api/usuarios/:id/sessions
+   */
+  async revokeUsuarioSessions(req, res) {
+    try {
+      const { id } = req.params;
+
+      const usuario = await Usuario.findById(id);
+      if (!usuario) {
+        return res.status(404).json({
+          success: false,
+          message: 'Usuario no encontrado'
+        });
+      }
+
+      // Verificar permisos de parroquia si no es admin
+      if (req.user.tipoPerfil !== 'admin' && 
+          req.user.parroquia?.toString() !== usuario.parroquia?.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'No puedes cerrar sesiones de usuarios de otras parroquias'
+        });
+      }
+
+      const resultado = await SesionUsuario.revocarPorUsuario(usuario._id, 'admin', {
+        revocadaPor: req.user.id
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `${resultado.modifiedCount} sesiones cerradas`,
+        data: {
+          id: usuario._id,
+          username: usuario.username,
+          sesionesCerradas: resultado.modifiedCount
+        }
+      });
+
+    } catch (error) {
+      console.error('Error cerrando sesiones de usuario:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Asignar roles personalizados a un usuario
+   * PUT /api/usuarios/:id/roles
+   */
+  async asignarRoles(req, res) {
+    try {
+      const { id } = req.params;
+      const { roles } = req.body;
+
+      const usuario = await Usuario.findById(id);
+      if (!usuario) {
+        return res.status(404).json({
+          success: false,
+          message: 'Usuario no encontrado'
+        });
+      }
+
+      // Verificar permisos de parroquia si no es admin
+      if (req.user.tipoPerfil !== 'admin' && 
+          req.user.parroquia?.toString() !== usuario.parroquia?.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'No puedes asignar roles a usuarios de otras parroquias'
+        });
+      }
+
+      // Solo roles personalizados activos, globales o de la parroquia del usuario
+      const rolesValidos = await Rol.find({
+        _id: { $in: roles },
+        sistema: false,
+        activo: true,
+        parroquia: { $in: [null, usuario.parroquia] }
+      });
+
+      if (rolesValidos.length !== new Set(roles.map(String)).size) {
+        return res.status(400).json({
+          success: false,
+          message: 'Uno o más roles no existen, están inactivos o pertenecen a otra parroquia'
+        });
+      }
+
+      // Nadie puede asignar (ni asignarse) roles con permisos que no tiene
+      if (req.user.tipoPerfil !== 'admin') {
+        const asignador = await Usuario.findById(req.user.id);
+        const excedentes = Rol.permisosNoConcedidos(
+          rolesValidos.flatMap(rol => rol.permisos),
+          await asignador.obtenerPermisos()
+        );
+
+        if (excedentes.length > 0) {
+          return res.status(403).json({
+            success: false,
+            message: 'No puedes asignar roles con permisos que no tienes',
+            errors: excedentes
+          });
+        }
+      }
+
+      usuario.roles = rolesValidos.map(rol => rol._id);
+      await usuario.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Roles asignados exitosamente',
+        data: {
+          id: usuario._id,
+          username: usuario.username,
+          roles: rolesValidos.map(rol => ({ id: rol._id, nombre: rol.nombre })),
+          permisos: await usuario.obtenerPermisos()
+        }
+      });
+
+    } catch (error) {
+      console.error('Error asignando roles:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Resetear 2FA de un usuario (p. ej. si perdió su dispositivo y sus códigos)
+   * DELETE /api/usuarios/:id/2fa
+   */
+  async resetDosFactores(req, res) {
+    try {
+      const { id } = req.params;
+
+      // Solo admin puede resetear 2FA
+      if (req.user.tipoPerfil !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Solo los administradores pueden resetear la autenticación de dos factores'
+        });
+      }
+
+      // No puede resetear su propio 2FA
+      if (req.user.id === id) {
+        return res.status(400).json({
+          success: false,
+          message: 'No puedes resetear tu propia autenticación de dos factores'
+        });
+      }
+
+      const usuario = await Usuario.findById(id);
+      if (!usuario) {
+        return res.status(404).json({
+          success: false,
+          message: 'Usuario no encontrado'
+        });
+      }
+
+      if (!usuario.dosFactores?.habilitado) {
+        return res.status(400).json({
+          success: false,
+          message: 'El usuario no tiene habilitada la autenticación de dos factores'
+        });
+      }
+
+      usuario.desactivarDosFactores();
+      await usuario.save();
+
+      // Cerrar sus sesiones para que vuelva a iniciar sesión y configure 2FA de nuevo
+      const resultado = await SesionUsuario.revocarPorUsuario(usuario._id, 'admin', {
+        revocadaPor: req.user.id
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Autenticación de dos factores reseteada exitosamente',
+        data: {
+          id: usuario._id,
+          username: usuario.username,
+          sesionesCerradas: resultado.modifiedCount
+        }
+      });
+
+    } catch (error) {
+      console.error('Error reseteando 2FA de usuario:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
   /**
    * Limpiar bloqueos expirados
    * POST /api/usuarios/limpiar-bloqueos
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
-const { Usuario } = require('../models');
+const mongoose = require('mongoose');
+const { Usuario, SesionUsuario, AuditLog } = require('../models');
 const config = require('../config/environment');
 
 /**
@@ -19,10 +20,20 @@ const authenticateToken = async (req, res, next) => {
 
     // Verificar el token
     const decoded = jwt.verify(token, config.jwt.secret);
+
+    // Verificar que la sesión asociada siga activa
+    const sesion = decoded.sid ? await SesionUsuario.findById(decoded.sid) : null;
+
+    if (!sesion || !sesion.estaActiva() || sesion.usuario.toString() !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión inválida o revocada'
+      });
+    }
     
     // Buscar el usuario
     const usuario = await Usuario.findById(decoded.id)
-      .populate('parroquia', 'nombre')
+      .populate('parroquia', 'nombre configuracion.seguridad')
       .select('-password');
 
     if (!usuario) {
@@ -40,6 +51,17 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Si la política exige 2FA y aún no está configurado, solo se permiten las rutas de /auth
+    const configurar2FA = usuario.requiereDosFactores() && !usuario.dosFactores?.habilitado;
+
+    if (configurar2FA && !req.baseUrl.endsWith('/auth')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Debes configurar la autenticación de dos factores para continuar',
+        configurar2FA: true
+      });
+    }
+
     // Agregar usuario a la request
     req.user = {
       id: usuario._id.toString(),
@@ -47,9 +69,19 @@ const authenticateToken = async (req, res, next) => {
       tipoPerfil: usuario.tipoPerfil,
       parroquia: usuario.parroquia?._id,
       datosPersonales: usuario.datosPersonales,
-      primerLogin: usuario.primerLogin
+      primerLogin: usuario.primerLogin,
+      configurar2FA,
+      sesion: sesion._id.toString()
     };
 
+    // Registrar actividad de la sesión (como máximo una vez por minuto)
+    if (Date.now() - sesion.ultimaActividad.getTime() > 60 * 1000) {
+      SesionUsuario.updateOne(
+        { _id: sesion._id },
+        { $set: { ultimaActividad: new Date(), 'dispositivo.ip': req.ip } }
+      ).catch(error => console.error('Error actualizando actividad de sesión:', error));
+    }
+
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -118,7 +150,7 @@ const requireSameParroquia = (req, res, next) => {
 };
 
 /**
- * Middleware para verificar permisos específicos
+ * Middleware para verificar permisos por recurso y acción (matriz de roles)
  */
 const requirePermission = (recurso, accion) => {
   return async (req, res, next) => {
@@ -130,10 +162,10 @@ const requirePermission = (recurso, accion) => {
         });
       }
 
-      // Buscar usuario completo para verificar permisos
+      // Buscar usuario completo para evaluar su perfil y roles personalizados
       const usuario = await Usuario.findById(req.user.id);
       
-      if (!usuario || !usuario.tienePermiso(recurso, accion)) {
+      if (!usuario || !(await usuario.tienePermiso(recurso, accion))) {
         return res.status(403).json({
           success: false,
           message: 'No tienes permisos para realizar esta acción'
@@ -151,6 +183,20 @@ const requirePermission = (recurso, accion) => {
   };
 };
 
+/**
+ * Exigir además el permiso de exportación cuando el listado se pide como archivo (?format=csv|xlsx|pdf)
+ */
+const requireExportPermission = (recurso) => {
+  const verificarExportacion = requirePermission(recurso, 'export');
+
+  return (req, res, next) => {
+    const { format = 'json' } = req.query;
+    if (format === 'json') return next();
+
+    return verificarExportacion(req, res, next);
+  };
+};
+
 /**
  * Middleware opcional - no falla si no hay token
  */
@@ -165,17 +211,19 @@ const optionalAuth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, config.jwt.secret);
+    const sesion = decoded.sid ? await SesionUsuario.findById(decoded.sid) : null;
     const usuario = await Usuario.findById(decoded.id)
       .populate('parroquia', 'nombre')
       .select('-password');
 
-    if (usuario && usuario.estaActivo()) {
+    if (usuario && usuario.estaActivo() && sesion?.estaActiva()) {
       req.user = {
         id: usuario._id.toString(),
         username: usuario.username,
         tipoPerfil: usuario.tipoPerfil,
         parroquia: usuario.parroquia?._id,
-        datosPersonales: usuario.datosPersonales
+        datosPersonales: usuario.datosPersonales,
+        sesion: sesion._id.toString()
       };
     } else {
       req.user = null;
@@ -254,17 +302,120 @@ const userRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
 };
 
 /**
- * Middleware para logging de actividad
+ * Middleware de rate limiting por username (rutas públicas)
  */
-const logActivity = (accion) => {
+const usernameRateLimit = (maxRequests = 5, windowMs = 60 * 60 * 1000) => {
+  const usernameRequests = new Map();
+  const intervaloLimpieza = Math.min(windowMs, 60 * 1000);
+  let ultimaLimpieza = Date.now();
+
   return (req, res, next) => {
+    const now = Date.now();
+    const windowStart = now - windowMs;
+
+    // Descartar los usernames cuya ventana ya expiró para que el Map no crezca sin límite
+    if (now - ultimaLimpieza >= intervaloLimpieza) {
+      for (const [clave, tiempos] of usernameRequests) {
+        if (tiempos[tiempos.length - 1] <= windowStart) {
+          usernameRequests.delete(clave);
+        }
+      }
+      ultimaLimpieza = now;
+    }
+
+    const username = req.body?.username?.toString().toLowerCase().trim();
+
+    if (!username) {
+      return next();
+    }
+
+    const requestTimes = (usernameRequests.get(username) || []).filter(time => time > windowStart);
+
+    if (requestTimes.length >= maxRequests) {
+      usernameRequests.set(username, requestTimes);
+      return res.status(429).json({
+        success: false,
+        message: 'Demasiadas solicitudes para este usuario. Intenta de nuevo más tarde.',
+        retryAfter: Math.ceil((requestTimes[0] + windowMs - now) / 1000)
+      });
+    }
+
+    requestTimes.push(now);
+    usernameRequests.set(username, requestTimes);
+
+    next();
+  };
+};
+
+// Modelo afectado según el prefijo de la ruta (rutas que no declaran su entidad)
+const ENTIDADES_POR_RUTA = {
+  auth: 'Usuario',
+  usuarios: 'Usuario',
+  parroquias: 'Parroquia',
+  niveles: 'Nivel',
+  catequizandos: 'Catequizando',
+  familias: 'Familia',
+  grupos: 'Grupo',
+  inscripciones: 'Inscripcion',
+  asistencias: 'Asistencia',
+  certificados: 'Certificado',
+  sacramentos: 'RegistroSacramental',
+  celebraciones: 'Celebracion',
+  roles: 'Rol'
+};
+
+const METODOS_ESCRITURA = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const obtenerSnapshot = async (modelo, id) => {
+  if (!modelo || !mongoose.isValidObjectId(id)) return null;
+
+  try {
+    return await mongoose.model(modelo).findById(id).lean();
+  } catch (error) {
+    console.error('Error obteniendo estado para auditoría:', error);
+    return null;
+  }
+};
+
+/**
+ * Middleware para registrar actividad en la auditoría (AuditLog)
+ * Registra las operaciones de escritura exitosas y, si se configura, también las lecturas.
+ * En actualizaciones y eliminaciones guarda la diferencia antes/después del recurso.
+ * Las rutas anidadas declaran su entidad: { modelo, idParam } (idParam null si la
+ * ruta no identifica al recurso, que se toma entonces de la respuesta).
+ */
+const logActivity = (accion, entidad = {}) => {
+  return async (req, res, next) => {
+    const esEscritura = METODOS_ESCRITURA.includes(req.method);
+
+    if (!esEscritura && !config.auditoria.registrarLecturas) {
+      return next();
+    }
+
+    const modelo = entidad.modelo || ENTIDADES_POR_RUTA[req.baseUrl.split('/').pop()];
+    let idParametro;
+    if (entidad.idParam !== undefined) {
+      idParametro = entidad.idParam ? req.params[entidad.idParam] : undefined;
+    } else {
+      idParametro = req.baseUrl.endsWith('/auth') ? req.user?.id : req.params.id;
+    }
+
+    // Estado previo del recurso para calcular cambios
+    const antes = esEscritura && idParametro ? await obtenerSnapshot(modelo, idParametro) : null;
+
     // Guardar información original de res.json
     const originalJson = res.json;
 
     res.json = function(data) {
-      // Log solo si la operación fue exitosa
-      if (data && data.success && req.user) {
-        console.log(`[ACTIVITY] ${new Date().toISOString()} - ${req.user.username} (${req.user.tipoPerfil}) - ${accion} - ${req.method} ${req.originalUrl}`);
+      // Registrar solo si la operación fue exitosa
+      if (data && data.success) {
+        // En el login no hay req.user: el actor es el usuario autenticado en la respuesta
+        const actor = req.user || data.data?.usuario || null;
+
+        if (actor) {
+          registrarAuditoria({ req, accion, actor, modelo, idParametro, antes, data })
+            .catch(error => console.error('Error registrando auditoría:', error));
+        }
       }
 
       // Llamar al método original
@@ -275,6 +426,34 @@ const logActivity = (accion) => {
   };
 };
 
+const registrarAuditoria = async ({ req, accion, actor, modelo, idParametro, antes, data }) => {
+  const entidadId = idParametro || data.data?._id || data.data?.id || data.data?.usuario?.id;
+  let cambios = [];
+  let despues = null;
+
+  if (antes) {
+    despues = req.method === 'DELETE' ? null : await obtenerSnapshot(modelo, entidadId);
+    cambios = AuditLog.calcularCambios(antes, despues || {});
+  }
+
+  const recurso = despues || antes;
+  const parroquia = modelo === 'Parroquia' ? entidadId : recurso?.parroquia;
+
+  if (config.server.nodeEnv === 'development') {
+    console.log(`[ACTIVITY] ${new Date().toISOString()} - ${actor.username} (${actor.tipoPerfil}) - ${accion} - ${req.method} ${req.originalUrl}`);
+  }
+
+  return AuditLog.registrar({
+    actor,
+    accion,
+    modelo,
+    entidadId,
+    parroquia,
+    cambios,
+    req
+  });
+};
+
 /**
  * Middleware para verificar acceso a recursos por parroquia
  */
@@ -320,9 +499,11 @@ module.exports = {
   requireRole,
   requireSameParroquia,
   requirePermission,
+  requireExportPermission,
   optionalAuth,
   checkFirstLogin,
   userRateLimit,
+  usernameRateLimit,
   logActivity,
   checkParroquiaAccess
 };
\ No newline at end of file
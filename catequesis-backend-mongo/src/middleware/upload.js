@@ -0,0 +1,55 @@
+const path = require('path');
+const multer = require('multer');
+const { ALLOWED_FILE_TYPES, MAX_FILE_SIZES } = require('../utils/constants');
+
+/**
+ * Middleware de carga de un único archivo en memoria
+ * Valida la extensión y el tamaño y responde 400 con un mensaje en español si no cumple
+ */
+const uploadSingle = (campo, {
+  extensiones = ALLOWED_FILE_TYPES.ALL,
+  tamanoMaximo = MAX_FILE_SIZES.GENERAL
+} = {}) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: tamanoMaximo, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+
+      if (!extensiones.includes(extension)) {
+        return cb(new Error(`Tipo de archivo no permitido. Extensiones válidas: ${extensiones.join(', ')}`));
+      }
+
+      cb(null, true);
+    }
+  }).single(campo);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `El archivo no puede exceder ${Math.round(tamanoMaximo / 1024 / 1024)}MB`
+          : error.message;
+
+        return res.status(400).json({
+          success: false,
+          message
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: `Debe adjuntar un archivo en el campo "${campo}"`
+        });
+      }
+
+      req.file.extension = path.extname(req.file.originalname).toLowerCase();
+      next();
+    });
+  };
+};
+
+module.exports = {
+  uploadSingle
+};
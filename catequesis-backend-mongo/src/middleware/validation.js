@@ -1,5 +1,7 @@
 const { body, param, query, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const { RECURSOS, ACCIONES, TIPOS_PERFIL, SACRAMENTOS, SINCRONIZACION_CONFIG, TIPOS_ALERTA } = require('../utils/constants');
+const { FORMATOS_EXPORTACION, columnasInvalidas } = require('../utils/exportacion');
 
 /**
  * Middleware para manejar errores de validación
@@ -144,6 +146,91 @@ const authValidations = {
       .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).*$/)
       .withMessage('La contraseña debe contener al menos una mayúscula, una minúscula y un número'),
     
+    handleValidationErrors
+  ],
+
+  refreshToken: [
+    body('refreshToken')
+      .trim()
+      .notEmpty()
+      .withMessage('El refresh token es requerido')
+      .matches(/^[a-f0-9]{24}\.[a-f0-9]{80}$/)
+      .withMessage('Refresh token inválido'),
+    
+    handleValidationErrors
+  ],
+
+  forgotPassword: [
+    body('username')
+      .trim()
+      .notEmpty()
+      .withMessage('El nombre de usuario es requerido')
+      .isLength({ min: 3, max: 50 })
+      .withMessage('El username debe tener entre 3 y 50 caracteres'),
+    
+    handleValidationErrors
+  ],
+
+  resetPassword: [
+    body('token')
+      .trim()
+      .notEmpty()
+      .withMessage('El token es requerido')
+      .isHexadecimal()
+      .withMessage('Token inválido')
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Token inválido'),
+    
+    body('passwordNueva')
+      .isLength({ min: 6, max: 100 })
+      .withMessage('La nueva contraseña debe tener entre 6 y 100 caracteres')
+      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).*$/)
+      .withMessage('La contraseña debe contener al menos una mayúscula, una minúscula y un número'),
+    
+    handleValidationErrors
+  ],
+
+  loginDosFactores: [
+    body('tokenDesafio')
+      .trim()
+      .notEmpty()
+      .withMessage('El token de desafío es requerido')
+      .isJWT()
+      .withMessage('Token de desafío inválido'),
+    
+    body('codigo')
+      .trim()
+      .notEmpty()
+      .withMessage('El código de verificación es requerido')
+      .isLength({ min: 6, max: 11 })
+      .withMessage('Código de verificación inválido'),
+    
+    handleValidationErrors
+  ],
+
+  codigoDosFactores: [
+    body('codigo')
+      .trim()
+      .notEmpty()
+      .withMessage('El código de verificación es requerido')
+      .matches(/^\d{6}$/)
+      .withMessage('El código debe tener 6 dígitos'),
+    
+    handleValidationErrors
+  ],
+
+  disableDosFactores: [
+    body('password')
+      .notEmpty()
+      .withMessage('La contraseña es requerida'),
+    
+    body('codigo')
+      .trim()
+      .notEmpty()
+      .withMessage('El código de verificación es requerido')
+      .isLength({ min: 6, max: 11 })
+      .withMessage('Código de verificación inválido'),
+    
     handleValidationErrors
   ]
 };
@@ -257,6 +344,14 @@ const catequizandoValidations = {
       .isIn(['masculino', 'femenino'])
       .withMessage('Género debe ser masculino o femenino'),
     
+    body('parroquia')
+      .optional()
+      .custom(customValidators.isValidObjectId),
+    
+    body('familia')
+      .optional({ nullable: true })
+      .custom(customValidators.isValidObjectId),
+    
     body('contacto.email')
       .optional()
       .isEmail()
@@ -290,6 +385,202 @@ const catequizandoValidations = {
       .matches(/^[a-zA-ZáéíóúÁÉÍÓÚñÑ\s]+$/)
       .withMessage('Los apellidos solo pueden contener letras y espacios'),
     
+    handleValidationErrors
+  ],
+
+  duplicados: [
+    query('umbral')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('El umbral debe estar entre 1 y 100'),
+
+    query('limite')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('El límite debe estar entre 1 y 500'),
+
+    handleValidationErrors
+  ],
+
+  importar: [
+    body('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun debe ser verdadero o falso')
+      .toBoolean(),
+
+    body('validarCedula')
+      .optional()
+      .isBoolean()
+      .withMessage('validarCedula debe ser verdadero o falso')
+      .toBoolean(),
+
+    body('mapeo')
+      .optional()
+      .isJSON()
+      .withMessage('El mapeo de columnas debe ser un objeto JSON { campo: "Columna" }'),
+
+    body('parroquia')
+      .optional()
+      .custom(customValidators.isValidObjectId),
+
+    body('grupo')
+      .optional()
+      .custom(customValidators.isValidObjectId),
+
+    handleValidationErrors
+  ],
+
+  fusionar: [
+    param('id')
+      .custom(customValidators.isValidObjectId),
+
+    body('duplicado')
+      .notEmpty()
+      .withMessage('El catequizando duplicado es requerido')
+      .custom(customValidators.isValidObjectId),
+
+    body('usarDocumentoDuplicado')
+      .optional()
+      .isBoolean()
+      .withMessage('usarDocumentoDuplicado debe ser verdadero o falso')
+      .toBoolean(),
+
+    handleValidationErrors
+  ],
+
+  transferir: [
+    param('id')
+      .custom(customValidators.isValidObjectId),
+
+    body('parroquia')
+      .notEmpty()
+      .withMessage('La parroquia de destino es requerida')
+      .custom(customValidators.isValidObjectId),
+
+    body('motivo')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('El motivo no puede exceder 300 caracteres'),
+
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validaciones para familias y representantes
+ */
+const representantesValidation = [
+  body('representantes.*.nombres')
+    .trim()
+    .notEmpty()
+    .withMessage('Los nombres del representante son requeridos')
+    .isLength({ max: 50 })
+    .withMessage('Los nombres del representante no pueden exceder 50 caracteres'),
+  
+  body('representantes.*.apellidos')
+    .trim()
+    .notEmpty()
+    .withMessage('Los apellidos del representante son requeridos')
+    .isLength({ max: 50 })
+    .withMessage('Los apellidos del representante no pueden exceder 50 caracteres'),
+  
+  body('representantes.*.relacion')
+    .optional()
+    .isIn(['padre', 'madre', 'tutor', 'abuelo', 'tio', 'hermano', 'otro'])
+    .withMessage('Relación no válida'),
+  
+  body('representantes.*.telefono')
+    .optional()
+    .matches(/^[\d\-\s\+\(\)]+$/)
+    .withMessage('Formato de teléfono inválido'),
+  
+  body('representantes.*.email')
+    .optional()
+    .isEmail()
+    .withMessage('Email inválido'),
+  
+  body('representantes.*.preferenciasContacto.medio')
+    .optional()
+    .isIn(['telefono', 'whatsapp', 'sms', 'email'])
+    .withMessage('Medio de contacto no válido')
+];
+
+const familiaValidations = {
+  create: [
+    body('nombre')
+      .trim()
+      .notEmpty()
+      .withMessage('El nombre de la familia es requerido')
+      .isLength({ max: 100 })
+      .withMessage('El nombre de la familia no puede exceder 100 caracteres'),
+    
+    body('parroquia')
+      .optional()
+      .custom(customValidators.isValidObjectId),
+    
+    body('representantes')
+      .isArray({ min: 1 })
+      .withMessage('Debe indicar al menos un representante'),
+    
+    ...representantesValidation,
+    
+    body('catequizandos')
+      .optional()
+      .isArray()
+      .withMessage('Los catequizandos deben ser una lista'),
+    
+    body('catequizandos.*')
+      .custom(customValidators.isValidObjectId),
+    
+    handleValidationErrors
+  ],
+
+  update: [
+    param('id')
+      .custom(customValidators.isValidObjectId),
+    
+    body('nombre')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('El nombre de la familia no puede exceder 100 caracteres'),
+    
+    body('representantes')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Debe indicar al menos un representante'),
+    
+    ...representantesValidation,
+    
+    body('activa')
+      .optional()
+      .isBoolean()
+      .withMessage('Activa debe ser verdadero o falso'),
+    
+    handleValidationErrors
+  ],
+
+  vincular: [
+    param('id')
+      .custom(customValidators.isValidObjectId),
+    
+    body('catequizando')
+      .notEmpty()
+      .withMessage('El catequizando es requerido')
+      .custom(customValidators.isValidObjectId),
+    
+    handleValidationErrors
+  ],
+
+  desvincular: [
+    param('id')
+      .custom(customValidators.isValidObjectId),
+    
+    param('catequizandoId')
+      .custom(customValidators.isValidObjectId),
+    
     handleValidationErrors
   ]
 };
@@ -393,6 +684,12 @@ const inscripcionValidations = {
     body('grupo')
       .custom(customValidators.isValidObjectId)
       .withMessage('Grupo inválido'),
+
+    body('listaEspera')
+      .optional()
+      .isBoolean()
+      .withMessage('listaEspera debe ser verdadero o falso')
+      .toBoolean(),
     
     handleValidationErrors
   ],
@@ -413,6 +710,42 @@ const inscripcionValidations = {
       .isIn(['efectivo', 'transferencia', 'cheque', 'tarjeta', 'otro'])
       .withMessage('Método de pago inválido'),
     
+    handleValidationErrors
+  ],
+
+  pagosPendientes: [
+    query('parroquia')
+      .optional()
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Parroquia inválida'),
+
+    handleValidationErrors
+  ],
+
+  transferir: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Inscripción inválida'),
+
+    body('grupo')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Grupo de destino inválido'),
+
+    body('motivo')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('El motivo no puede exceder 300 caracteres'),
+
+    handleValidationErrors
+  ],
+
+  tokenEnlaceQR: [
+    param('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Enlace del código QR inválido'),
+
     handleValidationErrors
   ]
 };
@@ -467,53 +800,1144 @@ const asistenciaValidations = {
       .isBoolean()
       .withMessage('El estado de asistencia debe ser verdadero o falso'),
     
-    handleValidationErrors
-  ]
-};
-
-/**
- * Validaciones para parámetros comunes
- */
-const commonValidations = {
-  objectId: [
-    param('id')
-      .custom(customValidators.isValidObjectId)
-      .withMessage('ID inválido'),
-    
     handleValidationErrors
   ],
 
-  pagination: [
-    query('page')
+  sincronizar: [
+    param('grupoId')
+      .custom(customValidators.isValidObjectId),
+
+    body('tokenSincronizacion')
       .optional()
-      .isInt({ min: 1 })
-      .withMessage('La página debe ser un número entero mayor a 0'),
-    
-    query('limit')
+      .isString()
+      .withMessage('Token de sincronización inválido'),
+
+    body('dispositivo')
       .optional()
-      .isInt({ min: 1, max: 100 })
-      .withMessage('El límite debe ser un número entre 1 y 100'),
-    
-    handleValidationErrors
-  ],
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('El identificador del dispositivo no puede exceder 100 caracteres'),
 
-  dateRange: [
-    query('fechaInicio')
+    body('cambios')
       .optional()
+      .isArray({ max: SINCRONIZACION_CONFIG.MAX_CAMBIOS })
+      .withMessage(`Se pueden sincronizar hasta ${SINCRONIZACION_CONFIG.MAX_CAMBIOS} cambios por lote`),
+
+    body('cambios.*.clienteId')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Cada cambio debe tener un identificador')
+      .isLength({ max: 100 })
+      .withMessage('El identificador del cambio no puede exceder 100 caracteres'),
+
+    body('cambios.*.tipo')
+      .isIn(['asistencia', 'observacion'])
+      .withMessage('Tipo de cambio inválido'),
+
+    body('cambios.*.inscripcion')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Inscripción inválida'),
+
+    body('cambios.*.fecha')
       .isISO8601()
-      .withMessage('Fecha de inicio inválida'),
-    
-    query('fechaFin')
+      .withMessage('Fecha inválida')
+      .custom(customValidators.isNotFutureDate),
+
+    body('cambios.*.capturadoEn')
       .optional()
       .isISO8601()
-      .withMessage('Fecha de fin inválida')
-      .custom((value, { req }) => {
-        if (req.query.fechaInicio && new Date(value) <= new Date(req.query.fechaInicio)) {
-          throw new Error('La fecha de fin debe ser posterior a la fecha de inicio');
-        }
-        return true;
-      }),
-    
+      .withMessage('Fecha de captura inválida'),
+
+    body('cambios.*.version')
+      .optional()
+      .isISO8601()
+      .withMessage('Versión inválida'),
+
+    body('cambios.*.asistio')
+      .if((value, { req, path }) => req.body.cambios[path.match(/\d+/)[0]]?.tipo === 'asistencia')
+      .isBoolean()
+      .withMessage('El estado de asistencia debe ser verdadero o falso'),
+
+    body('cambios.*.detalles.horaLlegada')
+      .optional()
+      .custom(customValidators.isValidTime),
+
+    body('cambios.*.contenido')
+      .if((value, { req, path }) => req.body.cambios[path.match(/\d+/)[0]]?.tipo === 'observacion')
+      .trim()
+      .notEmpty()
+      .withMessage('El contenido de la observación es requerido')
+      .isLength({ max: 300 })
+      .withMessage('La observación no puede exceder 300 caracteres'),
+
+    body('cambios.*.tipoObservacion')
+      .optional()
+      .isIn(['general', 'academica', 'conductual', 'salud'])
+      .withMessage('Tipo de observación inválido'),
+
+    handleValidationErrors
+  ],
+
+  checkinQR: [
+    body('codigo')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('El código QR es requerido')
+      .isLength({ max: 200 })
+      .withMessage('Código QR inválido'),
+
+    body('ubicacion.latitud')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitud inválida'),
+
+    body('ubicacion.longitud')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitud inválida'),
+
+    handleValidationErrors
+  ],
+
+  solicitarJustificacion: [
+    param('id')
+      .custom(customValidators.isValidObjectId),
+
+    handleValidationErrors
+  ],
+
+  revisarJustificacion: [
+    param('id')
+      .custom(customValidators.isValidObjectId),
+
+    body('decision')
+      .isIn(['aprobada', 'rechazada'])
+      .withMessage('La decisión debe ser aprobada o rechazada'),
+
+    body('comentario')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('El comentario no puede exceder 300 caracteres'),
+
+    handleValidationErrors
+  ],
+
+  tokenJustificacion: [
+    param('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Enlace de justificación inválido'),
+
+    handleValidationErrors
+  ],
+
+  enviarJustificacion: [
+    param('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Enlace de justificación inválido'),
+
+    body('motivo')
+      .isIn(['enfermedad', 'viaje', 'compromiso_familiar', 'clima', 'transporte', 'otro'])
+      .withMessage('Motivo de ausencia inválido'),
+
+    body('descripcion')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('La descripción no puede exceder 500 caracteres'),
+
+    body('documento')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('La referencia del documento no puede exceder 300 caracteres'),
+
+    body('representante')
+      .trim()
+      .notEmpty()
+      .withMessage('El nombre de quien justifica es requerido')
+      .isLength({ max: 100 })
+      .withMessage('El nombre del representante no puede exceder 100 caracteres'),
+
+    handleValidationErrors
+  ],
+
+  reporte: [
+    query('parroquia')
+      .optional()
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Parroquia inválida'),
+
+    query('grupo')
+      .optional()
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Grupo inválido'),
+
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validaciones para listas de espera de grupos
+ */
+const listaEsperaValidations = {
+  listar: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Grupo inválido'),
+
+    query('historial')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('historial debe ser true o false'),
+
+    handleValidationErrors
+  ],
+
+  orden: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Grupo inválido'),
+
+    body('orden')
+      .isArray({ min: 1 })
+      .withMessage('El orden debe ser una lista de catequizandos'),
+
+    body('orden.*')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Catequizando inválido'),
+
+    handleValidationErrors
+  ],
+
+  entrada: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Grupo inválido'),
+
+    param('catequizandoId')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Catequizando inválido'),
+
+    body('motivo')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('El motivo no puede exceder 200 caracteres'),
+
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validaciones para sesiones de clase de los grupos
+ */
+const sesionValidations = {
+  listar: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Grupo inválido'),
+
+    query('estado')
+      .optional()
+      .isIn(['programada', 'realizada', 'cancelada'])
+      .withMessage('Estado de sesión no válido'),
+
+    query('tipo')
+      .optional()
+      .isIn(['regular', 'extraordinaria', 'examen', 'retiro', 'celebracion', 'evento'])
+      .withMessage('Tipo de sesión no válido'),
+
+    handleValidationErrors
+  ],
+
+  generar: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Grupo inválido'),
+
+    body('desde')
+      .optional()
+      .isISO8601()
+      .withMessage('Fecha desde inválida'),
+
+    body('hasta')
+      .optional()
+      .isISO8601()
+      .withMessage('Fecha hasta inválida'),
+
+    body('regenerar')
+      .optional()
+      .isBoolean()
+      .withMessage('regenerar debe ser verdadero o falso')
+      .toBoolean(),
+
+    handleValidationErrors
+  ],
+
+  create: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Grupo inválido'),
+
+    body('fecha')
+      .isISO8601()
+      .withMessage('Fecha inválida'),
+
+    body('horaInicio')
+      .optional()
+      .custom(customValidators.isValidTime),
+
+    body('horaFin')
+      .optional()
+      .custom(customValidators.isValidTime),
+
+    body('tipo')
+      .optional()
+      .isIn(['regular', 'extraordinaria', 'examen', 'retiro', 'celebracion', 'evento'])
+      .withMessage('Tipo de sesión no válido'),
+
+    body('temaId')
+      .optional()
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Tema inválido'),
+
+    body('tema')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('El tema no puede exceder 200 caracteres'),
+
+    body('catequista')
+      .optional()
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Catequista inválido'),
+
+    handleValidationErrors
+  ],
+
+  update: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Grupo inválido'),
+
+    param('sesionId')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Sesión inválida'),
+
+    body('horaInicio')
+      .optional()
+      .custom(customValidators.isValidTime),
+
+    body('horaFin')
+      .optional()
+      .custom(customValidators.isValidTime),
+
+    body('tipo')
+      .optional()
+      .isIn(['regular', 'extraordinaria', 'examen', 'retiro', 'celebracion', 'evento'])
+      .withMessage('Tipo de sesión no válido'),
+
+    body('temaId')
+      .optional()
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Tema inválido'),
+
+    body('tema')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('El tema no puede exceder 200 caracteres'),
+
+    body('catequista')
+      .optional()
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Catequista inválido'),
+
+    body('duracionMinutos')
+      .optional()
+      .isInt({ min: 0, max: 720 })
+      .withMessage('La duración debe estar entre 0 y 720 minutos'),
+
+    body('observaciones')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Las observaciones no pueden exceder 500 caracteres'),
+
+    handleValidationErrors
+  ],
+
+  cancelar: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Grupo inválido'),
+
+    param('sesionId')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Sesión inválida'),
+
+    body('motivo')
+      .trim()
+      .notEmpty()
+      .withMessage('El motivo de cancelación es requerido')
+      .isLength({ max: 200 })
+      .withMessage('El motivo no puede exceder 200 caracteres'),
+
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validaciones para alertas de catequizandos en riesgo
+ */
+const alertaValidations = {
+  listarGrupo: [
+    param('id')
+      .custom(customValidators.isValidObjectId),
+
+    query('estado')
+      .optional()
+      .isIn(['activa', 'reconocida', 'resuelta', 'todas'])
+      .withMessage('Estado de alerta inválido'),
+
+    query('tipo')
+      .optional()
+      .isIn(TIPOS_ALERTA)
+      .withMessage('Tipo de alerta inválido'),
+
+    query('severidad')
+      .optional()
+      .isIn(['media', 'alta'])
+      .withMessage('Severidad inválida'),
+
+    handleValidationErrors
+  ],
+
+  panel: [
+    query('parroquia')
+      .optional()
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Parroquia inválida'),
+
+    handleValidationErrors
+  ],
+
+  evaluar: [
+    body('grupo')
+      .optional()
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Grupo inválido'),
+
+    handleValidationErrors
+  ],
+
+  reconocer: [
+    param('id')
+      .custom(customValidators.isValidObjectId),
+
+    body('nota')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('La nota no puede exceder 300 caracteres'),
+
+    handleValidationErrors
+  ],
+
+  resolver: [
+    param('id')
+      .custom(customValidators.isValidObjectId),
+
+    body('nota')
+      .trim()
+      .notEmpty()
+      .withMessage('Indique cómo se atendió la alerta')
+      .isLength({ max: 300 })
+      .withMessage('La nota no puede exceder 300 caracteres'),
+
+    handleValidationErrors
+  ],
+
+  nota: [
+    param('id')
+      .custom(customValidators.isValidObjectId),
+
+    body('contenido')
+      .trim()
+      .notEmpty()
+      .withMessage('El contenido de la nota es requerido')
+      .isLength({ max: 300 })
+      .withMessage('La nota no puede exceder 300 caracteres'),
+
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validaciones para registros sacramentales
+ */
+const registroSacramentalValidations = {
+  create: [
+    body('sacramento')
+      .isIn(Object.values(SACRAMENTOS))
+      .withMessage('Sacramento no válido'),
+
+    body('libro')
+      .isInt({ min: 1 })
+      .withMessage('El número de libro debe ser un entero mayor a 0'),
+
+    body('folio')
+      .isInt({ min: 1 })
+      .withMessage('El folio debe ser un entero mayor a 0'),
+
+    body('numero')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('El número de partida debe ser un entero mayor a 0'),
+
+    body('fechaCelebracion')
+      .isISO8601()
+      .withMessage('Fecha de celebración inválida')
+      .custom(customValidators.isNotFutureDate),
+
+    body('ministro.nombre')
+      .trim()
+      .notEmpty()
+      .withMessage('El ministro es requerido'),
+
+    body('catequizando')
+      .optional()
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Catequizando inválido'),
+
+    body('persona')
+      .if(body('catequizando').not().exists())
+      .isObject()
+      .withMessage('Los datos de la persona son requeridos'),
+
+    body('padrinos')
+      .optional()
+      .isArray({ max: 4 })
+      .withMessage('Se permiten como máximo 4 padrinos o testigos'),
+
+    body('conyuge')
+      .if(body('sacramento').equals(SACRAMENTOS.MATRIMONIO))
+      .isObject()
+      .withMessage('Los datos del cónyuge son requeridos para el matrimonio'),
+
+    handleValidationErrors
+  ],
+
+  nota: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('ID inválido'),
+
+    body('tipo')
+      .isIn(['correccion', 'nulidad', 'otra'])
+      .withMessage('Tipo de nota no válido (correccion, nulidad, otra)'),
+
+    body('contenido')
+      .trim()
+      .isLength({ min: 5, max: 1000 })
+      .withMessage('La nota debe tener entre 5 y 1000 caracteres'),
+
+    body('campo')
+      .if(body('tipo').equals('correccion'))
+      .isString()
+      .notEmpty()
+      .withMessage('Debe indicar el campo que se corrige'),
+
+    body('valorCorregido')
+      .if(body('tipo').equals('correccion'))
+      .exists({ checkNull: true })
+      .withMessage('Debe indicar el valor corregido'),
+
+    handleValidationErrors
+  ],
+
+  buscar: [
+    query('sacramento')
+      .optional()
+      .isIn(Object.values(SACRAMENTOS))
+      .withMessage('Sacramento no válido'),
+
+    query('libro')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('El número de libro debe ser un entero mayor a 0'),
+
+    query('parroquia')
+      .optional()
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Parroquia inválida'),
+
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validaciones para celebraciones de sacramentos
+ */
+const celebracionValidations = {
+  create: [
+    body('nivel')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Nivel inválido'),
+
+    body('fecha')
+      .isISO8601()
+      .withMessage('Fecha de celebración inválida'),
+
+    body('lugar')
+      .trim()
+      .notEmpty()
+      .withMessage('El templo es requerido'),
+
+    body('celebrante.nombre')
+      .trim()
+      .notEmpty()
+      .withMessage('El celebrante es requerido'),
+
+    handleValidationErrors
+  ],
+
+  update: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('ID inválido'),
+
+    body('fecha')
+      .optional()
+      .isISO8601()
+      .withMessage('Fecha de celebración inválida'),
+
+    body('confirmar')
+      .optional()
+      .isBoolean()
+      .withMessage('confirmar debe ser verdadero o falso'),
+
+    handleValidationErrors
+  ],
+
+  candidatos: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('ID inválido'),
+
+    body('catequizandos')
+      .optional()
+      .isArray()
+      .withMessage('catequizandos debe ser una lista'),
+
+    body('catequizandos.*')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Catequizando inválido'),
+
+    handleValidationErrors
+  ],
+
+  candidato: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('ID inválido'),
+
+    param('catequizandoId')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Catequizando inválido'),
+
+    body('estado')
+      .optional()
+      .isIn(['convocado', 'confirmado', 'retirado'])
+      .withMessage('Estado no válido (convocado, confirmado, retirado)'),
+
+    handleValidationErrors
+  ],
+
+  orden: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('ID inválido'),
+
+    body('orden')
+      .optional()
+      .isArray()
+      .withMessage('El orden debe ser una lista de catequizandos'),
+
+    body('orden.*')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Catequizando inválido'),
+
+    handleValidationErrors
+  ],
+
+  ensayo: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('ID inválido'),
+
+    body('fecha')
+      .isISO8601()
+      .withMessage('Fecha del ensayo inválida'),
+
+    handleValidationErrors
+  ],
+
+  celebrar: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('ID inválido'),
+
+    body('libro')
+      .isInt({ min: 1 })
+      .withMessage('El número de libro debe ser un entero mayor a 0')
+      .toInt(),
+
+    body('folioInicial')
+      .isInt({ min: 1 })
+      .withMessage('El folio inicial debe ser un entero mayor a 0')
+      .toInt(),
+
+    body('partidasPorFolio')
+      .optional()
+      .isInt({ min: 1, max: 20 })
+      .withMessage('Las partidas por folio deben estar entre 1 y 20')
+      .toInt(),
+
+    body('ausentes')
+      .optional()
+      .isArray()
+      .withMessage('ausentes debe ser una lista de catequizandos'),
+
+    handleValidationErrors
+  ],
+
+  cancelar: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('ID inválido'),
+
+    body('motivo')
+      .trim()
+      .isLength({ min: 5, max: 300 })
+      .withMessage('El motivo debe tener entre 5 y 300 caracteres'),
+
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validaciones para padrinos y madrinas
+ */
+const padrinoParams = [
+  param('id')
+    .custom(customValidators.isValidObjectId)
+    .withMessage('Catequizando inválido'),
+
+  param('padrinoId')
+    .custom(customValidators.isValidObjectId)
+    .withMessage('Padrino inválido')
+];
+
+const documentoPadrinoValidation = (prefijo) => [
+  body(`${prefijo}tipo`)
+    .isIn(['documento_identidad', 'fe_bautismo', 'certificado_confirmacion', 'certificado_matrimonio', 'constancia_idoneidad', 'otro'])
+    .withMessage('Tipo de documento no válido'),
+
+  body(`${prefijo}url`)
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('La referencia del archivo es requerida (máximo 500 caracteres)'),
+
+  body(`${prefijo}nombre`)
+    .optional()
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage('El nombre del archivo no puede exceder 150 caracteres')
+];
+
+const padrinoValidations = {
+  listar: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Catequizando inválido'),
+
+    query('sacramento')
+      .optional()
+      .isIn([SACRAMENTOS.PRIMERA_COMUNION, SACRAMENTOS.CONFIRMACION])
+      .withMessage('Sacramento no válido'),
+
+    query('estado')
+      .optional()
+      .isIn(['pendiente', 'aprobado', 'rechazado'])
+      .withMessage('Estado no válido'),
+
+    handleValidationErrors
+  ],
+
+  create: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Catequizando inválido'),
+
+    body('sacramento')
+      .isIn([SACRAMENTOS.PRIMERA_COMUNION, SACRAMENTOS.CONFIRMACION])
+      .withMessage('Solo se registran padrinos de primera comunión o confirmación'),
+
+    body('rol')
+      .isIn(['padrino', 'madrina'])
+      .withMessage('Rol no válido (padrino o madrina)'),
+
+    body('nombres')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Los nombres deben tener entre 2 y 100 caracteres'),
+
+    body('apellidos')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Los apellidos deben tener entre 2 y 100 caracteres'),
+
+    body('fechaNacimiento')
+      .isISO8601()
+      .withMessage('Fecha de nacimiento del padrino inválida'),
+
+    body('documentoIdentidad')
+      .optional()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage('El documento no puede exceder 20 caracteres'),
+
+    body('contacto.email')
+      .optional()
+      .isEmail()
+      .withMessage('Email inválido'),
+
+    body('documentos')
+      .optional()
+      .isArray()
+      .withMessage('documentos debe ser una lista'),
+
+    ...documentoPadrinoValidation('documentos.*.'),
+
+    handleValidationErrors
+  ],
+
+  update: [
+    ...padrinoParams,
+
+    body('fechaNacimiento')
+      .optional()
+      .isISO8601()
+      .withMessage('Fecha de nacimiento del padrino inválida'),
+
+    body('contacto.email')
+      .optional()
+      .isEmail()
+      .withMessage('Email inválido'),
+
+    body('confirmado')
+      .optional()
+      .isBoolean()
+      .withMessage('confirmado debe ser verdadero o falso'),
+
+    body('primeraComunion')
+      .optional()
+      .isBoolean()
+      .withMessage('primeraComunion debe ser verdadero o falso'),
+
+    handleValidationErrors
+  ],
+
+  documento: [
+    ...padrinoParams,
+    ...documentoPadrinoValidation(''),
+    handleValidationErrors
+  ],
+
+  requisito: [
+    ...padrinoParams,
+
+    body('cumplido')
+      .isBoolean()
+      .withMessage('cumplido debe ser verdadero o falso'),
+
+    body('observacion')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('La observación no puede exceder 300 caracteres'),
+
+    handleValidationErrors
+  ],
+
+  aprobar: [
+    ...padrinoParams,
+
+    body('observaciones')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Las observaciones no pueden exceder 300 caracteres'),
+
+    handleValidationErrors
+  ],
+
+  rechazar: [
+    ...padrinoParams,
+
+    body('motivo')
+      .trim()
+      .isLength({ min: 5, max: 300 })
+      .withMessage('El motivo debe tener entre 5 y 300 caracteres'),
+
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validaciones para certificados
+ */
+const certificadoValidations = {
+  emitir: [
+    body('inscripcion')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Inscripción inválida'),
+    
+    body('observaciones')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Las observaciones no pueden exceder 500 caracteres'),
+    
+    handleValidationErrors
+  ],
+
+  motivo: [
+    param('id')
+      .custom(customValidators.isValidObjectId),
+    
+    body('motivo')
+      .trim()
+      .notEmpty()
+      .withMessage('El motivo es requerido')
+      .isLength({ min: 5, max: 300 })
+      .withMessage('El motivo debe tener entre 5 y 300 caracteres'),
+    
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validaciones para roles y permisos
+ */
+const permisosValidation = [
+  body('permisos')
+    .isArray({ min: 1 })
+    .withMessage('Debe indicar al menos un permiso'),
+  
+  body('permisos.*.recurso')
+    .isIn(['*', ...Object.values(RECURSOS)])
+    .withMessage('Recurso no válido'),
+  
+  body('permisos.*.acciones')
+    .isArray({ min: 1 })
+    .withMessage('Debe indicar al menos una acción por recurso'),
+  
+  body('permisos.*.acciones.*')
+    .isIn(['*', ...Object.values(ACCIONES)])
+    .withMessage('Acción no válida')
+];
+
+const rolValidations = {
+  create: [
+    body('nombre')
+      .trim()
+      .notEmpty()
+      .withMessage('El nombre del rol es requerido')
+      .matches(/^[a-zA-Z0-9_-]{3,50}$/)
+      .withMessage('El nombre debe tener entre 3 y 50 caracteres (letras, números, guiones)'),
+    
+    body('descripcion')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('La descripción no puede exceder 300 caracteres'),
+    
+    body('parroquia')
+      .optional({ nullable: true })
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Parroquia inválida'),
+    
+    ...permisosValidation,
+    
+    handleValidationErrors
+  ],
+
+  update: [
+    param('id')
+      .custom(customValidators.isValidObjectId),
+    
+    body('descripcion')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('La descripción no puede exceder 300 caracteres'),
+    
+    body('activo')
+      .optional()
+      .isBoolean()
+      .withMessage('Activo debe ser verdadero o falso'),
+    
+    body('permisos')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Debe indicar al menos un permiso'),
+    
+    ...permisosValidation.slice(1),
+    
+    handleValidationErrors
+  ],
+
+  tipoPerfil: [
+    param('tipoPerfil')
+      .isIn(Object.values(TIPOS_PERFIL))
+      .withMessage('Tipo de perfil no válido'),
+    
+    handleValidationErrors
+  ],
+
+  perfil: [
+    param('tipoPerfil')
+      .isIn(Object.values(TIPOS_PERFIL))
+      .withMessage('Tipo de perfil no válido'),
+    
+    ...permisosValidation,
+    
+    handleValidationErrors
+  ],
+
+  asignar: [
+    param('id')
+      .custom(customValidators.isValidObjectId),
+    
+    body('roles')
+      .isArray()
+      .withMessage('Los roles deben ser una lista'),
+    
+    body('roles.*')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Rol inválido'),
+    
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validaciones para auditoría
+ */
+const auditoriaValidations = {
+  list: [
+    query('usuario')
+      .optional()
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Usuario inválido'),
+    
+    query('entidadId')
+      .optional()
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Entidad inválida'),
+    
+    query('parroquia')
+      .optional()
+      .custom(customValidators.isValidObjectId)
+      .withMessage('Parroquia inválida'),
+    
+    handleValidationErrors
+  ],
+
+  historial: [
+    param('modelo')
+      .isIn(['Usuario', 'Parroquia', 'Nivel', 'Catequizando', 'Familia', 'Grupo', 'Inscripcion', 'Asistencia', 'Certificado', 'RegistroSacramental', 'Celebracion', 'Rol'])
+      .withMessage('Modelo no válido'),
+    
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('ID inválido'),
+    
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Validaciones para parámetros comunes
+ */
+const commonValidations = {
+  objectId: [
+    param('id')
+      .custom(customValidators.isValidObjectId)
+      .withMessage('ID inválido'),
+    
+    handleValidationErrors
+  ],
+
+  pagination: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('La página debe ser un número entero mayor a 0'),
+    
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('El límite debe ser un número entre 1 y 100'),
+    
+    handleValidationErrors
+  ],
+
+  dateRange: [
+    query('fechaInicio')
+      .optional()
+      .isISO8601()
+      .withMessage('Fecha de inicio inválida'),
+    
+    query('fechaFin')
+      .optional()
+      .isISO8601()
+      .withMessage('Fecha de fin inválida')
+      .custom((value, { req }) => {
+        if (req.query.fechaInicio && new Date(value) <= new Date(req.query.fechaInicio)) {
+          throw new Error('La fecha de fin debe ser posterior a la fecha de inicio');
+        }
+        return true;
+      }),
+    
+    handleValidationErrors
+  ],
+
+  // Formato (?format=) y columnas (?columnas=a,b) de los listados exportables
+  exportacion: (entidad) => [
+    query('format')
+      .optional()
+      .isIn(['json', ...FORMATOS_EXPORTACION])
+      .withMessage(`El formato debe ser uno de: json, ${FORMATOS_EXPORTACION.join(', ')}`),
+
+    query('columnas')
+      .optional()
+      .custom(value => {
+        const invalidas = columnasInvalidas(entidad, value);
+        if (invalidas.length > 0) {
+          throw new Error(`Columnas no válidas: ${invalidas.join(', ')}`);
+        }
+        return true;
+      }),
+
     handleValidationErrors
   ]
 };
@@ -524,8 +1948,18 @@ module.exports = {
   authValidations,
   userValidations,
   catequizandoValidations,
+  familiaValidations,
   grupoValidations,
   inscripcionValidations,
+  listaEsperaValidations,
+  sesionValidations,
   asistenciaValidations,
+  alertaValidations,
+  certificadoValidations,
+  registroSacramentalValidations,
+  celebracionValidations,
+  padrinoValidations,
+  rolValidations,
+  auditoriaValidations,
   commonValidations
 };
\ No newline at end of file
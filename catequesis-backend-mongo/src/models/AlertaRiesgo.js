@@ -0,0 +1,505 @@
+const mongoose = require('mongoose');
+const { ALERTAS_CONFIG, TIPOS_ALERTA } = require('../utils/constants');
+
+const porcentaje = (parte, total) => Math.round((parte / total) * 10000) / 100;
+
+const esJustificada = asistencia => !asistencia.asistio && asistencia.detalles?.ausenciaJustificada;
+
+/**
+ * Reglas de riesgo. Cada una recibe { inscripcion, grupo, asistencias (por fecha ascendente), ahora }
+ * y devuelve { severidad, mensaje, datos } si detecta el riesgo, o null.
+ */
+const REGLAS = {
+  ausencias_consecutivas: ({ asistencias }) => {
+    // Las ausencias justificadas no cortan la racha ni suman a ella
+    let consecutivas = 0;
+    for (let i = asistencias.length - 1; i >= 0 && !asistencias[i].asistio; i--) {
+      if (!esJustificada(asistencias[i])) consecutivas++;
+    }
+
+    if (consecutivas < ALERTAS_CONFIG.AUSENCIAS_CONSECUTIVAS) return null;
+
+    return {
+      severidad: consecutivas >= ALERTAS_CONFIG.AUSENCIAS_CONSECUTIVAS * 2 ? 'alta' : 'media',
+      mensaje: `${consecutivas} ausencias injustificadas consecutivas`,
+      datos: { consecutivas }
+    };
+  },
+
+  asistencia_minima: ({ grupo, asistencias }) => {
+    // Mismo cálculo que Inscripcion.actualizarAsistencia
+    const computables = asistencias.filter(a => !esJustificada(a));
+    if (computables.length < ALERTAS_CONFIG.MIN_CLASES_EVALUACION) return null;
+
+    const minimo = grupo.configuracion?.asistenciaMinima ?? 80;
+    const actual = porcentaje(computables.filter(a => a.asistio).length, computables.length);
+
+    if (actual >= minimo) return null;
+
+    return {
+      severidad: actual < minimo - 15 ? 'alta' : 'media',
+      mensaje: `Asistencia de ${actual}% (mínimo del grupo: ${minimo}%)`,
+      datos: { porcentajeAsistencia: actual, asistenciaMinima: minimo, clases: computables.length }
+    };
+  },
+
+  tendencia_asistencia: ({ asistencias }) => {
+    const n = ALERTAS_CONFIG.CLASES_TENDENCIA;
+    const computables = asistencias.filter(a => !esJustificada(a));
+    if (computables.length < n * 2) return null;
+
+    const recientes = computables.slice(-n);
+    const anteriores = computables.slice(-n * 2, -n);
+    const actual = porcentaje(recientes.filter(a => a.asistio).length, n);
+    const previo = porcentaje(anteriores.filter(a => a.asistio).length, n);
+
+    if (previo - actual < ALERTAS_CONFIG.CAIDA_TENDENCIA) return null;
+
+    return {
+      severidad: 'media',
+      mensaje: `La asistencia bajó de ${previo}% a ${actual}% en las últimas ${n} clases`,
+      datos: { porcentajeAnterior: previo, porcentajeReciente: actual, clases: n }
+    };
+  },
+
+  calificaciones_bajas: ({ inscripcion }) => {
+    const calificaciones = inscripcion.evaluacion?.calificaciones || [];
+    if (calificaciones.length === 0) return null;
+
+    const minima = ALERTAS_CONFIG.CALIFICACION_MINIMA;
+    const promedio = Math.round(
+      (calificaciones.reduce((total, cal) => total + cal.calificacion, 0) / calificaciones.length) * 100
+    ) / 100;
+
+    if (promedio >= minima) return null;
+
+    return {
+      severidad: promedio < minima - 20 ? 'alta' : 'media',
+      mensaje: `Promedio de calificaciones de ${promedio} (mínimo: ${minima})`,
+      datos: { promedio, calificacionMinima: minima, calificaciones: calificaciones.length }
+    };
+  },
+
+  pagos_pendientes: ({ inscripcion, ahora }) => {
+    if (inscripcion.estaPagadaCompleta()) return null;
+
+    const dias = Math.floor((ahora - inscripcion.fechaInscripcion) / (24 * 60 * 60 * 1000));
+    if (dias < ALERTAS_CONFIG.DIAS_GRACIA_PAGO) return null;
+
+    const pendiente = inscripcion.calcularMontoTotal() - inscripcion.calcularMontoPagado();
+
+    return {
+      severidad: 'media',
+      mensaje: `Pagos pendientes por ${pendiente.toFixed(2)} desde hace ${dias} días`,
+      datos: { montoPendiente: pendiente, diasDesdeInscripcion: dias }
+    };
+  }
+};
+
+const alertaRiesgoSchema = new mongoose.Schema({
+  parroquia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parroquia',
+    required: [true, 'La parroquia es requerida']
+  },
+
+  grupo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grupo',
+    required: [true, 'El grupo es requerido']
+  },
+
+  inscripcion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inscripcion',
+    required: [true, 'La inscripción es requerida']
+  },
+
+  catequizando: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Catequizando',
+    required: [true, 'El catequizando es requerido']
+  },
+
+  tipo: {
+    type: String,
+    enum: TIPOS_ALERTA,
+    required: [true, 'El tipo de alerta es requerido']
+  },
+
+  severidad: {
+    type: String,
+    enum: ['media', 'alta'],
+    default: 'media'
+  },
+
+  estado: {
+    type: String,
+    enum: ['activa', 'reconocida', 'resuelta'],
+    default: 'activa'
+  },
+
+  mensaje: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'El mensaje no puede exceder 200 caracteres']
+  },
+
+  // Valores que dispararon la alerta en la última evaluación
+  datos: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  primeraDeteccion: {
+    type: Date,
+    default: Date.now
+  },
+
+  ultimaDeteccion: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Mientras la condición se cumpla, una alerta resuelta a mano no se vuelve a crear
+  condicionActiva: {
+    type: Boolean,
+    default: true
+  },
+
+  reconocimiento: {
+    usuario: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Usuario'
+    },
+    fecha: Date
+  },
+
+  resolucion: {
+    usuario: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Usuario'
+    },
+    fecha: Date,
+    nota: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'La nota no puede exceder 300 caracteres']
+    },
+    // Resuelta por la evaluación al dejar de cumplirse la condición
+    automatica: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  notas: [{
+    usuario: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Usuario',
+      required: true
+    },
+    fecha: {
+      type: Date,
+      default: Date.now
+    },
+    contenido: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [300, 'La nota no puede exceder 300 caracteres']
+    }
+  }]
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Índices
+alertaRiesgoSchema.index({ grupo: 1, estado: 1 });
+alertaRiesgoSchema.index({ grupo: 1, condicionActiva: 1 });
+alertaRiesgoSchema.index({ parroquia: 1, estado: 1, severidad: 1 });
+alertaRiesgoSchema.index({ inscripcion: 1, tipo: 1 });
+// Una sola alerta abierta por inscripción y tipo (evaluaciones simultáneas)
+alertaRiesgoSchema.index(
+  { inscripcion: 1, tipo: 1 },
+  {
+    name: 'alerta_abierta_unica',
+    unique: true,
+    partialFilterExpression: { estado: { $in: ['activa', 'reconocida'] } }
+  }
+);
+
+// Métodos de instancia
+alertaRiesgoSchema.methods.agregarNota = function(contenido, usuario) {
+  this.notas.push({ contenido, usuario, fecha: new Date() });
+  return this;
+};
+
+alertaRiesgoSchema.methods.reconocer = function(usuario, nota = null) {
+  this.estado = 'reconocida';
+  this.reconocimiento = { usuario, fecha: new Date() };
+
+  if (nota) this.agregarNota(nota, usuario);
+
+  return this;
+};
+
+alertaRiesgoSchema.methods.resolver = function(usuario, nota = null, automatica = false) {
+  this.estado = 'resuelta';
+  this.resolucion = { usuario, fecha: new Date(), nota, automatica };
+
+  if (automatica) this.condicionActiva = false;
+  if (nota && usuario) this.agregarNota(nota, usuario);
+
+  return this;
+};
+
+/**
+ * Actualizar con una nueva detección. Si la severidad sube, la alerta
+ * reconocida o resuelta a mano vuelve a quedar activa.
+ */
+alertaRiesgoSchema.methods.registrarDeteccion = function({ severidad, mensaje, datos }, ahora = new Date()) {
+  const escala = severidad === 'alta' && this.severidad !== 'alta';
+
+  this.severidad = severidad;
+  this.mensaje = mensaje;
+  this.datos = datos;
+  this.ultimaDeteccion = ahora;
+  this.condicionActiva = true;
+
+  if (escala && this.estado !== 'activa') {
+    this.estado = 'activa';
+    this.resolucion = undefined;
+  }
+
+  return this;
+};
+
+// Métodos estáticos
+/**
+ * Evaluar las reglas para las inscripciones activas del grupo: crea las alertas nuevas,
+ * actualiza las vigentes y resuelve las que dejaron de cumplirse
+ */
+alertaRiesgoSchema.statics.evaluarGrupo = async function(grupo, ahora = new Date()) {
+  const Inscripcion = mongoose.model('Inscripcion');
+  const Asistencia = mongoose.model('Asistencia');
+
+  const inscripciones = await Inscripcion.find({ grupo: grupo._id, activa: true })
+    .select('catequizando parroquia fechaInscripcion pagos evaluacion.calificaciones');
+
+  const asistencias = await Asistencia.find({ inscripcion: { $in: inscripciones.map(i => i._id) } })
+    .select('inscripcion fecha asistio detalles.ausenciaJustificada')
+    .sort({ fecha: 1 })
+    .lean();
+
+  const asistenciasPor = new Map();
+  asistencias.forEach(asistencia => {
+    const clave = asistencia.inscripcion.toString();
+    if (!asistenciasPor.has(clave)) asistenciasPor.set(clave, []);
+    asistenciasPor.get(clave).push(asistencia);
+  });
+
+  const existentes = await this.find({
+    grupo: grupo._id,
+    $or: [{ estado: { $ne: 'resuelta' } }, { condicionActiva: true }]
+  });
+  const pendientes = new Map(existentes.map(alerta => [`${alerta.inscripcion}:${alerta.tipo}`, alerta]));
+
+  const resumen = { evaluadas: inscripciones.length, nuevas: 0, actualizadas: 0, resueltas: 0 };
+
+  for (const inscripcion of inscripciones) {
+    const contexto = {
+      inscripcion,
+      grupo,
+      asistencias: asistenciasPor.get(inscripcion._id.toString()) || [],
+      ahora
+    };
+
+    for (const [tipo, regla] of Object.entries(REGLAS)) {
+      const clave = `${inscripcion._id}:${tipo}`;
+      const existente = pendientes.get(clave);
+      pendientes.delete(clave);
+
+      const deteccion = regla(contexto);
+
+      if (deteccion && existente) {
+        existente.registrarDeteccion(deteccion, ahora);
+        await existente.save();
+        resumen.actualizadas++;
+      } else if (deteccion) {
+        try {
+          await this.create({
+            parroquia: inscripcion.parroquia,
+            grupo: grupo._id,
+            inscripcion: inscripcion._id,
+            catequizando: inscripcion.catequizando,
+            tipo,
+            ...deteccion,
+            primeraDeteccion: ahora,
+            ultimaDeteccion: ahora
+          });
+          resumen.nuevas++;
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+
+          // Otra evaluación del grupo la creó al mismo tiempo
+          const abierta = await this.findOne({
+            inscripcion: inscripcion._id,
+            tipo,
+            estado: { $in: ['activa', 'reconocida'] }
+          });
+          if (abierta) {
+            abierta.registrarDeteccion(deteccion, ahora);
+            await abierta.save();
+          }
+          resumen.actualizadas++;
+        }
+      } else if (existente) {
+        await this.cerrarCondicion(existente, 'La condición dejó de cumplirse');
+        if (existente.resolucion?.automatica) resumen.resueltas++;
+      }
+    }
+  }
+
+  // Inscripciones que ya no están activas en el grupo (retiro, traslado)
+  for (const alerta of pendientes.values()) {
+    await this.cerrarCondicion(alerta, 'La inscripción ya no está activa en el grupo');
+    if (alerta.resolucion?.automatica) resumen.resueltas++;
+  }
+
+  return resumen;
+};
+
+/**
+ * La condición de la alerta dejó de cumplirse: se resuelve si seguía abierta
+ */
+alertaRiesgoSchema.statics.cerrarCondicion = function(alerta, motivo) {
+  if (alerta.estado === 'resuelta') {
+    alerta.condicionActiva = false;
+  } else {
+    alerta.resolver(null, motivo, true);
+  }
+
+  return alerta.save();
+};
+
+/**
+ * Evaluación nocturna de todos los grupos con clases en curso (opcionalmente de una parroquia)
+ */
+alertaRiesgoSchema.statics.evaluarTodas = async function(filtros = {}, ahora = new Date()) {
+  const Grupo = mongoose.model('Grupo');
+
+  const grupos = await Grupo.find({
+    ...filtros,
+    'estado.activo': true,
+    'estado.estadoClases': { $in: ['planificacion', 'activo'] }
+  }).select('parroquia configuracion.asistenciaMinima');
+
+  const total = { grupos: 0, evaluadas: 0, nuevas: 0, actualizadas: 0, resueltas: 0, errores: 0 };
+
+  for (const grupo of grupos) {
+    try {
+      const resumen = await this.evaluarGrupo(grupo, ahora);
+      total.grupos++;
+      Object.keys(resumen).forEach(clave => { total[clave] += resumen[clave]; });
+    } catch (error) {
+      total.errores++;
+      console.error(`Error evaluando alertas del grupo ${grupo._id}:`, error);
+    }
+  }
+
+  return total;
+};
+
+/**
+ * Panel de alertas abiertas (activas y reconocidas) por tipo, severidad y grupo
+ */
+alertaRiesgoSchema.statics.obtenerPanel = async function(filtros = {}) {
+  const [panel] = await this.aggregate([
+    { $match: { ...filtros, estado: { $ne: 'resuelta' } } },
+    {
+      $facet: {
+        totales: [
+          {
+            $group: {
+              _id: null,
+              abiertas: { $sum: 1 },
+              activas: { $sum: { $cond: [{ $eq: ['$estado', 'activa'] }, 1, 0] } },
+              reconocidas: { $sum: { $cond: [{ $eq: ['$estado', 'reconocida'] }, 1, 0] } },
+              severidadAlta: { $sum: { $cond: [{ $eq: ['$severidad', 'alta'] }, 1, 0] } },
+              inscripciones: { $addToSet: '$inscripcion' }
+            }
+          },
+          {
+            $project: {
+              _id: 0,
+              abiertas: 1,
+              activas: 1,
+              reconocidas: 1,
+              severidadAlta: 1,
+              catequizandosEnRiesgo: { $size: '$inscripciones' }
+            }
+          }
+        ],
+        porTipo: [
+          {
+            $group: {
+              _id: '$tipo',
+              total: { $sum: 1 },
+              alta: { $sum: { $cond: [{ $eq: ['$severidad', 'alta'] }, 1, 0] } }
+            }
+          },
+          { $sort: { total: -1 } }
+        ],
+        porGrupo: [
+          {
+            $group: {
+              _id: '$grupo',
+              abiertas: { $sum: 1 },
+              activas: { $sum: { $cond: [{ $eq: ['$estado', 'activa'] }, 1, 0] } },
+              severidadAlta: { $sum: { $cond: [{ $eq: ['$severidad', 'alta'] }, 1, 0] } },
+              inscripciones: { $addToSet: '$inscripcion' }
+            }
+          },
+          {
+            $lookup: {
+              from: 'grupos',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'grupo'
+            }
+          },
+          { $unwind: '$grupo' },
+          {
+            $project: {
+              _id: 0,
+              grupoId: '$_id',
+              nombre: '$grupo.nombre',
+              periodo: '$grupo.periodo',
+              abiertas: 1,
+              activas: 1,
+              severidadAlta: 1,
+              catequizandosEnRiesgo: { $size: '$inscripciones' }
+            }
+          },
+          { $sort: { severidadAlta: -1, abiertas: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    totales: panel.totales[0] || {
+      abiertas: 0,
+      activas: 0,
+      reconocidas: 0,
+      severidadAlta: 0,
+      catequizandosEnRiesgo: 0
+    },
+    porTipo: panel.porTipo.map(t => ({ tipo: t._id, total: t.total, alta: t.alta })),
+    porGrupo: panel.porGrupo
+  };
+};
+
+module.exports = mongoose.model('AlertaRiesgo', alertaRiesgoSchema);
@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { JUSTIFICACION_CONFIG } = require('../utils/constants');
+
+// Grupo en el que se tomó la asistencia. Los registros anteriores al campo `grupo`
+// lo obtienen del historial de traslados de la inscripción (el grupo previo al primer
+// traslado posterior a la fecha) o, si no hubo traslados, del grupo actual
+const GRUPO_DE_LA_ASISTENCIA = {
+  $ifNull: ['$grupo', {
+    $let: {
+      vars: {
+        trasladoPosterior: {
+          $first: {
+            $filter: {
+              input: { $ifNull: ['$inscripcionData.transferencias', []] },
+              cond: { $gt: ['$$this.fecha', '$fecha'] }
+            }
+          }
+        }
+      },
+      in: { $ifNull: ['$$trasladoPosterior.grupoAnterior', '$inscripcionData.grupo'] }
+    }
+  }]
+};
 
 const asistenciaSchema = new mongoose.Schema({
   inscripcion: {
@@ -7,12 +30,24 @@ const asistenciaSchema = new mongoose.Schema({
     required: [true, 'La inscripción es requerida']
   },
 
+  // Grupo de la inscripción al registrar la asistencia (se conserva si la inscripción se traslada)
+  grupo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grupo'
+  },
+
   fecha: {
     type: Date,
     required: [true, 'La fecha es requerida'],
     default: Date.now
   },
 
+  // Sesión de clase del grupo (tema, catequista y duración se registran en la sesión)
+  sesion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sesion'
+  },
+
   asistio: {
     type: Boolean,
     required: [true, 'El estado de asistencia es requerido']
@@ -134,6 +169,27 @@ const asistenciaSchema = new mongoose.Schema({
       default: 'manual'
     },
 
+    // Registro capturado sin conexión (aplicación del catequista)
+    dispositivo: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'El identificador del dispositivo no puede exceder 100 caracteres']
+    },
+
+    capturadoEn: {
+      type: Date
+    },
+
+    // Última modificación (para detectar conflictos al sincronizar)
+    modificadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Usuario'
+    },
+
+    fechaModificacion: {
+      type: Date
+    },
+
     // Geolocalización (opcional)
     ubicacion: {
       latitud: {
@@ -200,6 +256,67 @@ const asistenciaSchema = new mongoose.Schema({
     }
   }],
 
+  // Justificación enviada por el representante desde un enlace
+  justificacion: {
+    estado: {
+      type: String,
+      enum: ['enlace_enviado', 'pendiente', 'aprobada', 'rechazada']
+    },
+
+    tokenHash: {
+      type: String,
+      select: false
+    },
+
+    expiraEn: Date,
+
+    solicitadaPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Usuario'
+    },
+
+    fechaSolicitud: Date,
+
+    motivo: {
+      type: String,
+      enum: ['enfermedad', 'viaje', 'compromiso_familiar', 'clima', 'transporte', 'otro']
+    },
+
+    descripcion: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'La descripción no puede exceder 500 caracteres']
+    },
+
+    // Referencia al respaldo (certificado médico, etc.) entregado por la familia
+    documento: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'La referencia del documento no puede exceder 300 caracteres']
+    },
+
+    representante: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'El nombre del representante no puede exceder 100 caracteres']
+    },
+
+    fechaEnvio: Date,
+
+    revisadaPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Usuario'
+    },
+
+    fechaRevision: Date,
+
+    comentarioRevision: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'El comentario no puede exceder 300 caracteres']
+    }
+  },
+
   // Notificaciones enviadas
   notificaciones: {
     ausenciaNotificada: {
@@ -224,14 +341,31 @@ const asistenciaSchema = new mongoose.Schema({
 
 // Índices
 asistenciaSchema.index({ inscripcion: 1, fecha: 1 }, { unique: true });
+// Una asistencia por inscripción y sesión (un día del grupo), aunque se registre a distinta hora
+asistenciaSchema.index(
+  { inscripcion: 1, sesion: 1 },
+  { unique: true, partialFilterExpression: { sesion: { $type: 'objectId' } } }
+);
 asistenciaSchema.index({ fecha: 1 });
+asistenciaSchema.index({ sesion: 1, asistio: 1 });
+asistenciaSchema.index({ grupo: 1, fecha: 1 });
 asistenciaSchema.index({ asistio: 1 });
 asistenciaSchema.index({ tipoClase: 1 });
 asistenciaSchema.index({ 'registro.registradoPor': 1 });
+asistenciaSchema.index({ 'justificacion.tokenHash': 1 }, { sparse: true });
+asistenciaSchema.index({ 'justificacion.estado': 1 });
 
 // Índice compuesto para reportes
 asistenciaSchema.index({ inscripcion: 1, fecha: -1, asistio: 1 });
 
+// Registrar el grupo vigente de la inscripción (también se ejecuta en insertMany)
+asistenciaSchema.pre('validate', async function() {
+  if (!this.isNew || this.grupo) return;
+
+  const inscripcion = await mongoose.model('Inscripcion').findById(this.inscripcion).select('grupo');
+  this.grupo = inscripcion?.grupo;
+});
+
 // Middleware pre-save
 asistenciaSchema.pre('save', function(next) {
   // Validar que no se registre asistencia en fechas futuras (excepto para planificación)
@@ -353,7 +487,123 @@ asistenciaSchema.methods.marcarNotificacionEnviada = function(tipo) {
   return this.save();
 };
 
+/**
+ * Generar el enlace de justificación de la ausencia (invalida el anterior)
+ * Devuelve el token en claro; solo se guarda su hash
+ */
+asistenciaSchema.methods.generarEnlaceJustificacion = function(usuario) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.justificacion = {
+    estado: 'enlace_enviado',
+    tokenHash: this.constructor.hashTokenJustificacion(token),
+    expiraEn: new Date(Date.now() + JUSTIFICACION_CONFIG.DIAS_VIGENCIA_ENLACE * 24 * 60 * 60 * 1000),
+    solicitadaPor: usuario,
+    fechaSolicitud: new Date()
+  };
+
+  return token;
+};
+
+/**
+ * Registrar la justificación enviada por el representante (queda pendiente de revisión)
+ */
+asistenciaSchema.methods.registrarJustificacion = function({ motivo, descripcion, documento, representante }) {
+  this.justificacion.estado = 'pendiente';
+  this.justificacion.motivo = motivo;
+  this.justificacion.descripcion = descripcion;
+  this.justificacion.documento = documento;
+  this.justificacion.representante = representante;
+  this.justificacion.fechaEnvio = new Date();
+
+  return this;
+};
+
+/**
+ * Aprobar o rechazar la justificación. Al aprobarla la ausencia pasa a justificada
+ * con el motivo indicado por el representante; al rechazarla los detalles no cambian
+ * (se conserva una justificación registrada por el personal).
+ */
+asistenciaSchema.methods.revisarJustificacion = function(decision, usuario, comentario) {
+  this.justificacion.estado = decision;
+  this.justificacion.revisadaPor = usuario;
+  this.justificacion.fechaRevision = new Date();
+  this.justificacion.comentarioRevision = comentario;
+  this.justificacion.tokenHash = undefined;
+
+  if (decision === 'aprobada') {
+    this.detalles.motivoAusencia = this.justificacion.motivo;
+    this.detalles.ausenciaJustificada = true;
+  }
+
+  this.registro.modificadoPor = usuario;
+  this.registro.fechaModificacion = new Date();
+
+  return this;
+};
+
 // Métodos estáticos
+asistenciaSchema.statics.hashTokenJustificacion = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Ausencia con enlace de justificación vigente
+ */
+asistenciaSchema.statics.buscarPorTokenJustificacion = function(token) {
+  return this.findOne({
+    'justificacion.tokenHash': this.hashTokenJustificacion(token),
+    'justificacion.expiraEn': { $gt: new Date() },
+    asistio: false
+  });
+};
+
+/**
+ * Registrar la asistencia de varios catequizandos del grupo en una fecha,
+ * vinculada a la sesión del día (se crea si no estaba programada).
+ * Si la sesión fue cancelada no se registra nada.
+ */
+asistenciaSchema.statics.registrarParaGrupo = async function(grupo, fecha, registros, {
+  tema,
+  tipoClase,
+  catequista = null,
+  usuario,
+  metodoRegistro = 'lista',
+  dispositivo
+} = {}) {
+  const Sesion = mongoose.model('Sesion');
+  const Inscripcion = mongoose.model('Inscripcion');
+
+  const sesion = await Sesion.obtenerParaAsistencia(grupo, fecha, { tipo: tipoClase, tema, catequista, usuario });
+
+  if (sesion.estado === 'cancelada') {
+    return { sesion, asistencias: [] };
+  }
+
+  const asistencias = await this.insertMany(registros.map(({ capturadoEn, ...registro }) => ({
+    ...registro,
+    fecha: new Date(fecha),
+    sesion: sesion._id,
+    tema: sesion.tema?.nombre,
+    tipoClase: sesion.tipo,
+    registro: {
+      registradoPor: usuario,
+      fechaRegistro: new Date(),
+      metodoRegistro,
+      dispositivo,
+      capturadoEn
+    }
+  })));
+
+  // insertMany no ejecuta el middleware post-save: actualizar el resumen de cada inscripción
+  const inscripciones = await Inscripcion.find({ _id: { $in: asistencias.map(a => a.inscripcion) } });
+  for (const inscripcion of inscripciones) {
+    await inscripcion.actualizarAsistencia();
+  }
+
+  return { sesion, asistencias };
+};
+
 asistenciaSchema.statics.obtenerPorInscripcion = function(inscripcionId, fechaInicio = null, fechaFin = null) {
   const filtro = { inscripcion: inscripcionId };
   
@@ -381,9 +631,12 @@ asistenciaSchema.statics.obtenerPorGrupoYFecha = function(grupoId, fecha) {
     {
       $unwind: '$inscripcionData'
     },
+    {
+      $addFields: { grupoAsistencia: GRUPO_DE_LA_ASISTENCIA }
+    },
     {
       $match: {
-        'inscripcionData.grupo': new mongoose.Types.ObjectId(grupoId),
+        grupoAsistencia: new mongoose.Types.ObjectId(grupoId),
         fecha: {
           $gte: new Date(fecha + 'T00:00:00.000Z'),
           $lt: new Date(fecha + 'T23:59:59.999Z')
@@ -425,9 +678,12 @@ asistenciaSchema.statics.obtenerEstadisticasPorGrupo = function(grupoId, fechaIn
     {
       $unwind: '$inscripcionData'
     },
+    {
+      $addFields: { grupoAsistencia: GRUPO_DE_LA_ASISTENCIA }
+    },
     {
       $match: {
-        'inscripcionData.grupo': new mongoose.Types.ObjectId(grupoId)
+        grupoAsistencia: new mongoose.Types.ObjectId(grupoId)
       }
     }
   ];
@@ -511,10 +767,13 @@ asistenciaSchema.statics.obtenerReporteAsistencia = function(filtros = {}) {
     {
       $unwind: '$catequizando'
     },
+    {
+      $addFields: { grupoAsistencia: GRUPO_DE_LA_ASISTENCIA }
+    },
     {
       $lookup: {
         from: 'grupos',
-        localField: 'inscripcionData.grupo',
+        localField: 'grupoAsistencia',
         foreignField: '_id',
         as: 'grupo'
       }
@@ -525,7 +784,7 @@ asistenciaSchema.statics.obtenerReporteAsistencia = function(filtros = {}) {
     {
       $lookup: {
         from: 'parroquias',
-        localField: 'inscripcionData.parroquia',
+        localField: 'grupo.parroquia',
         foreignField: '_id',
         as: 'parroquia'
       }
@@ -545,8 +804,8 @@ asistenciaSchema.statics.obtenerReporteAsistencia = function(filtros = {}) {
       $group: {
         _id: {
           catequizando: '$inscripcionData.catequizando',
-          grupo: '$inscripcionData.grupo',
-          parroquia: '$inscripcionData.parroquia'
+          grupo: '$grupo._id',
+          parroquia: '$grupo.parroquia'
         },
         nombreCatequizando: { $first: { $concat: ['$catequizando.nombres', ' ', '$catequizando.apellidos'] } },
         documentoIdentidad: { $first: '$catequizando.documentoIdentidad' },
@@ -572,10 +831,17 @@ asistenciaSchema.statics.obtenerReporteAsistencia = function(filtros = {}) {
         clasesAsistidas: 1,
         ausenciasJustificadas: 1,
         llegadasTarde: 1,
+        // Igual que Inscripcion.actualizarAsistencia: las ausencias justificadas no cuentan
         porcentajeAsistencia: {
-          $round: [
-            { $multiply: [{ $divide: ['$clasesAsistidas', '$totalClases'] }, 100] },
-            2
+          $cond: [
+            { $gt: [{ $subtract: ['$totalClases', '$ausenciasJustificadas'] }, 0] },
+            {
+              $round: [
+                { $multiply: [{ $divide: ['$clasesAsistidas', { $subtract: ['$totalClases', '$ausenciasJustificadas'] }] }, 100] },
+                2
+              ]
+            },
+            0
           ]
         }
       }
@@ -592,6 +858,26 @@ asistenciaSchema.statics.obtenerReporteAsistencia = function(filtros = {}) {
   return this.aggregate(pipeline);
 };
 
+/**
+ * Justificaciones enviadas por los representantes a la espera de revisión,
+ * opcionalmente solo de las inscripciones indicadas (parroquia o grupos del usuario)
+ */
+asistenciaSchema.statics.obtenerJustificacionesPendientes = function(inscripciones = null) {
+  return this.find({
+    'justificacion.estado': 'pendiente',
+    ...(inscripciones && { inscripcion: { $in: inscripciones } })
+  })
+    .populate({
+      path: 'inscripcion',
+      populate: [
+        { path: 'catequizando', select: 'nombres apellidos' },
+        { path: 'grupo', select: 'nombre catequistas' },
+        { path: 'parroquia', select: 'nombre' }
+      ]
+    })
+    .sort({ 'justificacion.fechaEnvio': 1 });
+};
+
 asistenciaSchema.statics.obtenerAusenciasPorNotificar = function() {
   const ayer = new Date();
   ayer.setDate(ayer.getDate() - 1);
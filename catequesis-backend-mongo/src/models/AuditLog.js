@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+// Campos que nunca se guardan en los cambios auditados
+const CAMPOS_EXCLUIDOS = ['_id', 'createdAt', 'updatedAt', 'password', 'resetPassword', 'dosFactores.secreto',
+  'dosFactores.secretoPendiente', 'dosFactores.codigosRecuperacion', 'dosFactores.ultimoPaso'];
+
+const auditLogSchema = new mongoose.Schema({
+  // Actor
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    default: null
+  },
+
+  username: {
+    type: String,
+    trim: true
+  },
+
+  tipoPerfil: {
+    type: String,
+    trim: true
+  },
+
+  // Parroquia afectada (la del recurso o, en su defecto, la del actor)
+  parroquia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parroquia',
+    default: null
+  },
+
+  // Clave de la acción, ej. UPDATE_CATEQUIZANDO
+  accion: {
+    type: String,
+    required: [true, 'La acción es requerida'],
+    trim: true,
+    uppercase: true,
+    maxlength: [100, 'La acción no puede exceder 100 caracteres']
+  },
+
+  // Recurso afectado
+  entidad: {
+    modelo: {
+      type: String,
+      trim: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }
+  },
+
+  // Diferencias campo a campo (solo en actualizaciones)
+  cambios: [{
+    _id: false,
+    campo: { type: String, required: true },
+    antes: { type: mongoose.Schema.Types.Mixed },
+    despues: { type: mongoose.Schema.Types.Mixed }
+  }],
+
+  // Información adicional libre (ej. datos de una fusión)
+  detalles: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Contexto de la petición
+  solicitud: {
+    metodo: { type: String, trim: true },
+    ruta: { type: String, trim: true, maxlength: 500 },
+    ip: { type: String, trim: true, maxlength: 45 },
+    userAgent: { type: String, trim: true, maxlength: 500 },
+    statusCode: { type: Number }
+  }
+}, {
+  timestamps: { createdAt: 'fecha', updatedAt: false },
+  versionKey: false
+});
+
+// Índices
+auditLogSchema.index({ fecha: -1 });
+auditLogSchema.index({ usuario: 1, fecha: -1 });
+auditLogSchema.index({ parroquia: 1, fecha: -1 });
+auditLogSchema.index({ 'entidad.modelo': 1, 'entidad.id': 1, fecha: -1 });
+auditLogSchema.index({ accion: 1 });
+
+// Métodos estáticos
+const aplanar = (valor, prefijo = '', resultado = {}) => {
+  const esObjetoPlano = valor !== null && typeof valor === 'object' && !Array.isArray(valor);
+
+  if (esObjetoPlano && Object.keys(valor).length > 0) {
+    Object.keys(valor).forEach(clave => {
+      aplanar(valor[clave], prefijo ? `${prefijo}.${clave}` : clave, resultado);
+    });
+  } else if (prefijo) {
+    resultado[prefijo] = valor;
+  }
+
+  return resultado;
+};
+
+const normalizar = (valor) => JSON.stringify(valor === undefined ? null : valor);
+
+/**
+ * Calcular diferencias entre dos versiones de un documento (objetos planos / lean)
+ * Los arreglos se comparan como un único valor
+ */
+auditLogSchema.statics.calcularCambios = function(antes = {}, despues = {}) {
+  const planoAntes = aplanar(JSON.parse(JSON.stringify(antes || {})));
+  const planoDespues = aplanar(JSON.parse(JSON.stringify(despues || {})));
+  const campos = new Set([...Object.keys(planoAntes), ...Object.keys(planoDespues)]);
+
+  return [...campos]
+    .filter(campo => !CAMPOS_EXCLUIDOS.some(excluido => campo === excluido || campo.startsWith(`${excluido}.`)))
+    .filter(campo => normalizar(planoAntes[campo]) !== normalizar(planoDespues[campo]))
+    .sort()
+    .map(campo => ({
+      campo,
+      antes: planoAntes[campo] === undefined ? null : planoAntes[campo],
+      despues: planoDespues[campo] === undefined ? null : planoDespues[campo]
+    }));
+};
+
+/**
+ * Registrar una entrada de auditoría
+ * actor puede ser req.user o un documento Usuario
+ */
+auditLogSchema.statics.registrar = function({ actor = null, accion, modelo, entidadId, parroquia, cambios, detalles, req } = {}) {
+  const entrada = {
+    usuario: actor?.id || actor?._id || null,
+    username: actor?.username,
+    tipoPerfil: actor?.tipoPerfil,
+    parroquia: parroquia || actor?.parroquia?._id || actor?.parroquia || null,
+    accion,
+    entidad: {
+      modelo,
+      id: mongoose.isValidObjectId(entidadId) ? entidadId : null
+    },
+    cambios: cambios || [],
+    detalles
+  };
+
+  if (req) {
+    entrada.solicitud = {
+      metodo: req.method,
+      ruta: req.originalUrl?.slice(0, 500),
+      ip: req.ip,
+      userAgent: req.get('User-Agent')?.slice(0, 500),
+      statusCode: req.res?.statusCode
+    };
+  }
+
+  return this.create(entrada);
+};
+
+auditLogSchema.statics.obtenerHistorialEntidad = function(modelo, entidadId) {
+  return this.find({ 'entidad.modelo': modelo, 'entidad.id': entidadId })
+    .populate('usuario', 'username datosPersonales.nombres datosPersonales.apellidos')
+    .sort({ fecha: -1 });
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
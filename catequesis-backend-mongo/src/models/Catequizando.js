@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { inicioDelDia } = require('../utils/fechas');
 
 const catequizandoSchema = new mongoose.Schema({
   nombres: {
@@ -47,6 +48,39 @@ const catequizandoSchema = new mongoose.Schema({
     required: [true, 'El género es requerido']
   },
   
+  // Parroquia propietaria del registro
+  parroquia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parroquia',
+    required: [true, 'La parroquia es requerida']
+  },
+
+  // Historial de transferencias entre parroquias
+  historialParroquias: [{
+    parroquiaAnterior: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parroquia'
+    },
+    parroquiaNueva: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parroquia',
+      required: true
+    },
+    fecha: {
+      type: Date,
+      default: Date.now
+    },
+    motivo: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'El motivo no puede exceder 300 caracteres']
+    },
+    registradoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Usuario'
+    }
+  }],
+  
   estadoCivil: {
     type: String,
     enum: ['soltero', 'casado', 'union_libre', 'divorciado', 'viudo'],
@@ -90,6 +124,14 @@ const catequizandoSchema = new mongoose.Schema({
     }
   },
   
+  // Familia y representantes compartidos entre hermanos
+  familia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Familia',
+    default: null
+  },
+
+  // Responsable embebido (registros anteriores a Familia; se usa si no hay familia vinculada)
   responsable: {
     nombres: {
       type: String,
@@ -143,6 +185,16 @@ const catequizandoSchema = new mongoose.Schema({
       maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres']
     }
   },
+
+  // Registro en el que se fusionó este duplicado (se conserva inactivo como referencia)
+  fusionadoEn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Catequizando',
+    default: null
+  },
+  fechaFusion: {
+    type: Date
+  },
   
   sacramentos: {
     bautismo: {
@@ -197,6 +249,8 @@ catequizandoSchema.index({ nombres: 1, apellidos: 1 });
 catequizandoSchema.index({ 'estado.activo': 1 });
 catequizandoSchema.index({ genero: 1 });
 catequizandoSchema.index({ fechaNacimiento: 1 });
+catequizandoSchema.index({ parroquia: 1, 'estado.activo': 1 });
+catequizandoSchema.index({ familia: 1 });
 
 // Métodos de instancia
 catequizandoSchema.methods.calcularEdad = function() {
@@ -227,8 +281,17 @@ catequizandoSchema.methods.tieneCondicionesEspeciales = function() {
 catequizandoSchema.methods.obtenerContactosEmergencia = function() {
   const contactos = [];
   
-  // Responsable principal
-  if (this.responsable?.nombres && this.responsable?.telefono) {
+  // Representantes de la familia (si está poblada); si no, el responsable embebido
+  if (this.familia?.representantes?.length > 0) {
+    this.familia.representantes
+      .filter(r => r.telefono)
+      .forEach(r => contactos.push({
+        nombre: `${r.nombres} ${r.apellidos}`.trim(),
+        telefono: r.telefono,
+        relacion: r.relacion,
+        tipo: r.principal ? 'responsable' : 'representante'
+      }));
+  } else if (this.responsable?.nombres && this.responsable?.telefono) {
     contactos.push({
       nombre: `${this.responsable.nombres} ${this.responsable.apellidos || ''}`.trim(),
       telefono: this.responsable.telefono,
@@ -250,6 +313,92 @@ catequizandoSchema.methods.obtenerContactosEmergencia = function() {
   return contactos;
 };
 
+/**
+ * Evaluar los requisitos del nivel (edad, bautismo, nivel anterior aprobado,
+ * estado activo y pagos pendientes). Cada regla se devuelve con su resultado;
+ * el catequizando es apto solo si todas se cumplen.
+ */
+catequizandoSchema.methods.esAptoParaNivel = async function(nivel) {
+  const Inscripcion = mongoose.model('Inscripcion');
+  const Grupo = mongoose.model('Grupo');
+
+  const configuracion = nivel.configuracion || {};
+  const edad = this.calcularEdad();
+  const reglas = [];
+
+  reglas.push({
+    regla: 'edad',
+    aprobada: nivel.esAptoParaEdad(edad),
+    mensaje: `Tiene ${edad} años; el nivel admite de ${configuracion.edadMinima ?? 0} a ${configuracion.edadMaxima ?? 99} años`
+  });
+
+  reglas.push({
+    regla: 'activo',
+    aprobada: this.estado?.activo !== false,
+    mensaje: this.estado?.activo !== false
+      ? 'El catequizando está activo'
+      : `El catequizando está egresado${this.estado?.motivoEgreso ? ` (${this.estado.motivoEgreso})` : ''}`
+  });
+
+  if (configuracion.requiereBautismo) {
+    const bautizado = Boolean(this.sacramentos?.bautismo?.recibido);
+    reglas.push({
+      regla: 'bautismo',
+      aprobada: bautizado,
+      mensaje: bautizado ? 'Tiene bautismo registrado' : 'El nivel requiere bautismo y no está registrado'
+    });
+  }
+
+  if (configuracion.requiereNivelAnterior) {
+    const nivelAnterior = await nivel.obtenerNivelAnterior();
+
+    if (!nivelAnterior) {
+      reglas.push({
+        regla: 'nivelAnterior',
+        aprobada: true,
+        mensaje: 'No hay un nivel anterior activo que exigir'
+      });
+    } else {
+      const grupos = await Grupo.find({ nivel: nivelAnterior._id }).select('_id');
+      const aprobado = await Inscripcion.exists({
+        catequizando: this._id,
+        grupo: { $in: grupos.map(grupo => grupo._id) },
+        'evaluacion.aprobado': true
+      });
+
+      reglas.push({
+        regla: 'nivelAnterior',
+        aprobada: Boolean(aprobado),
+        mensaje: aprobado
+          ? `Aprobó el nivel anterior (${nivelAnterior.nombre})`
+          : `Debe aprobar el nivel anterior (${nivelAnterior.nombre})`
+      });
+    }
+  }
+
+  // Deudas: solo cuentan las inscripciones activas con pagos sin completar
+  const inscripciones = await Inscripcion.find({ catequizando: this._id, activa: true }).select('pagos');
+  const saldoPendiente = inscripciones
+    .filter(inscripcion => !inscripcion.estaPagadaCompleta())
+    .reduce((saldo, inscripcion) => saldo + inscripcion.calcularMontoTotal() - inscripcion.calcularMontoPagado(), 0);
+
+  reglas.push({
+    regla: 'deudas',
+    aprobada: saldoPendiente <= 0,
+    mensaje: saldoPendiente > 0
+      ? `Tiene pagos pendientes por $${saldoPendiente.toFixed(2)} en inscripciones activas`
+      : 'Sin pagos pendientes'
+  });
+
+  return {
+    apto: reglas.every(regla => regla.aprobada),
+    edad,
+    nivel: { _id: nivel._id, nombre: nivel.nombre },
+    reglas,
+    incumplidas: reglas.filter(regla => !regla.aprobada).map(regla => regla.mensaje)
+  };
+};
+
 catequizandoSchema.methods.marcarComoEgresado = function(motivo, fecha = new Date()) {
   this.estado.activo = false;
   this.estado.fechaEgreso = fecha;
@@ -264,14 +413,328 @@ catequizandoSchema.methods.reactivar = function() {
   return this.save();
 };
 
+catequizandoSchema.methods.transferirParroquia = function(nuevaParroquia, { motivo, usuario } = {}) {
+  if (this.parroquia?.toString() === nuevaParroquia.toString()) {
+    throw new Error('El catequizando ya pertenece a esa parroquia');
+  }
+
+  this.historialParroquias.push({
+    parroquiaAnterior: this.parroquia,
+    parroquiaNueva: nuevaParroquia,
+    fecha: new Date(),
+    motivo,
+    registradoPor: usuario
+  });
+  this.parroquia = nuevaParroquia;
+  // Las familias son por parroquia: se debe vincular a una familia de la nueva parroquia
+  this.familia = null;
+
+  return this.save();
+};
+
+const SACRAMENTOS = ['bautismo', 'primeraComunion', 'confirmacion'];
+
+/**
+ * Fusionar un registro duplicado en este catequizando (el que se conserva)
+ * Mueve inscripciones, asistencias, certificados, registros sacramentales, convocatorias y alertas,
+ * completa sacramentos y datos faltantes y deja el duplicado inactivo apuntando a este registro.
+ * Todo se aplica en una transacción. Devuelve un resumen de lo realizado.
+ */
+catequizandoSchema.methods.fusionarDuplicado = async function(duplicado, { usuario, usarDocumentoDuplicado = false } = {}) {
+  const Inscripcion = mongoose.model('Inscripcion');
+  const Asistencia = mongoose.model('Asistencia');
+  const Certificado = mongoose.model('Certificado');
+  const Padrino = mongoose.model('Padrino');
+  const ListaEspera = mongoose.model('ListaEspera');
+  const RegistroSacramental = mongoose.model('RegistroSacramental');
+  const Celebracion = mongoose.model('Celebracion');
+  const AlertaRiesgo = mongoose.model('AlertaRiesgo');
+
+  if (this._id.equals(duplicado._id)) {
+    throw new Error('No se puede fusionar un catequizando consigo mismo');
+  }
+
+  if (this.fusionadoEn || duplicado.fusionadoEn) {
+    throw new Error('Uno de los registros ya fue fusionado en otro catequizando');
+  }
+
+  // Sacramentos y datos faltantes se resuelven en memoria; se guardan dentro de la transacción
+  const sacramentosActualizados = [];
+  const camposCompletados = [];
+
+  // Sacramentos: se conserva el registro más completo
+  SACRAMENTOS.forEach(sacramento => {
+    const propio = this.sacramentos?.[sacramento];
+    const ajeno = duplicado.sacramentos?.[sacramento];
+    if (!ajeno?.recibido) return;
+
+    if (!propio?.recibido) {
+      this.set(`sacramentos.${sacramento}`, ajeno.toObject ? ajeno.toObject() : ajeno);
+      sacramentosActualizados.push(sacramento);
+    } else {
+      ['fecha', 'parroquia', 'certificado'].forEach(campo => {
+        if (!propio[campo] && ajeno[campo]) {
+          this.set(`sacramentos.${sacramento}.${campo}`, ajeno[campo]);
+          sacramentosActualizados.push(`${sacramento}.${campo}`);
+        }
+      });
+    }
+  });
+
+  // Datos faltantes
+  const completar = (campo) => {
+    if (!this.get(campo) && duplicado.get(campo)) {
+      this.set(campo, duplicado.get(campo));
+      camposCompletados.push(campo);
+    }
+  };
+
+  ['familia', 'contacto.email', 'responsable.nombres', 'responsable.apellidos', 'responsable.telefono']
+    .forEach(completar);
+
+  const documentoDuplicado = duplicado.documentoIdentidad;
+  const tipoDocumentoDuplicado = duplicado.tipoDocumento;
+
+  // El duplicado se conserva inactivo para que sus referencias antiguas sigan resolviendo
+  duplicado.fusionadoEn = this._id;
+  duplicado.fechaFusion = new Date();
+  duplicado.familia = null;
+  duplicado.estado.activo = false;
+  duplicado.estado.fechaEgreso = duplicado.fechaFusion;
+  duplicado.estado.motivoEgreso = 'otro';
+  duplicado.estado.observaciones = `Registro fusionado en el catequizando ${this._id}`;
+
+  // El documento es único: el duplicado recibe uno de marcador antes de cederlo
+  if (usarDocumentoDuplicado) {
+    duplicado.documentoIdentidad = `FUS-${duplicado._id.toString().slice(-16)}`;
+    this.documentoIdentidad = documentoDuplicado;
+    this.tipoDocumento = tipoDocumentoDuplicado;
+    camposCompletados.push('documentoIdentidad');
+  }
+
+  let resumen;
+  let reemplazos;
+  let gruposConOfertaLiberada;
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      // La transacción puede reintentarse: el resumen se reconstruye en cada intento
+      resumen = {
+        inscripcionesMovidas: 0,
+        inscripcionesCombinadas: 0,
+        asistenciasMovidas: 0,
+        asistenciasDescartadas: 0,
+        certificadosMovidos: 0,
+        certificadosRevocados: 0,
+        padrinosMovidos: 0,
+        padrinosRechazados: 0,
+        listasEsperaActualizadas: 0,
+        registrosSacramentalesMovidos: 0,
+        celebracionesActualizadas: 0,
+        alertasMovidas: 0,
+        sacramentosActualizados: [...sacramentosActualizados],
+        camposCompletados: [...camposCompletados]
+      };
+      reemplazos = new Map();
+      gruposConOfertaLiberada = [];
+
+      // Inscripciones: si ambos están inscritos en el mismo grupo se conserva la propia
+      const [propias, ajenas] = await Promise.all([
+        Inscripcion.find({ catequizando: this._id }).select('grupo').session(session),
+        Inscripcion.find({ catequizando: duplicado._id }).select('grupo').session(session)
+      ]);
+
+      for (const inscripcion of ajenas) {
+        const existente = propias.find(propia => propia.grupo.toString() === inscripcion.grupo.toString());
+
+        if (!existente) {
+          await Inscripcion.updateOne({ _id: inscripcion._id }, { $set: { catequizando: this._id } }, { session });
+          resumen.inscripcionesMovidas++;
+          resumen.asistenciasMovidas += await Asistencia.countDocuments({ inscripcion: inscripcion._id }).session(session);
+          continue;
+        }
+
+        // Combinar asistencias en la inscripción propia (sin repetir sesión ni día de clase)
+        const registradas = await Asistencia.find({ inscripcion: existente._id }).select('fecha sesion').session(session);
+        const sesiones = new Set(registradas.filter(a => a.sesion).map(a => a.sesion.toString()));
+        const dias = new Set(registradas.map(a => inicioDelDia(a.fecha).getTime()));
+
+        const porMover = [];
+        const candidatas = await Asistencia.find({ inscripcion: inscripcion._id }).select('fecha sesion').session(session);
+        candidatas.forEach(asistencia => {
+          const dia = inicioDelDia(asistencia.fecha).getTime();
+          if (dias.has(dia) || (asistencia.sesion && sesiones.has(asistencia.sesion.toString()))) return;
+
+          dias.add(dia);
+          if (asistencia.sesion) sesiones.add(asistencia.sesion.toString());
+          porMover.push(asistencia._id);
+        });
+
+        const movidas = await Asistencia.updateMany(
+          { _id: { $in: porMover } },
+          { $set: { inscripcion: existente._id } },
+          { session }
+        );
+        const descartadas = await Asistencia.deleteMany({ inscripcion: inscripcion._id }, { session });
+
+        resumen.asistenciasMovidas += movidas.modifiedCount;
+        resumen.asistenciasDescartadas += descartadas.deletedCount;
+        reemplazos.set(inscripcion._id.toString(), existente._id);
+      }
+
+      // Certificados: se conserva el código de verificación impreso; la firma se valida contra el almacenado
+      const certificados = await Certificado.find({ catequizando: duplicado._id }).session(session);
+
+      for (const certificado of certificados) {
+        const inscripcionDestino = reemplazos.get(certificado.inscripcion?.toString());
+
+        if (inscripcionDestino) {
+          const yaVigente = await Certificado.exists({ inscripcion: inscripcionDestino, estado: 'vigente' }).session(session);
+          if (certificado.estado === 'vigente' && yaVigente) {
+            await certificado.revocar('Fusión de catequizandos duplicados', usuario);
+            resumen.certificadosRevocados++;
+          }
+          certificado.inscripcion = inscripcionDestino;
+        }
+
+        certificado.catequizando = this._id;
+        await certificado.save();
+        resumen.certificadosMovidos++;
+      }
+
+      // Padrinos: si ambos tienen padrino (o madrina) vigente para el mismo sacramento se conserva
+      // el aprobado (a igualdad, el propio) y el otro queda rechazado antes de moverlo
+      const [padrinosPropios, padrinosAjenos] = await Promise.all([
+        Padrino.find({ catequizando: this._id, estado: { $in: ['pendiente', 'aprobado'] } }).session(session),
+        Padrino.find({ catequizando: duplicado._id, estado: { $in: ['pendiente', 'aprobado'] } }).session(session)
+      ]);
+
+      for (const ajeno of padrinosAjenos) {
+        const propio = padrinosPropios.find(p => p.sacramento === ajeno.sacramento && p.rol === ajeno.rol);
+        if (!propio) continue;
+
+        const descartado = propio.estado === 'pendiente' && ajeno.estado === 'aprobado' ? propio : ajeno;
+        descartado.rechazar(usuario, 'Fusión de catequizandos duplicados');
+        await descartado.save();
+        resumen.padrinosRechazados++;
+      }
+
+      // El resto se conserva con su lista de verificación y aprobación
+      const padrinos = await Padrino.updateMany(
+        { catequizando: duplicado._id },
+        { $set: { catequizando: this._id } },
+        { session }
+      );
+      resumen.padrinosMovidos = padrinos.modifiedCount;
+
+      // Registros sacramentales: el libro parroquial pasa al registro conservado
+      const registros = await RegistroSacramental.updateMany(
+        { catequizando: duplicado._id },
+        { $set: { catequizando: this._id } },
+        { session }
+      );
+      resumen.registrosSacramentalesMovidos = registros.modifiedCount;
+
+      // Celebraciones: si ambos fueron convocados se retira la convocatoria pendiente del duplicado
+      await Celebracion.updateMany(
+        { 'candidatos.catequizando': { $all: [this._id, duplicado._id] } },
+        { $pull: { candidatos: { catequizando: duplicado._id, estado: { $ne: 'celebrado' } } } },
+        { session }
+      );
+      const celebraciones = await Celebracion.updateMany(
+        { 'candidatos.catequizando': duplicado._id },
+        { $set: { 'candidatos.$[candidato].catequizando': this._id } },
+        { arrayFilters: [{ 'candidato.catequizando': duplicado._id }], session }
+      );
+      resumen.celebracionesActualizadas = celebraciones.modifiedCount;
+
+      // Alertas: las de inscripciones combinadas se cierran; el resto pasa al registro conservado
+      if (reemplazos.size > 0) {
+        await AlertaRiesgo.updateMany(
+          { inscripcion: { $in: [...reemplazos.keys()] }, estado: { $ne: 'resuelta' } },
+          {
+            $set: {
+              estado: 'resuelta',
+              condicionActiva: false,
+              resolucion: { usuario, fecha: new Date(), nota: 'Inscripción combinada por fusión de duplicados', automatica: true }
+            }
+          },
+          { session }
+        );
+      }
+      const alertas = await AlertaRiesgo.updateMany(
+        { catequizando: duplicado._id },
+        { $set: { catequizando: this._id } },
+        { session }
+      );
+      resumen.alertasMovidas = alertas.modifiedCount;
+
+      // Listas de espera: el duplicado sale de la cola si el catequizando ya está en ella
+      const listas = await ListaEspera.find({ 'entradas.catequizando': duplicado._id }).session(session);
+
+      for (const lista of listas) {
+        const yaEnCola = Boolean(lista.obtenerEntrada(this._id));
+        let ofertaLiberada = false;
+
+        lista.entradas
+          .filter(entrada => entrada.catequizando.equals(duplicado._id))
+          .forEach(entrada => {
+            if (yaEnCola && ['en_espera', 'ofertada'].includes(entrada.estado)) {
+              ofertaLiberada = ofertaLiberada || entrada.estado === 'ofertada';
+              lista.cerrarEntrada(entrada, 'cancelada', { motivo: 'Fusión de catequizandos duplicados' });
+            }
+            entrada.catequizando = this._id;
+          });
+
+        await lista.save();
+        resumen.listasEsperaActualizadas++;
+
+        if (ofertaLiberada) gruposConOfertaLiberada.push(lista.grupo);
+      }
+
+      if (reemplazos.size > 0) {
+        await Inscripcion.deleteMany({ _id: { $in: [...reemplazos.keys()] } }, { session });
+        resumen.inscripcionesCombinadas = reemplazos.size;
+      }
+
+      // Primero el duplicado, para liberar su documento si este registro lo toma
+      duplicado.$session(session);
+      this.$session(session);
+      await duplicado.save();
+      await this.save();
+    });
+  } finally {
+    duplicado.$session(null);
+    this.$session(null);
+    await session.endSession();
+  }
+
+  // Con la fusión confirmada: recalcular asistencia de las inscripciones combinadas
+  if (reemplazos.size > 0) {
+    const combinadas = await Inscripcion.find({ _id: { $in: [...reemplazos.values()] } });
+    for (const inscripcion of combinadas) {
+      await inscripcion.actualizarAsistencia();
+    }
+  }
+
+  // y ofrecer los cupos que quedaron libres en las listas de espera
+  for (const grupo of gruposConOfertaLiberada) {
+    await ListaEspera.ofrecerCupos(grupo);
+  }
+
+  return resumen;
+};
+
 // Métodos estáticos
-catequizandoSchema.statics.buscarPorDocumento = function(documento) {
-  return this.findOne({ documentoIdentidad: documento });
+catequizandoSchema.statics.buscarPorDocumento = function(documento, filtros = {}) {
+  return this.findOne({ documentoIdentidad: documento, ...filtros });
 };
 
-catequizandoSchema.statics.buscarPorTexto = function(texto) {
+catequizandoSchema.statics.buscarPorTexto = function(texto, filtros = {}) {
   const regex = { $regex: texto, $options: 'i' };
   return this.find({
+    ...filtros,
     $or: [
       { nombres: regex },
       { apellidos: regex },
@@ -280,8 +743,21 @@ catequizandoSchema.statics.buscarPorTexto = function(texto) {
   }).limit(20);
 };
 
-catequizandoSchema.statics.obtenerCumpleanosMes = function(mes) {
+catequizandoSchema.statics.obtenerSinInscripcion = async function(filtros = {}) {
+  const conInscripcion = await mongoose.model('Inscripcion').distinct('catequizando', {
+    estado: { $in: ['pendiente', 'activa'] }
+  });
+
+  return this.find({
+    ...filtros,
+    'estado.activo': true,
+    _id: { $nin: conInscripcion }
+  }).sort({ apellidos: 1, nombres: 1 });
+};
+
+catequizandoSchema.statics.obtenerCumpleanosMes = function(mes, filtros = {}) {
   return this.find({
+    ...filtros,
     'estado.activo': true,
     $expr: {
       $eq: [{ $month: '$fechaNacimiento' }, mes]
@@ -333,6 +809,123 @@ catequizandoSchema.statics.obtenerEstadisticas = function(filtros = {}) {
   ]);
 };
 
+/**
+ * Detección de posibles duplicados
+ * Compara nombres normalizados (sin tildes ni mayúsculas), fecha de nacimiento y
+ * teléfonos del responsable/contacto. Devuelve pares con un puntaje de 0 a 100.
+ */
+const normalizarTexto = (texto) => String(texto || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-zñ\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const normalizarTelefono = (telefono) => {
+  const digitos = String(telefono || '').replace(/\D/g, '');
+  return digitos.length >= 7 ? digitos.slice(-9) : null;
+};
+
+const similitudNombres = (a, b) => {
+  const tokensA = new Set(a.split(' ').filter(Boolean));
+  const tokensB = new Set(b.split(' ').filter(Boolean));
+  const comunes = [...tokensA].filter(token => tokensB.has(token)).length;
+  const union = new Set([...tokensA, ...tokensB]).size;
+
+  return union === 0 ? 0 : comunes / union;
+};
+
+const PUNTAJE_DUPLICADO = {
+  NOMBRE_EXACTO: 45,
+  NOMBRE_SIMILAR: 30,
+  FECHA_NACIMIENTO: 35,
+  TELEFONO: 20
+};
+
+// Máximo de registros comparados entre sí dentro de un mismo grupo de candidatos
+const MAX_POR_GRUPO = 50;
+
+catequizandoSchema.statics.buscarDuplicados = async function(filtros = {}, { umbral = 60, limite = 100 } = {}) {
+  const registros = await this.find({ ...filtros, fusionadoEn: null })
+    .select('nombres apellidos fechaNacimiento documentoIdentidad parroquia responsable.telefono contacto.telefono estado.activo')
+    .lean();
+
+  const candidatos = registros.map(registro => ({
+    registro,
+    nombre: normalizarTexto(`${registro.nombres} ${registro.apellidos}`),
+    fecha: registro.fechaNacimiento ? new Date(registro.fechaNacimiento).toISOString().slice(0, 10) : null,
+    telefonos: [registro.responsable?.telefono, registro.contacto?.telefono]
+      .map(normalizarTelefono)
+      .filter(Boolean)
+  }));
+
+  // Agrupar por claves que comparten los duplicados para no comparar todos contra todos
+  const grupos = new Map();
+  const agregar = (clave, indice) => {
+    if (!grupos.has(clave)) grupos.set(clave, []);
+    grupos.get(clave).push(indice);
+  };
+
+  candidatos.forEach((candidato, indice) => {
+    agregar(`n:${candidato.nombre}`, indice);
+    if (candidato.fecha) agregar(`f:${candidato.fecha}`, indice);
+    candidato.telefonos.forEach(telefono => agregar(`t:${telefono}`, indice));
+  });
+
+  const pares = new Map();
+
+  grupos.forEach(indices => {
+    const muestra = indices.slice(0, MAX_POR_GRUPO);
+
+    for (let i = 0; i < muestra.length; i++) {
+      for (let j = i + 1; j < muestra.length; j++) {
+        const clave = [muestra[i], muestra[j]].sort((x, y) => x - y).join(':');
+        if (pares.has(clave)) continue;
+
+        const a = candidatos[muestra[i]];
+        const b = candidatos[muestra[j]];
+        const coincidencias = [];
+        let puntaje = 0;
+
+        if (a.nombre === b.nombre) {
+          puntaje += PUNTAJE_DUPLICADO.NOMBRE_EXACTO;
+          coincidencias.push('nombre');
+        } else if (similitudNombres(a.nombre, b.nombre) >= 0.6) {
+          puntaje += PUNTAJE_DUPLICADO.NOMBRE_SIMILAR;
+          coincidencias.push('nombre_similar');
+        }
+
+        if (a.fecha && a.fecha === b.fecha) {
+          puntaje += PUNTAJE_DUPLICADO.FECHA_NACIMIENTO;
+          coincidencias.push('fechaNacimiento');
+        }
+
+        if (a.telefonos.some(telefono => b.telefonos.includes(telefono))) {
+          puntaje += PUNTAJE_DUPLICADO.TELEFONO;
+          coincidencias.push('telefono');
+        }
+
+        pares.set(clave, puntaje >= umbral ? { puntaje, coincidencias, a: a.registro, b: b.registro } : null);
+      }
+    }
+  });
+
+  const resumen = ({ _id, nombres, apellidos, fechaNacimiento, documentoIdentidad, parroquia, estado }) => ({
+    _id, nombres, apellidos, fechaNacimiento, documentoIdentidad, parroquia, activo: estado?.activo
+  });
+
+  return [...pares.values()]
+    .filter(Boolean)
+    .sort((x, y) => y.puntaje - x.puntaje)
+    .slice(0, limite)
+    .map(({ puntaje, coincidencias, a, b }) => ({
+      puntaje,
+      coincidencias,
+      catequizandos: [resumen(a), resumen(b)]
+    }));
+};
+
 // Middleware pre-save
 catequizandoSchema.pre('save', function(next) {
   // Normalizar nombres y apellidos
@@ -0,0 +1,438 @@
+const mongoose = require('mongoose');
+const { SACRAMENTOS } = require('../utils/constants');
+
+// Sacramentos que se celebran de forma colectiva al terminar un nivel
+const SACRAMENTOS_CELEBRACION = [SACRAMENTOS.PRIMERA_COMUNION, SACRAMENTOS.CONFIRMACION];
+
+// Campo de Catequizando.sacramentos correspondiente
+const CAMPO_CATEQUIZANDO = {
+  [SACRAMENTOS.PRIMERA_COMUNION]: 'primeraComunion',
+  [SACRAMENTOS.CONFIRMACION]: 'confirmacion'
+};
+
+const candidatoSchema = new mongoose.Schema({
+  catequizando: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Catequizando',
+    required: [true, 'El catequizando es requerido']
+  },
+  inscripcion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inscripcion'
+  },
+  // Orden de ubicación en el templo
+  orden: {
+    type: Number,
+    min: [1, 'El orden debe ser mayor a 0']
+  },
+  estado: {
+    type: String,
+    enum: {
+      values: ['convocado', 'confirmado', 'celebrado', 'ausente', 'retirado'],
+      message: 'Estado de candidato no válido'
+    },
+    default: 'convocado'
+  },
+  // Padrinos aprobados por el párroco al momento de la convocatoria
+  padrinos: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Padrino'
+  }],
+  // Partida asentada al marcar la celebración como realizada
+  registroSacramental: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegistroSacramental'
+  },
+  observaciones: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Las observaciones no pueden exceder 300 caracteres']
+  }
+});
+
+const ensayoSchema = new mongoose.Schema({
+  fecha: {
+    type: Date,
+    required: [true, 'La fecha del ensayo es requerida']
+  },
+  lugar: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'El lugar no puede exceder 150 caracteres']
+  },
+  notas: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Las notas no pueden exceder 300 caracteres']
+  }
+});
+
+const celebracionSchema = new mongoose.Schema({
+  parroquia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parroquia',
+    required: [true, 'La parroquia es requerida']
+  },
+
+  nivel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Nivel',
+    required: [true, 'El nivel es requerido']
+  },
+
+  // Tomado de Nivel.configuracion.sacramentoAsociado
+  sacramento: {
+    type: String,
+    enum: {
+      values: SACRAMENTOS_CELEBRACION,
+      message: 'Solo se planifican celebraciones de primera comunión o confirmación'
+    },
+    required: [true, 'El sacramento es requerido']
+  },
+
+  // Período de los grupos de donde salen los candidatos (ej. 2025-2026)
+  periodo: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'El período no puede exceder 20 caracteres']
+  },
+
+  fecha: {
+    type: Date,
+    required: [true, 'La fecha de la celebración es requerida']
+  },
+
+  lugar: {
+    type: String,
+    required: [true, 'El templo es requerido'],
+    trim: true,
+    maxlength: [150, 'El lugar no puede exceder 150 caracteres']
+  },
+
+  celebrante: {
+    nombre: {
+      type: String,
+      required: [true, 'El celebrante es requerido'],
+      trim: true,
+      maxlength: [150, 'El nombre del celebrante no puede exceder 150 caracteres']
+    },
+    cargo: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'El cargo no puede exceder 100 caracteres']
+    }
+  },
+
+  ensayos: [ensayoSchema],
+
+  candidatos: [candidatoSchema],
+
+  estado: {
+    type: String,
+    enum: {
+      values: ['planificada', 'confirmada', 'celebrada', 'cancelada'],
+      message: 'Estado de celebración no válido'
+    },
+    default: 'planificada'
+  },
+
+  motivoCancelacion: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'El motivo no puede exceder 300 caracteres']
+  },
+
+  // Libro donde se asentaron las partidas
+  registro: {
+    libro: Number,
+    folioInicial: Number,
+    fechaRegistro: Date,
+    registradoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Usuario'
+    }
+  },
+
+  observaciones: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres']
+  },
+
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Índices
+celebracionSchema.index({ parroquia: 1, fecha: -1 });
+celebracionSchema.index({ parroquia: 1, sacramento: 1, estado: 1 });
+celebracionSchema.index({ nivel: 1, periodo: 1 });
+celebracionSchema.index({ 'candidatos.catequizando': 1 });
+
+// Validaciones personalizadas
+celebracionSchema.pre('validate', function(next) {
+  const ids = this.candidatos.map(c => c.catequizando.toString());
+  if (new Set(ids).size !== ids.length) {
+    this.invalidate('candidatos', 'Un catequizando no puede estar dos veces en la celebración');
+  }
+
+  if (this.ensayos.some(ensayo => ensayo.fecha > this.fecha)) {
+    this.invalidate('ensayos', 'Los ensayos deben ser anteriores a la celebración');
+  }
+
+  next();
+});
+
+// Métodos de instancia
+celebracionSchema.methods.estaAbierta = function() {
+  return ['planificada', 'confirmada'].includes(this.estado);
+};
+
+celebracionSchema.methods.obtenerCandidato = function(catequizandoId) {
+  return this.candidatos.find(c => c.catequizando.toString() === catequizandoId.toString()) || null;
+};
+
+celebracionSchema.methods.candidatosActivos = function() {
+  return this.candidatos
+    .filter(c => ['convocado', 'confirmado'].includes(c.estado))
+    .sort((a, b) => (a.orden || Infinity) - (b.orden || Infinity));
+};
+
+celebracionSchema.methods.agregarCandidato = function({ catequizando, inscripcion, padrinos = [] }) {
+  const existente = this.obtenerCandidato(catequizando);
+
+  if (existente) {
+    // Un candidato retirado puede volver a convocarse
+    if (existente.estado === 'retirado') existente.estado = 'convocado';
+    existente.padrinos = padrinos;
+    return existente;
+  }
+
+  const orden = this.candidatos.reduce((max, c) => Math.max(max, c.orden || 0), 0) + 1;
+  this.candidatos.push({ catequizando, inscripcion, orden, padrinos });
+  return this.candidatos[this.candidatos.length - 1];
+};
+
+/**
+ * Reasignar el orden de ubicación según la lista de catequizandos indicada;
+ * los no incluidos quedan al final conservando su orden relativo
+ */
+celebracionSchema.methods.ordenarCandidatos = function(catequizandoIds) {
+  const posiciones = new Map(catequizandoIds.map((id, indice) => [id.toString(), indice]));
+
+  const ordenados = [...this.candidatos].sort((a, b) => {
+    const posA = posiciones.get(a.catequizando.toString()) ?? Infinity;
+    const posB = posiciones.get(b.catequizando.toString()) ?? Infinity;
+    return posA - posB || (a.orden || 0) - (b.orden || 0);
+  });
+
+  ordenados.forEach((candidato, indice) => {
+    candidato.orden = indice + 1;
+  });
+
+  return ordenados;
+};
+
+/**
+ * Marcar la celebración como realizada: asienta la partida de cada candidato presente
+ * (lo que actualiza Catequizando.sacramentos) y registra a los ausentes.
+ * Los padrinos se toman de los aprobados vigentes; sin padrino aprobado no se asienta.
+ * Es reintentable: los candidatos ya celebrados no se vuelven a asentar.
+ */
+celebracionSchema.methods.marcarCelebrada = async function({ libro, folioInicial, partidasPorFolio = 1, ausentes = [] }, usuario = null) {
+  const RegistroSacramental = mongoose.model('RegistroSacramental');
+  const Catequizando = mongoose.model('Catequizando');
+  const Padrino = mongoose.model('Padrino');
+
+  const idsAusentes = ausentes.map(id => id.toString());
+  const candidatos = this.candidatosActivos();
+  const yaAsentadas = this.candidatos.filter(c => c.estado === 'celebrado').length;
+  const resultados = [];
+  const padrinosAprobados = await Padrino.aprobadosPorCatequizando(
+    candidatos.map(c => c.catequizando),
+    this.sacramento
+  );
+
+  for (const candidato of candidatos) {
+    const catequizandoId = candidato.catequizando.toString();
+
+    if (idsAusentes.includes(catequizandoId)) {
+      candidato.estado = 'ausente';
+      resultados.push({ catequizando: catequizandoId, success: true, estado: 'ausente' });
+      continue;
+    }
+
+    try {
+      const catequizando = await Catequizando.findById(candidato.catequizando).populate('familia');
+
+      let registro = await RegistroSacramental.findOne({
+        catequizando: candidato.catequizando,
+        sacramento: this.sacramento
+      });
+
+      if (!registro) {
+        const padrinos = padrinosAprobados.get(catequizandoId) || [];
+
+        if (padrinos.length === 0) {
+          throw new Error('No tiene padrino o madrina aprobado por el párroco');
+        }
+
+        candidato.padrinos = padrinos.map(p => p._id);
+        const posicion = yaAsentadas + resultados.filter(r => r.estado === 'celebrado').length;
+
+        registro = await RegistroSacramental.registrar({
+          parroquia: this.parroquia,
+          sacramento: this.sacramento,
+          libro,
+          folio: folioInicial + Math.floor(posicion / partidasPorFolio),
+          fechaCelebracion: this.fecha,
+          lugar: this.lugar,
+          ministro: { nombre: this.celebrante.nombre, cargo: this.celebrante.cargo },
+          catequizando: catequizando._id,
+          persona: {
+            nombres: catequizando.nombres,
+            apellidos: catequizando.apellidos,
+            documentoIdentidad: catequizando.documentoIdentidad,
+            fechaNacimiento: catequizando.fechaNacimiento
+          },
+          padres: this.constructor.obtenerPadres(catequizando),
+          padrinos: padrinos.map(p => ({
+            nombres: p.nombres,
+            apellidos: p.apellidos,
+            documentoIdentidad: p.documentoIdentidad,
+            rol: p.rol
+          }))
+        }, usuario);
+      }
+
+      candidato.registroSacramental = registro._id;
+      candidato.estado = 'celebrado';
+      resultados.push({
+        catequizando: catequizandoId,
+        success: true,
+        estado: 'celebrado',
+        referencia: registro.obtenerReferencia()
+      });
+    } catch (error) {
+      resultados.push({ catequizando: catequizandoId, success: false, error: error.message });
+    }
+  }
+
+  this.registro = { libro, folioInicial, fechaRegistro: new Date(), registradoPor: usuario };
+  if (resultados.every(r => r.success)) {
+    this.estado = 'celebrada';
+  }
+
+  await this.save();
+  return resultados;
+};
+
+// Métodos estáticos
+/**
+ * Nombres del padre y la madre según la familia o el responsable del catequizando
+ */
+celebracionSchema.statics.obtenerPadres = function(catequizando) {
+  const padres = {};
+  const representantes = catequizando.familia?.representantes || [];
+
+  ['padre', 'madre'].forEach(relacion => {
+    const representante = representantes.find(r => r.relacion === relacion);
+    if (representante) {
+      padres[relacion] = `${representante.nombres} ${representante.apellidos}`.trim();
+    } else if (catequizando.responsable?.relacion === relacion) {
+      padres[relacion] = `${catequizando.responsable.nombres} ${catequizando.responsable.apellidos || ''}`.trim();
+    }
+  });
+
+  return padres;
+};
+
+/**
+ * Candidatos elegibles: inscripciones aprobadas en grupos del nivel (y período),
+ * sin el sacramento recibido y sin otra celebración abierta del mismo sacramento.
+ * Incluye los padrinos aprobados de cada uno (requeridos para convocarlo).
+ */
+celebracionSchema.statics.obtenerCandidatosElegibles = async function(celebracion) {
+  const Grupo = mongoose.model('Grupo');
+  const Inscripcion = mongoose.model('Inscripcion');
+  const Padrino = mongoose.model('Padrino');
+
+  const filtroGrupos = { parroquia: celebracion.parroquia, nivel: celebracion.nivel };
+  if (celebracion.periodo) filtroGrupos.periodo = celebracion.periodo;
+
+  const grupos = await Grupo.find(filtroGrupos).select('_id');
+
+  const inscripciones = await Inscripcion.find({
+    grupo: { $in: grupos.map(g => g._id) },
+    'evaluacion.aprobado': true,
+    estado: { $ne: 'retirada' }
+  })
+    .populate('catequizando', 'nombres apellidos documentoIdentidad fechaNacimiento estado sacramentos')
+    .populate('grupo', 'nombre periodo')
+    .sort({ fechaInscripcion: 1 });
+
+  // Catequizandos ya convocados en otra celebración abierta del mismo sacramento
+  const otrasCelebraciones = await this.find({
+    _id: { $ne: celebracion._id },
+    parroquia: celebracion.parroquia,
+    sacramento: celebracion.sacramento,
+    estado: { $in: ['planificada', 'confirmada'] }
+  }).select('candidatos.catequizando candidatos.estado fecha');
+
+  const convocadosEnOtra = new Map();
+  otrasCelebraciones.forEach(otra => {
+    otra.candidatos
+      .filter(c => ['convocado', 'confirmado'].includes(c.estado))
+      .forEach(c => convocadosEnOtra.set(c.catequizando.toString(), otra._id));
+  });
+
+  const campo = CAMPO_CATEQUIZANDO[celebracion.sacramento];
+  const vistos = new Set();
+
+  const elegibles = inscripciones
+    .filter(inscripcion => inscripcion.catequizando?.estado?.activo)
+    .filter(inscripcion => {
+      const id = inscripcion.catequizando._id.toString();
+      if (vistos.has(id)) return false;
+      vistos.add(id);
+
+      return !inscripcion.catequizando.sacramentos?.[campo]?.recibido &&
+        !convocadosEnOtra.has(id) &&
+        !celebracion.candidatos.some(c => c.catequizando.toString() === id && c.estado !== 'retirado');
+    });
+
+  const padrinosAprobados = await Padrino.aprobadosPorCatequizando(
+    elegibles.map(inscripcion => inscripcion.catequizando._id),
+    celebracion.sacramento
+  );
+
+  return elegibles.map(inscripcion => {
+    const padrinos = padrinosAprobados.get(inscripcion.catequizando._id.toString()) || [];
+    const advertencias = [];
+    if (padrinos.length === 0) {
+      advertencias.push('Sin padrino o madrina aprobado por el párroco');
+    }
+    if (!inscripcion.catequizando.sacramentos?.bautismo?.recibido) {
+      advertencias.push('No tiene bautismo registrado');
+    }
+    if (celebracion.sacramento === SACRAMENTOS.CONFIRMACION &&
+        !inscripcion.catequizando.sacramentos?.primeraComunion?.recibido) {
+      advertencias.push('No tiene primera comunión registrada');
+    }
+
+    return {
+      catequizando: inscripcion.catequizando,
+      inscripcion: inscripcion._id,
+      grupo: inscripcion.grupo,
+      padrinos: padrinos.map(p => ({ _id: p._id, nombres: p.nombres, apellidos: p.apellidos, rol: p.rol })),
+      advertencias
+    };
+  });
+};
+
+module.exports = mongoose.model('Celebracion', celebracionSchema);
@@ -0,0 +1,446 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const config = require('../config/environment');
+
+const certificadoSchema = new mongoose.Schema({
+  // Número de folio único (CERT-AAAA-000001)
+  folio: {
+    type: String,
+    required: [true, 'El folio es requerido'],
+    trim: true,
+    uppercase: true,
+    match: [/^CERT-\d{4}-\d{6}$/, 'El folio debe tener el formato CERT-AAAA-000000']
+  },
+
+  // Código de verificación firmado (FOLIO-FIRMA)
+  codigoVerificacion: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+
+  catequizando: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Catequizando',
+    required: [true, 'El catequizando es requerido']
+  },
+
+  inscripcion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inscripcion',
+    required: [true, 'La inscripción es requerida']
+  },
+
+  nivel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Nivel',
+    required: [true, 'El nivel es requerido']
+  },
+
+  grupo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grupo',
+    required: [true, 'El grupo es requerido']
+  },
+
+  parroquia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parroquia',
+    required: [true, 'La parroquia es requerida']
+  },
+
+  // Párroco que firma el certificado
+  parroco: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  },
+
+  fechaEmision: {
+    type: Date,
+    required: [true, 'La fecha de emisión es requerida'],
+    default: Date.now
+  },
+
+  // Resultado de la evaluación al momento de emitir
+  aprobado: {
+    type: Boolean,
+    default: true
+  },
+
+  notaFinal: {
+    type: Number,
+    min: [0, 'La nota final mínima es 0'],
+    max: [100, 'La nota final máxima es 100']
+  },
+
+  porcentajeAsistencia: {
+    type: Number,
+    min: [0, 'El porcentaje mínimo es 0'],
+    max: [100, 'El porcentaje máximo es 100']
+  },
+
+  sacramentoAsociado: {
+    type: String,
+    enum: ['', 'primera_comunion', 'confirmacion', 'matrimonio'],
+    default: ''
+  },
+
+  // Estado del certificado
+  estado: {
+    type: String,
+    enum: {
+      values: ['vigente', 'revocado', 'reemplazado'],
+      message: 'Estado de certificado inválido'
+    },
+    default: 'vigente'
+  },
+
+  // Información de revocación
+  revocacion: {
+    fecha: {
+      type: Date
+    },
+    motivo: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'El motivo no puede exceder 300 caracteres']
+    },
+    revocadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Usuario'
+    }
+  },
+
+  // Información de reemisión
+  reemision: {
+    reemplazaA: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Certificado'
+    },
+    reemplazadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Certificado'
+    },
+    motivo: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'El motivo no puede exceder 300 caracteres']
+    }
+  },
+
+  // Auditoría de la emisión
+  emision: {
+    automatica: {
+      type: Boolean,
+      default: false
+    },
+    emitidoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Usuario'
+    }
+  },
+
+  observaciones: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres']
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Índices
+certificadoSchema.index({ folio: 1 }, { unique: true });
+certificadoSchema.index({ codigoVerificacion: 1 }, { unique: true, sparse: true });
+certificadoSchema.index({ catequizando: 1, fechaEmision: -1 });
+certificadoSchema.index({ parroquia: 1, fechaEmision: -1 });
+certificadoSchema.index({ nivel: 1 });
+certificadoSchema.index({ grupo: 1 });
+certificadoSchema.index({ estado: 1 });
+// Solo puede existir un certificado vigente por inscripción
+certificadoSchema.index(
+  { inscripcion: 1 },
+  { unique: true, partialFilterExpression: { estado: 'vigente' } }
+);
+
+// Generar código de verificación antes de validar
+certificadoSchema.pre('validate', function(next) {
+  if (this.folio && this.catequizando && this.fechaEmision &&
+      (!this.codigoVerificacion || this.isModified('folio') || this.isModified('fechaEmision'))) {
+    this.codigoVerificacion = this.generarCodigoVerificacion();
+  }
+  next();
+});
+
+// Métodos de instancia
+certificadoSchema.methods.firmar = function() {
+  const catequizandoId = (this.catequizando?._id || this.catequizando).toString();
+  const contenido = `${this.folio}|${catequizandoId}|${new Date(this.fechaEmision).toISOString()}`;
+
+  return crypto
+    .createHmac('sha256', config.certificados.secret)
+    .update(contenido)
+    .digest('hex')
+    .slice(0, 20)
+    .toUpperCase();
+};
+
+certificadoSchema.methods.generarCodigoVerificacion = function() {
+  return `${this.folio}-${this.firmar()}`;
+};
+
+/**
+ * Comparar con la firma guardada al emitir (no se recalcula), así rotar el
+ * secreto no invalida los certificados ya impresos
+ */
+certificadoSchema.methods.verificarFirma = function(firma) {
+  const prefijo = `${this.folio}-`;
+  const emitida = this.codigoVerificacion?.startsWith(prefijo)
+    ? this.codigoVerificacion.slice(prefijo.length)
+    : this.firmar();
+  const esperada = Buffer.from(emitida);
+  const recibida = Buffer.from(String(firma || '').toUpperCase());
+
+  return esperada.length === recibida.length && crypto.timingSafeEqual(esperada, recibida);
+};
+
+certificadoSchema.methods.obtenerIniciales = function() {
+  const { nombres = '', apellidos = '' } = this.catequizando || {};
+
+  return `${nombres} ${apellidos}`
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(parte => `${parte.charAt(0).toUpperCase()}.`)
+    .join(' ');
+};
+
+certificadoSchema.methods.estaVigente = function() {
+  return this.estado === 'vigente';
+};
+
+certificadoSchema.methods.revocar = function(motivo, usuario = null) {
+  if (this.estado !== 'vigente') {
+    throw new Error('Solo se pueden revocar certificados vigentes');
+  }
+
+  this.estado = 'revocado';
+  this.revocacion = {
+    fecha: new Date(),
+    motivo,
+    revocadoPor: usuario
+  };
+
+  return this.save();
+};
+
+certificadoSchema.methods.reemitir = async function(motivo, usuario = null) {
+  if (this.estado !== 'vigente') {
+    throw new Error('Solo se pueden reemitir certificados vigentes');
+  }
+
+  const Certificado = this.constructor;
+  const parroco = await Certificado.obtenerParrocoFirmante(this.parroquia, usuario) || this.parroco;
+  const session = await mongoose.startSession();
+  let nuevo;
+
+  try {
+    // El reemplazo y el nuevo certificado se confirman juntos o no se aplica ninguno
+    await session.withTransaction(async () => {
+      // Solo una reemisión concurrente puede reemplazar al certificado vigente
+      const anterior = await Certificado.findOneAndUpdate(
+        { _id: this._id, estado: 'vigente' },
+        { $set: { estado: 'reemplazado', 'reemision.motivo': motivo } },
+        { new: true, session }
+      );
+
+      if (!anterior) {
+        throw new Error('Solo se pueden reemitir certificados vigentes');
+      }
+
+      nuevo = new Certificado({
+        folio: await Certificado.generarFolio(new Date(), { session }),
+        catequizando: this.catequizando,
+        inscripcion: this.inscripcion,
+        nivel: this.nivel,
+        grupo: this.grupo,
+        parroquia: this.parroquia,
+        parroco,
+        aprobado: this.aprobado,
+        notaFinal: this.notaFinal,
+        porcentajeAsistencia: this.porcentajeAsistencia,
+        sacramentoAsociado: this.sacramentoAsociado,
+        reemision: {
+          reemplazaA: this._id,
+          motivo
+        },
+        emision: {
+          automatica: false,
+          emitidoPor: usuario
+        }
+      });
+
+      await nuevo.save({ session });
+
+      await Certificado.updateOne(
+        { _id: this._id },
+        { $set: { 'reemision.reemplazadoPor': nuevo._id } },
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  this.estado = 'reemplazado';
+  this.reemision.motivo = motivo;
+  this.reemision.reemplazadoPor = nuevo._id;
+
+  return nuevo;
+};
+
+// Métodos estáticos
+certificadoSchema.statics.generarFolio = async function(fecha = new Date(), opciones = {}) {
+  const Contador = mongoose.model('Contador');
+  const anio = fecha.getFullYear();
+  const prefijo = `CERT-${anio}-`;
+  const clave = `certificados-${anio}`;
+
+  // El contador del año arranca desde el último folio ya emitido
+  if (!(await Contador.exists({ _id: clave }))) {
+    const ultimo = await this.findOne({ folio: { $regex: `^${prefijo}` } })
+      .sort({ folio: -1 })
+      .select('folio');
+
+    await Contador.inicializar(clave, ultimo ? parseInt(ultimo.folio.slice(prefijo.length)) : 0);
+  }
+
+  const secuencia = await Contador.siguiente(clave, opciones);
+
+  return `${prefijo}${secuencia.toString().padStart(6, '0')}`;
+};
+
+certificadoSchema.statics.obtenerParrocoFirmante = async function(parroquiaId, usuarioId = null) {
+  const Usuario = mongoose.model('Usuario');
+
+  // Si quien emite es el párroco de la parroquia, firma él mismo
+  if (usuarioId) {
+    const usuario = await Usuario.findById(usuarioId).select('tipoPerfil parroquia');
+    if (usuario?.tipoPerfil === 'parroco' &&
+        usuario.parroquia?.toString() === parroquiaId.toString()) {
+      return usuario._id;
+    }
+  }
+
+  const parroco = await Usuario.findOne({
+    tipoPerfil: 'parroco',
+    parroquia: parroquiaId,
+    activo: true
+  }).select('_id');
+
+  return parroco?._id || null;
+};
+
+certificadoSchema.statics.emitirDesdeInscripcion = async function(inscripcionId, opciones = {}) {
+  const { usuario = null, automatica = false, observaciones } = opciones;
+  const Inscripcion = mongoose.model('Inscripcion');
+
+  const inscripcion = await Inscripcion.findById(inscripcionId).populate({
+    path: 'grupo',
+    select: 'nivel parroquia',
+    populate: { path: 'nivel', select: 'nombre configuracion' }
+  });
+
+  if (!inscripcion) {
+    throw new Error('Inscripción no encontrada');
+  }
+
+  if (inscripcion.estado !== 'completada') {
+    throw new Error('La inscripción debe estar completada para emitir el certificado');
+  }
+
+  if (inscripcion.evaluacion?.aprobado !== true) {
+    throw new Error('La inscripción no está aprobada');
+  }
+
+  const nivel = inscripcion.grupo?.nivel;
+  if (!nivel?.configuracion?.otorgaCertificado) {
+    throw new Error('El nivel no otorga certificado');
+  }
+
+  const existente = await this.findOne({ inscripcion: inscripcion._id, estado: 'vigente' });
+  if (existente) {
+    throw new Error('Ya existe un certificado vigente para esta inscripción');
+  }
+
+  const certificado = new this({
+    folio: await this.generarFolio(),
+    catequizando: inscripcion.catequizando,
+    inscripcion: inscripcion._id,
+    nivel: nivel._id,
+    grupo: inscripcion.grupo._id,
+    parroquia: inscripcion.parroquia,
+    parroco: await this.obtenerParrocoFirmante(inscripcion.parroquia, usuario),
+    aprobado: true,
+    notaFinal: inscripcion.evaluacion.notaFinal,
+    porcentajeAsistencia: inscripcion.evaluacion.asistencia?.porcentajeAsistencia,
+    sacramentoAsociado: nivel.configuracion.sacramentoAsociado || '',
+    emision: {
+      automatica,
+      emitidoPor: usuario
+    },
+    observaciones
+  });
+
+  return certificado.save();
+};
+
+certificadoSchema.statics.buscarPorCodigoVerificacion = async function(codigo) {
+  // Formato esperado: CERT-AAAA-000000-FIRMA
+  const coincidencia = /^(CERT-\d{4}-\d{6})-([0-9A-F]{20})$/.exec(String(codigo || '').trim().toUpperCase());
+  if (!coincidencia) return null;
+
+  const [, folio, firma] = coincidencia;
+
+  const certificado = await this.findOne({ folio })
+    .populate('catequizando', 'nombres apellidos')
+    .populate('nivel', 'nombre')
+    .populate('parroquia', 'nombre');
+
+  if (!certificado || !certificado.verificarFirma(firma)) return null;
+
+  return certificado;
+};
+
+certificadoSchema.statics.obtenerPorCatequizando = function(catequizandoId, soloVigentes = false) {
+  const filtro = { catequizando: catequizandoId };
+
+  if (soloVigentes) {
+    filtro.estado = 'vigente';
+  }
+
+  return this.find(filtro)
+    .populate('nivel', 'nombre orden')
+    .populate('grupo', 'nombre periodo')
+    .populate('parroquia', 'nombre')
+    .populate('parroco', 'datosPersonales.nombres datosPersonales.apellidos')
+    .sort({ fechaEmision: -1 });
+};
+
+certificadoSchema.statics.obtenerEstadisticas = function(filtros = {}) {
+  return this.aggregate([
+    { $match: filtros },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        vigentes: { $sum: { $cond: [{ $eq: ['$estado', 'vigente'] }, 1, 0] } },
+        revocados: { $sum: { $cond: [{ $eq: ['$estado', 'revocado'] }, 1, 0] } },
+        reemplazados: { $sum: { $cond: [{ $eq: ['$estado', 'reemplazado'] }, 1, 0] } },
+        automaticos: { $sum: { $cond: ['$emision.automatica', 1, 0] } }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('Certificado', certificadoSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Secuencias numeradas (folios) que se asignan de forma atómica con $inc
+const contadorSchema = new mongoose.Schema({
+  // Clave de la secuencia, p. ej. certificados-2025
+  _id: {
+    type: String,
+    required: [true, 'La clave del contador es requerida']
+  },
+
+  valor: {
+    type: Number,
+    default: 0,
+    min: [0, 'El valor del contador no puede ser negativo']
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Métodos estáticos
+
+/**
+ * Incrementar la secuencia y devolver el nuevo valor (crea el contador si no existe)
+ */
+contadorSchema.statics.siguiente = async function(clave, opciones = {}) {
+  const contador = await this.findOneAndUpdate(
+    { _id: clave },
+    { $inc: { valor: 1 } },
+    { upsert: true, new: true, session: opciones.session }
+  );
+
+  return contador.valor;
+};
+
+/**
+ * Crear el contador partiendo de un valor inicial (numeración existente).
+ * Nunca retrocede una secuencia ya en uso.
+ */
+contadorSchema.statics.inicializar = async function(clave, valorInicial = 0) {
+  try {
+    await this.updateOne(
+      { _id: clave },
+      { $max: { valor: valorInicial } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Dos inicializaciones simultáneas: la otra ya creó el contador
+    if (error.code !== 11000) throw error;
+  }
+};
+
+module.exports = mongoose.model('Contador', contadorSchema);
@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const { escapeRegex } = require('../utils/queryhelpers');
+
+const RELACIONES = ['padre', 'madre', 'tutor', 'abuelo', 'tio', 'hermano', 'otro'];
+
+const representanteSchema = new mongoose.Schema({
+  nombres: {
+    type: String,
+    required: [true, 'Los nombres del representante son requeridos'],
+    trim: true,
+    maxlength: [50, 'Los nombres del representante no pueden exceder 50 caracteres']
+  },
+
+  apellidos: {
+    type: String,
+    required: [true, 'Los apellidos del representante son requeridos'],
+    trim: true,
+    maxlength: [50, 'Los apellidos del representante no pueden exceder 50 caracteres']
+  },
+
+  documentoIdentidad: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'El documento no puede exceder 20 caracteres']
+  },
+
+  relacion: {
+    type: String,
+    enum: {
+      values: RELACIONES,
+      message: 'Relación no válida'
+    },
+    default: 'madre'
+  },
+
+  telefono: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return !v || /^[\d\-\s\+\(\)]+$/.test(v);
+      },
+      message: 'Formato de teléfono del representante inválido'
+    }
+  },
+
+  telefonoAlternativo: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return !v || /^[\d\-\s\+\(\)]+$/.test(v);
+      },
+      message: 'Formato de teléfono alternativo inválido'
+    }
+  },
+
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: function(v) {
+        return !v || /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/.test(v);
+      },
+      message: 'Email del representante inválido'
+    }
+  },
+
+  ocupacion: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'La ocupación no puede exceder 100 caracteres']
+  },
+
+  // Representante de contacto por defecto de la familia
+  principal: {
+    type: Boolean,
+    default: false
+  },
+
+  custodia: {
+    tieneCustodia: {
+      type: Boolean,
+      default: true
+    },
+    // Si es false, no puede retirar a los catequizandos al terminar la sesión
+    autorizadoRetirar: {
+      type: Boolean,
+      default: true
+    },
+    notas: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Las notas de custodia no pueden exceder 500 caracteres']
+    }
+  },
+
+  preferenciasContacto: {
+    medio: {
+      type: String,
+      enum: {
+        values: ['telefono', 'whatsapp', 'sms', 'email'],
+        message: 'Medio de contacto no válido'
+      },
+      default: 'telefono'
+    },
+    horario: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'El horario no puede exceder 100 caracteres']
+    },
+    recibirNotificaciones: {
+      type: Boolean,
+      default: true
+    }
+  }
+});
+
+const familiaSchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: [true, 'El nombre de la familia es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre de la familia no puede exceder 100 caracteres']
+  },
+
+  parroquia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parroquia',
+    required: [true, 'La parroquia es requerida']
+  },
+
+  representantes: {
+    type: [representanteSchema],
+    validate: {
+      validator: representantes => representantes.length > 0,
+      message: 'La familia debe tener al menos un representante'
+    }
+  },
+
+  direccion: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'La dirección no puede exceder 255 caracteres']
+  },
+
+  ciudad: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'La ciudad no puede exceder 50 caracteres']
+  },
+
+  // Situación de custodia general (ej. padres separados, orden judicial)
+  notasCustodia: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Las notas de custodia no pueden exceder 1000 caracteres']
+  },
+
+  observaciones: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres']
+  },
+
+  activa: {
+    type: Boolean,
+    default: true
+  },
+
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Índices
+familiaSchema.index({ parroquia: 1, activa: 1 });
+familiaSchema.index({ nombre: 1 });
+familiaSchema.index({ 'representantes.documentoIdentidad': 1 });
+familiaSchema.index({ 'representantes.telefono': 1 });
+
+// Validaciones personalizadas
+familiaSchema.pre('validate', function(next) {
+  const principales = this.representantes.filter(r => r.principal);
+
+  // Exactamente un representante principal: si no se indicó, el primero
+  if (principales.length === 0 && this.representantes.length > 0) {
+    this.representantes[0].principal = true;
+  } else if (principales.length > 1) {
+    this.invalidate('representantes', 'Solo puede haber un representante principal');
+  }
+
+  next();
+});
+
+// Métodos de instancia
+familiaSchema.methods.obtenerPrincipal = function() {
+  return this.representantes.find(r => r.principal) || this.representantes[0] || null;
+};
+
+familiaSchema.methods.obtenerContactos = function() {
+  return this.representantes
+    .filter(r => r.telefono || r.email)
+    .map(r => ({
+      nombre: `${r.nombres} ${r.apellidos}`.trim(),
+      telefono: r.telefono,
+      email: r.email,
+      relacion: r.relacion,
+      principal: r.principal,
+      medio: r.preferenciasContacto?.medio,
+      recibirNotificaciones: r.preferenciasContacto?.recibirNotificaciones !== false
+    }));
+};
+
+familiaSchema.methods.obtenerHijos = function(filtros = {}) {
+  return mongoose.model('Catequizando')
+    .find({ familia: this._id, ...filtros })
+    .sort({ fechaNacimiento: 1 });
+};
+
+// Métodos estáticos
+familiaSchema.statics.buscarPorTexto = function(texto, filtros = {}) {
+  const regex = { $regex: escapeRegex(texto), $options: 'i' };
+  return this.find({
+    ...filtros,
+    $or: [
+      { nombre: regex },
+      { 'representantes.nombres': regex },
+      { 'representantes.apellidos': regex },
+      { 'representantes.documentoIdentidad': regex },
+      { 'representantes.telefono': regex }
+    ]
+  }).sort({ nombre: 1 });
+};
+
+familiaSchema.statics.buscarPorRepresentante = function(documento, filtros = {}) {
+  return this.findOne({
+    ...filtros,
+    'representantes.documentoIdentidad': String(documento).toUpperCase()
+  });
+};
+
+module.exports = mongoose.model('Familia', familiaSchema);
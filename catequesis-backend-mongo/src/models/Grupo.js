@@ -1,4 +1,5 @@
     const mongoose = require('mongoose');
+const { horaLocal } = require('../utils/fechas');
 
 const grupoSchema = new mongoose.Schema({
   nombre: {
@@ -360,9 +361,22 @@ grupoSchema.pre('save', function(next) {
       return next(new Error('Solo puede haber un coordinador activo por grupo'));
     }
   }
+
+  // Un cambio de capacidad puede liberar cupos para la lista de espera
+  this.$locals.capacidadModificada = !this.isNew && this.isModified('informacion.capacidadMaxima');
   next();
 });
 
+grupoSchema.post('save', async function(doc) {
+  if (!doc.$locals.capacidadModificada) return;
+
+  try {
+    await mongoose.model('ListaEspera').ofrecerCupos(doc._id);
+  } catch (error) {
+    console.error('Error ofreciendo cupos de lista de espera:', error);
+  }
+});
+
 // Métodos de instancia
 grupoSchema.methods.obtenerCoordinador = function() {
   return this.catequistas?.find(cat => cat.rol === 'coordinador' && cat.activo);
@@ -415,13 +429,13 @@ grupoSchema.methods.removerCatequista = function(usuarioId) {
 
 grupoSchema.methods.estaEnHorario = function(fecha = new Date()) {
   const diasSemana = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
-  const diaActual = diasSemana[fecha.getDay()];
+  // Día y hora en la zona horaria configurada, no en la del servidor
+  const { diaSemana, hora: horaActual } = horaLocal(fecha);
   
-  if (diaActual !== this.horarios?.diaSemana) {
+  if (diasSemana[diaSemana] !== this.horarios?.diaSemana) {
     return false;
   }
   
-  const horaActual = fecha.toTimeString().slice(0, 5); // HH:MM
   return horaActual >= this.horarios.horaInicio && horaActual <= this.horarios.horaFin;
 };
 
@@ -481,6 +495,62 @@ grupoSchema.methods.obtenerProximaClase = function() {
   return proximaClase;
 };
 
+/**
+ * Calendario de clases del grupo entre dos fechas: un día por semana según el horario,
+ * sin las vacaciones; las fechas especiales suspenden la clase o agregan un evento
+ */
+grupoSchema.methods.calcularFechasClase = function(desde = null, hasta = null) {
+  const diasSemana = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+  const clave = fecha => new Date(fecha).toDateString();
+
+  const inicio = new Date(Math.max(new Date(this.fechas.inicioClases), desde ? new Date(desde) : 0));
+  const fin = new Date(Math.min(new Date(this.fechas.finClases), hasta ? new Date(hasta) : Infinity));
+  inicio.setHours(0, 0, 0, 0);
+  fin.setHours(23, 59, 59, 999);
+
+  const enVacaciones = fecha => (this.fechas.vacaciones || []).some(vacacion => {
+    const desdeVacacion = new Date(vacacion.fechaInicio).setHours(0, 0, 0, 0);
+    const hastaVacacion = new Date(vacacion.fechaFin).setHours(23, 59, 59, 999);
+    return fecha >= desdeVacacion && fecha <= hastaVacacion;
+  });
+
+  const especiales = new Map();
+  (this.fechas.fechasEspeciales || []).forEach(especial => {
+    especiales.set(clave(especial.fecha), especial);
+  });
+
+  const fechas = [];
+  const dia = new Date(inicio);
+
+  while (dia <= fin) {
+    const especial = especiales.get(clave(dia));
+    const esDiaDeClase = diasSemana[dia.getDay()] === this.horarios.diaSemana;
+
+    if (especial && especial.tipo !== 'suspension') {
+      fechas.push({
+        fecha: new Date(dia),
+        tipo: especial.tipo,
+        horaInicio: especial.horaInicio || this.horarios.horaInicio,
+        horaFin: especial.horaFin || this.horarios.horaFin,
+        descripcion: especial.descripcion
+      });
+    } else if (esDiaDeClase && !enVacaciones(dia)) {
+      fechas.push({
+        fecha: new Date(dia),
+        tipo: 'regular',
+        horaInicio: this.horarios.horaInicio,
+        horaFin: this.horarios.horaFin,
+        suspendida: Boolean(especial),
+        descripcion: especial?.descripcion
+      });
+    }
+
+    dia.setDate(dia.getDate() + 1);
+  }
+
+  return fechas;
+};
+
 grupoSchema.methods.actualizarEstadisticas = async function() {
   try {
     const Inscripcion = mongoose.model('Inscripcion');
@@ -1,4 +1,18 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { generarCodigoQR } = require('../utils/codigoQR');
+const { ENLACE_QR_CONFIG } = require('../utils/constants');
+
+// Resultado de cada validación del proceso de inscripción
+const validacionSchema = new mongoose.Schema({
+  realizada: { type: Boolean, default: false },
+  aprobada: { type: Boolean },
+  observacion: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La observación no puede exceder 200 caracteres']
+  }
+}, { _id: false });
 
 const inscripcionSchema = new mongoose.Schema({
   catequizando: {
@@ -64,6 +78,69 @@ const inscripcionSchema = new mongoose.Schema({
     }
   },
 
+  // Traslados entre grupos (y parroquias) conservando pagos, calificaciones y asistencias
+  transferencias: [{
+    grupoAnterior: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Grupo',
+      required: true
+    },
+    grupoNuevo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Grupo',
+      required: true
+    },
+    parroquiaAnterior: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parroquia'
+    },
+    parroquiaNueva: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parroquia'
+    },
+    // Asistencia acumulada en el grupo anterior al momento del traslado
+    asistencia: {
+      totalClases: Number,
+      clasesAsistidas: Number,
+      porcentajeAsistencia: Number
+    },
+    fecha: {
+      type: Date,
+      default: Date.now
+    },
+    motivo: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'El motivo no puede exceder 300 caracteres']
+    },
+    registradoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Usuario'
+    }
+  }],
+
+  // Traslado a otra parroquia pendiente de aceptación por la parroquia de destino
+  solicitudTraslado: {
+    grupoDestino: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Grupo'
+    },
+    parroquiaDestino: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parroquia'
+    },
+    motivo: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'El motivo no puede exceder 300 caracteres']
+    },
+    solicitadaPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Usuario'
+    },
+    fecha: Date
+  },
+
   // Información de pagos
   pagos: {
     inscripcion: {
@@ -148,7 +225,11 @@ const inscripcionSchema = new mongoose.Schema({
     asistencia: {
       totalClases: { type: Number, default: 0 },
       clasesAsistidas: { type: Number, default: 0 },
-      porcentajeAsistencia: { type: Number, default: 0 }
+      // Las ausencias justificadas no cuentan en el porcentaje
+      ausenciasJustificadas: { type: Number, default: 0 },
+      porcentajeAsistencia: { type: Number, default: 0 },
+      // Mínimo del grupo (configuracion.asistenciaMinima) al último recálculo
+      asistenciaMinima: { type: Number, default: 80 }
     },
 
     // Calificaciones
@@ -245,6 +326,26 @@ const inscripcionSchema = new mongoose.Schema({
     }
   }],
 
+  // Check-in por código QR: el paso del último código usado impide reutilizarlo
+  checkinQR: {
+    ultimoPaso: Number,
+    ultimoUso: Date,
+
+    // Enlace del representante para mostrar el código vigente (solo se guarda el hash del token)
+    enlace: {
+      tokenHash: {
+        type: String,
+        select: false
+      },
+      expiraEn: Date,
+      generadoPor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Usuario'
+      },
+      fechaGeneracion: Date
+    }
+  },
+
   // Seguimiento especial
   seguimiento: {
     requiereAtencionEspecial: {
@@ -298,12 +399,14 @@ const inscripcionSchema = new mongoose.Schema({
       }
     }],
 
-    // Validaciones realizadas
+    // Validaciones realizadas (reglas de Catequizando.esAptoParaNivel)
     validaciones: {
-      edad: { realizada: { type: Boolean, default: false }, aprobada: { type: Boolean } },
-      documentos: { realizada: { type: Boolean, default: false }, aprobada: { type: Boolean } },
-      bautismo: { realizada: { type: Boolean, default: false }, aprobada: { type: Boolean } },
-      nivelAnterior: { realizada: { type: Boolean, default: false }, aprobada: { type: Boolean } }
+      edad: validacionSchema,
+      documentos: validacionSchema,
+      bautismo: validacionSchema,
+      nivelAnterior: validacionSchema,
+      activo: validacionSchema,
+      deudas: validacionSchema
     },
 
     // Aprobación final
@@ -325,23 +428,27 @@ const inscripcionSchema = new mongoose.Schema({
 inscripcionSchema.index({ catequizando: 1, grupo: 1 }, { unique: true });
 inscripcionSchema.index({ grupo: 1, activa: 1 });
 inscripcionSchema.index({ parroquia: 1, activa: 1 });
+inscripcionSchema.index({ 'solicitudTraslado.parroquiaDestino': 1 }, { sparse: true });
 inscripcionSchema.index({ estado: 1 });
 inscripcionSchema.index({ fechaInscripcion: -1 });
 inscripcionSchema.index({ 'pagos.inscripcion.pagado': 1 });
 inscripcionSchema.index({ 'evaluacion.aprobado': 1 });
+inscripcionSchema.index({ 'checkinQR.enlace.tokenHash': 1 }, { sparse: true });
 
 // Middleware pre-save
 inscripcionSchema.pre('save', function(next) {
   // Calcular porcentaje de asistencia
-  if (this.evaluacion?.asistencia?.totalClases > 0) {
-    const porcentaje = (this.evaluacion.asistencia.clasesAsistidas / this.evaluacion.asistencia.totalClases) * 100;
+  const clasesComputables = (this.evaluacion?.asistencia?.totalClases || 0) -
+    (this.evaluacion?.asistencia?.ausenciasJustificadas || 0);
+  if (clasesComputables > 0) {
+    const porcentaje = (this.evaluacion.asistencia.clasesAsistidas / clasesComputables) * 100;
     this.evaluacion.asistencia.porcentajeAsistencia = Math.round(porcentaje * 100) / 100;
   }
 
   // Determinar aprobación basada en criterios
   if (this.evaluacion?.notaFinal !== undefined && this.evaluacion?.notaFinal !== null) {
     const notaMinima = 70; // Configurable por nivel
-    const asistenciaMinima = 80; // Configurable por grupo
+    const asistenciaMinima = this.evaluacion.asistencia?.asistenciaMinima ?? 80;
     
     const aproboNota = this.evaluacion.notaFinal >= notaMinima;
     const aproboAsistencia = this.evaluacion.asistencia.porcentajeAsistencia >= asistenciaMinima;
@@ -353,9 +460,47 @@ inscripcionSchema.pre('save', function(next) {
     }
   }
 
+  // Marcar si hay que verificar la emisión de certificado tras guardar
+  this.$locals.verificarCertificado = this.isModified('estado') || this.isModified('evaluacion.aprobado');
+
+  // Un retiro o suspensión libera cupo para la lista de espera
+  this.$locals.liberaCupo = !this.isNew && this.isModified('estado') &&
+    ['retirada', 'suspendida'].includes(this.estado);
+
   next();
 });
 
+// Middleware post-save para emitir certificado automáticamente
+inscripcionSchema.post('save', async function(doc) {
+  if (!doc.$locals.verificarCertificado) return;
+  if (doc.estado !== 'completada' || doc.evaluacion?.aprobado !== true) return;
+
+  try {
+    const Certificado = mongoose.model('Certificado');
+    const existente = await Certificado.exists({ inscripcion: doc._id, estado: 'vigente' });
+
+    if (!existente) {
+      await Certificado.emitirDesdeInscripcion(doc._id, { automatica: true });
+    }
+  } catch (error) {
+    // El nivel puede no otorgar certificado; no debe afectar la inscripción
+    if (!error.message.includes('no otorga certificado')) {
+      console.error('Error emitiendo certificado automático:', error);
+    }
+  }
+});
+
+// Middleware post-save para ofrecer el cupo liberado a la lista de espera
+inscripcionSchema.post('save', async function(doc) {
+  if (!doc.$locals.liberaCupo) return;
+
+  try {
+    await mongoose.model('ListaEspera').ofrecerCupos(doc.grupo);
+  } catch (error) {
+    console.error('Error ofreciendo cupo de lista de espera:', error);
+  }
+});
+
 // Métodos de instancia
 inscripcionSchema.methods.calcularMontoTotal = function() {
   let total = 0;
@@ -459,15 +604,28 @@ inscripcionSchema.methods.actualizarAsistencia = async function() {
   try {
     const Asistencia = mongoose.model('Asistencia');
     
-    const asistencias = await Asistencia.find({ inscripcion: this._id });
+    const Grupo = mongoose.model('Grupo');
+    
+    const [asistencias, grupo] = await Promise.all([
+      Asistencia.find({ inscripcion: this._id }),
+      Grupo.findById(this.grupo).select('configuracion.asistenciaMinima')
+    ]);
     
     const totalClases = asistencias.length;
     const clasesAsistidas = asistencias.filter(a => a.asistio).length;
+    const ausenciasJustificadas = asistencias.filter(a => a.esAusenciaJustificada).length;
+    // Una ausencia justificada no cuenta como clase para el porcentaje; si todas lo son
+    // no hay asistencia que acreditar
+    const clasesComputables = totalClases - ausenciasJustificadas;
     
     this.evaluacion.asistencia = {
       totalClases,
       clasesAsistidas,
-      porcentajeAsistencia: totalClases > 0 ? Math.round((clasesAsistidas / totalClases) * 10000) / 100 : 0
+      ausenciasJustificadas,
+      porcentajeAsistencia: clasesComputables > 0
+        ? Math.round((clasesAsistidas / clasesComputables) * 10000) / 100
+        : 0,
+      asistenciaMinima: grupo?.configuracion?.asistenciaMinima ?? 80
     };
     
     return this.save();
@@ -499,20 +657,141 @@ inscripcionSchema.methods.cambiarEstado = function(nuevoEstado, motivo = null, u
     this.fechaFin = new Date();
   }
   
-  // Agregar observación del cambio de estado
+  // Agregar observación del cambio de estado (sin guardar dos veces en paralelo)
   if (usuario) {
-    this.agregarObservacion(
-      `Estado cambiado a: ${nuevoEstado}${motivo ? `. Motivo: ${motivo}` : ''}`,
+    if (!this.observaciones) this.observaciones = [];
+    this.observaciones.push({
+      fecha: new Date(),
       usuario,
-      'administrativa',
-      false
-    );
+      tipo: 'administrativa',
+      contenido: `Estado cambiado a: ${nuevoEstado}${motivo ? `. Motivo: ${motivo}` : ''}`,
+      privada: false
+    });
   }
   
   return this.save();
 };
 
+/**
+ * Trasladar la inscripción a otro grupo (opcionalmente de otra parroquia).
+ * Se mueve el mismo documento, por lo que pagos, calificaciones y asistencias se conservan.
+ */
+inscripcionSchema.methods.transferir = function(grupoDestino, { motivo, usuario } = {}) {
+  if (this.grupo.toString() === grupoDestino._id.toString()) {
+    throw new Error('La inscripción ya pertenece a ese grupo');
+  }
+
+  this.transferencias.push({
+    grupoAnterior: this.grupo,
+    grupoNuevo: grupoDestino._id,
+    parroquiaAnterior: this.parroquia,
+    parroquiaNueva: grupoDestino.parroquia,
+    asistencia: {
+      totalClases: this.evaluacion?.asistencia?.totalClases || 0,
+      clasesAsistidas: this.evaluacion?.asistencia?.clasesAsistidas || 0,
+      porcentajeAsistencia: this.evaluacion?.asistencia?.porcentajeAsistencia || 0
+    },
+    fecha: new Date(),
+    motivo,
+    registradoPor: usuario
+  });
+
+  if (usuario) {
+    this.observaciones.push({
+      fecha: new Date(),
+      usuario,
+      tipo: 'administrativa',
+      contenido: `Trasladada al grupo ${grupoDestino.nombre}${motivo ? `. Motivo: ${motivo}` : ''}`,
+      privada: false
+    });
+  }
+
+  this.grupo = grupoDestino._id;
+  this.parroquia = grupoDestino.parroquia;
+
+  return this.save();
+};
+
+/**
+ * Código QR vigente para el check-in de asistencia (rota cada periodo)
+ */
+inscripcionSchema.methods.generarCodigoQR = function() {
+  return generarCodigoQR(this._id);
+};
+
+/**
+ * Generar el enlace del representante para ver el código QR (invalida el anterior)
+ * Devuelve el token en claro; solo se guarda su hash
+ */
+inscripcionSchema.methods.generarEnlaceQR = function(usuario) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  if (!this.checkinQR) this.checkinQR = {};
+  this.checkinQR.enlace = {
+    tokenHash: this.constructor.hashTokenEnlaceQR(token),
+    expiraEn: new Date(Date.now() + ENLACE_QR_CONFIG.DIAS_VIGENCIA * 24 * 60 * 60 * 1000),
+    generadoPor: usuario,
+    fechaGeneracion: new Date()
+  };
+
+  return token;
+};
+
 // Métodos estáticos
+inscripcionSchema.statics.hashTokenEnlaceQR = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Inscripción activa con enlace de código QR vigente
+ */
+inscripcionSchema.statics.buscarPorTokenQR = function(token) {
+  return this.findOne({
+    'checkinQR.enlace.tokenHash': this.hashTokenEnlaceQR(token),
+    'checkinQR.enlace.expiraEn': { $gt: new Date() },
+    activa: true
+  });
+};
+
+/**
+ * Consumir un código QR de forma atómica: solo se acepta un paso posterior al último usado
+ * Devuelve false si el código ya se utilizó (reenvío o captura de pantalla)
+ */
+inscripcionSchema.statics.consumirCodigoQR = async function(inscripcionId, paso) {
+  const resultado = await this.updateOne(
+    {
+      _id: inscripcionId,
+      $or: [
+        { 'checkinQR.ultimoPaso': { $exists: false } },
+        { 'checkinQR.ultimoPaso': { $lt: paso } }
+      ]
+    },
+    { $set: { 'checkinQR.ultimoPaso': paso, 'checkinQR.ultimoUso': new Date() } }
+  );
+
+  return resultado.modifiedCount > 0;
+};
+
+/**
+ * Validaciones del proceso a partir del resultado de Catequizando.esAptoParaNivel
+ */
+inscripcionSchema.statics.construirValidaciones = function(elegibilidad) {
+  const validaciones = {
+    edad: { realizada: false },
+    documentos: { realizada: false },
+    bautismo: { realizada: false },
+    nivelAnterior: { realizada: false },
+    activo: { realizada: false },
+    deudas: { realizada: false }
+  };
+
+  elegibilidad.reglas.forEach(({ regla, aprobada, mensaje }) => {
+    validaciones[regla] = { realizada: true, aprobada, observacion: mensaje };
+  });
+
+  return validaciones;
+};
+
 inscripcionSchema.statics.obtenerPorGrupo = function(grupoId, activas = null) {
   const filtro = { grupo: grupoId };
   
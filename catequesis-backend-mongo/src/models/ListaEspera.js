@@ -0,0 +1,316 @@
+const mongoose = require('mongoose');
+const { LISTA_ESPERA_CONFIG } = require('../utils/constants');
+const { enviarCorreo } = require('../utils/mailer');
+
+const entradaSchema = new mongoose.Schema({
+  catequizando: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Catequizando',
+    required: [true, 'El catequizando es requerido']
+  },
+  posicion: {
+    type: Number,
+    min: [1, 'La posición debe ser mayor a 0']
+  },
+  estado: {
+    type: String,
+    enum: {
+      values: ['en_espera', 'ofertada', 'aceptada', 'rechazada', 'expirada', 'cancelada'],
+      message: 'Estado de lista de espera no válido'
+    },
+    default: 'en_espera'
+  },
+  fechaIngreso: {
+    type: Date,
+    default: Date.now
+  },
+  // Cupo reservado para el catequizando hasta que acepte o venza el plazo
+  oferta: {
+    fecha: Date,
+    expiraEn: Date,
+    notificada: {
+      type: Boolean,
+      default: false
+    }
+  },
+  fechaRespuesta: Date,
+  inscripcion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inscripcion'
+  },
+  motivo: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'El motivo no puede exceder 200 caracteres']
+  },
+  registradoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  }
+});
+
+const listaEsperaSchema = new mongoose.Schema({
+  parroquia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parroquia',
+    required: [true, 'La parroquia es requerida']
+  },
+
+  grupo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grupo',
+    required: [true, 'El grupo es requerido'],
+    unique: true
+  },
+
+  entradas: [entradaSchema]
+}, {
+  timestamps: true,
+  // Varias operaciones modifican la misma cola: un guardado sobre una versión anterior falla (VersionError)
+  optimisticConcurrency: true
+});
+
+// Índices
+listaEsperaSchema.index({ parroquia: 1 });
+listaEsperaSchema.index({ 'entradas.catequizando': 1 });
+listaEsperaSchema.index({ 'entradas.estado': 1, 'entradas.oferta.expiraEn': 1 });
+
+// Validaciones personalizadas
+listaEsperaSchema.pre('validate', function(next) {
+  const ids = this.entradasActivas().map(e => e.catequizando.toString());
+  if (new Set(ids).size !== ids.length) {
+    this.invalidate('entradas', 'Un catequizando no puede estar dos veces en la lista de espera');
+  }
+  next();
+});
+
+// Métodos de instancia
+listaEsperaSchema.methods.entradasActivas = function() {
+  return this.entradas
+    .filter(e => ['en_espera', 'ofertada'].includes(e.estado))
+    .sort((a, b) => a.posicion - b.posicion);
+};
+
+listaEsperaSchema.methods.obtenerEntrada = function(catequizandoId) {
+  return this.entradasActivas().find(e => e.catequizando.toString() === catequizandoId.toString()) || null;
+};
+
+listaEsperaSchema.methods.ofertasVigentes = function() {
+  const ahora = new Date();
+  return this.entradas.filter(e => e.estado === 'ofertada' && e.oferta?.expiraEn > ahora);
+};
+
+/**
+ * Numerar de forma consecutiva las entradas activas (las cerradas quedan sin posición)
+ */
+listaEsperaSchema.methods.renumerar = function() {
+  this.entradas.forEach(e => {
+    if (!['en_espera', 'ofertada'].includes(e.estado)) e.posicion = undefined;
+  });
+  this.entradasActivas().forEach((entrada, indice) => {
+    entrada.posicion = indice + 1;
+  });
+};
+
+listaEsperaSchema.methods.agregar = function(catequizandoId, usuario = null) {
+  const existente = this.obtenerEntrada(catequizandoId);
+  if (existente) return existente;
+
+  this.entradas.push({
+    catequizando: catequizandoId,
+    posicion: this.entradasActivas().length + 1,
+    registradoPor: usuario
+  });
+
+  return this.entradas[this.entradas.length - 1];
+};
+
+/**
+ * Cerrar una entrada (aceptada, rechazada, expirada, cancelada) y recorrer la cola
+ */
+listaEsperaSchema.methods.cerrarEntrada = function(entrada, estado, { motivo, inscripcion } = {}) {
+  entrada.estado = estado;
+  entrada.fechaRespuesta = new Date();
+  if (motivo) entrada.motivo = motivo;
+  if (inscripcion) entrada.inscripcion = inscripcion;
+  this.renumerar();
+  return entrada;
+};
+
+/**
+ * Reordenar la cola según la lista de catequizandos indicada;
+ * los no incluidos quedan al final conservando su orden relativo
+ */
+listaEsperaSchema.methods.reordenar = function(catequizandoIds) {
+  const posiciones = new Map(catequizandoIds.map((id, indice) => [id.toString(), indice]));
+
+  this.entradasActivas()
+    .sort((a, b) => {
+      const posA = posiciones.get(a.catequizando.toString()) ?? Infinity;
+      const posB = posiciones.get(b.catequizando.toString()) ?? Infinity;
+      return posA - posB || a.posicion - b.posicion;
+    })
+    .forEach((entrada, indice) => {
+      entrada.posicion = indice + 1;
+    });
+
+  return this.entradasActivas();
+};
+
+/**
+ * Vencer las ofertas no aceptadas dentro del plazo
+ */
+listaEsperaSchema.methods.expirarOfertas = function() {
+  const ahora = new Date();
+  const vencidas = this.entradas.filter(e => e.estado === 'ofertada' && e.oferta?.expiraEn <= ahora);
+
+  vencidas.forEach(entrada => {
+    this.cerrarEntrada(entrada, 'expirada', { motivo: 'La oferta de cupo no fue aceptada a tiempo' });
+  });
+
+  return vencidas;
+};
+
+// Métodos estáticos
+/**
+ * Aplicar un cambio a la lista del grupo y guardarlo. Si otra operación la guardó
+ * entretanto, se recarga y el cambio se vuelve a aplicar sobre la versión vigente.
+ * Devuelve la lista guardada (null si el grupo no tiene lista).
+ */
+listaEsperaSchema.statics.modificar = async function(grupoId, cambio) {
+  for (let intento = 1; ; intento++) {
+    const lista = await this.findOne({ grupo: grupoId });
+    if (!lista) return null;
+
+    await cambio(lista);
+
+    try {
+      if (lista.isModified()) await lista.save();
+      return lista;
+    } catch (error) {
+      if (error.name === 'VersionError' && intento < 3) continue;
+      throw error;
+    }
+  }
+};
+
+/**
+ * Cupos del grupo que pueden ocuparse sin pasar por la lista
+ * (capacidad menos inscripciones activas y ofertas vigentes)
+ */
+listaEsperaSchema.statics.calcularCuposLibres = async function(grupo, lista = null) {
+  const Inscripcion = mongoose.model('Inscripcion');
+
+  const inscripcionesActivas = await Inscripcion.countDocuments({ grupo: grupo._id, activa: true });
+  const capacidad = grupo.informacion?.capacidadMaxima || 25;
+  const reservados = lista ? lista.ofertasVigentes().length : 0;
+
+  return Math.max(0, capacidad - inscripcionesActivas - reservados);
+};
+
+/**
+ * Ofrecer los cupos libres a los siguientes en la cola y notificarlos.
+ * Quien ya no cumple los requisitos del nivel conserva su lugar sin recibir oferta.
+ * Se invoca al retirar o suspender una inscripción, al ampliar la capacidad
+ * del grupo, al rechazar una oferta y al vencer ofertas.
+ */
+listaEsperaSchema.statics.ofrecerCupos = async function(grupoId) {
+  const Grupo = mongoose.model('Grupo');
+  const Nivel = mongoose.model('Nivel');
+  const Catequizando = mongoose.model('Catequizando');
+
+  const grupo = await Grupo.findById(grupoId).select('nombre nivel informacion.capacidadMaxima estado');
+  let ofertadas = [];
+
+  const lista = await this.modificar(grupoId, async (listaActual) => {
+    ofertadas = [];
+    listaActual.expirarOfertas();
+
+    if (!grupo || grupo.estado?.activo === false) return;
+
+    const cupos = await this.calcularCuposLibres(grupo, listaActual);
+    const nivel = cupos > 0 ? await Nivel.findById(grupo.nivel) : null;
+    const siguientes = [];
+
+    for (const entrada of listaActual.entradasActivas().filter(e => e.estado === 'en_espera')) {
+      if (!nivel || siguientes.length >= cupos) break;
+
+      const catequizando = await Catequizando.findById(entrada.catequizando);
+      if (catequizando && (await catequizando.esAptoParaNivel(nivel)).apto) {
+        siguientes.push(entrada);
+      }
+    }
+
+    const ahora = new Date();
+
+    siguientes.forEach(entrada => {
+      entrada.estado = 'ofertada';
+      entrada.oferta = {
+        fecha: ahora,
+        expiraEn: new Date(ahora.getTime() + LISTA_ESPERA_CONFIG.HORAS_VIGENCIA_OFERTA * 60 * 60 * 1000),
+        notificada: false
+      };
+      ofertadas.push(entrada);
+    });
+  });
+
+  if (lista && ofertadas.length > 0) {
+    await this.notificarOfertas(lista, ofertadas, grupo);
+  }
+
+  return ofertadas;
+};
+
+/**
+ * Avisar por correo al catequizando o a su representante principal
+ */
+listaEsperaSchema.statics.notificarOfertas = async function(lista, entradas, grupo) {
+  const Catequizando = mongoose.model('Catequizando');
+
+  for (const entrada of entradas) {
+    try {
+      const catequizando = await Catequizando.findById(entrada.catequizando)
+        .select('nombres apellidos contacto.email familia')
+        .populate('familia', 'representantes');
+
+      const principal = catequizando?.familia?.representantes?.find(r => r.principal && r.email);
+      const para = principal?.email || catequizando?.contacto?.email;
+      if (!para) continue;
+
+      await enviarCorreo({
+        para,
+        asunto: `Cupo disponible en el grupo ${grupo.nombre}`,
+        texto: `Se liberó un cupo en el grupo ${grupo.nombre} para ${catequizando.nombres} ${catequizando.apellidos}. ` +
+          `La reserva vence el ${entrada.oferta.expiraEn.toLocaleString('es-EC')}; acérquese a la parroquia para confirmar la inscripción.`
+      });
+
+      // Actualización puntual: no compite con otros cambios de la cola
+      await this.updateOne(
+        { _id: lista._id, 'entradas._id': entrada._id },
+        { $set: { 'entradas.$.oferta.notificada': true } }
+      );
+      entrada.oferta.notificada = true;
+    } catch (error) {
+      console.error('Error notificando oferta de lista de espera:', error);
+    }
+  }
+};
+
+/**
+ * Vencer las ofertas de todas las listas y ofrecer los cupos al siguiente (tarea periódica)
+ */
+listaEsperaSchema.statics.procesarOfertasVencidas = async function() {
+  const listas = await this.find({
+    entradas: { $elemMatch: { estado: 'ofertada', 'oferta.expiraEn': { $lte: new Date() } } }
+  }).select('grupo');
+
+  let procesadas = 0;
+  for (const lista of listas) {
+    await this.ofrecerCupos(lista.grupo);
+    procesadas++;
+  }
+
+  return procesadas;
+};
+
+module.exports = mongoose.model('ListaEspera', listaEsperaSchema);
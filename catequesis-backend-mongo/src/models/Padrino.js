@@ -0,0 +1,418 @@
+const mongoose = require('mongoose');
+const { SACRAMENTOS } = require('../utils/constants');
+
+// Sacramentos de iniciación que requieren padrino durante la catequesis
+const SACRAMENTOS_PADRINO = [SACRAMENTOS.PRIMERA_COMUNION, SACRAMENTOS.CONFIRMACION];
+
+// Edad mínima del padrino (c. 874 §1, 2º)
+const EDAD_MINIMA_PADRINO = 16;
+
+const TIPOS_DOCUMENTO = [
+  'documento_identidad',
+  'fe_bautismo',
+  'certificado_confirmacion',
+  'certificado_matrimonio',
+  'constancia_idoneidad',
+  'otro'
+];
+
+// Lista de verificación: los requisitos automáticos se recalculan con los datos del padrino;
+// los manuales los marca la secretaría o el párroco tras la entrevista.
+// Los sacramentos del padrino se cumplen con la partida en los libros (partida) o,
+// sin ella, con la verificación del personal; la declaración del padrino no basta
+const REQUISITOS = {
+  edad_minima: { descripcion: `Tiene al menos ${EDAD_MINIMA_PADRINO} años`, automatico: true },
+  confirmado: { descripcion: 'Ha recibido la confirmación', automatico: true, partida: 'confirmacion' },
+  primera_comunion: { descripcion: 'Ha recibido la primera comunión', automatico: true, partida: 'primeraComunion' },
+  no_es_padre: { descripcion: 'No es el padre ni la madre del catequizando', automatico: true },
+  no_es_catequizando: { descripcion: 'No es el mismo catequizando', automatico: true },
+  documento_identidad: { descripcion: 'Copia del documento de identidad', automatico: true },
+  certificado_confirmacion: { descripcion: 'Certificado de confirmación o partida en los libros de la parroquia', automatico: true },
+  vida_de_fe: { descripcion: 'Lleva una vida congruente con la fe (entrevista)', automatico: false }
+};
+
+const documentoSchema = new mongoose.Schema({
+  tipo: {
+    type: String,
+    enum: {
+      values: TIPOS_DOCUMENTO,
+      message: 'Tipo de documento no válido'
+    },
+    required: [true, 'El tipo de documento es requerido']
+  },
+  nombre: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'El nombre del archivo no puede exceder 150 caracteres']
+  },
+  // Ubicación del archivo en el almacenamiento de documentos
+  url: {
+    type: String,
+    required: [true, 'La referencia del archivo es requerida'],
+    trim: true,
+    maxlength: [500, 'La referencia no puede exceder 500 caracteres']
+  },
+  subidoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  },
+  fecha: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const requisitoSchema = new mongoose.Schema({
+  requisito: {
+    type: String,
+    enum: {
+      values: Object.keys(REQUISITOS),
+      message: 'Requisito no válido'
+    },
+    required: true
+  },
+  cumplido: {
+    type: Boolean,
+    default: false
+  },
+  automatico: {
+    type: Boolean,
+    default: true
+  },
+  observacion: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'La observación no puede exceder 300 caracteres']
+  },
+  verificadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  },
+  fecha: Date
+}, { _id: false });
+
+const padrinoSchema = new mongoose.Schema({
+  parroquia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parroquia',
+    required: [true, 'La parroquia es requerida']
+  },
+
+  catequizando: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Catequizando',
+    required: [true, 'El catequizando es requerido']
+  },
+
+  sacramento: {
+    type: String,
+    enum: {
+      values: SACRAMENTOS_PADRINO,
+      message: 'Solo se registran padrinos de primera comunión o confirmación'
+    },
+    required: [true, 'El sacramento es requerido']
+  },
+
+  rol: {
+    type: String,
+    enum: {
+      values: ['padrino', 'madrina'],
+      message: 'Rol no válido (padrino o madrina)'
+    },
+    required: [true, 'El rol es requerido']
+  },
+
+  nombres: {
+    type: String,
+    required: [true, 'Los nombres del padrino son requeridos'],
+    trim: true,
+    maxlength: [100, 'Los nombres no pueden exceder 100 caracteres']
+  },
+
+  apellidos: {
+    type: String,
+    required: [true, 'Los apellidos del padrino son requeridos'],
+    trim: true,
+    maxlength: [100, 'Los apellidos no pueden exceder 100 caracteres']
+  },
+
+  documentoIdentidad: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'El documento no puede exceder 20 caracteres']
+  },
+
+  fechaNacimiento: {
+    type: Date
+  },
+
+  // Parentesco con el catequizando (los padres no pueden ser padrinos)
+  relacion: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'La relación no puede exceder 50 caracteres']
+  },
+
+  contacto: {
+    telefono: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    }
+  },
+
+  // Declarados por el padrino; la lista de verificación exige partida o verificación del personal
+  confirmado: {
+    type: Boolean,
+    default: false
+  },
+
+  primeraComunion: {
+    type: Boolean,
+    default: false
+  },
+
+  partidas: {
+    confirmacion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RegistroSacramental'
+    },
+    primeraComunion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RegistroSacramental'
+    }
+  },
+
+  documentos: [documentoSchema],
+
+  requisitos: [requisitoSchema],
+
+  estado: {
+    type: String,
+    enum: {
+      values: ['pendiente', 'aprobado', 'rechazado'],
+      message: 'Estado de padrino no válido'
+    },
+    default: 'pendiente'
+  },
+
+  // Aprobación o rechazo del párroco
+  revision: {
+    revisadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Usuario'
+    },
+    fecha: Date,
+    observaciones: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Las observaciones no pueden exceder 300 caracteres']
+    }
+  },
+
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Índices
+padrinoSchema.index({ catequizando: 1, sacramento: 1, estado: 1 });
+// Un padrino y una madrina como máximo por sacramento (c. 873); los rechazados no cuentan
+padrinoSchema.index(
+  { catequizando: 1, sacramento: 1, rol: 1 },
+  { unique: true, partialFilterExpression: { estado: { $in: ['pendiente', 'aprobado'] } } }
+);
+padrinoSchema.index({ parroquia: 1, estado: 1 });
+padrinoSchema.index({ documentoIdentidad: 1 });
+
+// Métodos de instancia
+padrinoSchema.methods.obtenerNombreCompleto = function() {
+  return `${this.nombres} ${this.apellidos}`;
+};
+
+padrinoSchema.methods.calcularEdad = function() {
+  if (!this.fechaNacimiento) return null;
+
+  const hoy = new Date();
+  const nacimiento = new Date(this.fechaNacimiento);
+  let edad = hoy.getFullYear() - nacimiento.getFullYear();
+  const m = hoy.getMonth() - nacimiento.getMonth();
+  if (m < 0 || (m === 0 && hoy.getDate() < nacimiento.getDate())) edad--;
+
+  return edad;
+};
+
+padrinoSchema.methods.tieneDocumento = function(tipo) {
+  return this.documentos.some(documento => documento.tipo === tipo);
+};
+
+padrinoSchema.methods.requisitosPendientes = function() {
+  return this.requisitos.filter(requisito => !requisito.cumplido);
+};
+
+padrinoSchema.methods.obtenerListaVerificacion = function() {
+  return this.requisitos.map(requisito => ({
+    ...requisito.toObject(),
+    descripcion: REQUISITOS[requisito.requisito].descripcion
+  }));
+};
+
+/**
+ * Recalcular la lista de verificación (c. 874): los sacramentos asentados en los libros
+ * cuentan como verificados; los requisitos manuales conservan lo marcado.
+ * Recibe el catequizando con la familia poblada para reconocer a los padres.
+ */
+padrinoSchema.methods.evaluarRequisitos = async function(catequizando) {
+  const RegistroSacramental = mongoose.model('RegistroSacramental');
+
+  if (this.documentoIdentidad) {
+    const partidas = await RegistroSacramental.find({
+      'persona.documentoIdentidad': this.documentoIdentidad,
+      sacramento: { $in: SACRAMENTOS_PADRINO }
+    }).select('sacramento');
+
+    partidas.forEach(partida => {
+      if (partida.sacramento === SACRAMENTOS.CONFIRMACION) {
+        this.partidas.confirmacion = partida._id;
+        this.confirmado = true;
+      } else {
+        this.partidas.primeraComunion = partida._id;
+        this.primeraComunion = true;
+      }
+    });
+  }
+
+  const edad = this.calcularEdad();
+  const anteriores = new Map(this.requisitos.map(r => [r.requisito, r]));
+
+  // Sacramento del padrino: partida en los libros o verificación previa del personal
+  const sacramentoVerificado = (clave, declarado) => {
+    if (this.partidas[REQUISITOS[clave].partida]) {
+      return { cumplido: true, observacion: 'Partida en los libros de la parroquia' };
+    }
+
+    const anterior = anteriores.get(clave);
+    if (anterior?.verificadoPor) {
+      const { requisito, ...verificacion } = anterior.toObject();
+      return verificacion;
+    }
+
+    return {
+      cumplido: false,
+      observacion: declarado ? 'Declarado por el padrino; pendiente de verificación' : undefined
+    };
+  };
+
+  const documentosPadres = (catequizando.familia?.representantes || [])
+    .filter(r => ['padre', 'madre'].includes(r.relacion) && r.documentoIdentidad)
+    .map(r => r.documentoIdentidad.toUpperCase());
+
+  const automaticos = {
+    edad_minima: edad === null
+      ? { cumplido: false, observacion: 'Falta la fecha de nacimiento' }
+      : { cumplido: edad >= EDAD_MINIMA_PADRINO, observacion: `${edad} años` },
+    confirmado: sacramentoVerificado('confirmado', this.confirmado),
+    primera_comunion: sacramentoVerificado('primera_comunion', this.primeraComunion),
+    no_es_padre: {
+      cumplido: !['padre', 'madre'].includes(this.relacion) &&
+        !(this.documentoIdentidad && documentosPadres.includes(this.documentoIdentidad))
+    },
+    no_es_catequizando: {
+      cumplido: !this.documentoIdentidad || this.documentoIdentidad !== catequizando.documentoIdentidad?.toUpperCase()
+    },
+    documento_identidad: { cumplido: this.tieneDocumento('documento_identidad') },
+    certificado_confirmacion: {
+      cumplido: Boolean(this.partidas.confirmacion) || this.tieneDocumento('certificado_confirmacion'),
+      observacion: this.partidas.confirmacion ? 'Partida en los libros de la parroquia' : undefined
+    }
+  };
+
+  const fecha = new Date();
+
+  this.requisitos = Object.entries(REQUISITOS).map(([clave, { automatico }]) => {
+    if (!automatico) {
+      const anterior = anteriores.get(clave);
+      return anterior
+        ? anterior.toObject()
+        : { requisito: clave, cumplido: false, automatico: false };
+    }
+
+    return { requisito: clave, automatico: true, fecha, ...automaticos[clave] };
+  });
+
+  return this.requisitos;
+};
+
+/**
+ * Marcar un requisito manual (entrevista, vida de fe) o verificar un sacramento
+ * del padrino que no está asentado en los libros de la parroquia
+ */
+padrinoSchema.methods.marcarRequisito = function(clave, { cumplido, observacion }, usuario = null) {
+  const definicion = REQUISITOS[clave];
+  const verificable = definicion?.partida && !this.partidas[definicion.partida];
+
+  if (!definicion || (definicion.automatico && !verificable)) {
+    throw new Error(`El requisito ${clave} no se marca manualmente`);
+  }
+
+  const requisito = this.requisitos.find(r => r.requisito === clave);
+  requisito.automatico = false;
+  requisito.cumplido = cumplido;
+  requisito.observacion = observacion;
+  requisito.verificadoPor = usuario;
+  requisito.fecha = new Date();
+
+  return requisito;
+};
+
+/**
+ * Aprobación del párroco; exige la lista de verificación completa
+ */
+padrinoSchema.methods.aprobar = function(usuario, observaciones) {
+  const pendientes = this.requisitosPendientes();
+
+  if (pendientes.length > 0) {
+    throw new Error(`Requisitos pendientes: ${pendientes.map(r => REQUISITOS[r.requisito].descripcion).join('; ')}`);
+  }
+
+  this.estado = 'aprobado';
+  this.revision = { revisadoPor: usuario, fecha: new Date(), observaciones };
+};
+
+padrinoSchema.methods.rechazar = function(usuario, motivo) {
+  this.estado = 'rechazado';
+  this.revision = { revisadoPor: usuario, fecha: new Date(), observaciones: motivo };
+};
+
+// Métodos estáticos
+/**
+ * Padrinos aprobados por catequizando para un sacramento (Map id -> padrinos)
+ */
+padrinoSchema.statics.aprobadosPorCatequizando = async function(catequizandoIds, sacramento) {
+  const padrinos = await this.find({
+    catequizando: { $in: catequizandoIds },
+    sacramento,
+    estado: 'aprobado'
+  }).sort({ rol: 1 });
+
+  const porCatequizando = new Map();
+  padrinos.forEach(padrino => {
+    const id = padrino.catequizando.toString();
+    if (!porCatequizando.has(id)) porCatequizando.set(id, []);
+    porCatequizando.get(id).push(padrino);
+  });
+
+  return porCatequizando;
+};
+
+module.exports = mongoose.model('Padrino', padrinoSchema);
@@ -196,6 +196,12 @@
         type: String,
         match: /^\d{4}(-\d{4})?$/,
         default: () => new Date().getFullYear().toString()
+      },
+
+      // Políticas de seguridad
+      seguridad: {
+        // Exigir autenticación de dos factores al párroco de la parroquia
+        requiere2FA: { type: Boolean, default: false }
       }
     },
 
@@ -0,0 +1,504 @@
+const mongoose = require('mongoose');
+const { SACRAMENTOS } = require('../utils/constants');
+const { escapeRegex } = require('../utils/queryhelpers');
+
+// Campo de Catequizando.sacramentos que refleja cada partida
+const CAMPO_CATEQUIZANDO = {
+  [SACRAMENTOS.BAUTISMO]: 'bautismo',
+  [SACRAMENTOS.PRIMERA_COMUNION]: 'primeraComunion',
+  [SACRAMENTOS.CONFIRMACION]: 'confirmacion'
+};
+
+// Datos de la partida original: una vez asentada solo se corrige con notas marginales
+const CAMPOS_PROTEGIDOS = [
+  'parroquia', 'sacramento', 'libro', 'folio', 'numero', 'fechaCelebracion',
+  'lugar', 'ministro', 'persona', 'padres', 'padrinos', 'conyuge'
+];
+
+// Campos que una nota marginal de corrección puede rectificar
+const CAMPOS_CORREGIBLES = [
+  'fechaCelebracion', 'lugar', 'ministro.nombre', 'ministro.cargo',
+  'persona.nombres', 'persona.apellidos', 'persona.documentoIdentidad',
+  'persona.fechaNacimiento', 'persona.lugarNacimiento',
+  'padres.padre', 'padres.madre',
+  'conyuge.nombres', 'conyuge.apellidos', 'conyuge.documentoIdentidad'
+];
+
+const CAMPOS_FECHA = ['fechaCelebracion', 'persona.fechaNacimiento'];
+
+const personaSchema = new mongoose.Schema({
+  nombres: {
+    type: String,
+    required: [true, 'Los nombres son requeridos'],
+    trim: true,
+    maxlength: [100, 'Los nombres no pueden exceder 100 caracteres']
+  },
+  apellidos: {
+    type: String,
+    required: [true, 'Los apellidos son requeridos'],
+    trim: true,
+    maxlength: [100, 'Los apellidos no pueden exceder 100 caracteres']
+  },
+  documentoIdentidad: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'El documento no puede exceder 20 caracteres']
+  },
+  fechaNacimiento: {
+    type: Date
+  },
+  lugarNacimiento: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'El lugar de nacimiento no puede exceder 100 caracteres']
+  }
+}, { _id: false });
+
+const padrinoSchema = new mongoose.Schema({
+  nombres: {
+    type: String,
+    required: [true, 'Los nombres del padrino son requeridos'],
+    trim: true,
+    maxlength: [100, 'Los nombres no pueden exceder 100 caracteres']
+  },
+  apellidos: {
+    type: String,
+    required: [true, 'Los apellidos del padrino son requeridos'],
+    trim: true,
+    maxlength: [100, 'Los apellidos no pueden exceder 100 caracteres']
+  },
+  documentoIdentidad: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'El documento no puede exceder 20 caracteres']
+  },
+  // En matrimonio se registran testigos
+  rol: {
+    type: String,
+    enum: {
+      values: ['padrino', 'madrina', 'testigo'],
+      message: 'Rol de padrino no válido'
+    },
+    default: 'padrino'
+  }
+}, { _id: false });
+
+const notaMarginalSchema = new mongoose.Schema({
+  tipo: {
+    type: String,
+    enum: {
+      values: ['correccion', SACRAMENTOS.CONFIRMACION, SACRAMENTOS.MATRIMONIO, 'nulidad', 'otra'],
+      message: 'Tipo de nota marginal no válido'
+    },
+    required: [true, 'El tipo de nota es requerido']
+  },
+  contenido: {
+    type: String,
+    required: [true, 'El contenido de la nota es requerido'],
+    trim: true,
+    maxlength: [1000, 'La nota no puede exceder 1000 caracteres']
+  },
+  // Solo para correcciones: campo rectificado y valores
+  campo: {
+    type: String,
+    enum: {
+      values: CAMPOS_CORREGIBLES,
+      message: 'El campo no admite corrección'
+    }
+  },
+  valorAnterior: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  valorCorregido: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Decreto o autorización que respalda la nota
+  autorizadoPor: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La autorización no puede exceder 200 caracteres']
+  },
+  // Partida relacionada (ej. la confirmación anotada al margen del bautismo)
+  registroRelacionado: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegistroSacramental'
+  },
+  fecha: {
+    type: Date,
+    default: Date.now
+  },
+  registradoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  }
+});
+
+const registroSacramentalSchema = new mongoose.Schema({
+  parroquia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parroquia',
+    required: [true, 'La parroquia es requerida']
+  },
+
+  sacramento: {
+    type: String,
+    enum: {
+      values: Object.values(SACRAMENTOS),
+      message: 'Sacramento no válido'
+    },
+    required: [true, 'El sacramento es requerido']
+  },
+
+  // Ubicación canónica: libro, folio (página) y número de partida
+  libro: {
+    type: Number,
+    required: [true, 'El número de libro es requerido'],
+    min: [1, 'El número de libro debe ser mayor a 0']
+  },
+
+  folio: {
+    type: Number,
+    required: [true, 'El folio es requerido'],
+    min: [1, 'El folio debe ser mayor a 0']
+  },
+
+  // Correlativo dentro del libro (se asigna automáticamente si no se indica)
+  numero: {
+    type: Number,
+    required: [true, 'El número de partida es requerido'],
+    min: [1, 'El número de partida debe ser mayor a 0']
+  },
+
+  fechaCelebracion: {
+    type: Date,
+    required: [true, 'La fecha de celebración es requerida']
+  },
+
+  // Templo o capilla si no es la sede parroquial
+  lugar: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'El lugar no puede exceder 150 caracteres']
+  },
+
+  ministro: {
+    nombre: {
+      type: String,
+      required: [true, 'El ministro es requerido'],
+      trim: true,
+      maxlength: [150, 'El nombre del ministro no puede exceder 150 caracteres']
+    },
+    cargo: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'El cargo no puede exceder 100 caracteres']
+    }
+  },
+
+  // Quien recibe el sacramento (en matrimonio, el primer contrayente)
+  persona: {
+    type: personaSchema,
+    required: [true, 'Los datos de la persona son requeridos']
+  },
+
+  catequizando: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Catequizando'
+  },
+
+  padres: {
+    padre: {
+      type: String,
+      trim: true,
+      maxlength: [150, 'El nombre del padre no puede exceder 150 caracteres']
+    },
+    madre: {
+      type: String,
+      trim: true,
+      maxlength: [150, 'El nombre de la madre no puede exceder 150 caracteres']
+    }
+  },
+
+  padrinos: [padrinoSchema],
+
+  // Segundo contrayente (solo matrimonio)
+  conyuge: {
+    type: personaSchema,
+    required: [
+      function() { return this.sacramento === SACRAMENTOS.MATRIMONIO; },
+      'Los datos del cónyuge son requeridos para el matrimonio'
+    ]
+  },
+
+  // Anotaciones posteriores; nunca reemplazan los datos originales
+  notasMarginales: [notaMarginalSchema],
+
+  observaciones: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres']
+  },
+
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Índices
+registroSacramentalSchema.index(
+  { parroquia: 1, sacramento: 1, libro: 1, numero: 1 },
+  { unique: true }
+);
+registroSacramentalSchema.index({ parroquia: 1, sacramento: 1, fechaCelebracion: -1 });
+registroSacramentalSchema.index({ 'persona.documentoIdentidad': 1 });
+registroSacramentalSchema.index({ 'persona.apellidos': 1, 'persona.nombres': 1 });
+registroSacramentalSchema.index({ catequizando: 1 });
+
+// Validaciones personalizadas
+registroSacramentalSchema.pre('validate', function(next) {
+  if (!this.isNew) {
+    const modificados = CAMPOS_PROTEGIDOS.filter(campo => this.isModified(campo));
+
+    modificados.forEach(campo => {
+      this.invalidate(campo, 'La partida asentada no puede modificarse; registre una nota marginal');
+    });
+  }
+
+  if (this.sacramento === SACRAMENTOS.MATRIMONIO &&
+      this.padrinos.some(padrino => padrino.rol !== 'testigo')) {
+    this.invalidate('padrinos', 'En el matrimonio solo se registran testigos');
+  }
+
+  next();
+});
+
+// Métodos de instancia
+registroSacramentalSchema.methods.obtenerReferencia = function() {
+  return `Libro ${this.libro}, Folio ${this.folio}, Partida ${this.numero}`;
+};
+
+/**
+ * Datos de la partida con las correcciones marginales aplicadas en orden.
+ * El documento original permanece intacto.
+ */
+registroSacramentalSchema.methods.obtenerDatosVigentes = function() {
+  const datos = this.toObject();
+
+  this.notasMarginales
+    .filter(nota => nota.tipo === 'correccion' && nota.campo)
+    .forEach(nota => {
+      const partes = nota.campo.split('.');
+      const ultimo = partes.pop();
+      const destino = partes.reduce((objeto, parte) => {
+        objeto[parte] = objeto[parte] || {};
+        return objeto[parte];
+      }, datos);
+      destino[ultimo] = nota.valorCorregido;
+    });
+
+  datos.referencia = this.obtenerReferencia();
+  datos.corregido = this.notasMarginales.some(nota => nota.tipo === 'correccion');
+
+  return datos;
+};
+
+registroSacramentalSchema.methods.agregarNotaMarginal = function(nota, usuario = null) {
+  const datos = {
+    tipo: nota.tipo,
+    contenido: nota.contenido,
+    autorizadoPor: nota.autorizadoPor,
+    registroRelacionado: nota.registroRelacionado,
+    registradoPor: usuario
+  };
+
+  if (nota.tipo === 'correccion') {
+    if (typeof nota.campo !== 'string' || !CAMPOS_CORREGIBLES.includes(nota.campo)) {
+      throw new Error('El campo no admite corrección');
+    }
+
+    const esFecha = CAMPOS_FECHA.includes(nota.campo);
+    const valorCorregido = esFecha ? new Date(nota.valorCorregido) : nota.valorCorregido;
+
+    if (esFecha && Number.isNaN(valorCorregido.getTime())) {
+      throw new Error('El valor corregido no es una fecha válida');
+    }
+    if (!esFecha && typeof valorCorregido !== 'string') {
+      throw new Error('El valor corregido debe ser texto');
+    }
+
+    const vigentes = this.obtenerDatosVigentes();
+
+    datos.campo = nota.campo;
+    datos.valorAnterior = nota.campo.split('.').reduce((objeto, parte) => objeto?.[parte], vigentes);
+    datos.valorCorregido = valorCorregido;
+  }
+
+  this.notasMarginales.push(datos);
+  return this.notasMarginales[this.notasMarginales.length - 1];
+};
+
+/**
+ * Reflejar la partida en Catequizando.sacramentos (recibido, fecha, parroquia, referencia)
+ */
+registroSacramentalSchema.methods.sincronizarCatequizando = async function() {
+  const campo = CAMPO_CATEQUIZANDO[this.sacramento];
+  if (!this.catequizando || !campo) return null;
+
+  const parroquia = await mongoose.model('Parroquia').findById(this.parroquia).select('nombre');
+
+  return mongoose.model('Catequizando').findByIdAndUpdate(this.catequizando, {
+    $set: {
+      [`sacramentos.${campo}.recibido`]: true,
+      [`sacramentos.${campo}.fecha`]: this.fechaCelebracion,
+      [`sacramentos.${campo}.parroquia`]: parroquia?.nombre,
+      [`sacramentos.${campo}.certificado`]: this.obtenerReferencia()
+    }
+  }, { new: true });
+};
+
+/**
+ * Anotar la confirmación o el matrimonio al margen de la partida de bautismo
+ * de la misma parroquia, como exige la práctica canónica.
+ * En el matrimonio se anota el bautismo de ambos contrayentes.
+ */
+registroSacramentalSchema.methods.anotarEnBautismo = async function(usuario = null) {
+  if (![SACRAMENTOS.CONFIRMACION, SACRAMENTOS.MATRIMONIO].includes(this.sacramento)) return [];
+
+  const esMatrimonio = this.sacramento === SACRAMENTOS.MATRIMONIO;
+  const contrayentes = [{ persona: this.persona, catequizando: this.catequizando, pareja: this.conyuge }];
+  if (esMatrimonio) {
+    contrayentes.push({ persona: this.conyuge, pareja: this.persona });
+  }
+
+  const nombre = esMatrimonio ? 'Matrimonio' : 'Confirmación';
+  const fecha = new Date(this.fechaCelebracion).toLocaleDateString('es-EC', { timeZone: 'UTC' });
+  const anotados = [];
+
+  for (const { persona, catequizando, pareja } of contrayentes) {
+    const criterios = [];
+    if (catequizando) criterios.push({ catequizando });
+    if (persona.documentoIdentidad) {
+      criterios.push({ 'persona.documentoIdentidad': persona.documentoIdentidad });
+    }
+    if (criterios.length === 0) continue;
+
+    const bautismo = await this.constructor.findOne({
+      parroquia: this.parroquia,
+      sacramento: SACRAMENTOS.BAUTISMO,
+      $or: criterios
+    });
+    if (!bautismo) continue;
+
+    let contenido = `${nombre} celebrado el ${fecha}. ${this.obtenerReferencia()}`;
+    if (esMatrimonio) {
+      contenido += `. Contrajo matrimonio con ${pareja.nombres} ${pareja.apellidos}`;
+    }
+
+    bautismo.agregarNotaMarginal({
+      tipo: this.sacramento,
+      contenido,
+      registroRelacionado: this._id
+    }, usuario);
+
+    anotados.push(await bautismo.save());
+  }
+
+  return anotados;
+};
+
+// Métodos estáticos
+registroSacramentalSchema.statics.siguienteNumero = async function(parroquia, sacramento, libro) {
+  const ultimo = await this.findOne({ parroquia, sacramento, libro })
+    .sort({ numero: -1 })
+    .select('numero');
+
+  return ultimo ? ultimo.numero + 1 : 1;
+};
+
+/**
+ * Asentar una partida nueva. Si no se indica número se toma el siguiente del libro
+ * (reintentando si otra partida se asentó al mismo tiempo).
+ */
+registroSacramentalSchema.statics.registrar = async function(datos, usuario = null) {
+  const numeroAutomatico = !datos.numero;
+
+  for (let intento = 1; ; intento++) {
+    const registro = new this({ ...datos, creadoPor: usuario });
+
+    if (numeroAutomatico) {
+      registro.numero = await this.siguienteNumero(registro.parroquia, registro.sacramento, registro.libro);
+    }
+
+    try {
+      await registro.save();
+    } catch (error) {
+      if (error.code === 11000 && numeroAutomatico && intento < 3) continue;
+      throw error;
+    }
+
+    await registro.sincronizarCatequizando();
+    await registro.anotarEnBautismo(usuario);
+
+    return registro;
+  }
+};
+
+registroSacramentalSchema.statics.buscar = function(filtros = {}, texto = '') {
+  const consulta = { ...filtros };
+
+  if (texto) {
+    const regex = { $regex: escapeRegex(texto), $options: 'i' };
+    consulta.$or = [
+      { 'persona.nombres': regex },
+      { 'persona.apellidos': regex },
+      { 'persona.documentoIdentidad': regex },
+      { 'conyuge.nombres': regex },
+      { 'conyuge.apellidos': regex },
+      { 'padres.padre': regex },
+      { 'padres.madre': regex },
+      { 'padrinos.apellidos': regex }
+    ];
+  }
+
+  return this.find(consulta).sort({ sacramento: 1, libro: -1, numero: -1 });
+};
+
+/**
+ * Resumen de libros por sacramento: partidas, último número y rango de fechas
+ */
+registroSacramentalSchema.statics.resumenLibros = function(filtros = {}) {
+  return this.aggregate([
+    { $match: filtros },
+    {
+      $group: {
+        _id: { sacramento: '$sacramento', libro: '$libro' },
+        partidas: { $sum: 1 },
+        ultimoNumero: { $max: '$numero' },
+        ultimoFolio: { $max: '$folio' },
+        desde: { $min: '$fechaCelebracion' },
+        hasta: { $max: '$fechaCelebracion' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        sacramento: '$_id.sacramento',
+        libro: '$_id.libro',
+        partidas: 1,
+        ultimoNumero: 1,
+        ultimoFolio: 1,
+        desde: 1,
+        hasta: 1
+      }
+    },
+    { $sort: { sacramento: 1, libro: 1 } }
+  ]);
+};
+
+module.exports = mongoose.model('RegistroSacramental', registroSacramentalSchema);
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const { RECURSOS, ACCIONES, PERMISSIONS, TIPOS_PERFIL } = require('../utils/constants');
+
+const RECURSOS_VALIDOS = ['*', ...Object.values(RECURSOS)];
+const ACCIONES_VALIDAS = ['*', ...Object.values(ACCIONES)];
+const PERFILES = Object.values(TIPOS_PERFIL);
+
+/**
+ * Roles con permisos por recurso y acción
+ * - Roles del sistema (sistema: true): uno por tipoPerfil, sobrescriben la matriz por defecto
+ * - Roles personalizados: por parroquia (ej. "tesorero"), se asignan a usuarios además de su perfil
+ */
+const rolSchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: [true, 'El nombre del rol es requerido'],
+    trim: true,
+    lowercase: true,
+    minlength: [3, 'El nombre debe tener al menos 3 caracteres'],
+    maxlength: [50, 'El nombre no puede exceder 50 caracteres'],
+    match: [/^[a-z0-9_-]+$/, 'El nombre solo puede contener letras minúsculas, números, guiones y guiones bajos']
+  },
+
+  descripcion: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'La descripción no puede exceder 300 caracteres']
+  },
+
+  // null = rol global (roles del sistema o roles disponibles en todas las parroquias)
+  parroquia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parroquia',
+    default: null
+  },
+
+  sistema: {
+    type: Boolean,
+    default: false
+  },
+
+  permisos: [{
+    _id: false,
+    recurso: {
+      type: String,
+      required: [true, 'El recurso es requerido'],
+      enum: {
+        values: RECURSOS_VALIDOS,
+        message: 'Recurso no válido'
+      }
+    },
+    acciones: {
+      type: [{
+        type: String,
+        enum: {
+          values: ACCIONES_VALIDAS,
+          message: 'Acción no válida'
+        }
+      }],
+      validate: {
+        validator: acciones => acciones.length > 0,
+        message: 'Debe indicar al menos una acción'
+      }
+    }
+  }],
+
+  activo: {
+    type: Boolean,
+    default: true
+  },
+
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Índices
+rolSchema.index({ nombre: 1, parroquia: 1 }, { unique: true });
+rolSchema.index({ sistema: 1 });
+
+// Validaciones personalizadas
+rolSchema.pre('validate', function(next) {
+  if (this.sistema) {
+    if (!PERFILES.includes(this.nombre)) {
+      this.invalidate('nombre', 'Los roles del sistema deben corresponder a un tipo de perfil');
+    }
+    if (this.parroquia) {
+      this.invalidate('parroquia', 'Los roles del sistema no pueden pertenecer a una parroquia');
+    }
+  } else if (PERFILES.includes(this.nombre)) {
+    this.invalidate('nombre', 'El nombre está reservado para un tipo de perfil');
+  }
+
+  next();
+});
+
+// Métodos de instancia
+rolSchema.methods.permite = function(recurso, accion) {
+  return this.constructor.evaluar(this.permisos, recurso, accion);
+};
+
+// Métodos estáticos
+rolSchema.statics.convertirMatriz = function(matriz = {}) {
+  return Object.entries(matriz).map(([recurso, acciones]) => ({ recurso, acciones: [...acciones] }));
+};
+
+rolSchema.statics.obtenerPermisosPorDefecto = function(tipoPerfil) {
+  return this.convertirMatriz(PERMISSIONS[String(tipoPerfil).toUpperCase()]);
+};
+
+/**
+ * Evaluar si una lista de permisos concede la acción sobre el recurso
+ */
+rolSchema.statics.evaluar = function(permisos = [], recurso, accion) {
+  return permisos.some(permiso =>
+    (permiso.recurso === '*' || permiso.recurso === recurso) &&
+    (permiso.acciones.includes('*') || permiso.acciones.includes(accion))
+  );
+};
+
+/**
+ * Permisos solicitados que no están cubiertos por los concedidos ("recurso:accion").
+ * Un comodín solo lo cubre otro comodín: quien no tiene '*' no puede otorgarlo.
+ */
+rolSchema.statics.permisosNoConcedidos = function(solicitados = [], concedidos = []) {
+  return solicitados.flatMap(permiso =>
+    (permiso.acciones || [])
+      .filter(accion => !this.evaluar(concedidos, permiso.recurso, accion))
+      .map(accion => `${permiso.recurso}:${accion}`)
+  );
+};
+
+/**
+ * Permisos del perfil: los del rol del sistema si fue personalizado, si no la matriz por defecto
+ */
+rolSchema.statics.obtenerPermisosPerfil = async function(tipoPerfil) {
+  const rolSistema = await this.findOne({ sistema: true, nombre: tipoPerfil, activo: true });
+
+  return rolSistema ? rolSistema.permisos.map(p => ({ recurso: p.recurso, acciones: [...p.acciones] }))
+    : this.obtenerPermisosPorDefecto(tipoPerfil);
+};
+
+/**
+ * Permisos efectivos de un usuario: perfil + roles personalizados asignados
+ * Solo se consideran roles activos globales o de la parroquia del usuario
+ */
+rolSchema.statics.obtenerPermisosUsuario = async function(usuario) {
+  const permisos = await this.obtenerPermisosPerfil(usuario.tipoPerfil);
+
+  if (usuario.roles?.length) {
+    const roles = await this.find({
+      _id: { $in: usuario.roles },
+      sistema: false,
+      activo: true,
+      parroquia: { $in: [null, usuario.parroquia?._id || usuario.parroquia] }
+    });
+
+    roles.forEach(rol => {
+      rol.permisos.forEach(p => permisos.push({ recurso: p.recurso, acciones: [...p.acciones] }));
+    });
+  }
+
+  return permisos;
+};
+
+/**
+ * Matriz completa de perfiles (personalizada o por defecto)
+ */
+rolSchema.statics.obtenerMatriz = async function() {
+  const rolesSistema = await this.find({ sistema: true });
+
+  return PERFILES.map(perfil => {
+    const rol = rolesSistema.find(r => r.nombre === perfil);
+
+    return {
+      perfil,
+      personalizado: !!rol,
+      permisos: rol ? rol.permisos : this.obtenerPermisosPorDefecto(perfil)
+    };
+  });
+};
+
+module.exports = mongoose.model('Rol', rolSchema);
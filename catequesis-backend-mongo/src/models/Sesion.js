@@ -0,0 +1,365 @@
+const mongoose = require('mongoose');
+const { inicioDelDia, inicioDelDiaCalendario } = require('../utils/fechas');
+
+const TIPOS_SESION = ['regular', 'extraordinaria', 'examen', 'retiro', 'celebracion', 'evento'];
+
+const HORA_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const minutosEntre = (horaInicio, horaFin) => {
+  const [hi, mi] = horaInicio.split(':').map(Number);
+  const [hf, mf] = horaFin.split(':').map(Number);
+  return (hf * 60 + mf) - (hi * 60 + mi);
+};
+
+const sesionSchema = new mongoose.Schema({
+  parroquia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parroquia',
+    required: [true, 'La parroquia es requerida']
+  },
+
+  grupo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grupo',
+    required: [true, 'El grupo es requerido']
+  },
+
+  // Día de la sesión (sin hora; una sesión por grupo y día)
+  fecha: {
+    type: Date,
+    required: [true, 'La fecha es requerida']
+  },
+
+  horaInicio: {
+    type: String,
+    match: [HORA_REGEX, 'Formato de hora inválido (HH:MM)']
+  },
+
+  horaFin: {
+    type: String,
+    match: [HORA_REGEX, 'Formato de hora inválido (HH:MM)']
+  },
+
+  tipo: {
+    type: String,
+    enum: {
+      values: TIPOS_SESION,
+      message: 'Tipo de sesión no válido'
+    },
+    default: 'regular'
+  },
+
+  // Tema del programa del nivel (Nivel.contenido.temas)
+  tema: {
+    temaId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    nombre: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'El tema no puede exceder 200 caracteres']
+    },
+    orden: Number
+  },
+
+  estado: {
+    type: String,
+    enum: {
+      values: ['programada', 'realizada', 'cancelada'],
+      message: 'Estado de sesión no válido'
+    },
+    default: 'programada'
+  },
+
+  // Catequista que impartió la sesión
+  catequista: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  },
+
+  duracionMinutos: {
+    type: Number,
+    min: [0, 'La duración no puede ser negativa'],
+    max: [720, 'La duración no puede exceder 12 horas']
+  },
+
+  cancelacion: {
+    motivo: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'El motivo no puede exceder 200 caracteres']
+    },
+    canceladaPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Usuario'
+    },
+    fecha: Date
+  },
+
+  observaciones: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres']
+  },
+
+  // generada: calendario del grupo; manual: creada al registrar asistencia o a mano
+  origen: {
+    type: String,
+    enum: ['generada', 'manual'],
+    default: 'manual'
+  },
+
+  creadaPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Índices
+sesionSchema.index({ grupo: 1, fecha: 1 }, { unique: true });
+sesionSchema.index({ grupo: 1, estado: 1 });
+sesionSchema.index({ parroquia: 1, fecha: 1 });
+sesionSchema.index({ 'tema.temaId': 1 });
+
+// Validaciones personalizadas
+sesionSchema.pre('validate', function(next) {
+  if (this.fecha) {
+    this.fecha = inicioDelDia(this.fecha);
+  }
+
+  if (this.horaInicio && this.horaFin) {
+    const minutos = minutosEntre(this.horaInicio, this.horaFin);
+    if (minutos <= 0) {
+      this.invalidate('horaFin', 'La hora de fin debe ser posterior a la hora de inicio');
+    } else if (this.duracionMinutos == null) {
+      this.duracionMinutos = minutos;
+    }
+  }
+
+  if (this.estado === 'cancelada' && !this.cancelacion?.motivo) {
+    this.invalidate('cancelacion.motivo', 'El motivo de cancelación es requerido');
+  }
+
+  next();
+});
+
+// Métodos de instancia
+sesionSchema.methods.asignarTema = function(tema) {
+  this.tema = tema
+    ? { temaId: tema._id, nombre: tema.nombre, orden: tema.orden }
+    : undefined;
+  return this.tema;
+};
+
+sesionSchema.methods.marcarRealizada = function({ catequista, duracionMinutos } = {}) {
+  if (this.estado === 'cancelada') {
+    throw new Error(`La sesión fue cancelada: ${this.cancelacion.motivo}`);
+  }
+
+  this.estado = 'realizada';
+  if (catequista) this.catequista = catequista;
+  if (duracionMinutos != null) this.duracionMinutos = duracionMinutos;
+
+  return this;
+};
+
+sesionSchema.methods.cancelar = async function(motivo, usuario = null) {
+  const Asistencia = mongoose.model('Asistencia');
+
+  if (await Asistencia.exists({ sesion: this._id })) {
+    throw new Error('No se puede cancelar una sesión con asistencia registrada');
+  }
+
+  this.estado = 'cancelada';
+  this.cancelacion = { motivo, canceladaPor: usuario, fecha: new Date() };
+
+  return this;
+};
+
+// Métodos estáticos
+/**
+ * Generar las sesiones del grupo a partir de su horario y calendario.
+ * Los temas del nivel se reparten en orden según sus sesiones estimadas sobre las
+ * clases regulares no suspendidas; las sesiones ya existentes no se modifican.
+ * Con regenerar, se descartan antes las sesiones generadas aún programadas.
+ */
+sesionSchema.statics.generarParaGrupo = async function(grupo, { desde = null, hasta = null, regenerar = false, usuario = null } = {}) {
+  const Nivel = mongoose.model('Nivel');
+  const Asistencia = mongoose.model('Asistencia');
+
+  const nivel = await Nivel.findById(grupo.nivel).select('contenido.temas');
+  const plan = [...(nivel?.contenido?.temas || [])]
+    .sort((a, b) => a.orden - b.orden)
+    .flatMap(tema => Array(tema.sesionesEstimadas || 1).fill(tema));
+
+  let descartadas = 0;
+  if (regenerar) {
+    const rango = {};
+    if (desde) rango.$gte = inicioDelDia(desde);
+    if (hasta) rango.$lte = new Date(hasta);
+
+    const candidatas = await this.find({
+      grupo: grupo._id,
+      origen: 'generada',
+      estado: 'programada',
+      ...(Object.keys(rango).length > 0 && { fecha: rango })
+    }).select('_id');
+
+    const conAsistencia = await Asistencia.distinct('sesion', { sesion: { $in: candidatas.map(s => s._id) } });
+    const conAsistenciaIds = new Set(conAsistencia.map(id => id.toString()));
+    const eliminar = candidatas.filter(s => !conAsistenciaIds.has(s._id.toString())).map(s => s._id);
+
+    if (eliminar.length > 0) {
+      const resultado = await this.deleteMany({ _id: { $in: eliminar } });
+      descartadas = resultado.deletedCount;
+    }
+  }
+
+  // El reparto de temas se calcula sobre todo el calendario para que sea estable por rangos
+  const calendario = grupo.calcularFechasClase();
+  const existentes = await this.find({ grupo: grupo._id }).select('fecha');
+  const fechasExistentes = new Set(existentes.map(s => s.fecha.getTime()));
+
+  const inicioRango = desde ? inicioDelDia(desde) : null;
+  const finRango = hasta ? new Date(hasta) : null;
+
+  let indiceTema = 0;
+  const nuevas = [];
+
+  calendario.forEach(clase => {
+    const fecha = inicioDelDiaCalendario(clase.fecha);
+    const dictada = clase.tipo === 'regular' && !clase.suspendida;
+    const tema = dictada ? plan[indiceTema] : null;
+    if (dictada) indiceTema++;
+
+    if (inicioRango && fecha < inicioRango) return;
+    if (finRango && fecha > finRango) return;
+    if (fechasExistentes.has(fecha.getTime())) return;
+
+    nuevas.push({
+      parroquia: grupo.parroquia,
+      grupo: grupo._id,
+      fecha,
+      horaInicio: clase.horaInicio,
+      horaFin: clase.horaFin,
+      tipo: clase.tipo,
+      ...(tema && { tema: { temaId: tema._id, nombre: tema.nombre, orden: tema.orden } }),
+      ...(!tema && clase.descripcion && !clase.suspendida && { tema: { nombre: clase.descripcion } }),
+      ...(clase.suspendida && {
+        estado: 'cancelada',
+        cancelacion: { motivo: clase.descripcion, canceladaPor: usuario, fecha: new Date() }
+      }),
+      duracionMinutos: clase.horaInicio && clase.horaFin ? minutosEntre(clase.horaInicio, clase.horaFin) : undefined,
+      origen: 'generada',
+      creadaPor: usuario
+    });
+  });
+
+  const creadas = nuevas.length > 0 ? await this.insertMany(nuevas) : [];
+
+  return {
+    creadas: creadas.length,
+    existentes: existentes.length,
+    descartadas,
+    temasSinSesion: Math.max(0, plan.length - indiceTema)
+  };
+};
+
+/**
+ * Sesión del grupo para el día de la asistencia; si no estaba programada se crea.
+ * Registrar asistencia implica que la sesión se realizó (las canceladas se devuelven sin cambios).
+ */
+sesionSchema.statics.obtenerParaAsistencia = async function(grupo, fecha, { tipo, tema, catequista, usuario } = {}) {
+  const filtro = { grupo: grupo._id, fecha: inicioDelDia(fecha) };
+
+  // Upsert atómico: dos registros simultáneos del mismo día comparten la sesión
+  let sesion;
+  try {
+    sesion = await this.findOneAndUpdate(filtro, {
+      $setOnInsert: {
+        parroquia: grupo.parroquia?._id || grupo.parroquia,
+        horaInicio: grupo.horarios?.horaInicio,
+        horaFin: grupo.horarios?.horaFin,
+        tipo: tipo || 'regular',
+        origen: 'manual',
+        creadaPor: usuario
+      }
+    }, { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true });
+  } catch (error) {
+    // El otro upsert ganó la carrera del índice único
+    if (error.code !== 11000) throw error;
+    sesion = await this.findOne(filtro);
+  }
+
+  if (sesion.estado === 'cancelada') return sesion;
+
+  if (tema && !sesion.tema?.nombre) {
+    sesion.tema = { nombre: tema };
+  }
+
+  sesion.marcarRealizada({ catequista: catequista || sesion.catequista || grupo.obtenerCoordinador?.()?.usuario });
+
+  if (sesion.isModified()) {
+    await sesion.save();
+  }
+
+  return sesion;
+};
+
+/**
+ * Clases impartidas, canceladas y pendientes del grupo y cobertura de los temas del nivel
+ */
+sesionSchema.statics.obtenerResumenGrupo = async function(grupo) {
+  const Nivel = mongoose.model('Nivel');
+
+  const [sesiones, nivel] = await Promise.all([
+    this.find({ grupo: grupo._id }).select('fecha estado tipo tema duracionMinutos'),
+    Nivel.findById(grupo.nivel).select('nombre contenido.temas')
+  ]);
+
+  const hoy = inicioDelDia(new Date());
+  const realizadas = sesiones.filter(s => s.estado === 'realizada');
+
+  const cobertura = [...(nivel?.contenido?.temas || [])]
+    .sort((a, b) => a.orden - b.orden)
+    .map(tema => {
+      const delTema = sesiones.filter(s => s.tema?.temaId?.toString() === tema._id.toString());
+      const impartidas = delTema.filter(s => s.estado === 'realizada').length;
+      const estimadas = tema.sesionesEstimadas || 1;
+
+      return {
+        temaId: tema._id,
+        nombre: tema.nombre,
+        orden: tema.orden,
+        sesionesEstimadas: estimadas,
+        sesionesProgramadas: delTema.filter(s => s.estado === 'programada').length,
+        sesionesImpartidas: impartidas,
+        cubierto: impartidas >= estimadas
+      };
+    });
+
+  const temasCubiertos = cobertura.filter(t => t.cubierto).length;
+
+  return {
+    totalSesiones: sesiones.length,
+    clasesImpartidas: realizadas.length,
+    clasesCanceladas: sesiones.filter(s => s.estado === 'cancelada').length,
+    clasesProgramadas: sesiones.filter(s => s.estado === 'programada' && s.fecha >= hoy).length,
+    // Sesiones pasadas sin asistencia registrada
+    sinRegistrar: sesiones.filter(s => s.estado === 'programada' && s.fecha < hoy).length,
+    minutosImpartidos: realizadas.reduce((total, s) => total + (s.duracionMinutos || 0), 0),
+    temas: {
+      total: cobertura.length,
+      cubiertos: temasCubiertos,
+      porcentajeCobertura: cobertura.length > 0
+        ? Math.round((temasCubiertos / cobertura.length) * 10000) / 100
+        : 0,
+      detalle: cobertura
+    }
+  };
+};
+
+module.exports = mongoose.model('Sesion', sesionSchema);
@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const config = require('../config/environment');
+
+// Cada sesión agrupa una familia de refresh tokens que se rotan en cada uso
+const sesionUsuarioSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El usuario es requerido']
+  },
+
+  // Hash del refresh token vigente (el token nunca se guarda en claro)
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'El hash del refresh token es requerido'],
+    select: false
+  },
+
+  // Hashes de refresh tokens ya rotados, para detectar reutilización
+  tokensRotados: {
+    type: [String],
+    default: [],
+    select: false
+  },
+
+  rotaciones: {
+    type: Number,
+    default: 0
+  },
+
+  expira: {
+    type: Date,
+    required: [true, 'La fecha de expiración es requerida']
+  },
+
+  // Información del dispositivo
+  dispositivo: {
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'El user agent no puede exceder 500 caracteres']
+    },
+    ip: {
+      type: String,
+      trim: true,
+      maxlength: [45, 'La IP no puede exceder 45 caracteres']
+    }
+  },
+
+  ultimaActividad: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Revocación
+  revocada: {
+    type: Boolean,
+    default: false
+  },
+
+  revocacion: {
+    fecha: {
+      type: Date
+    },
+    motivo: {
+      type: String,
+      enum: ['logout', 'reutilizacion', 'cambio_password', 'usuario_desactivado', 'admin', 'usuario']
+    },
+    revocadaPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Usuario'
+    }
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Índices
+sesionUsuarioSchema.index({ usuario: 1, revocada: 1 });
+sesionUsuarioSchema.index({ expira: 1 }, { expireAfterSeconds: 0 }); // Limpieza automática
+
+// Métodos de instancia
+sesionUsuarioSchema.methods.estaActiva = function() {
+  return !this.revocada && this.expira > new Date();
+};
+
+sesionUsuarioSchema.methods.revocar = function(motivo = 'logout', usuario = null) {
+  this.revocada = true;
+  this.revocacion = {
+    fecha: new Date(),
+    motivo,
+    revocadaPor: usuario
+  };
+
+  return this.save();
+};
+
+/**
+ * Rotar refresh token: el actual pasa a la lista de rotados y se genera uno nuevo.
+ * La rotación es condicional al hash vigente, así dos peticiones con el mismo
+ * token no pueden rotarlo ambas; la que llega tarde recibe null (reutilización).
+ * Requiere que el documento se haya cargado con +refreshTokenHash
+ */
+sesionUsuarioSchema.methods.rotar = async function() {
+  const { token, hash } = this.constructor.generarRefreshToken(this._id);
+  const hashPresentado = this.refreshTokenHash;
+  const ahora = new Date();
+
+  const rotada = await this.constructor.findOneAndUpdate(
+    { _id: this._id, refreshTokenHash: hashPresentado, revocada: false },
+    {
+      $set: { refreshTokenHash: hash, ultimaActividad: ahora },
+      $push: { tokensRotados: hashPresentado },
+      $inc: { rotaciones: 1 }
+    },
+    { new: true }
+  );
+
+  if (!rotada) {
+    return null;
+  }
+
+  this.refreshTokenHash = hash;
+  this.rotaciones = rotada.rotaciones;
+  this.ultimaActividad = ahora;
+
+  return token;
+};
+
+sesionUsuarioSchema.methods.obtenerResumen = function(sesionActualId = null) {
+  return {
+    id: this._id,
+    userAgent: this.dispositivo?.userAgent || null,
+    ip: this.dispositivo?.ip || null,
+    iniciada: this.createdAt,
+    ultimaActividad: this.ultimaActividad,
+    expira: this.expira,
+    actual: sesionActualId ? this._id.toString() === sesionActualId.toString() : false
+  };
+};
+
+// Métodos estáticos
+sesionUsuarioSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Formato del refresh token: <idSesion>.<secreto aleatorio>
+ */
+sesionUsuarioSchema.statics.generarRefreshToken = function(sesionId) {
+  const token = `${sesionId}.${crypto.randomBytes(40).toString('hex')}`;
+
+  return { token, hash: this.hashToken(token) };
+};
+
+sesionUsuarioSchema.statics.crear = async function(usuarioId, dispositivo = {}) {
+  const sesion = new this({
+    usuario: usuarioId,
+    expira: new Date(Date.now() + config.jwt.refreshExpiresDays * 24 * 60 * 60 * 1000),
+    dispositivo: {
+      userAgent: dispositivo.userAgent?.slice(0, 500),
+      ip: dispositivo.ip
+    }
+  });
+
+  const { token, hash } = this.generarRefreshToken(sesion._id);
+  sesion.refreshTokenHash = hash;
+
+  await sesion.save();
+
+  return { sesion, refreshToken: token };
+};
+
+/**
+ * Validar un refresh token y detectar reutilización de tokens rotados
+ * Devuelve { sesion, reutilizado }
+ */
+sesionUsuarioSchema.statics.validarRefreshToken = async function(refreshToken) {
+  const [sesionId] = String(refreshToken || '').split('.');
+
+  if (!mongoose.Types.ObjectId.isValid(sesionId)) {
+    return { sesion: null, reutilizado: false };
+  }
+
+  const sesion = await this.findById(sesionId).select('+refreshTokenHash +tokensRotados');
+  if (!sesion) {
+    return { sesion: null, reutilizado: false };
+  }
+
+  const hash = this.hashToken(refreshToken);
+
+  if (sesion.refreshTokenHash === hash) {
+    return { sesion, reutilizado: false };
+  }
+
+  // Un token ya rotado se está usando de nuevo: posible robo de la familia
+  if (sesion.tokensRotados.includes(hash)) {
+    return { sesion, reutilizado: true };
+  }
+
+  return { sesion: null, reutilizado: false };
+};
+
+sesionUsuarioSchema.statics.obtenerActivasPorUsuario = function(usuarioId) {
+  return this.find({
+    usuario: usuarioId,
+    revocada: false,
+    expira: { $gt: new Date() }
+  }).sort({ ultimaActividad: -1 });
+};
+
+sesionUsuarioSchema.statics.revocarPorUsuario = function(usuarioId, motivo = 'admin', opciones = {}) {
+  const { excepto = null, revocadaPor = null } = opciones;
+  const filtro = { usuario: usuarioId, revocada: false };
+
+  if (excepto) {
+    filtro._id = { $ne: excepto };
+  }
+
+  return this.updateMany(filtro, {
+    $set: {
+      revocada: true,
+      revocacion: {
+        fecha: new Date(),
+        motivo,
+        revocadaPor
+      }
+    }
+  });
+};
+
+module.exports = mongoose.model('SesionUsuario', sesionUsuarioSchema);
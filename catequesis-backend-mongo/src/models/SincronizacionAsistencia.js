@@ -0,0 +1,371 @@
+const mongoose = require('mongoose');
+const { SINCRONIZACION_CONFIG } = require('../utils/constants');
+const { inicioDelDia, finDelDia } = require('../utils/fechas');
+
+const resumirAsistencia = asistencia => ({
+  _id: asistencia._id,
+  inscripcion: asistencia.inscripcion,
+  fecha: asistencia.fecha,
+  sesion: asistencia.sesion,
+  asistio: asistencia.asistio,
+  detalles: asistencia.detalles,
+  participacion: asistencia.participacion,
+  version: asistencia.updatedAt
+});
+
+// Cambio capturado sin conexión y ya aplicado: el clienteId hace idempotente el reenvío del lote
+const sincronizacionAsistenciaSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: [true, 'El usuario es requerido']
+  },
+
+  grupo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grupo',
+    required: [true, 'El grupo es requerido']
+  },
+
+  dispositivo: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'El identificador del dispositivo no puede exceder 100 caracteres']
+  },
+
+  clienteId: {
+    type: String,
+    required: [true, 'El identificador del cambio es requerido'],
+    trim: true,
+    maxlength: [100, 'El identificador del cambio no puede exceder 100 caracteres']
+  },
+
+  tipo: {
+    type: String,
+    enum: ['asistencia', 'observacion'],
+    required: true
+  },
+
+  capturadoEn: Date,
+
+  asistencia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asistencia'
+  },
+
+  resultado: {
+    estado: {
+      type: String,
+      // en_proceso: clienteId reservado mientras se aplica el cambio
+      enum: ['en_proceso', 'creado', 'actualizado', 'sin_cambios', 'conflicto']
+    },
+    mensaje: String
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Índices
+sincronizacionAsistenciaSchema.index({ usuario: 1, clienteId: 1 }, { unique: true });
+sincronizacionAsistenciaSchema.index({ grupo: 1, createdAt: -1 });
+sincronizacionAsistenciaSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: SINCRONIZACION_CONFIG.DIAS_RETENCION * 24 * 60 * 60 }
+);
+
+// Métodos estáticos
+/**
+ * Token de sincronización: grupo y momento desde el que se calcula el siguiente delta
+ */
+sincronizacionAsistenciaSchema.statics.generarToken = function(grupoId, fecha = new Date()) {
+  return Buffer.from(`${grupoId}.${fecha.getTime().toString(36)}`).toString('base64url');
+};
+
+/**
+ * Leer el token enviado por el dispositivo; null si no es válido para el grupo
+ */
+sincronizacionAsistenciaSchema.statics.leerToken = function(token, grupoId) {
+  const [grupo, marca] = Buffer.from(String(token), 'base64url').toString().split('.');
+  const milisegundos = parseInt(marca, 36);
+
+  if (grupo !== grupoId.toString() || Number.isNaN(milisegundos) || milisegundos > Date.now()) {
+    return null;
+  }
+
+  return new Date(milisegundos);
+};
+
+/**
+ * Reservar el clienteId antes de aplicar el cambio: el índice único { usuario, clienteId } impide
+ * que dos envíos simultáneos del mismo lote lo apliquen dos veces. Una reserva abandonada
+ * (la petición se interrumpió) puede retomarse pasados SINCRONIZACION_CONFIG.MINUTOS_RECLAMO.
+ * Devuelve null si el cambio ya se aplicó o lo está aplicando otra petición.
+ */
+sincronizacionAsistenciaSchema.statics.reservarCambio = async function(grupo, cambio, { usuario, dispositivo }) {
+  const reserva = {
+    usuario,
+    grupo: grupo._id,
+    dispositivo,
+    clienteId: cambio.clienteId,
+    tipo: cambio.tipo,
+    capturadoEn: cambio.capturadoEn,
+    resultado: { estado: 'en_proceso' }
+  };
+
+  try {
+    return await this.create(reserva);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  return this.findOneAndUpdate(
+    {
+      usuario,
+      clienteId: cambio.clienteId,
+      'resultado.estado': 'en_proceso',
+      updatedAt: { $lt: new Date(Date.now() - SINCRONIZACION_CONFIG.MINUTOS_RECLAMO * 60 * 1000) }
+    },
+    { $set: reserva },
+    { new: true }
+  );
+};
+
+/**
+ * Aplicar un lote de cambios capturados sin conexión. Cada cambio se resuelve por separado:
+ * creado, actualizado, sin_cambios, conflicto (prevalece el servidor), duplicado o rechazado.
+ */
+sincronizacionAsistenciaSchema.statics.aplicarLote = async function(grupo, cambios, { usuario, catequista = null, dispositivo } = {}) {
+  const Inscripcion = mongoose.model('Inscripcion');
+
+  const inscripciones = await Inscripcion.find({
+    _id: { $in: [...new Set(cambios.map(c => c.inscripcion))] },
+    grupo: grupo._id
+  }).select('_id');
+  const delGrupo = new Set(inscripciones.map(i => i._id.toString()));
+
+  // Las asistencias antes que las observaciones, en el orden en que se capturaron
+  const ordenados = [...cambios].sort((a, b) =>
+    (a.tipo === b.tipo ? 0 : a.tipo === 'asistencia' ? -1 : 1) ||
+    new Date(a.capturadoEn || 0) - new Date(b.capturadoEn || 0)
+  );
+
+  const resultados = [];
+
+  for (const cambio of ordenados) {
+    const registro = await this.reservarCambio(grupo, cambio, { usuario, dispositivo });
+    if (!registro) {
+      const previo = await this.findOne({ usuario, clienteId: cambio.clienteId });
+      const estadoPrevio = previo?.resultado?.estado;
+      resultados.push({
+        clienteId: cambio.clienteId,
+        tipo: cambio.tipo,
+        estado: 'duplicado',
+        mensaje: !estadoPrevio || estadoPrevio === 'en_proceso'
+          ? 'El cambio se está aplicando en otra sincronización'
+          : `El cambio ya se había aplicado (${estadoPrevio})`,
+        asistencia: previo?.asistencia
+      });
+      continue;
+    }
+
+    let resultado;
+    try {
+      if (!delGrupo.has(String(cambio.inscripcion))) {
+        resultado = { estado: 'rechazado', mensaje: 'La inscripción no pertenece al grupo' };
+      } else if (cambio.tipo === 'asistencia') {
+        resultado = await this.aplicarAsistencia(grupo, cambio, { usuario, catequista, dispositivo });
+      } else {
+        resultado = await this.aplicarObservacion(cambio, { usuario });
+      }
+    } catch (error) {
+      if (error.name !== 'ValidationError') {
+        await this.deleteOne({ _id: registro._id });
+        throw error;
+      }
+      resultado = {
+        estado: 'rechazado',
+        mensaje: Object.values(error.errors).map(err => err.message).join('; ')
+      };
+    }
+
+    // Los rechazados liberan la reserva: el dispositivo puede corregirlos y reenviarlos
+    if (resultado.estado === 'rechazado') {
+      await this.deleteOne({ _id: registro._id });
+    } else {
+      registro.asistencia = resultado.asistencia;
+      registro.resultado = { estado: resultado.estado, mensaje: resultado.mensaje };
+      await registro.save();
+    }
+
+    resultados.push({ clienteId: cambio.clienteId, tipo: cambio.tipo, ...resultado });
+  }
+
+  return resultados;
+};
+
+/**
+ * Crear o actualizar la asistencia del día. Hay conflicto si otra persona (ej. la secretaria)
+ * modificó el registro después de la versión que conocía el dispositivo.
+ */
+sincronizacionAsistenciaSchema.statics.aplicarAsistencia = async function(grupo, cambio, { usuario, catequista, dispositivo }) {
+  const Asistencia = mongoose.model('Asistencia');
+
+  const existente = await Asistencia.findOne({
+    inscripcion: cambio.inscripcion,
+    fecha: { $gte: inicioDelDia(cambio.fecha), $lte: finDelDia(cambio.fecha) }
+  });
+
+  if (!existente) {
+    let sesion;
+    let asistencias;
+    try {
+      ({ sesion, asistencias } = await Asistencia.registrarParaGrupo(grupo, cambio.fecha, [{
+        inscripcion: cambio.inscripcion,
+        asistio: cambio.asistio,
+        detalles: cambio.detalles,
+        participacion: cambio.participacion,
+        capturadoEn: cambio.capturadoEn
+      }], { usuario, catequista, metodoRegistro: 'app', dispositivo }));
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Otro dispositivo (o la secretaria) registró la asistencia del día al mismo tiempo
+      const registrada = await Asistencia.findOne({
+        inscripcion: cambio.inscripcion,
+        fecha: { $gte: inicioDelDia(cambio.fecha), $lte: finDelDia(cambio.fecha) }
+      });
+
+      return {
+        estado: 'conflicto',
+        mensaje: 'La asistencia se registró en el servidor al mismo tiempo; se conserva la versión del servidor',
+        asistencia: registrada?._id,
+        version: registrada?.updatedAt,
+        servidor: registrada ? resumirAsistencia(registrada) : undefined
+      };
+    }
+
+    if (sesion.estado === 'cancelada') {
+      return { estado: 'rechazado', mensaje: `La sesión de esa fecha fue cancelada: ${sesion.cancelacion.motivo}` };
+    }
+
+    return { estado: 'creado', asistencia: asistencias[0]._id, version: asistencias[0].updatedAt };
+  }
+
+  const campos = [
+    ['asistio', cambio.asistio],
+    ...Object.entries(cambio.detalles || {}).map(([clave, valor]) => [`detalles.${clave}`, valor]),
+    ...Object.entries(cambio.participacion || {}).map(([clave, valor]) => [`participacion.${clave}`, valor])
+  ].filter(([, valor]) => valor !== undefined);
+
+  const sinCambios = campos.every(([ruta, valor]) => JSON.stringify(existente.get(ruta)) === JSON.stringify(valor));
+  if (sinCambios) {
+    return { estado: 'sin_cambios', asistencia: existente._id, version: existente.updatedAt };
+  }
+
+  const ultimoEditor = (existente.registro.modificadoPor || existente.registro.registradoPor)?.toString();
+  const versionBase = cambio.version ? new Date(cambio.version) : null;
+  const modificadoDespues = !versionBase || existente.updatedAt > versionBase;
+
+  if (modificadoDespues && ultimoEditor !== usuario.toString()) {
+    return {
+      estado: 'conflicto',
+      mensaje: 'El registro fue modificado en el servidor después de la captura; se conserva la versión del servidor',
+      asistencia: existente._id,
+      version: existente.updatedAt,
+      servidor: resumirAsistencia(existente)
+    };
+  }
+
+  campos.forEach(([ruta, valor]) => existente.set(ruta, valor));
+  existente.registro.modificadoPor = usuario;
+  existente.registro.fechaModificacion = new Date();
+  existente.registro.capturadoEn = cambio.capturadoEn;
+  existente.registro.dispositivo = dispositivo;
+  await existente.save();
+
+  return { estado: 'actualizado', asistencia: existente._id, version: existente.updatedAt };
+};
+
+/**
+ * Agregar una observación a la asistencia del día (las observaciones no entran en conflicto)
+ */
+sincronizacionAsistenciaSchema.statics.aplicarObservacion = async function(cambio, { usuario }) {
+  const Asistencia = mongoose.model('Asistencia');
+
+  const asistencia = await Asistencia.findOne({
+    inscripcion: cambio.inscripcion,
+    fecha: { $gte: inicioDelDia(cambio.fecha), $lte: finDelDia(cambio.fecha) }
+  });
+
+  if (!asistencia) {
+    return { estado: 'rechazado', mensaje: 'No hay asistencia registrada para esa fecha' };
+  }
+
+  asistencia.observaciones.push({
+    fecha: cambio.capturadoEn || new Date(),
+    usuario,
+    contenido: cambio.contenido,
+    tipo: cambio.tipoObservacion || 'general'
+  });
+  await asistencia.save();
+
+  return { estado: 'creado', asistencia: asistencia._id, version: asistencia.updatedAt };
+};
+
+/**
+ * Cambios del grupo desde la última sincronización (o el estado completo si no hay token):
+ * inscripciones nuevas o modificadas, bajas y traslados, asistencias y sesiones.
+ * Las asistencias se limitan a las inscripciones activas y al periodo del grupo.
+ */
+sincronizacionAsistenciaSchema.statics.obtenerDelta = async function(grupo, desde = null) {
+  const Inscripcion = mongoose.model('Inscripcion');
+  const Asistencia = mongoose.model('Asistencia');
+  const Sesion = mongoose.model('Sesion');
+
+  const filtroInscripciones = desde
+    ? { grupo: grupo._id, updatedAt: { $gt: desde } }
+    : { grupo: grupo._id, activa: true };
+
+  const [inscripciones, trasladadas, idsGrupo] = await Promise.all([
+    Inscripcion.find(filtroInscripciones)
+      .select('catequizando estado activa updatedAt')
+      .populate('catequizando', 'nombres apellidos fechaNacimiento'),
+    desde
+      ? Inscripcion.find({
+        transferencias: { $elemMatch: { grupoAnterior: grupo._id, fecha: { $gt: desde } } }
+      }).select('_id')
+      : [],
+    Inscripcion.distinct('_id', { grupo: grupo._id, activa: true })
+  ]);
+
+  const filtroFecha = desde ? { updatedAt: { $gt: desde } } : {};
+  const inicioPeriodo = grupo.fechas?.inicioClases ? inicioDelDia(grupo.fechas.inicioClases) : null;
+
+  const [asistencias, sesiones] = await Promise.all([
+    Asistencia.find({
+      inscripcion: { $in: idsGrupo },
+      // Las tomadas antes de un traslado pertenecen al grupo de origen (sin grupo: registros anteriores)
+      grupo: { $in: [grupo._id, null] },
+      ...(inicioPeriodo && { fecha: { $gte: inicioPeriodo } }),
+      ...filtroFecha
+    })
+      .select('inscripcion fecha sesion asistio detalles participacion updatedAt'),
+    Sesion.find({ grupo: grupo._id, ...filtroFecha })
+      .select('fecha horaInicio horaFin tipo tema estado cancelacion.motivo updatedAt')
+      .sort({ fecha: 1 })
+  ]);
+
+  return {
+    completo: !desde,
+    inscripciones: inscripciones.filter(i => i.activa),
+    bajas: [
+      ...inscripciones.filter(i => !i.activa).map(i => i._id),
+      ...trasladadas.map(i => i._id)
+    ],
+    asistencias: asistencias.map(resumirAsistencia),
+    sesiones
+  };
+};
+
+module.exports = mongoose.model('SincronizacionAsistencia', sincronizacionAsistenciaSchema);
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const config = require('../config/environment');
+const { SESSION_CONFIG } = require('../utils/constants');
+const totp = require('../utils/totp');
 
 const usuarioSchema = new mongoose.Schema({
   username: {
@@ -52,6 +55,12 @@ const usuarioSchema = new mongoose.Schema({
     }
   },
 
+  // Roles personalizados de la parroquia (se suman a los permisos del perfil)
+  roles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rol'
+  }],
+
   activo: {
     type: Boolean,
     default: true
@@ -78,6 +87,61 @@ const usuarioSchema = new mongoose.Schema({
     default: null
   },
 
+  passwordCambiadoEn: {
+    type: Date,
+    default: null
+  },
+
+  // Token de reseteo de contraseña (solo se guarda el hash)
+  resetPassword: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    expira: {
+      type: Date,
+      default: null
+    },
+    solicitadoEn: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Autenticación de dos factores (TOTP)
+  dosFactores: {
+    habilitado: {
+      type: Boolean,
+      default: false
+    },
+    habilitadoEn: {
+      type: Date,
+      default: null
+    },
+    // Secretos cifrados; nunca se devuelven en consultas por defecto
+    secreto: {
+      type: String,
+      select: false
+    },
+    secretoPendiente: {
+      type: String,
+      select: false
+    },
+    // Último paso de tiempo aceptado, para impedir reutilizar un código
+    ultimoPaso: {
+      type: Number,
+      select: false
+    },
+    codigosRecuperacion: {
+      type: [{
+        _id: false,
+        hash: { type: String, required: true },
+        usadoEn: { type: Date, default: null }
+      }],
+      select: false
+    }
+  },
+
   // Datos personales opcionales
   datosPersonales: {
     nombres: {
@@ -129,6 +193,13 @@ const usuarioSchema = new mongoose.Schema({
       delete ret.password;
       delete ret.intentosFallidos;
       delete ret.bloqueadoHasta;
+      delete ret.resetPassword;
+      if (ret.dosFactores) {
+        ret.dosFactores = {
+          habilitado: ret.dosFactores.habilitado,
+          habilitadoEn: ret.dosFactores.habilitadoEn
+        };
+      }
       return ret;
     }
   }
@@ -140,6 +211,7 @@ usuarioSchema.index({ parroquia: 1 });
 usuarioSchema.index({ tipoPerfil: 1 });
 usuarioSchema.index({ activo: 1 });
 usuarioSchema.index({ ultimoLogin: -1 });
+usuarioSchema.index({ 'resetPassword.tokenHash': 1 }, { sparse: true });
 
 // Middleware pre-save para hashear contraseña
 usuarioSchema.pre('save', async function(next) {
@@ -149,6 +221,13 @@ usuarioSchema.pre('save', async function(next) {
   try {
     // Hashear contraseña
     this.password = await bcrypt.hash(this.password, config.bcrypt.rounds);
+
+    // Cualquier cambio de contraseña invalida los tokens de reseteo pendientes
+    if (!this.isNew) {
+      this.passwordCambiadoEn = new Date();
+      this.resetPassword = { tokenHash: undefined, expira: null, solicitadoEn: null };
+    }
+
     next();
   } catch (error) {
     next(error);
@@ -222,26 +301,177 @@ usuarioSchema.methods.registrarLoginFallido = function() {
   return this.save();
 };
 
-usuarioSchema.methods.tienePermiso = function(recurso, accion) {
-  const permisos = {
-    admin: ['*'], // Todos los permisos
-    parroco: ['create', 'read', 'update', 'delete', 'approve'],
-    secretaria: ['create', 'read', 'update'],
-    catequista: ['read', 'update_attendance'],
-    consulta: ['read']
+usuarioSchema.methods.generarTokenReseteo = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.resetPassword = {
+    tokenHash: this.constructor.hashTokenReseteo(token),
+    expira: new Date(Date.now() + SESSION_CONFIG.PASSWORD_RESET_EXPIRY),
+    solicitadoEn: new Date()
   };
 
-  const permisosUsuario = permisos[this.tipoPerfil] || [];
-  return permisosUsuario.includes('*') || permisosUsuario.includes(accion);
+  return token;
+};
+
+// Autenticación de dos factores
+usuarioSchema.methods.puedeUsarDosFactores = function() {
+  return ['admin', 'parroco'].includes(this.tipoPerfil);
+};
+
+/**
+ * Determinar si el usuario está obligado a usar 2FA
+ * Requiere la parroquia poblada con configuracion.seguridad para párrocos
+ */
+usuarioSchema.methods.requiereDosFactores = function() {
+  if (this.tipoPerfil === 'admin') {
+    return config.dosFactores.requeridoAdmin;
+  }
+
+  if (this.tipoPerfil === 'parroco') {
+    return !!this.parroquia?.configuracion?.seguridad?.requiere2FA;
+  }
+
+  return false;
+};
+
+/**
+ * Iniciar enrolamiento: genera un secreto pendiente de confirmación
+ */
+usuarioSchema.methods.iniciarDosFactores = function() {
+  const secreto = totp.generarSecreto();
+
+  this.dosFactores.secretoPendiente = totp.cifrarSecreto(secreto);
+
+  return {
+    secreto,
+    uri: totp.generarUriAprovisionamiento(secreto, this.username)
+  };
+};
+
+/**
+ * Confirmar enrolamiento con un código de la aplicación
+ * Requiere +dosFactores.secretoPendiente. Devuelve los códigos de recuperación en claro
+ */
+usuarioSchema.methods.confirmarDosFactores = function(codigo) {
+  if (!this.dosFactores.secretoPendiente) {
+    throw new Error('No hay una configuración de 2FA pendiente');
+  }
+
+  const secreto = totp.descifrarSecreto(this.dosFactores.secretoPendiente);
+  const paso = totp.verificarCodigo(secreto, codigo);
+
+  if (paso === null) {
+    throw new Error('Código de verificación inválido');
+  }
+
+  this.dosFactores.secreto = this.dosFactores.secretoPendiente;
+  this.dosFactores.secretoPendiente = undefined;
+  this.dosFactores.ultimoPaso = paso;
+  this.dosFactores.habilitado = true;
+  this.dosFactores.habilitadoEn = new Date();
+
+  return this.generarCodigosRecuperacion();
+};
+
+usuarioSchema.methods.generarCodigosRecuperacion = function() {
+  const codigos = totp.generarCodigosRecuperacion();
+
+  this.dosFactores.codigosRecuperacion = codigos.map(codigo => ({
+    hash: totp.hashCodigoRecuperacion(codigo)
+  }));
+
+  return codigos;
+};
+
+/**
+ * Verificar un código TOTP o un código de recuperación
+ * Requiere +dosFactores.secreto +dosFactores.ultimoPaso +dosFactores.codigosRecuperacion
+ * Devuelve 'totp', 'recuperacion' o null. El llamador debe guardar el documento
+ */
+usuarioSchema.methods.verificarDosFactores = function(codigo) {
+  if (!this.dosFactores.habilitado || !this.dosFactores.secreto) {
+    return null;
+  }
+
+  const secreto = totp.descifrarSecreto(this.dosFactores.secreto);
+  const paso = totp.verificarCodigo(secreto, codigo);
+
+  if (paso !== null) {
+    // Un código ya usado no puede volver a usarse
+    if (this.dosFactores.ultimoPaso !== undefined && paso <= this.dosFactores.ultimoPaso) {
+      return null;
+    }
+
+    this.dosFactores.ultimoPaso = paso;
+    return 'totp';
+  }
+
+  const hash = totp.hashCodigoRecuperacion(codigo);
+  const recuperacion = (this.dosFactores.codigosRecuperacion || [])
+    .find(item => item.hash === hash && !item.usadoEn);
+
+  if (recuperacion) {
+    recuperacion.usadoEn = new Date();
+    return 'recuperacion';
+  }
+
+  return null;
+};
+
+usuarioSchema.methods.codigosRecuperacionRestantes = function() {
+  return (this.dosFactores.codigosRecuperacion || []).filter(item => !item.usadoEn).length;
+};
+
+usuarioSchema.methods.desactivarDosFactores = function() {
+  this.dosFactores = {
+    habilitado: false,
+    habilitadoEn: null,
+    secreto: undefined,
+    secretoPendiente: undefined,
+    ultimoPaso: undefined,
+    codigosRecuperacion: []
+  };
+};
+
+usuarioSchema.methods.obtenerPermisos = function() {
+  return mongoose.model('Rol').obtenerPermisosUsuario(this);
+};
+
+/**
+ * Verificar si el usuario tiene la acción concedida sobre el recurso
+ * Evalúa la matriz del perfil y los roles personalizados asignados
+ */
+usuarioSchema.methods.tienePermiso = async function(recurso, accion) {
+  const permisos = await this.obtenerPermisos();
+  return mongoose.model('Rol').evaluar(permisos, recurso, accion);
 };
 
 // Métodos estáticos
 usuarioSchema.statics.buscarPorUsername = function(username) {
   return this.findOne({ username: username.toLowerCase().trim() })
-    .populate('parroquia', 'nombre')
+    .populate('parroquia', 'nombre configuracion.seguridad')
     .select('+password');
 };
 
+usuarioSchema.statics.hashTokenReseteo = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Consumir el token de reseteo de forma atómica: de dos peticiones simultáneas
+ * con el mismo token solo una obtiene el usuario
+ */
+usuarioSchema.statics.consumirTokenReseteo = function(token) {
+  return this.findOneAndUpdate(
+    {
+      'resetPassword.tokenHash': this.hashTokenReseteo(token),
+      'resetPassword.expira': { $gt: new Date() }
+    },
+    { $set: { resetPassword: { tokenHash: undefined, expira: null, solicitadoEn: null } } },
+    { new: true }
+  ).select('+password');
+};
+
 usuarioSchema.statics.obtenerEstadisticas = function(filtros = {}) {
   const pipeline = [
     { $match: filtros },
@@ -5,6 +5,19 @@ const Catequizando = require('./Catequizando');
 const Grupo = require('./Grupo');
 const Inscripcion = require('./Inscripcion');
 const Asistencia = require('./Asistencia');
+const Certificado = require('./Certificado');
+const SesionUsuario = require('./SesionUsuario');
+const AuditLog = require('./AuditLog');
+const Rol = require('./Rol');
+const Familia = require('./Familia');
+const RegistroSacramental = require('./RegistroSacramental');
+const Celebracion = require('./Celebracion');
+const Padrino = require('./Padrino');
+const ListaEspera = require('./ListaEspera');
+const Sesion = require('./Sesion');
+const SincronizacionAsistencia = require('./SincronizacionAsistencia');
+const AlertaRiesgo = require('./AlertaRiesgo');
+const Contador = require('./Contador');
 
 // Configurar relaciones adicionales si es necesario
 // Esto es útil para evitar dependencias circulares
@@ -16,7 +29,20 @@ module.exports = {
   Catequizando,
   Grupo,
   Inscripcion,
-  Asistencia
+  Asistencia,
+  Certificado,
+  SesionUsuario,
+  AuditLog,
+  Rol,
+  Familia,
+  RegistroSacramental,
+  Celebracion,
+  Padrino,
+  ListaEspera,
+  Sesion,
+  SincronizacionAsistencia,
+  AlertaRiesgo,
+  Contador
 };
 
 // Función para inicializar índices y configuraciones
@@ -32,7 +58,20 @@ async function initializeModels() {
       Catequizando.createIndexes(),
       Grupo.createIndexes(),
       Inscripcion.createIndexes(),
-      Asistencia.createIndexes()
+      Asistencia.createIndexes(),
+      Certificado.createIndexes(),
+      SesionUsuario.createIndexes(),
+      AuditLog.createIndexes(),
+      Rol.createIndexes(),
+      Familia.createIndexes(),
+      RegistroSacramental.createIndexes(),
+      Celebracion.createIndexes(),
+      Padrino.createIndexes(),
+      ListaEspera.createIndexes(),
+      Sesion.createIndexes(),
+      SincronizacionAsistencia.createIndexes(),
+      AlertaRiesgo.createIndexes(),
+      Contador.createIndexes()
     ]);
     
     console.log('✅ Modelos e índices inicializados correctamente');
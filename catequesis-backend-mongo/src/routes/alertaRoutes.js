@@ -0,0 +1,74 @@
+const express = require('express');
+const alertaController = require('../controllers/alertaController');
+const {
+  authenticateToken,
+  requirePermission,
+  logActivity
+} = require('../middleware/auth');
+const { alertaValidations } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/alertas/panel
+ * @desc Panel de alertas de riesgo de la parroquia (totales, por tipo, por grupo y prioritarias)
+ * @access Private (permiso alertas:read)
+ */
+router.get('/panel',
+  requirePermission('alertas', 'read'),
+  alertaValidations.panel,
+  alertaController.getPanel
+);
+
+/**
+ * @route POST /api/alertas/evaluar
+ * @desc Evaluar las reglas de riesgo de un grupo o de la parroquia sin esperar la ejecución nocturna
+ * @access Private (permiso alertas:create)
+ */
+router.post('/evaluar',
+  requirePermission('alertas', 'create'),
+  alertaValidations.evaluar,
+  logActivity('EVALUAR_ALERTAS_RIESGO', { modelo: 'AlertaRiesgo', idParam: null }),
+  alertaController.evaluarAlertas
+);
+
+/**
+ * @route PUT /api/alertas/:id/reconocer
+ * @desc Reconocer la alerta y dar seguimiento
+ * @access Private (permiso alertas:update)
+ */
+router.put('/:id/reconocer',
+  requirePermission('alertas', 'update'),
+  alertaValidations.reconocer,
+  logActivity('RECONOCER_ALERTA_RIESGO', { modelo: 'AlertaRiesgo', idParam: 'id' }),
+  alertaController.reconocerAlerta
+);
+
+/**
+ * @route PUT /api/alertas/:id/resolver
+ * @desc Resolver la alerta indicando cómo se atendió
+ * @access Private (permiso alertas:update)
+ */
+router.put('/:id/resolver',
+  requirePermission('alertas', 'update'),
+  alertaValidations.resolver,
+  logActivity('RESOLVER_ALERTA_RIESGO', { modelo: 'AlertaRiesgo', idParam: 'id' }),
+  alertaController.resolverAlerta
+);
+
+/**
+ * @route POST /api/alertas/:id/notas
+ * @desc Agregar una nota de seguimiento a la alerta
+ * @access Private (permiso alertas:update)
+ */
+router.post('/:id/notas',
+  requirePermission('alertas', 'update'),
+  alertaValidations.nota,
+  logActivity('NOTA_ALERTA_RIESGO', { modelo: 'AlertaRiesgo', idParam: 'id' }),
+  alertaController.agregarNota
+);
+
+module.exports = router;
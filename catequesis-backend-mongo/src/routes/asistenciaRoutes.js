@@ -2,7 +2,8 @@ const express = require('express');
 const asistenciaController = require('../controllers/asistenciaController');
 const { 
   authenticateToken, 
-  requireRole, 
+  requirePermission,
+  requireExportPermission,
   logActivity 
 } = require('../middleware/auth');
 const { 
@@ -18,10 +19,10 @@ router.use(authenticateToken);
 /**
  * @route GET /api/asistencias
  * @desc Obtener asistencias con filtros
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @access Private (permiso asistencias:read)
  */
 router.get('/',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('asistencias', 'read'),
   commonValidations.pagination,
   commonValidations.dateRange,
   logActivity('GET_ASISTENCIAS'),
@@ -30,12 +31,15 @@ router.get('/',
 
 /**
  * @route GET /api/asistencias/reporte
- * @desc Obtener reporte de asistencia
- * @access Private (Admin, Párroco, Secretaria)
+ * @desc Obtener reporte de asistencia (?format=csv|xlsx|pdf para exportar)
+ * @access Private (permiso asistencias:read; asistencias:export para archivos)
  */
 router.get('/reporte',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('asistencias', 'read'),
+  asistenciaValidations.reporte,
   commonValidations.dateRange,
+  commonValidations.exportacion('reporte-asistencia'),
+  requireExportPermission('asistencias'),
   logActivity('GET_REPORTE_ASISTENCIA'),
   asistenciaController.getReporteAsistencia
 );
@@ -43,21 +47,32 @@ router.get('/reporte',
 /**
  * @route GET /api/asistencias/ausencias-pendientes
  * @desc Obtener ausencias pendientes de notificar
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso asistencias:read)
  */
 router.get('/ausencias-pendientes',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('asistencias', 'read'),
   logActivity('GET_AUSENCIAS_PENDIENTES'),
   asistenciaController.getAusenciasPendientes
 );
 
+/**
+ * @route GET /api/asistencias/justificaciones/pendientes
+ * @desc Obtener justificaciones de ausencia enviadas por representantes pendientes de revisión
+ * @access Private (permiso asistencias:read)
+ */
+router.get('/justificaciones/pendientes',
+  requirePermission('asistencias', 'read'),
+  logActivity('GET_JUSTIFICACIONES_PENDIENTES'),
+  asistenciaController.getJustificacionesPendientes
+);
+
 /**
  * @route GET /api/asistencias/stats/grupo/:grupoId
  * @desc Obtener estadísticas de asistencia por grupo
- * @access Private (Admin, Párroco, Secretaria, Catequista del grupo)
+ * @access Private (permiso asistencias:read)
  */
 router.get('/stats/grupo/:grupoId',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('asistencias', 'read'),
   commonValidations.objectId,
   commonValidations.dateRange,
   logActivity('GET_STATS_ASISTENCIA_GRUPO'),
@@ -67,10 +82,10 @@ router.get('/stats/grupo/:grupoId',
 /**
  * @route GET /api/asistencias/grupo/:grupoId/fecha/:fecha
  * @desc Obtener asistencias por grupo y fecha
- * @access Private (Admin, Párroco, Secretaria, Catequista del grupo)
+ * @access Private (permiso asistencias:read)
  */
 router.get('/grupo/:grupoId/fecha/:fecha',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('asistencias', 'read'),
   logActivity('GET_ASISTENCIAS_GRUPO_FECHA'),
   asistenciaController.getAsistenciasPorGrupoYFecha
 );
@@ -78,10 +93,10 @@ router.get('/grupo/:grupoId/fecha/:fecha',
 /**
  * @route GET /api/asistencias/:id
  * @desc Obtener asistencia por ID
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @access Private (permiso asistencias:read)
  */
 router.get('/:id',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('asistencias', 'read'),
   commonValidations.objectId,
   logActivity('GET_ASISTENCIA'),
   asistenciaController.getAsistenciaById
@@ -90,10 +105,10 @@ router.get('/:id',
 /**
  * @route POST /api/asistencias
  * @desc Registrar asistencia individual
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @access Private (permiso asistencias:create)
  */
 router.post('/',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('asistencias', 'create'),
   asistenciaValidations.create,
   logActivity('REGISTRAR_ASISTENCIA'),
   asistenciaController.registrarAsistencia
@@ -102,22 +117,70 @@ router.post('/',
 /**
  * @route POST /api/asistencias/grupo/:grupoId
  * @desc Registrar asistencia masiva para un grupo
- * @access Private (Admin, Párroco, Secretaria, Catequista del grupo)
+ * @access Private (permiso asistencias:create)
  */
 router.post('/grupo/:grupoId',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('asistencias', 'create'),
   asistenciaValidations.registrarGrupo,
   logActivity('REGISTRAR_ASISTENCIA_GRUPO'),
   asistenciaController.registrarAsistenciaGrupo
 );
 
+/**
+ * @route POST /api/asistencias/sync/grupo/:grupoId
+ * @desc Sincronizar asistencias y observaciones capturadas sin conexión y obtener los cambios del grupo
+ * @access Private (permiso asistencias:create)
+ */
+router.post('/sync/grupo/:grupoId',
+  requirePermission('asistencias', 'create'),
+  asistenciaValidations.sincronizar,
+  logActivity('SINCRONIZAR_ASISTENCIA'),
+  asistenciaController.sincronizarGrupo
+);
+
+/**
+ * @route POST /api/asistencias/checkin/qr
+ * @desc Check-in por código QR del catequizando durante el horario del grupo
+ * @access Private (permiso asistencias:create)
+ */
+router.post('/checkin/qr',
+  requirePermission('asistencias', 'create'),
+  asistenciaValidations.checkinQR,
+  logActivity('CHECKIN_QR_ASISTENCIA'),
+  asistenciaController.checkinQR
+);
+
+/**
+ * @route POST /api/asistencias/:id/justificacion/enlace
+ * @desc Generar y enviar al representante el enlace para justificar la ausencia
+ * @access Private (permiso asistencias:update)
+ */
+router.post('/:id/justificacion/enlace',
+  requirePermission('asistencias', 'update'),
+  asistenciaValidations.solicitarJustificacion,
+  logActivity('SOLICITAR_JUSTIFICACION_AUSENCIA'),
+  asistenciaController.solicitarJustificacion
+);
+
+/**
+ * @route PUT /api/asistencias/:id/justificacion/revisar
+ * @desc Aprobar o rechazar la justificación enviada por el representante
+ * @access Private (permiso asistencias:update)
+ */
+router.put('/:id/justificacion/revisar',
+  requirePermission('asistencias', 'update'),
+  asistenciaValidations.revisarJustificacion,
+  logActivity('REVISAR_JUSTIFICACION_AUSENCIA'),
+  asistenciaController.revisarJustificacion
+);
+
 /**
  * @route POST /api/asistencias/:id/observaciones
  * @desc Agregar observación a asistencia
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @access Private (permiso asistencias:update)
  */
 router.post('/:id/observaciones',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('asistencias', 'update'),
   commonValidations.objectId,
   logActivity('AGREGAR_OBSERVACION_ASISTENCIA'),
   asistenciaController.agregarObservacion
@@ -126,10 +189,10 @@ router.post('/:id/observaciones',
 /**
  * @route POST /api/asistencias/:id/tareas
  * @desc Registrar tarea en asistencia
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @access Private (permiso asistencias:update)
  */
 router.post('/:id/tareas',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('asistencias', 'update'),
   commonValidations.objectId,
   logActivity('REGISTRAR_TAREA_ASISTENCIA'),
   asistenciaController.registrarTarea
@@ -138,10 +201,10 @@ router.post('/:id/tareas',
 /**
  * @route PUT /api/asistencias/:id
  * @desc Actualizar asistencia
- * @access Private (Admin, Párroco, Secretaria, Catequista del grupo)
+ * @access Private (permiso asistencias:update)
  */
 router.put('/:id',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('asistencias', 'update'),
   commonValidations.objectId,
   logActivity('UPDATE_ASISTENCIA'),
   asistenciaController.updateAsistencia
@@ -150,10 +213,10 @@ router.put('/:id',
 /**
  * @route PUT /api/asistencias/:id/notificacion/:tipo
  * @desc Marcar notificación como enviada
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso asistencias:update)
  */
 router.put('/:id/notificacion/:tipo',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('asistencias', 'update'),
   commonValidations.objectId,
   logActivity('MARCAR_NOTIFICACION_ENVIADA'),
   asistenciaController.marcarNotificacionEnviada
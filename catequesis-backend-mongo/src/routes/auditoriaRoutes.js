@@ -0,0 +1,61 @@
+const express = require('express');
+const auditoriaController = require('../controllers/auditoriaController');
+const {
+  authenticateToken,
+  requirePermission
+} = require('../middleware/auth');
+const {
+  auditoriaValidations,
+  commonValidations
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación y permiso de lectura de auditoría
+router.use(authenticateToken);
+router.use(requirePermission('auditoria', 'read'));
+
+/**
+ * @route GET /api/auditoria
+ * @desc Obtener registros de auditoría (filtros: usuario, modelo, entidadId, accion, fechaInicio, fechaFin)
+ * @access Private (permiso auditoria:read)
+ */
+router.get('/',
+  commonValidations.pagination,
+  commonValidations.dateRange,
+  auditoriaValidations.list,
+  auditoriaController.getAuditoria
+);
+
+/**
+ * @route GET /api/auditoria/stats
+ * @desc Resumen de actividad por acción y usuario
+ * @access Private (permiso auditoria:read)
+ */
+router.get('/stats',
+  commonValidations.dateRange,
+  auditoriaValidations.list,
+  auditoriaController.getAuditoriaStats
+);
+
+/**
+ * @route GET /api/auditoria/entidad/:modelo/:id
+ * @desc Obtener historial de cambios de una entidad
+ * @access Private (permiso auditoria:read)
+ */
+router.get('/entidad/:modelo/:id',
+  auditoriaValidations.historial,
+  auditoriaController.getHistorialEntidad
+);
+
+/**
+ * @route GET /api/auditoria/:id
+ * @desc Obtener registro de auditoría por ID
+ * @access Private (permiso auditoria:read)
+ */
+router.get('/:id',
+  commonValidations.objectId,
+  auditoriaController.getAuditoriaById
+);
+
+module.exports = router;
@@ -1,10 +1,23 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const authController = require('../controllers/authController');
-const { authenticateToken, userRateLimit, logActivity } = require('../middleware/auth');
-const { authValidations } = require('../middleware/validation');
+const { authenticateToken, userRateLimit, usernameRateLimit, logActivity } = require('../middleware/auth');
+const { authValidations, commonValidations } = require('../middleware/validation');
 
 const router = express.Router();
 
+// Solicitudes de reseteo: además del límite por usuario, limitar por IP
+const forgotPasswordLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hora
+  max: 10,
+  message: {
+    success: false,
+    message: 'Demasiadas solicitudes desde esta IP, intenta de nuevo más tarde'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 /**
  * @route POST /api/auth/login
  * @desc Iniciar sesión
@@ -17,6 +30,74 @@ router.post('/login',
   authController.login
 );
 
+/**
+ * @route POST /api/auth/login/2fa
+ * @desc Completar login con código de 2FA o de recuperación
+ * @access Public (requiere token de desafío)
+ */
+router.post('/login/2fa',
+  authValidations.loginDosFactores,
+  logActivity('LOGIN_2FA'),
+  authController.loginDosFactores
+);
+
+/**
+ * @route GET /api/auth/2fa
+ * @desc Estado de la autenticación de dos factores
+ * @access Private
+ */
+router.get('/2fa',
+  authenticateToken,
+  authController.getDosFactores
+);
+
+/**
+ * @route POST /api/auth/2fa/setup
+ * @desc Iniciar configuración de 2FA (URI para código QR)
+ * @access Private (Admin, Párroco)
+ */
+router.post('/2fa/setup',
+  authenticateToken,
+  logActivity('SETUP_2FA'),
+  authController.setupDosFactores
+);
+
+/**
+ * @route POST /api/auth/2fa/enable
+ * @desc Confirmar código y habilitar 2FA
+ * @access Private (Admin, Párroco)
+ */
+router.post('/2fa/enable',
+  authenticateToken,
+  authValidations.codigoDosFactores,
+  logActivity('ENABLE_2FA'),
+  authController.enableDosFactores
+);
+
+/**
+ * @route POST /api/auth/2fa/disable
+ * @desc Deshabilitar 2FA
+ * @access Private
+ */
+router.post('/2fa/disable',
+  authenticateToken,
+  authValidations.disableDosFactores,
+  logActivity('DISABLE_2FA'),
+  authController.disableDosFactores
+);
+
+/**
+ * @route POST /api/auth/2fa/recovery-codes
+ * @desc Regenerar códigos de recuperación
+ * @access Private
+ */
+router.post('/2fa/recovery-codes',
+  authenticateToken,
+  authValidations.codigoDosFactores,
+  logActivity('REGENERATE_2FA_RECOVERY_CODES'),
+  authController.regenerarCodigosRecuperacion
+);
+
 /**
  * @route GET /api/auth/profile
  * @desc Obtener perfil del usuario actual
@@ -28,6 +109,16 @@ router.get('/profile',
   authController.getProfile
 );
 
+/**
+ * @route GET /api/auth/permisos
+ * @desc Obtener permisos efectivos del usuario actual
+ * @access Private
+ */
+router.get('/permisos',
+  authenticateToken,
+  authController.getPermisos
+);
+
 /**
  * @route PUT /api/auth/profile
  * @desc Actualizar perfil del usuario
@@ -63,12 +154,46 @@ router.post('/logout',
 );
 
 /**
- * @route POST /api/auth/refresh
- * @desc Refrescar token
+ * @route POST /api/auth/logout-all
+ * @desc Cerrar sesión en todos los dispositivos
  * @access Private
  */
-router.post('/refresh',
+router.post('/logout-all',
+  authenticateToken,
+  logActivity('LOGOUT_ALL'),
+  authController.logoutAll
+);
+
+/**
+ * @route GET /api/auth/sessions
+ * @desc Obtener sesiones activas del usuario actual
+ * @access Private
+ */
+router.get('/sessions',
+  authenticateToken,
+  logActivity('GET_SESSIONS'),
+  authController.getSessions
+);
+
+/**
+ * @route DELETE /api/auth/sessions/:id
+ * @desc Cerrar una sesión propia
+ * @access Private
+ */
+router.delete('/sessions/:id',
   authenticateToken,
+  commonValidations.objectId,
+  logActivity('REVOKE_SESSION', { modelo: 'SesionUsuario', idParam: 'id' }),
+  authController.revokeSession
+);
+
+/**
+ * @route POST /api/auth/refresh
+ * @desc Rotar refresh token y emitir nuevo access token
+ * @access Public (requiere refresh token válido)
+ */
+router.post('/refresh',
+  authValidations.refreshToken,
   logActivity('REFRESH_TOKEN'),
   authController.refreshToken
 );
@@ -89,7 +214,9 @@ router.get('/verify',
  * @access Public
  */
 router.post('/forgot-password',
-  userRateLimit(5, 60 * 60 * 1000), // 5 intentos por hora
+  forgotPasswordLimiter,
+  usernameRateLimit(3, 60 * 60 * 1000), // 3 solicitudes por usuario por hora
+  authValidations.forgotPassword,
   logActivity('FORGOT_PASSWORD'),
   authController.forgotPassword
 );
@@ -101,6 +228,7 @@ router.post('/forgot-password',
  */
 router.post('/reset-password',
   userRateLimit(5, 60 * 60 * 1000), // 5 intentos por hora
+  authValidations.resetPassword,
   logActivity('RESET_PASSWORD'),
   authController.resetPassword
 );
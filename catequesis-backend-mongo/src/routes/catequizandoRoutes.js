@@ -1,14 +1,19 @@
 const express = require('express');
 const catequizandoController = require('../controllers/catequizandoController');
+const padrinoController = require('../controllers/padrinoController');
 const { 
   authenticateToken, 
-  requireRole, 
+  requirePermission,
+  requireExportPermission,
   logActivity 
 } = require('../middleware/auth');
 const { 
   catequizandoValidations,
+  padrinoValidations,
   commonValidations 
 } = require('../middleware/validation');
+const { uploadSingle } = require('../middleware/upload');
+const { ALLOWED_FILE_TYPES, MAX_FILE_SIZES } = require('../utils/constants');
 const { body, param } = require('express-validator');
 
 const router = express.Router();
@@ -18,12 +23,14 @@ router.use(authenticateToken);
 
 /**
  * @route GET /api/catequizandos
- * @desc Obtener todos los catequizandos
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @desc Obtener todos los catequizandos (?format=csv|xlsx|pdf para exportar)
+ * @access Private (permiso catequizandos:read; catequizandos:export para archivos)
  */
 router.get('/',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('catequizandos', 'read'),
   commonValidations.pagination,
+  commonValidations.exportacion('catequizandos'),
+  requireExportPermission('catequizandos'),
   logActivity('GET_CATEQUIZANDOS'),
   catequizandoController.getAllCatequizandos
 );
@@ -31,10 +38,10 @@ router.get('/',
 /**
  * @route GET /api/catequizandos/search
  * @desc Buscar catequizandos
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @access Private (permiso catequizandos:read)
  */
 router.get('/search',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('catequizandos', 'read'),
   logActivity('SEARCH_CATEQUIZANDOS'),
   catequizandoController.searchCatequizandos
 );
@@ -42,21 +49,32 @@ router.get('/search',
 /**
  * @route GET /api/catequizandos/stats
  * @desc Obtener estadísticas de catequizandos
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso catequizandos:read)
  */
 router.get('/stats',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('catequizandos', 'read'),
   logActivity('GET_CATEQUIZANDOS_STATS'),
   catequizandoController.getCatequizandosStats
 );
 
+/**
+ * @route GET /api/catequizandos/duplicados
+ * @desc Buscar posibles catequizandos duplicados
+ * @access Private (permiso catequizandos:update)
+ */
+router.get('/duplicados',
+  requirePermission('catequizandos', 'update'),
+  catequizandoValidations.duplicados,
+  catequizandoController.getDuplicados
+);
+
 /**
  * @route GET /api/catequizandos/cumpleanos
  * @desc Obtener cumpleañeros del mes
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @access Private (permiso catequizandos:read)
  */
 router.get('/cumpleanos',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('catequizandos', 'read'),
   logActivity('GET_CUMPLEANOS'),
   catequizandoController.getCumpleanosMes
 );
@@ -64,10 +82,10 @@ router.get('/cumpleanos',
 /**
  * @route GET /api/catequizandos/documento/:documento
  * @desc Buscar catequizando por documento
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @access Private (permiso catequizandos:read)
  */
 router.get('/documento/:documento',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('catequizandos', 'read'),
   param('documento')
     .trim()
     .isLength({ min: 6, max: 20 })
@@ -76,13 +94,29 @@ router.get('/documento/:documento',
   catequizandoController.getCatequizandoByDocumento
 );
 
+/**
+ * @route POST /api/catequizandos/import
+ * @desc Importar catequizandos desde CSV/XLSX (campo "archivo"); dryRun=true solo valida
+ * @access Private (permiso catequizandos:create)
+ */
+router.post('/import',
+  requirePermission('catequizandos', 'create'),
+  uploadSingle('archivo', {
+    extensiones: ALLOWED_FILE_TYPES.SPREADSHEETS,
+    tamanoMaximo: MAX_FILE_SIZES.DOCUMENT
+  }),
+  catequizandoValidations.importar,
+  logActivity('IMPORT_CATEQUIZANDOS'),
+  catequizandoController.importarCatequizandos
+);
+
 /**
  * @route GET /api/catequizandos/:id
  * @desc Obtener catequizando por ID
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @access Private (permiso catequizandos:read)
  */
 router.get('/:id',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('catequizandos', 'read'),
   commonValidations.objectId,
   logActivity('GET_CATEQUIZANDO'),
   catequizandoController.getCatequizandoById
@@ -91,10 +125,10 @@ router.get('/:id',
 /**
  * @route GET /api/catequizandos/:id/inscripciones
  * @desc Obtener inscripciones de un catequizando
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @access Private (permiso catequizandos:read)
  */
 router.get('/:id/inscripciones',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('catequizandos', 'read'),
   commonValidations.objectId,
   logActivity('GET_CATEQUIZANDO_INSCRIPCIONES'),
   catequizandoController.getCatequizandoInscripciones
@@ -103,10 +137,10 @@ router.get('/:id/inscripciones',
 /**
  * @route GET /api/catequizandos/:id/certificados
  * @desc Obtener certificados de un catequizando
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @access Private (permiso catequizandos:read)
  */
 router.get('/:id/certificados',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('catequizandos', 'read'),
   commonValidations.objectId,
   logActivity('GET_CATEQUIZANDO_CERTIFICADOS'),
   catequizandoController.getCatequizandoCertificados
@@ -115,10 +149,10 @@ router.get('/:id/certificados',
 /**
  * @route POST /api/catequizandos/:id/validar-inscripcion
  * @desc Validar elegibilidad para inscripción
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso inscripciones:create)
  */
 router.post('/:id/validar-inscripcion',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('inscripciones', 'create'),
   commonValidations.objectId,
   body('id_nivel')
     .custom((value) => {
@@ -134,10 +168,10 @@ router.post('/:id/validar-inscripcion',
 /**
  * @route POST /api/catequizandos
  * @desc Crear nuevo catequizando
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso catequizandos:create)
  */
 router.post('/',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('catequizandos', 'create'),
   catequizandoValidations.create,
   logActivity('CREATE_CATEQUIZANDO'),
   catequizandoController.createCatequizando
@@ -146,10 +180,10 @@ router.post('/',
 /**
  * @route PUT /api/catequizandos/:id
  * @desc Actualizar catequizando
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso catequizandos:update)
  */
 router.put('/:id',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('catequizandos', 'update'),
   catequizandoValidations.update,
   logActivity('UPDATE_CATEQUIZANDO'),
   catequizandoController.updateCatequizando
@@ -158,10 +192,10 @@ router.put('/:id',
 /**
  * @route DELETE /api/catequizandos/:id
  * @desc Eliminar catequizando
- * @access Private (Admin)
+ * @access Private (permiso catequizandos:delete)
  */
 router.delete('/:id',
-  requireRole('admin'),
+  requirePermission('catequizandos', 'delete'),
   commonValidations.objectId,
   logActivity('DELETE_CATEQUIZANDO'),
   catequizandoController.deleteCatequizando
@@ -170,10 +204,10 @@ router.delete('/:id',
 /**
  * @route PUT /api/catequizandos/:id/egresar
  * @desc Marcar catequizando como egresado
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso catequizandos:update)
  */
 router.put('/:id/egresar',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('catequizandos', 'update'),
   commonValidations.objectId,
   body('motivo')
     .isIn(['graduacion', 'retiro_voluntario', 'cambio_parroquia', 'suspension', 'otro'])
@@ -189,13 +223,119 @@ router.put('/:id/egresar',
 /**
  * @route PUT /api/catequizandos/:id/reactivar
  * @desc Reactivar catequizando
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso catequizandos:update)
  */
 router.put('/:id/reactivar',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('catequizandos', 'update'),
   commonValidations.objectId,
   logActivity('REACTIVAR_CATEQUIZANDO'),
   catequizandoController.reactivarCatequizando
 );
 
+/**
+ * @route POST /api/catequizandos/:id/fusionar
+ * @desc Fusionar un catequizando duplicado en este (la auditoría se registra en el controlador)
+ * @access Private (permiso catequizandos:delete)
+ */
+router.post('/:id/fusionar',
+  requirePermission('catequizandos', 'delete'),
+  catequizandoValidations.fusionar,
+  catequizandoController.fusionarCatequizandos
+);
+
+/**
+ * @route PUT /api/catequizandos/:id/transferir
+ * @desc Transferir catequizando a otra parroquia
+ * @access Private (permiso catequizandos:approve)
+ */
+router.put('/:id/transferir',
+  requirePermission('catequizandos', 'approve'),
+  catequizandoValidations.transferir,
+  logActivity('TRANSFERIR_CATEQUIZANDO'),
+  catequizandoController.transferirCatequizando
+);
+
+/**
+ * @route GET /api/catequizandos/:id/padrinos
+ * @desc Obtener padrinos y madrinas con su lista de verificación
+ * @access Private (permiso padrinos:read)
+ */
+router.get('/:id/padrinos',
+  requirePermission('padrinos', 'read'),
+  padrinoValidations.listar,
+  padrinoController.getPadrinos
+);
+
+/**
+ * @route POST /api/catequizandos/:id/padrinos
+ * @desc Registrar padrino o madrina (pendiente de aprobación del párroco)
+ * @access Private (permiso padrinos:create)
+ */
+router.post('/:id/padrinos',
+  requirePermission('padrinos', 'create'),
+  padrinoValidations.create,
+  logActivity('CREATE_PADRINO', { modelo: 'Padrino', idParam: null }),
+  padrinoController.createPadrino
+);
+
+/**
+ * @route PUT /api/catequizandos/:id/padrinos/:padrinoId
+ * @desc Actualizar datos del padrino (si estaba aprobado vuelve a revisión)
+ * @access Private (permiso padrinos:update)
+ */
+router.put('/:id/padrinos/:padrinoId',
+  requirePermission('padrinos', 'update'),
+  padrinoValidations.update,
+  logActivity('UPDATE_PADRINO', { modelo: 'Padrino', idParam: 'padrinoId' }),
+  padrinoController.updatePadrino
+);
+
+/**
+ * @route POST /api/catequizandos/:id/padrinos/:padrinoId/documentos
+ * @desc Adjuntar referencia a un documento del padrino
+ * @access Private (permiso padrinos:update)
+ */
+router.post('/:id/padrinos/:padrinoId/documentos',
+  requirePermission('padrinos', 'update'),
+  padrinoValidations.documento,
+  logActivity('ADD_DOCUMENTO_PADRINO', { modelo: 'Padrino', idParam: 'padrinoId' }),
+  padrinoController.agregarDocumento
+);
+
+/**
+ * @route PUT /api/catequizandos/:id/padrinos/:padrinoId/requisitos/:requisito
+ * @desc Marcar un requisito manual o verificar un sacramento del padrino sin partida en los libros
+ * @access Private (permiso padrinos:update)
+ */
+router.put('/:id/padrinos/:padrinoId/requisitos/:requisito',
+  requirePermission('padrinos', 'update'),
+  padrinoValidations.requisito,
+  logActivity('UPDATE_REQUISITO_PADRINO', { modelo: 'Padrino', idParam: 'padrinoId' }),
+  padrinoController.marcarRequisito
+);
+
+/**
+ * @route PUT /api/catequizandos/:id/padrinos/:padrinoId/aprobar
+ * @desc Aprobar padrino; habilita la convocatoria del catequizando a la celebración
+ * @access Private (permiso padrinos:approve)
+ */
+router.put('/:id/padrinos/:padrinoId/aprobar',
+  requirePermission('padrinos', 'approve'),
+  padrinoValidations.aprobar,
+  logActivity('APROBAR_PADRINO', { modelo: 'Padrino', idParam: 'padrinoId' }),
+  padrinoController.aprobarPadrino
+);
+
+/**
+ * @route PUT /api/catequizandos/:id/padrinos/:padrinoId/rechazar
+ * @desc Rechazar padrino
+ * @access Private (permiso padrinos:approve)
+ */
+router.put('/:id/padrinos/:padrinoId/rechazar',
+  requirePermission('padrinos', 'approve'),
+  padrinoValidations.rechazar,
+  logActivity('RECHAZAR_PADRINO', { modelo: 'Padrino', idParam: 'padrinoId' }),
+  padrinoController.rechazarPadrino
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,148 @@
+const express = require('express');
+const celebracionController = require('../controllers/celebracionController');
+const {
+  authenticateToken,
+  requirePermission,
+  logActivity
+} = require('../middleware/auth');
+const {
+  celebracionValidations,
+  commonValidations
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/celebraciones
+ * @desc Listar celebraciones (filtros por nivel, sacramento, estado, periodo y fechas)
+ * @access Private (permiso celebraciones:read)
+ */
+router.get('/',
+  requirePermission('celebraciones', 'read'),
+  commonValidations.pagination,
+  commonValidations.dateRange,
+  celebracionController.getAllCelebraciones
+);
+
+/**
+ * @route GET /api/celebraciones/:id
+ * @desc Obtener celebración con lista de candidatos, padrinos aprobados y ensayos
+ * @access Private (permiso celebraciones:read)
+ */
+router.get('/:id',
+  requirePermission('celebraciones', 'read'),
+  commonValidations.objectId,
+  celebracionController.getCelebracionById
+);
+
+/**
+ * @route GET /api/celebraciones/:id/elegibles
+ * @desc Catequizandos del nivel que aún pueden convocarse a la celebración
+ * @access Private (permiso celebraciones:read)
+ */
+router.get('/:id/elegibles',
+  requirePermission('celebraciones', 'read'),
+  commonValidations.objectId,
+  celebracionController.getElegibles
+);
+
+/**
+ * @route POST /api/celebraciones
+ * @desc Planificar celebración (el sacramento se toma del nivel)
+ * @access Private (permiso celebraciones:create)
+ */
+router.post('/',
+  requirePermission('celebraciones', 'create'),
+  celebracionValidations.create,
+  logActivity('CREATE_CELEBRACION'),
+  celebracionController.createCelebracion
+);
+
+/**
+ * @route PUT /api/celebraciones/:id
+ * @desc Actualizar fecha, templo, celebrante o confirmar la celebración
+ * @access Private (permiso celebraciones:update)
+ */
+router.put('/:id',
+  requirePermission('celebraciones', 'update'),
+  celebracionValidations.update,
+  logActivity('UPDATE_CELEBRACION'),
+  celebracionController.updateCelebracion
+);
+
+/**
+ * @route POST /api/celebraciones/:id/candidatos
+ * @desc Convocar candidatos (todos los elegibles si no se indican)
+ * @access Private (permiso celebraciones:update)
+ */
+router.post('/:id/candidatos',
+  requirePermission('celebraciones', 'update'),
+  celebracionValidations.candidatos,
+  logActivity('ADD_CANDIDATOS_CELEBRACION'),
+  celebracionController.agregarCandidatos
+);
+
+/**
+ * @route PUT /api/celebraciones/:id/candidatos/:catequizandoId
+ * @desc Actualizar estado u observaciones de un candidato
+ * @access Private (permiso celebraciones:update)
+ */
+router.put('/:id/candidatos/:catequizandoId',
+  requirePermission('celebraciones', 'update'),
+  celebracionValidations.candidato,
+  logActivity('UPDATE_CANDIDATO_CELEBRACION'),
+  celebracionController.actualizarCandidato
+);
+
+/**
+ * @route PUT /api/celebraciones/:id/orden
+ * @desc Definir el orden de los candidatos en la ceremonia (alfabético si no se indica)
+ * @access Private (permiso celebraciones:update)
+ */
+router.put('/:id/orden',
+  requirePermission('celebraciones', 'update'),
+  celebracionValidations.orden,
+  logActivity('ORDER_CANDIDATOS_CELEBRACION'),
+  celebracionController.ordenarCandidatos
+);
+
+/**
+ * @route POST /api/celebraciones/:id/ensayos
+ * @desc Programar ensayo previo a la celebración
+ * @access Private (permiso celebraciones:update)
+ */
+router.post('/:id/ensayos',
+  requirePermission('celebraciones', 'update'),
+  celebracionValidations.ensayo,
+  logActivity('ADD_ENSAYO_CELEBRACION'),
+  celebracionController.agregarEnsayo
+);
+
+/**
+ * @route PUT /api/celebraciones/:id/celebrar
+ * @desc Marcar como celebrada y asentar las partidas en el libro sacramental
+ * @access Private (permiso celebraciones:approve)
+ */
+router.put('/:id/celebrar',
+  requirePermission('celebraciones', 'approve'),
+  celebracionValidations.celebrar,
+  logActivity('CELEBRAR_CELEBRACION'),
+  celebracionController.marcarCelebrada
+);
+
+/**
+ * @route PUT /api/celebraciones/:id/cancelar
+ * @desc Cancelar celebración
+ * @access Private (permiso celebraciones:update)
+ */
+router.put('/:id/cancelar',
+  requirePermission('celebraciones', 'update'),
+  celebracionValidations.cancelar,
+  logActivity('CANCEL_CELEBRACION'),
+  celebracionController.cancelarCelebracion
+);
+
+module.exports = router;
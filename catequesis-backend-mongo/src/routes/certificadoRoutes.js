@@ -0,0 +1,117 @@
+const express = require('express');
+const certificadoController = require('../controllers/certificadoController');
+const {
+  authenticateToken,
+  requirePermission,
+  logActivity
+} = require('../middleware/auth');
+const {
+  certificadoValidations,
+  commonValidations,
+  customValidators,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { param } = require('express-validator');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/certificados
+ * @desc Obtener todos los certificados
+ * @access Private (permiso certificados:read)
+ */
+router.get('/',
+  requirePermission('certificados', 'read'),
+  commonValidations.pagination,
+  logActivity('GET_CERTIFICADOS'),
+  certificadoController.getAllCertificados
+);
+
+/**
+ * @route GET /api/certificados/stats
+ * @desc Obtener estadísticas de certificados
+ * @access Private (permiso certificados:read)
+ */
+router.get('/stats',
+  requirePermission('certificados', 'read'),
+  logActivity('GET_CERTIFICADOS_STATS'),
+  certificadoController.getCertificadosStats
+);
+
+/**
+ * @route GET /api/certificados/grupo/:grupoId/pdf
+ * @desc Descargar certificados vigentes de un grupo en un solo PDF
+ * @access Private (permiso certificados:export)
+ */
+router.get('/grupo/:grupoId/pdf',
+  requirePermission('certificados', 'export'),
+  param('grupoId').custom(customValidators.isValidObjectId),
+  handleValidationErrors,
+  logActivity('GET_CERTIFICADOS_GRUPO_PDF'),
+  certificadoController.getCertificadosGrupoPDF
+);
+
+/**
+ * @route GET /api/certificados/:id
+ * @desc Obtener certificado por ID
+ * @access Private (permiso certificados:read)
+ */
+router.get('/:id',
+  requirePermission('certificados', 'read'),
+  commonValidations.objectId,
+  logActivity('GET_CERTIFICADO'),
+  certificadoController.getCertificadoById
+);
+
+/**
+ * @route GET /api/certificados/:id/pdf
+ * @desc Descargar certificado en PDF
+ * @access Private (permiso certificados:export)
+ */
+router.get('/:id/pdf',
+  requirePermission('certificados', 'export'),
+  commonValidations.objectId,
+  logActivity('GET_CERTIFICADO_PDF'),
+  certificadoController.getCertificadoPDF
+);
+
+/**
+ * @route POST /api/certificados
+ * @desc Emitir certificado para una inscripción completada y aprobada
+ * @access Private (permiso certificados:create)
+ */
+router.post('/',
+  requirePermission('certificados', 'create'),
+  certificadoValidations.emitir,
+  logActivity('EMITIR_CERTIFICADO'),
+  certificadoController.emitirCertificado
+);
+
+/**
+ * @route POST /api/certificados/:id/reemitir
+ * @desc Reemitir certificado con un nuevo folio
+ * @access Private (permiso certificados:create)
+ */
+router.post('/:id/reemitir',
+  requirePermission('certificados', 'create'),
+  certificadoValidations.motivo,
+  logActivity('REEMITIR_CERTIFICADO'),
+  certificadoController.reemitirCertificado
+);
+
+/**
+ * @route PUT /api/certificados/:id/revocar
+ * @desc Revocar certificado
+ * @access Private (permiso certificados:delete)
+ */
+router.put('/:id/revocar',
+  requirePermission('certificados', 'delete'),
+  certificadoValidations.motivo,
+  logActivity('REVOCAR_CERTIFICADO'),
+  certificadoController.revocarCertificado
+);
+
+module.exports = router;
@@ -0,0 +1,134 @@
+const express = require('express');
+const familiaController = require('../controllers/familiaController');
+const {
+  authenticateToken,
+  requirePermission,
+  logActivity
+} = require('../middleware/auth');
+const {
+  familiaValidations,
+  commonValidations
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/familias
+ * @desc Obtener familias (paginado, búsqueda por nombre o representante)
+ * @access Private (permiso familias:read)
+ */
+router.get('/',
+  requirePermission('familias', 'read'),
+  familiaController.getAllFamilias
+);
+
+/**
+ * @route GET /api/familias/:id
+ * @desc Obtener familia con sus representantes e hijos
+ * @access Private (permiso familias:read)
+ */
+router.get('/:id',
+  requirePermission('familias', 'read'),
+  commonValidations.objectId,
+  familiaController.getFamiliaById
+);
+
+/**
+ * @route GET /api/familias/:id/catequizandos
+ * @desc Obtener catequizandos de la familia
+ * @access Private (permiso familias:read)
+ */
+router.get('/:id/catequizandos',
+  requirePermission('familias', 'read'),
+  commonValidations.objectId,
+  familiaController.getHijos
+);
+
+/**
+ * @route GET /api/familias/:id/inscripciones
+ * @desc Obtener inscripciones de todos los hijos
+ * @access Private (permisos familias:read e inscripciones:read)
+ */
+router.get('/:id/inscripciones',
+  requirePermission('familias', 'read'),
+  requirePermission('inscripciones', 'read'),
+  commonValidations.objectId,
+  familiaController.getInscripciones
+);
+
+/**
+ * @route GET /api/familias/:id/pagos-pendientes
+ * @desc Obtener pagos pendientes de todos los hijos
+ * @access Private (permisos familias:read y pagos:read)
+ */
+router.get('/:id/pagos-pendientes',
+  requirePermission('familias', 'read'),
+  requirePermission('pagos', 'read'),
+  commonValidations.objectId,
+  familiaController.getPagosPendientes
+);
+
+/**
+ * @route POST /api/familias
+ * @desc Crear familia
+ * @access Private (permiso familias:create)
+ */
+router.post('/',
+  requirePermission('familias', 'create'),
+  familiaValidations.create,
+  logActivity('CREATE_FAMILIA'),
+  familiaController.createFamilia
+);
+
+/**
+ * @route PUT /api/familias/:id
+ * @desc Actualizar familia y representantes
+ * @access Private (permiso familias:update)
+ */
+router.put('/:id',
+  requirePermission('familias', 'update'),
+  familiaValidations.update,
+  logActivity('UPDATE_FAMILIA'),
+  familiaController.updateFamilia
+);
+
+/**
+ * @route POST /api/familias/:id/catequizandos
+ * @desc Vincular catequizando a la familia
+ * @access Private (permiso familias:update)
+ */
+router.post('/:id/catequizandos',
+  requirePermission('familias', 'update'),
+  familiaValidations.vincular,
+  logActivity('VINCULAR_CATEQUIZANDO_FAMILIA'),
+  familiaController.vincularCatequizando
+);
+
+/**
+ * @route DELETE /api/familias/:id/catequizandos/:catequizandoId
+ * @desc Desvincular catequizando de la familia
+ * @access Private (permiso familias:update)
+ */
+router.delete('/:id/catequizandos/:catequizandoId',
+  requirePermission('familias', 'update'),
+  familiaValidations.desvincular,
+  logActivity('DESVINCULAR_CATEQUIZANDO_FAMILIA'),
+  familiaController.desvincularCatequizando
+);
+
+/**
+ * @route DELETE /api/familias/:id
+ * @desc Eliminar familia (los hijos quedan sin familia)
+ * @access Private (permiso familias:delete)
+ */
+router.delete('/:id',
+  requirePermission('familias', 'delete'),
+  commonValidations.objectId,
+  logActivity('DELETE_FAMILIA'),
+  familiaController.deleteFamilia
+);
+
+module.exports = router;
@@ -1,12 +1,19 @@
 const express = require('express');
 const grupoController = require('../controllers/grupoController');
+const listaEsperaController = require('../controllers/listaEsperaController');
+const sesionController = require('../controllers/sesionController');
+const alertaController = require('../controllers/alertaController');
 const { 
   authenticateToken, 
-  requireRole, 
+  requirePermission,
+  requireExportPermission,
   logActivity 
 } = require('../middleware/auth');
 const { 
   grupoValidations,
+  listaEsperaValidations,
+  sesionValidations,
+  alertaValidations,
   commonValidations 
 } = require('../middleware/validation');
 
@@ -17,12 +24,14 @@ router.use(authenticateToken);
 
 /**
  * @route GET /api/grupos
- * @desc Obtener todos los grupos
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @desc Obtener todos los grupos (?format=csv|xlsx|pdf para exportar)
+ * @access Private (permiso grupos:read; grupos:export para archivos)
  */
 router.get('/',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('grupos', 'read'),
   commonValidations.pagination,
+  commonValidations.exportacion('grupos'),
+  requireExportPermission('grupos'),
   logActivity('GET_GRUPOS'),
   grupoController.getAllGrupos
 );
@@ -30,10 +39,10 @@ router.get('/',
 /**
  * @route GET /api/grupos/search
  * @desc Buscar grupos
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @access Private (permiso grupos:read)
  */
 router.get('/search',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('grupos', 'read'),
   logActivity('SEARCH_GRUPOS'),
   grupoController.searchGrupos
 );
@@ -41,10 +50,10 @@ router.get('/search',
 /**
  * @route GET /api/grupos/mis-grupos
  * @desc Obtener grupos del catequista actual
- * @access Private (Catequista)
+ * @access Private (permiso grupos:read)
  */
 router.get('/mis-grupos',
-  requireRole('catequista'),
+  requirePermission('grupos', 'read'),
   logActivity('GET_MIS_GRUPOS'),
   grupoController.getMisGrupos
 );
@@ -52,10 +61,10 @@ router.get('/mis-grupos',
 /**
  * @route GET /api/grupos/:id
  * @desc Obtener grupo por ID
- * @access Private (Admin, Párroco, Secretaria, Catequista del grupo)
+ * @access Private (permiso grupos:read)
  */
 router.get('/:id',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('grupos', 'read'),
   commonValidations.objectId,
   logActivity('GET_GRUPO'),
   grupoController.getGrupoById
@@ -64,22 +73,151 @@ router.get('/:id',
 /**
  * @route GET /api/grupos/:id/inscripciones
  * @desc Obtener inscripciones de un grupo
- * @access Private (Admin, Párroco, Secretaria, Catequista del grupo)
+ * @access Private (permiso inscripciones:read)
  */
 router.get('/:id/inscripciones',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('inscripciones', 'read'),
   commonValidations.objectId,
   logActivity('GET_GRUPO_INSCRIPCIONES'),
   grupoController.getGrupoInscripciones
 );
 
+/**
+ * @route GET /api/grupos/:id/lista-espera
+ * @desc Obtener lista de espera del grupo (cola, ofertas vigentes y cupos libres)
+ * @access Private (permiso inscripciones:read)
+ */
+router.get('/:id/lista-espera',
+  requirePermission('inscripciones', 'read'),
+  listaEsperaValidations.listar,
+  listaEsperaController.getListaEspera
+);
+
+/**
+ * @route PUT /api/grupos/:id/lista-espera/orden
+ * @desc Reordenar la lista de espera
+ * @access Private (permiso inscripciones:update)
+ */
+router.put('/:id/lista-espera/orden',
+  requirePermission('inscripciones', 'update'),
+  listaEsperaValidations.orden,
+  logActivity('REORDENAR_LISTA_ESPERA', { modelo: 'ListaEspera', idParam: null }),
+  listaEsperaController.reordenarLista
+);
+
+/**
+ * @route PUT /api/grupos/:id/lista-espera/:catequizandoId/rechazar
+ * @desc Registrar el rechazo de un cupo ofrecido (se ofrece al siguiente)
+ * @access Private (permiso inscripciones:update)
+ */
+router.put('/:id/lista-espera/:catequizandoId/rechazar',
+  requirePermission('inscripciones', 'update'),
+  listaEsperaValidations.entrada,
+  logActivity('RECHAZAR_OFERTA_LISTA_ESPERA', { modelo: 'ListaEspera', idParam: null }),
+  listaEsperaController.rechazarOferta
+);
+
+/**
+ * @route DELETE /api/grupos/:id/lista-espera/:catequizandoId
+ * @desc Retirar catequizando de la lista de espera
+ * @access Private (permiso inscripciones:update)
+ */
+router.delete('/:id/lista-espera/:catequizandoId',
+  requirePermission('inscripciones', 'update'),
+  listaEsperaValidations.entrada,
+  logActivity('CANCELAR_LISTA_ESPERA', { modelo: 'ListaEspera', idParam: null }),
+  listaEsperaController.cancelarEntrada
+);
+
+/**
+ * @route GET /api/grupos/:id/sesiones
+ * @desc Obtener sesiones de clase del grupo con el número de asistentes
+ * @access Private (permiso grupos:read)
+ */
+router.get('/:id/sesiones',
+  requirePermission('grupos', 'read'),
+  sesionValidations.listar,
+  commonValidations.dateRange,
+  sesionController.getSesiones
+);
+
+/**
+ * @route GET /api/grupos/:id/sesiones/resumen
+ * @desc Clases impartidas, canceladas y cobertura de temas del nivel
+ * @access Private (permiso grupos:read)
+ */
+router.get('/:id/sesiones/resumen',
+  requirePermission('grupos', 'read'),
+  commonValidations.objectId,
+  sesionController.getResumen
+);
+
+/**
+ * @route POST /api/grupos/:id/sesiones/generar
+ * @desc Generar sesiones según el horario, el calendario del grupo y los temas del nivel
+ * @access Private (permiso grupos:update)
+ */
+router.post('/:id/sesiones/generar',
+  requirePermission('grupos', 'update'),
+  sesionValidations.generar,
+  logActivity('GENERAR_SESIONES', { modelo: 'Sesion', idParam: null }),
+  sesionController.generarSesiones
+);
+
+/**
+ * @route POST /api/grupos/:id/sesiones
+ * @desc Programar una sesión fuera del calendario (extraordinaria, retiro, evento)
+ * @access Private (permiso grupos:update)
+ */
+router.post('/:id/sesiones',
+  requirePermission('grupos', 'update'),
+  sesionValidations.create,
+  logActivity('CREATE_SESION', { modelo: 'Sesion', idParam: null }),
+  sesionController.createSesion
+);
+
+/**
+ * @route PUT /api/grupos/:id/sesiones/:sesionId
+ * @desc Actualizar tema, catequista, horario o duración de la sesión
+ * @access Private (permiso asistencias:update)
+ */
+router.put('/:id/sesiones/:sesionId',
+  requirePermission('asistencias', 'update'),
+  sesionValidations.update,
+  logActivity('UPDATE_SESION', { modelo: 'Sesion', idParam: 'sesionId' }),
+  sesionController.updateSesion
+);
+
+/**
+ * @route PUT /api/grupos/:id/sesiones/:sesionId/cancelar
+ * @desc Cancelar sesión indicando el motivo
+ * @access Private (permiso asistencias:update)
+ */
+router.put('/:id/sesiones/:sesionId/cancelar',
+  requirePermission('asistencias', 'update'),
+  sesionValidations.cancelar,
+  logActivity('CANCELAR_SESION', { modelo: 'Sesion', idParam: 'sesionId' }),
+  sesionController.cancelarSesion
+);
+
+/**
+ * @route GET /api/grupos/:id/alertas
+ * @desc Obtener alertas de catequizandos en riesgo del grupo (?estado=todas incluye las resueltas)
+ * @access Private (permiso alertas:read)
+ */
+router.get('/:id/alertas',
+  requirePermission('alertas', 'read'),
+  alertaValidations.listarGrupo,
+  alertaController.getAlertasGrupo
+);
+
 /**
  * @route GET /api/grupos/:id/stats
  * @desc Obtener estadísticas del grupo
- * @access Private (Admin, Párroco, Secretaria, Catequista del grupo)
+ * @access Private (permiso grupos:read)
  */
 router.get('/:id/stats',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('grupos', 'read'),
   commonValidations.objectId,
   logActivity('GET_GRUPO_STATS'),
   grupoController.getGrupoStats
@@ -88,10 +226,10 @@ router.get('/:id/stats',
 /**
  * @route POST /api/grupos
  * @desc Crear nuevo grupo
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso grupos:create)
  */
 router.post('/',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('grupos', 'create'),
   grupoValidations.create,
   logActivity('CREATE_GRUPO'),
   grupoController.createGrupo
@@ -100,10 +238,10 @@ router.post('/',
 /**
  * @route POST /api/grupos/:id/duplicar
  * @desc Duplicar grupo para nuevo periodo
- * @access Private (Admin, Párroco)
+ * @access Private (permiso grupos:create)
  */
 router.post('/:id/duplicar',
-  requireRole('admin', 'parroco'),
+  requirePermission('grupos', 'create'),
   commonValidations.objectId,
   logActivity('DUPLICAR_GRUPO'),
   grupoController.duplicarGrupo
@@ -112,10 +250,10 @@ router.post('/:id/duplicar',
 /**
  * @route POST /api/grupos/:id/catequistas
  * @desc Asignar catequista a grupo
- * @access Private (Admin, Párroco)
+ * @access Private (permiso grupos:approve)
  */
 router.post('/:id/catequistas',
-  requireRole('admin', 'parroco'),
+  requirePermission('grupos', 'approve'),
   grupoValidations.asignarCatequista,
   logActivity('ASIGNAR_CATEQUISTA'),
   grupoController.asignarCatequista
@@ -124,10 +262,10 @@ router.post('/:id/catequistas',
 /**
  * @route PUT /api/grupos/:id
  * @desc Actualizar grupo
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso grupos:update)
  */
 router.put('/:id',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('grupos', 'update'),
   grupoValidations.update,
   logActivity('UPDATE_GRUPO'),
   grupoController.updateGrupo
@@ -136,10 +274,10 @@ router.put('/:id',
 /**
  * @route PUT /api/grupos/:id/estado
  * @desc Cambiar estado del grupo
- * @access Private (Admin, Párroco)
+ * @access Private (permiso grupos:approve)
  */
 router.put('/:id/estado',
-  requireRole('admin', 'parroco'),
+  requirePermission('grupos', 'approve'),
   commonValidations.objectId,
   logActivity('CAMBIAR_ESTADO_GRUPO'),
   grupoController.cambiarEstado
@@ -148,10 +286,10 @@ router.put('/:id/estado',
 /**
  * @route DELETE /api/grupos/:id
  * @desc Eliminar grupo
- * @access Private (Admin)
+ * @access Private (permiso grupos:delete)
  */
 router.delete('/:id',
-  requireRole('admin'),
+  requirePermission('grupos', 'delete'),
   commonValidations.objectId,
   logActivity('DELETE_GRUPO'),
   grupoController.deleteGrupo
@@ -160,10 +298,10 @@ router.delete('/:id',
 /**
  * @route DELETE /api/grupos/:id/catequistas/:usuarioId
  * @desc Remover catequista de grupo
- * @access Private (Admin, Párroco)
+ * @access Private (permiso grupos:approve)
  */
 router.delete('/:id/catequistas/:usuarioId',
-  requireRole('admin', 'parroco'),
+  requirePermission('grupos', 'approve'),
   commonValidations.objectId,
   logActivity('REMOVER_CATEQUISTA'),
   grupoController.removerCatequista
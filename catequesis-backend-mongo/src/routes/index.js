@@ -7,9 +7,17 @@ const usuarioRoutes = require('./usuarioRoutes');
 const parroquiaRoutes = require('./parroquiaRoutes');
 const nivelRoutes = require('./nivelRoutes');
 const catequizandoRoutes = require('./catequizandoRoutes');
+const familiaRoutes = require('./familiaRoutes');
 const grupoRoutes = require('./grupoRoutes');
 const inscripcionRoutes = require('./inscripcionRoutes');
 const asistenciaRoutes = require('./asistenciaRoutes');
+const certificadoRoutes = require('./certificadoRoutes');
+const registroSacramentalRoutes = require('./registroSacramentalRoutes');
+const celebracionRoutes = require('./celebracionRoutes');
+const publicRoutes = require('./publicRoutes');
+const auditoriaRoutes = require('./auditoriaRoutes');
+const rolRoutes = require('./rolRoutes');
+const alertaRoutes = require('./alertaRoutes');
 
 // Importar middlewares
 const { optionalAuth } = require('../middleware/auth');
@@ -40,7 +48,16 @@ router.get('/', optionalAuth, (req, res) => {
         login: 'POST /api/auth/login',
         profile: 'GET /api/auth/profile',
         changePassword: 'PUT /api/auth/change-password',
+        login2FA: 'POST /api/auth/login/2fa',
+        twoFactor: 'GET /api/auth/2fa',
+        twoFactorSetup: 'POST /api/auth/2fa/setup',
+        twoFactorEnable: 'POST /api/auth/2fa/enable',
+        twoFactorDisable: 'POST /api/auth/2fa/disable',
+        twoFactorRecoveryCodes: 'POST /api/auth/2fa/recovery-codes',
         logout: 'POST /api/auth/logout',
+        logoutAll: 'POST /api/auth/logout-all',
+        sessions: 'GET /api/auth/sessions',
+        revokeSession: 'DELETE /api/auth/sessions/:id',
         refresh: 'POST /api/auth/refresh',
         verify: 'GET /api/auth/verify'
       },
@@ -52,7 +69,10 @@ router.get('/', optionalAuth, (req, res) => {
         delete: 'DELETE /api/usuarios/:id',
         search: 'GET /api/usuarios/search',
         stats: 'GET /api/usuarios/stats',
-        catequistas: 'GET /api/usuarios/catequistas'
+        catequistas: 'GET /api/usuarios/catequistas',
+        sessions: 'GET /api/usuarios/:id/sessions',
+        revokeSessions: 'DELETE /api/usuarios/:id/sessions',
+        resetTwoFactor: 'DELETE /api/usuarios/:id/2fa'
       },
       parroquias: {
         list: 'GET /api/parroquias',
@@ -85,7 +105,26 @@ router.get('/', optionalAuth, (req, res) => {
         stats: 'GET /api/catequizandos/stats',
         byDocument: 'GET /api/catequizandos/documento/:documento',
         inscripciones: 'GET /api/catequizandos/:id/inscripciones',
-        cumpleanos: 'GET /api/catequizandos/cumpleanos'
+        cumpleanos: 'GET /api/catequizandos/cumpleanos',
+        transferir: 'PUT /api/catequizandos/:id/transferir',
+        duplicados: 'GET /api/catequizandos/duplicados',
+        fusionar: 'POST /api/catequizandos/:id/fusionar',
+        importar: 'POST /api/catequizandos/import',
+        padrinos: 'GET /api/catequizandos/:id/padrinos',
+        createPadrino: 'POST /api/catequizandos/:id/padrinos',
+        aprobarPadrino: 'PUT /api/catequizandos/:id/padrinos/:padrinoId/aprobar'
+      },
+      familias: {
+        list: 'GET /api/familias',
+        create: 'POST /api/familias',
+        get: 'GET /api/familias/:id',
+        update: 'PUT /api/familias/:id',
+        delete: 'DELETE /api/familias/:id',
+        catequizandos: 'GET /api/familias/:id/catequizandos',
+        vincular: 'POST /api/familias/:id/catequizandos',
+        desvincular: 'DELETE /api/familias/:id/catequizandos/:catequizandoId',
+        inscripciones: 'GET /api/familias/:id/inscripciones',
+        pagosPendientes: 'GET /api/familias/:id/pagos-pendientes'
       },
       grupos: {
         list: 'GET /api/grupos',
@@ -97,14 +136,30 @@ router.get('/', optionalAuth, (req, res) => {
         misGrupos: 'GET /api/grupos/mis-grupos',
         asignarCatequista: 'POST /api/grupos/:id/catequistas',
         inscripciones: 'GET /api/grupos/:id/inscripciones',
-        stats: 'GET /api/grupos/:id/stats'
+        stats: 'GET /api/grupos/:id/stats',
+        alertas: 'GET /api/grupos/:id/alertas',
+        listaEspera: 'GET /api/grupos/:id/lista-espera',
+        reordenarListaEspera: 'PUT /api/grupos/:id/lista-espera/orden',
+        sesiones: 'GET /api/grupos/:id/sesiones',
+        resumenSesiones: 'GET /api/grupos/:id/sesiones/resumen',
+        generarSesiones: 'POST /api/grupos/:id/sesiones/generar',
+        createSesion: 'POST /api/grupos/:id/sesiones',
+        updateSesion: 'PUT /api/grupos/:id/sesiones/:sesionId',
+        cancelarSesion: 'PUT /api/grupos/:id/sesiones/:sesionId/cancelar'
       },
       inscripciones: {
         list: 'GET /api/inscripciones',
         create: 'POST /api/inscripciones',
         get: 'GET /api/inscripciones/:id',
+        codigoQR: 'GET /api/inscripciones/:id/qr',
+        enviarEnlaceQR: 'POST /api/inscripciones/:id/qr/enlace',
+        codigoQRPublico: 'GET /api/public/codigos-qr/:token',
         update: 'PUT /api/inscripciones/:id',
         cambiarEstado: 'PUT /api/inscripciones/:id/estado',
+        transferir: 'POST /api/inscripciones/:id/transferir',
+        aceptarTraslado: 'POST /api/inscripciones/:id/transferir/aceptar',
+        cancelarTraslado: 'DELETE /api/inscripciones/:id/transferir',
+        trasladosPendientes: 'GET /api/inscripciones/traslados-pendientes',
         registrarPago: 'POST /api/inscripciones/:id/pagos',
         observaciones: 'POST /api/inscripciones/:id/observaciones',
         calificaciones: 'POST /api/inscripciones/:id/calificaciones',
@@ -117,10 +172,73 @@ router.get('/', optionalAuth, (req, res) => {
         get: 'GET /api/asistencias/:id',
         update: 'PUT /api/asistencias/:id',
         registrarGrupo: 'POST /api/asistencias/grupo/:grupoId',
+        checkinQR: 'POST /api/asistencias/checkin/qr',
+        sincronizar: 'POST /api/asistencias/sync/grupo/:grupoId',
+        solicitarJustificacion: 'POST /api/asistencias/:id/justificacion/enlace',
+        justificacionesPendientes: 'GET /api/asistencias/justificaciones/pendientes',
+        revisarJustificacion: 'PUT /api/asistencias/:id/justificacion/revisar',
+        justificacionPublica: 'GET /api/public/justificaciones/:token',
+        enviarJustificacion: 'POST /api/public/justificaciones/:token',
         porGrupoFecha: 'GET /api/asistencias/grupo/:grupoId/fecha/:fecha',
         reporte: 'GET /api/asistencias/reporte',
         statsGrupo: 'GET /api/asistencias/stats/grupo/:grupoId',
         observaciones: 'POST /api/asistencias/:id/observaciones'
+      },
+      certificados: {
+        list: 'GET /api/certificados',
+        emitir: 'POST /api/certificados',
+        get: 'GET /api/certificados/:id',
+        reemitir: 'POST /api/certificados/:id/reemitir',
+        revocar: 'PUT /api/certificados/:id/revocar',
+        pdf: 'GET /api/certificados/:id/pdf',
+        pdfGrupo: 'GET /api/certificados/grupo/:grupoId/pdf',
+        verificar: 'GET /api/public/certificados/verificar/:codigo',
+        stats: 'GET /api/certificados/stats'
+      },
+      sacramentos: {
+        list: 'GET /api/sacramentos',
+        libros: 'GET /api/sacramentos/libros',
+        get: 'GET /api/sacramentos/:id',
+        pdf: 'GET /api/sacramentos/:id/pdf',
+        create: 'POST /api/sacramentos',
+        notas: 'POST /api/sacramentos/:id/notas'
+      },
+      celebraciones: {
+        list: 'GET /api/celebraciones',
+        get: 'GET /api/celebraciones/:id',
+        elegibles: 'GET /api/celebraciones/:id/elegibles',
+        create: 'POST /api/celebraciones',
+        candidatos: 'POST /api/celebraciones/:id/candidatos',
+        orden: 'PUT /api/celebraciones/:id/orden',
+        ensayos: 'POST /api/celebraciones/:id/ensayos',
+        celebrar: 'PUT /api/celebraciones/:id/celebrar',
+        cancelar: 'PUT /api/celebraciones/:id/cancelar'
+      },
+      auditoria: {
+        list: 'GET /api/auditoria',
+        get: 'GET /api/auditoria/:id',
+        historial: 'GET /api/auditoria/entidad/:modelo/:id',
+        stats: 'GET /api/auditoria/stats'
+      },
+      roles: {
+        list: 'GET /api/roles',
+        create: 'POST /api/roles',
+        get: 'GET /api/roles/:id',
+        update: 'PUT /api/roles/:id',
+        delete: 'DELETE /api/roles/:id',
+        matriz: 'GET /api/roles/matriz',
+        updatePerfil: 'PUT /api/roles/perfil/:tipoPerfil',
+        resetPerfil: 'DELETE /api/roles/perfil/:tipoPerfil',
+        asignar: 'PUT /api/usuarios/:id/roles',
+        misPermisos: 'GET /api/auth/permisos'
+      },
+      alertas: {
+        grupo: 'GET /api/grupos/:id/alertas',
+        panel: 'GET /api/alertas/panel',
+        evaluar: 'POST /api/alertas/evaluar',
+        reconocer: 'PUT /api/alertas/:id/reconocer',
+        resolver: 'PUT /api/alertas/:id/resolver',
+        notas: 'POST /api/alertas/:id/notas'
       }
     },
     documentation: {
@@ -227,9 +345,17 @@ router.use('/usuarios', usuarioRoutes);
 router.use('/parroquias', parroquiaRoutes);
 router.use('/niveles', nivelRoutes);
 router.use('/catequizandos', catequizandoRoutes);
+router.use('/familias', familiaRoutes);
 router.use('/grupos', grupoRoutes);
 router.use('/inscripciones', inscripcionRoutes);
 router.use('/asistencias', asistenciaRoutes);
+router.use('/certificados', certificadoRoutes);
+router.use('/sacramentos', registroSacramentalRoutes);
+router.use('/celebraciones', celebracionRoutes);
+router.use('/auditoria', auditoriaRoutes);
+router.use('/roles', rolRoutes);
+router.use('/alertas', alertaRoutes);
+router.use('/public', publicRoutes);
 
 /**
  * Ruta para exportar colección de Postman
@@ -2,7 +2,8 @@ const express = require('express');
 const inscripcionController = require('../controllers/inscripcionController');
 const { 
   authenticateToken, 
-  requireRole, 
+  requirePermission,
+  requireExportPermission,
   logActivity 
 } = require('../middleware/auth');
 const { 
@@ -17,23 +18,28 @@ router.use(authenticateToken);
 
 /**
  * @route GET /api/inscripciones
- * @desc Obtener todas las inscripciones
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @desc Obtener todas las inscripciones (?format=csv|xlsx|pdf para exportar)
+ * @access Private (permiso inscripciones:read; inscripciones:export para archivos)
  */
 router.get('/',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('inscripciones', 'read'),
   commonValidations.pagination,
+  commonValidations.exportacion('inscripciones'),
+  requireExportPermission('inscripciones'),
   logActivity('GET_INSCRIPCIONES'),
   inscripcionController.getAllInscripciones
 );
 
 /**
  * @route GET /api/inscripciones/pagos-pendientes
- * @desc Obtener inscripciones con pagos pendientes
- * @access Private (Admin, Párroco, Secretaria)
+ * @desc Obtener inscripciones con pagos pendientes (?format=csv|xlsx|pdf para exportar)
+ * @access Private (permiso pagos:read; pagos:export para archivos)
  */
 router.get('/pagos-pendientes',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('pagos', 'read'),
+  inscripcionValidations.pagosPendientes,
+  commonValidations.exportacion('pagos-pendientes'),
+  requireExportPermission('pagos'),
   logActivity('GET_PAGOS_PENDIENTES'),
   inscripcionController.getPagosPendientes
 );
@@ -41,21 +47,32 @@ router.get('/pagos-pendientes',
 /**
  * @route GET /api/inscripciones/stats
  * @desc Obtener estadísticas de inscripciones
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso inscripciones:read)
  */
 router.get('/stats',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('inscripciones', 'read'),
   logActivity('GET_INSCRIPCIONES_STATS'),
   inscripcionController.getInscripcionesStats
 );
 
+/**
+ * @route GET /api/inscripciones/traslados-pendientes
+ * @desc Traslados a otra parroquia pendientes de aceptación (entrantes y salientes)
+ * @access Private (permiso inscripciones:approve)
+ */
+router.get('/traslados-pendientes',
+  requirePermission('inscripciones', 'approve'),
+  logActivity('GET_TRASLADOS_PENDIENTES'),
+  inscripcionController.getTrasladosPendientes
+);
+
 /**
  * @route GET /api/inscripciones/catequizando/:catequizandoId
  * @desc Obtener inscripciones por catequizando
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @access Private (permiso inscripciones:read)
  */
 router.get('/catequizando/:catequizandoId',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('inscripciones', 'read'),
   commonValidations.objectId,
   logActivity('GET_INSCRIPCIONES_CATEQUIZANDO'),
   inscripcionController.getInscripcionesPorCatequizando
@@ -64,22 +81,45 @@ router.get('/catequizando/:catequizandoId',
 /**
  * @route GET /api/inscripciones/:id
  * @desc Obtener inscripción por ID
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @access Private (permiso inscripciones:read)
  */
 router.get('/:id',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('inscripciones', 'read'),
   commonValidations.objectId,
   logActivity('GET_INSCRIPCION'),
   inscripcionController.getInscripcionById
 );
 
+/**
+ * @route GET /api/inscripciones/:id/qr
+ * @desc Obtener el código QR vigente para el check-in de asistencia (rota cada periodo)
+ * @access Private (permiso inscripciones:update)
+ */
+router.get('/:id/qr',
+  requirePermission('inscripciones', 'update'),
+  commonValidations.objectId,
+  inscripcionController.getCodigoQR
+);
+
+/**
+ * @route POST /api/inscripciones/:id/qr/enlace
+ * @desc Enviar al representante un enlace para mostrar el código QR vigente (invalida el anterior)
+ * @access Private (permiso inscripciones:update)
+ */
+router.post('/:id/qr/enlace',
+  requirePermission('inscripciones', 'update'),
+  commonValidations.objectId,
+  logActivity('ENVIAR_ENLACE_QR'),
+  inscripcionController.enviarEnlaceQR
+);
+
 /**
  * @route POST /api/inscripciones
  * @desc Crear nueva inscripción
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso inscripciones:create)
  */
 router.post('/',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('inscripciones', 'create'),
   inscripcionValidations.create,
   logActivity('CREATE_INSCRIPCION'),
   inscripcionController.createInscripcion
@@ -88,10 +128,10 @@ router.post('/',
 /**
  * @route POST /api/inscripciones/:id/pagos
  * @desc Registrar pago de inscripción
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso pagos:create)
  */
 router.post('/:id/pagos',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('pagos', 'create'),
   inscripcionValidations.registrarPago,
   logActivity('REGISTRAR_PAGO'),
   inscripcionController.registrarPago
@@ -100,10 +140,10 @@ router.post('/:id/pagos',
 /**
  * @route POST /api/inscripciones/:id/observaciones
  * @desc Agregar observación a inscripción
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @access Private (permiso evaluaciones:create)
  */
 router.post('/:id/observaciones',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('evaluaciones', 'create'),
   commonValidations.objectId,
   logActivity('AGREGAR_OBSERVACION_INSCRIPCION'),
   inscripcionController.agregarObservacion
@@ -112,10 +152,10 @@ router.post('/:id/observaciones',
 /**
  * @route POST /api/inscripciones/:id/calificaciones
  * @desc Registrar calificación
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @access Private (permiso evaluaciones:create)
  */
 router.post('/:id/calificaciones',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('evaluaciones', 'create'),
   commonValidations.objectId,
   logActivity('REGISTRAR_CALIFICACION'),
   inscripcionController.registrarCalificacion
@@ -124,10 +164,10 @@ router.post('/:id/calificaciones',
 /**
  * @route PUT /api/inscripciones/:id
  * @desc Actualizar inscripción
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso inscripciones:update)
  */
 router.put('/:id',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('inscripciones', 'update'),
   commonValidations.objectId,
   logActivity('UPDATE_INSCRIPCION'),
   inscripcionController.updateInscripcion
@@ -136,22 +176,59 @@ router.put('/:id',
 /**
  * @route PUT /api/inscripciones/:id/estado
  * @desc Cambiar estado de inscripción
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso inscripciones:update)
  */
 router.put('/:id/estado',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('inscripciones', 'update'),
   commonValidations.objectId,
   logActivity('CAMBIAR_ESTADO_INSCRIPCION'),
   inscripcionController.cambiarEstado
 );
 
+/**
+ * @route POST /api/inscripciones/:id/transferir
+ * @desc Transferir inscripción a otro grupo del mismo nivel (a otra parroquia solo Admin y Párroco;
+ *       la solicitud del párroco queda pendiente hasta que la parroquia de destino la acepte)
+ * @access Private (permiso inscripciones:update)
+ */
+router.post('/:id/transferir',
+  requirePermission('inscripciones', 'update'),
+  inscripcionValidations.transferir,
+  logActivity('TRANSFERIR_INSCRIPCION'),
+  inscripcionController.transferirInscripcion
+);
+
+/**
+ * @route POST /api/inscripciones/:id/transferir/aceptar
+ * @desc Aceptar el traslado solicitado por otra parroquia
+ * @access Private (permiso inscripciones:approve)
+ */
+router.post('/:id/transferir/aceptar',
+  requirePermission('inscripciones', 'approve'),
+  commonValidations.objectId,
+  logActivity('ACEPTAR_TRASLADO_INSCRIPCION'),
+  inscripcionController.aceptarTraslado
+);
+
+/**
+ * @route DELETE /api/inscripciones/:id/transferir
+ * @desc Rechazar o retirar una solicitud de traslado a otra parroquia
+ * @access Private (permiso inscripciones:approve)
+ */
+router.delete('/:id/transferir',
+  requirePermission('inscripciones', 'approve'),
+  commonValidations.objectId,
+  logActivity('CANCELAR_TRASLADO_INSCRIPCION'),
+  inscripcionController.cancelarTraslado
+);
+
 /**
  * @route PUT /api/inscripciones/:id/aprobar
  * @desc Aprobar inscripción
- * @access Private (Admin, Párroco)
+ * @access Private (permiso inscripciones:approve)
  */
 router.put('/:id/aprobar',
-  requireRole('admin', 'parroco'),
+  requirePermission('inscripciones', 'approve'),
   commonValidations.objectId,
   logActivity('APROBAR_INSCRIPCION'),
   inscripcionController.aprobarInscripcion
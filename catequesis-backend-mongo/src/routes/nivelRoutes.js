@@ -3,6 +3,7 @@ const nivelController = require('../controllers/nivelController');
 const { 
   authenticateToken, 
   requireRole, 
+  requirePermission,
   logActivity 
 } = require('../middleware/auth');
 const { 
@@ -172,10 +173,10 @@ router.get('/search',
 /**
  * @route GET /api/niveles/stats/global
  * @desc Obtener estadísticas globales de niveles
- * @access Private (Admin, Párroco)
+ * @access Private (permiso niveles:read)
  */
 router.get('/stats/global',
-  requireRole('admin', 'parroco'),
+  requirePermission('niveles', 'read'),
   logActivity('GET_NIVELES_GLOBAL_STATS'),
   nivelController.getGlobalStats
 );
@@ -197,10 +198,10 @@ router.get('/plantilla/:tipo',
 /**
  * @route GET /api/niveles/progresion/:idCatequizando
  * @desc Obtener progresión de niveles para un catequizando
- * @access Private (Admin, Párroco, Secretaria, Catequista)
+ * @access Private (permiso catequizandos:read)
  */
 router.get('/progresion/:idCatequizando',
-  requireRole('admin', 'parroco', 'secretaria', 'catequista'),
+  requirePermission('catequizandos', 'read'),
   param('idCatequizando')
     .custom((value) => {
       if (!require('mongoose').Types.ObjectId.isValid(value)) {
@@ -251,10 +252,10 @@ router.get('/:id',
 /**
  * @route GET /api/niveles/:id/stats
  * @desc Obtener estadísticas de un nivel
- * @access Private (Admin, Párroco)
+ * @access Private (permiso niveles:read)
  */
 router.get('/:id/stats',
-  requireRole('admin', 'parroco'),
+  requirePermission('niveles', 'read'),
   commonValidations.objectId,
   logActivity('GET_NIVEL_STATS'),
   nivelController.getNivelStats
@@ -263,10 +264,10 @@ router.get('/:id/stats',
 /**
  * @route POST /api/niveles/:id/validar-contenido
  * @desc Validar completitud del contenido de un nivel
- * @access Private (Admin, Párroco)
+ * @access Private (permiso niveles:read)
  */
 router.post('/:id/validar-contenido',
-  requireRole('admin', 'parroco'),
+  requirePermission('niveles', 'read'),
   commonValidations.objectId,
   logActivity('VALIDAR_CONTENIDO_NIVEL'),
   nivelController.validarContenido
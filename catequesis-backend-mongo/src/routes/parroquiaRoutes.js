@@ -3,6 +3,7 @@ const parroquiaController = require('../controllers/parroquiaController');
 const { 
   authenticateToken, 
   requireRole, 
+  requirePermission,
   logActivity 
 } = require('../middleware/auth');
 const { 
@@ -155,10 +156,10 @@ router.get('/:id/horarios',
 /**
  * @route POST /api/parroquias
  * @desc Crear nueva parroquia
- * @access Private (Admin, Párroco)
+ * @access Private (permiso parroquias:create)
  */
 router.post('/',
-  requireRole('admin', 'parroco'),
+  requirePermission('parroquias', 'create'),
   parroquiaValidations.create,
   logActivity('CREATE_PARROQUIA'),
   parroquiaController.createParroquia
@@ -167,10 +168,10 @@ router.post('/',
 /**
  * @route PUT /api/parroquias/:id
  * @desc Actualizar parroquia
- * @access Private (Admin, Párroco de la parroquia)
+ * @access Private (permiso parroquias:update)
  */
 router.put('/:id',
-  requireRole('admin', 'parroco'),
+  requirePermission('parroquias', 'update'),
   commonValidations.objectId,
   parroquiaValidations.update,
   logActivity('UPDATE_PARROQUIA'),
@@ -0,0 +1,94 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const certificadoController = require('../controllers/certificadoController');
+const asistenciaController = require('../controllers/asistenciaController');
+const inscripcionController = require('../controllers/inscripcionController');
+const { param } = require('express-validator');
+const { handleValidationErrors, asistenciaValidations, inscripcionValidations } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Rutas sin autenticación: limitar solicitudes por IP
+const verificacionLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 30,
+  message: {
+    success: false,
+    message: 'Demasiadas verificaciones desde esta IP, intenta de nuevo más tarde'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * @route GET /api/public/certificados/verificar/:codigo
+ * @desc Verificar autenticidad de un certificado
+ * @access Public
+ */
+router.get('/certificados/verificar/:codigo',
+  verificacionLimiter,
+  param('codigo')
+    .trim()
+    .isLength({ min: 10, max: 60 })
+    .withMessage('Código de verificación inválido'),
+  handleValidationErrors,
+  certificadoController.verificarCertificado
+);
+
+const justificacionLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 20,
+  message: {
+    success: false,
+    message: 'Demasiadas solicitudes desde esta IP, intenta de nuevo más tarde'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * @route GET /api/public/justificaciones/:token
+ * @desc Obtener la ausencia a justificar desde el enlace enviado al representante
+ * @access Public (token del enlace)
+ */
+router.get('/justificaciones/:token',
+  justificacionLimiter,
+  asistenciaValidations.tokenJustificacion,
+  asistenciaController.getJustificacionPublica
+);
+
+/**
+ * @route POST /api/public/justificaciones/:token
+ * @desc Enviar la justificación de la ausencia
+ * @access Public (token del enlace)
+ */
+router.post('/justificaciones/:token',
+  justificacionLimiter,
+  asistenciaValidations.enviarJustificacion,
+  asistenciaController.enviarJustificacion
+);
+
+// La página del representante refresca el código en cada periodo
+const codigoQRLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 60,
+  message: {
+    success: false,
+    message: 'Demasiadas solicitudes desde esta IP, intenta de nuevo más tarde'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * @route GET /api/public/codigos-qr/:token
+ * @desc Obtener el código QR vigente de check-in desde el enlace enviado al representante
+ * @access Public (token del enlace)
+ */
+router.get('/codigos-qr/:token',
+  codigoQRLimiter,
+  inscripcionValidations.tokenEnlaceQR,
+  inscripcionController.getCodigoQRPublico
+);
+
+module.exports = router;
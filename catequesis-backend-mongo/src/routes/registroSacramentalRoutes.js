@@ -0,0 +1,88 @@
+const express = require('express');
+const registroSacramentalController = require('../controllers/registroSacramentalController');
+const {
+  authenticateToken,
+  requirePermission,
+  logActivity
+} = require('../middleware/auth');
+const {
+  registroSacramentalValidations,
+  commonValidations
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/sacramentos
+ * @desc Buscar partidas (persona, padres, padrinos; filtros por sacramento, libro y fechas)
+ * @access Private (permiso sacramentos:read)
+ */
+router.get('/',
+  requirePermission('sacramentos', 'read'),
+  commonValidations.pagination,
+  registroSacramentalValidations.buscar,
+  commonValidations.dateRange,
+  registroSacramentalController.getAllRegistros
+);
+
+/**
+ * @route GET /api/sacramentos/libros
+ * @desc Resumen de libros por sacramento y siguiente número de partida
+ * @access Private (permiso sacramentos:read)
+ */
+router.get('/libros',
+  requirePermission('sacramentos', 'read'),
+  registroSacramentalValidations.buscar,
+  registroSacramentalController.getLibros
+);
+
+/**
+ * @route GET /api/sacramentos/:id/pdf
+ * @desc Descargar la partida en PDF para imprimir
+ * @access Private (permiso sacramentos:read)
+ */
+router.get('/:id/pdf',
+  requirePermission('sacramentos', 'read'),
+  commonValidations.objectId,
+  registroSacramentalController.getRegistroPDF
+);
+
+/**
+ * @route GET /api/sacramentos/:id
+ * @desc Obtener partida con notas marginales y datos vigentes
+ * @access Private (permiso sacramentos:read)
+ */
+router.get('/:id',
+  requirePermission('sacramentos', 'read'),
+  commonValidations.objectId,
+  registroSacramentalController.getRegistroById
+);
+
+/**
+ * @route POST /api/sacramentos
+ * @desc Asentar partida sacramental
+ * @access Private (permiso sacramentos:create)
+ */
+router.post('/',
+  requirePermission('sacramentos', 'create'),
+  registroSacramentalValidations.create,
+  logActivity('CREATE_REGISTRO_SACRAMENTAL'),
+  registroSacramentalController.createRegistro
+);
+
+/**
+ * @route POST /api/sacramentos/:id/notas
+ * @desc Agregar nota marginal (las correcciones no modifican la partida original)
+ * @access Private (permiso sacramentos:update)
+ */
+router.post('/:id/notas',
+  requirePermission('sacramentos', 'update'),
+  registroSacramentalValidations.nota,
+  logActivity('NOTA_MARGINAL_REGISTRO_SACRAMENTAL'),
+  registroSacramentalController.agregarNotaMarginal
+);
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const rolController = require('../controllers/rolController');
+const {
+  authenticateToken,
+  requireRole,
+  requirePermission,
+  logActivity
+} = require('../middleware/auth');
+const {
+  rolValidations,
+  commonValidations
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/roles/matriz
+ * @desc Obtener matriz de permisos por perfil y catálogo de recursos/acciones
+ * @access Private (permiso roles:read)
+ */
+router.get('/matriz',
+  requirePermission('roles', 'read'),
+  rolController.getMatriz
+);
+
+/**
+ * @route PUT /api/roles/perfil/:tipoPerfil
+ * @desc Personalizar permisos de un perfil
+ * @access Private (Admin)
+ */
+router.put('/perfil/:tipoPerfil',
+  requireRole('admin'),
+  rolValidations.perfil,
+  logActivity('UPDATE_PERFIL_PERMISOS'),
+  rolController.updatePerfil
+);
+
+/**
+ * @route DELETE /api/roles/perfil/:tipoPerfil
+ * @desc Restablecer permisos por defecto de un perfil
+ * @access Private (Admin)
+ */
+router.delete('/perfil/:tipoPerfil',
+  requireRole('admin'),
+  rolValidations.tipoPerfil,
+  logActivity('RESET_PERFIL_PERMISOS'),
+  rolController.resetPerfil
+);
+
+/**
+ * @route GET /api/roles
+ * @desc Obtener roles personalizados
+ * @access Private (permiso roles:read)
+ */
+router.get('/',
+  requirePermission('roles', 'read'),
+  rolController.getAllRoles
+);
+
+/**
+ * @route GET /api/roles/:id
+ * @desc Obtener rol por ID
+ * @access Private (permiso roles:read)
+ */
+router.get('/:id',
+  requirePermission('roles', 'read'),
+  commonValidations.objectId,
+  rolController.getRolById
+);
+
+/**
+ * @route POST /api/roles
+ * @desc Crear rol personalizado
+ * @access Private (permiso roles:create)
+ */
+router.post('/',
+  requirePermission('roles', 'create'),
+  rolValidations.create,
+  logActivity('CREATE_ROL'),
+  rolController.createRol
+);
+
+/**
+ * @route PUT /api/roles/:id
+ * @desc Actualizar rol personalizado
+ * @access Private (permiso roles:update)
+ */
+router.put('/:id',
+  requirePermission('roles', 'update'),
+  rolValidations.update,
+  logActivity('UPDATE_ROL'),
+  rolController.updateRol
+);
+
+/**
+ * @route DELETE /api/roles/:id
+ * @desc Eliminar rol personalizado
+ * @access Private (permiso roles:delete)
+ */
+router.delete('/:id',
+  requirePermission('roles', 'delete'),
+  commonValidations.objectId,
+  logActivity('DELETE_ROL'),
+  rolController.deleteRol
+);
+
+module.exports = router;
@@ -3,11 +3,13 @@ const usuarioController = require('../controllers/usuarioController');
 const { 
   authenticateToken, 
   requireRole, 
+  requirePermission,
   requireSameParroquia,
   logActivity 
 } = require('../middleware/auth');
 const { 
   userValidations, 
+  rolValidations,
   commonValidations 
 } = require('../middleware/validation');
 
@@ -19,10 +21,10 @@ router.use(authenticateToken);
 /**
  * @route GET /api/usuarios
  * @desc Obtener todos los usuarios
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso usuarios:read)
  */
 router.get('/',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('usuarios', 'read'),
   commonValidations.pagination,
   logActivity('GET_USUARIOS'),
   usuarioController.getAllUsuarios
@@ -31,10 +33,10 @@ router.get('/',
 /**
  * @route GET /api/usuarios/search
  * @desc Buscar usuarios
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso usuarios:read)
  */
 router.get('/search',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('usuarios', 'read'),
   logActivity('SEARCH_USUARIOS'),
   usuarioController.searchUsuarios
 );
@@ -42,10 +44,10 @@ router.get('/search',
 /**
  * @route GET /api/usuarios/stats
  * @desc Obtener estadísticas de usuarios
- * @access Private (Admin, Párroco)
+ * @access Private (permiso usuarios:read)
  */
 router.get('/stats',
-  requireRole('admin', 'parroco'),
+  requirePermission('usuarios', 'read'),
   logActivity('GET_USUARIOS_STATS'),
   usuarioController.getUsuariosStats
 );
@@ -53,10 +55,10 @@ router.get('/stats',
 /**
  * @route GET /api/usuarios/catequistas
  * @desc Obtener catequistas disponibles
- * @access Private (Admin, Párroco, Secretaria)
+ * @access Private (permiso usuarios:read)
  */
 router.get('/catequistas',
-  requireRole('admin', 'parroco', 'secretaria'),
+  requirePermission('usuarios', 'read'),
   logActivity('GET_CATEQUISTAS'),
   usuarioController.getCatequistasDisponibles
 );
@@ -86,10 +88,10 @@ router.get('/:id',
 /**
  * @route POST /api/usuarios
  * @desc Crear nuevo usuario
- * @access Private (Admin, Párroco)
+ * @access Private (permiso usuarios:create)
  */
 router.post('/',
-  requireRole('admin', 'parroco'),
+  requirePermission('usuarios', 'create'),
   userValidations.create,
   logActivity('CREATE_USUARIO'),
   usuarioController.createUsuario
@@ -109,10 +111,10 @@ router.put('/:id',
 /**
  * @route DELETE /api/usuarios/:id
  * @desc Eliminar usuario
- * @access Private (Admin)
+ * @access Private (permiso usuarios:delete)
  */
 router.delete('/:id',
-  requireRole('admin'),
+  requirePermission('usuarios', 'delete'),
   commonValidations.objectId,
   logActivity('DELETE_USUARIO'),
   usuarioController.deleteUsuario
@@ -121,10 +123,10 @@ router.delete('/:id',
 /**
  * @route PUT /api/usuarios/:id/toggle-status
  * @desc Activar/Desactivar usuario
- * @access Private (Admin, Párroco)
+ * @access Private (permiso usuarios:update)
  */
 router.put('/:id/toggle-status',
-  requireRole('admin', 'parroco'),
+  requirePermission('usuarios', 'update'),
   commonValidations.objectId,
   logActivity('TOGGLE_USUARIO_STATUS'),
   usuarioController.toggleStatus
@@ -133,10 +135,10 @@ router.put('/:id/toggle-status',
 /**
  * @route PUT /api/usuarios/:id/desbloquear
  * @desc Desbloquear usuario
- * @access Private (Admin, Párroco)
+ * @access Private (permiso usuarios:update)
  */
 router.put('/:id/desbloquear',
-  requireRole('admin', 'parroco'),
+  requirePermission('usuarios', 'update'),
   commonValidations.objectId,
   logActivity('DESBLOQUEAR_USUARIO'),
   usuarioController.desbloquearUsuario
@@ -145,13 +147,61 @@ router.put('/:id/desbloquear',
 /**
  * @route PUT /api/usuarios/:id/reset-password
  * @desc Resetear contraseña de usuario
- * @access Private (Admin, Párroco)
+ * @access Private (permiso usuarios:update)
  */
 router.put('/:id/reset-password',
-  requireRole('admin', 'parroco'),
+  requirePermission('usuarios', 'update'),
   commonValidations.objectId,
   logActivity('RESET_PASSWORD_USUARIO'),
   usuarioController.resetPassword
 );
 
+/**
+ * @route GET /api/usuarios/:id/sessions
+ * @desc Obtener sesiones activas de un usuario
+ * @access Private (permiso usuarios:update)
+ */
+router.get('/:id/sessions',
+  requirePermission('usuarios', 'update'),
+  commonValidations.objectId,
+  logActivity('GET_USUARIO_SESSIONS'),
+  usuarioController.getUsuarioSessions
+);
+
+/**
+ * @route DELETE /api/usuarios/:id/sessions
+ * @desc Cerrar todas las sesiones de un usuario
+ * @access Private (permiso usuarios:update)
+ */
+router.delete('/:id/sessions',
+  requirePermission('usuarios', 'update'),
+  commonValidations.objectId,
+  logActivity('REVOKE_USUARIO_SESSIONS'),
+  usuarioController.revokeUsuarioSessions
+);
+
+/**
+ * @route PUT /api/usuarios/:id/roles
+ * @desc Asignar roles personalizados a un usuario
+ * @access Private (permiso usuarios:update)
+ */
+router.put('/:id/roles',
+  requirePermission('usuarios', 'update'),
+  rolValidations.asignar,
+  logActivity('ASIGNAR_ROLES_USUARIO'),
+  usuarioController.asignarRoles
+);
+
+/**
+ * @route DELETE /api/usuarios/:id/2fa
+ * @desc Resetear la autenticación de dos factores de un usuario
+ * @access Private (Admin)
+ */
+router.delete('/:id/2fa',
+  requireRole('admin'),
+  commonValidations.objectId,
+  logActivity('RESET_USUARIO_2FA'),
+  usuarioController.resetDosFactores
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const config = require('../config/environment');
+
+/**
+ * Códigos QR de check-in de asistencia: firmados (HMAC) y rotativos por periodo,
+ * con el mismo esquema de pasos que los códigos TOTP
+ */
+
+const PREFIJO = 'CQR1';
+
+/**
+ * Paso de tiempo actual
+ */
+const obtenerPaso = (fecha = Date.now()) => Math.floor(fecha / 1000 / config.asistenciaQR.periodo);
+
+const firmar = (inscripcionId, paso) => crypto
+  .createHmac('sha256', config.asistenciaQR.secret)
+  .update(`${inscripcionId}.${paso}`)
+  .digest('base64url')
+  .slice(0, 22);
+
+/**
+ * Generar el código vigente de una inscripción
+ */
+const generarCodigoQR = (inscripcionId, paso = obtenerPaso()) => ({
+  codigo: `${PREFIJO}.${inscripcionId}.${paso.toString(36)}.${firmar(inscripcionId.toString(), paso)}`,
+  paso,
+  expiraEn: new Date((paso + 1) * config.asistenciaQR.periodo * 1000)
+});
+
+/**
+ * Verificar firma y vigencia del código escaneado
+ * Devuelve { valido, motivo, inscripcion, paso }
+ */
+const verificarCodigoQR = (codigo, ventana = config.asistenciaQR.ventana) => {
+  const partes = String(codigo || '').trim().split('.');
+
+  if (partes.length !== 4 || partes[0] !== PREFIJO || !/^[a-f0-9]{24}$/i.test(partes[1])) {
+    return { valido: false, motivo: 'Código QR inválido' };
+  }
+
+  const [, inscripcion, pasoTexto, firma] = partes;
+  const paso = parseInt(pasoTexto, 36);
+  const esperada = Buffer.from(firmar(inscripcion, paso));
+  const recibida = Buffer.from(firma);
+
+  if (Number.isNaN(paso) || esperada.length !== recibida.length || !crypto.timingSafeEqual(esperada, recibida)) {
+    return { valido: false, motivo: 'Código QR inválido' };
+  }
+
+  const pasoActual = obtenerPaso();
+  if (paso > pasoActual || paso < pasoActual - ventana) {
+    return { valido: false, motivo: 'El código QR venció; solicite uno nuevo', inscripcion, paso };
+  }
+
+  return { valido: true, inscripcion, paso };
+};
+
+module.exports = {
+  obtenerPaso,
+  generarCodigoQR,
+  verificarCodigoQR
+};
@@ -264,6 +264,7 @@ const DATE_FORMATS = {
 const ALLOWED_FILE_TYPES = {
   IMAGES: ['.jpg', '.jpeg', '.png', '.gif'],
   DOCUMENTS: ['.pdf', '.doc', '.docx'],
+  SPREADSHEETS: ['.csv', '.xlsx'],
   ALL: ['.jpg', '.jpeg', '.png', '.gif', '.pdf', '.doc', '.docx']
 };
 
@@ -299,6 +300,48 @@ const NOTIFICATION_CONFIG = {
   }
 };
 
+// Configuración de listas de espera de grupos
+const LISTA_ESPERA_CONFIG = {
+  HORAS_VIGENCIA_OFERTA: 72, // Plazo para aceptar un cupo ofrecido
+  INTERVALO_EXPIRACION_MINUTOS: 30 // Frecuencia de revisión de ofertas vencidas
+};
+
+// Sincronización de asistencia capturada sin conexión
+const SINCRONIZACION_CONFIG = {
+  MAX_CAMBIOS: 500, // Cambios por lote
+  DIAS_RETENCION: 90, // Días que se conservan los cambios aplicados (idempotencia)
+  MINUTOS_RECLAMO: 5 // Minutos tras los que un cambio en proceso interrumpido puede reintentarse
+};
+
+// Justificación de ausencias por los representantes
+const JUSTIFICACION_CONFIG = {
+  DIAS_VIGENCIA_ENLACE: 7 // Plazo para enviar la justificación desde el enlace
+};
+
+// Enlace del representante para mostrar el código QR de check-in
+const ENLACE_QR_CONFIG = {
+  DIAS_VIGENCIA: 120 // Vigencia del enlace (un periodo de catequesis aprox.)
+};
+
+// Alertas tempranas de catequizandos en riesgo
+const TIPOS_ALERTA = [
+  'ausencias_consecutivas',
+  'asistencia_minima',
+  'tendencia_asistencia',
+  'calificaciones_bajas',
+  'pagos_pendientes'
+];
+
+const ALERTAS_CONFIG = {
+  HORA_EVALUACION: 2, // Hora de la evaluación nocturna
+  AUSENCIAS_CONSECUTIVAS: 3, // Ausencias injustificadas seguidas para alertar
+  CLASES_TENDENCIA: 4, // Clases recientes comparadas con las anteriores
+  CAIDA_TENDENCIA: 25, // Puntos porcentuales de caída en la asistencia
+  MIN_CLASES_EVALUACION: 4, // Clases computables antes de evaluar el porcentaje
+  CALIFICACION_MINIMA: 70, // Igual que la nota mínima de aprobación
+  DIAS_GRACIA_PAGO: 30 // Días desde la inscripción antes de alertar por pagos
+};
+
 // Configuración de reportes
 const REPORT_CONFIG = {
   FORMATS: ['pdf', 'excel', 'csv'],
@@ -350,49 +393,82 @@ const SYSTEM_EVENTS = {
   GRADE_ASSIGNED: 'grade_assigned'
 };
 
-// Permisos del sistema
+// Recursos sobre los que se conceden permisos
+const RECURSOS = {
+  USUARIOS: 'usuarios',
+  PARROQUIAS: 'parroquias',
+  NIVELES: 'niveles',
+  CATEQUIZANDOS: 'catequizandos',
+  FAMILIAS: 'familias',
+  GRUPOS: 'grupos',
+  INSCRIPCIONES: 'inscripciones',
+  PAGOS: 'pagos',
+  ASISTENCIAS: 'asistencias',
+  EVALUACIONES: 'evaluaciones',
+  ALERTAS: 'alertas',
+  CERTIFICADOS: 'certificados',
+  SACRAMENTOS: 'sacramentos',
+  CELEBRACIONES: 'celebraciones',
+  PADRINOS: 'padrinos',
+  AUDITORIA: 'auditoria',
+  ROLES: 'roles'
+};
+
+// Acciones que se pueden conceder sobre un recurso
+const ACCIONES = {
+  CREATE: 'create',
+  READ: 'read',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  APPROVE: 'approve',
+  EXPORT: 'export'
+};
+
+// Matriz de permisos por defecto de cada perfil (recurso -> acciones, '*' = todos)
+// Puede personalizarse por el administrador mediante los roles del sistema
 const PERMISSIONS = {
-  ADMIN: ['*'], // Todos los permisos
-  PARROCO: [
-    'create_user',
-    'read_user',
-    'update_user', 
-    'delete_user',
-    'create_catequizando',
-    'read_catequizando',
-    'update_catequizando',
-    'delete_catequizando',
-    'create_grupo',
-    'read_grupo',
-    'update_grupo',
-    'delete_grupo',
-    'manage_inscripciones',
-    'manage_asistencias',
-    'view_reports',
-    'approve_inscripciones'
-  ],
-  SECRETARIA: [
-    'create_catequizando',
-    'read_catequizando',
-    'update_catequizando',
-    'create_inscripcion',
-    'read_inscripcion',
-    'update_inscripcion',
-    'manage_payments',
-    'view_basic_reports'
-  ],
-  CATEQUISTA: [
-    'read_catequizando',
-    'read_inscripcion',
-    'manage_asistencias',
-    'add_grades',
-    'view_own_groups'
-  ],
-  CONSULTA: [
-    'read_catequizando',
-    'read_inscripcion',
-    'view_basic_info'
-  ]
+  ADMIN: {
+    '*': ['*']
+  },
+  PARROCO: {
+    '*': ['create', 'read', 'update', 'delete', 'approve', 'export']
+  },
+  SECRETARIA: {
+    usuarios: ['read'],
+    parroquias: ['read'],
+    niveles: ['read'],
+    catequizandos: ['create', 'read', 'update', 'export'],
+    familias: ['create', 'read', 'update'],
+    grupos: ['create', 'read', 'update', 'export'],
+    inscripciones: ['create', 'read', 'update', 'export'],
+    pagos: ['create', 'read', 'update', 'export'],
+    asistencias: ['create', 'read', 'update', 'export'],
+    evaluaciones: ['create', 'read', 'update'],
+    alertas: ['read', 'update'],
+    certificados: ['create', 'read', 'export'],
+    sacramentos: ['create', 'read'],
+    celebraciones: ['create', 'read', 'update'],
+    padrinos: ['create', 'read', 'update']
+  },
+  CATEQUISTA: {
+    niveles: ['read'],
+    catequizandos: ['read'],
+    familias: ['read'],
+    grupos: ['read'],
+    inscripciones: ['read'],
+    asistencias: ['create', 'read', 'update'],
+    evaluaciones: ['create', 'read', 'update'],
+    alertas: ['read', 'update'],
+    celebraciones: ['read'],
+    padrinos: ['read']
+  },
+  CONSULTA: {
+    parroquias: ['read'],
+    niveles: ['read'],
+    catequizandos: ['read'],
+    grupos: ['read'],
+    inscripciones: ['read']
+  }
 };
 
 // Configuración de validaciones
@@ -489,10 +565,18 @@ module.exports = {
   MAX_FILE_SIZES,
   STATUS_COLORS,
   NOTIFICATION_CONFIG,
+  LISTA_ESPERA_CONFIG,
+  SINCRONIZACION_CONFIG,
+  JUSTIFICACION_CONFIG,
+  ENLACE_QR_CONFIG,
+  TIPOS_ALERTA,
+  ALERTAS_CONFIG,
   REPORT_CONFIG,
   BACKUP_CONFIG,
   ENDPOINTS,
   SYSTEM_EVENTS,
+  RECURSOS,
+  ACCIONES,
   PERMISSIONS,
   VALIDATION_RULES,
   SESSION_CONFIG,
@@ -0,0 +1,449 @@
+const { once } = require('events');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const { exportHeaders } = require('./response');
+const { crearDocumento, formatearFecha } = require('./pdf');
+
+/**
+ * Utilidades para exportar listados y reportes a CSV, XLSX y PDF
+ *
+ * Los registros se leen de un cursor de Mongoose y se escriben directamente en la
+ * respuesta, de modo que las parroquias grandes no cargan el listado completo en memoria.
+ */
+
+const FORMATOS_EXPORTACION = ['csv', 'xlsx', 'pdf'];
+
+const siNo = valor => (valor ? 'Sí' : 'No');
+
+const capitalizar = valor => (valor ? `${String(valor).charAt(0).toUpperCase()}${String(valor).slice(1)}` : '');
+
+const nombreCompleto = persona => (persona ? `${persona.nombres || ''} ${persona.apellidos || ''}`.trim() : '');
+
+// Los montos se calculan con los métodos del modelo, válidos también para resultados de aggregate
+const montoInscripcion = (metodo, inscripcion) =>
+  mongoose.model('Inscripcion').schema.methods[metodo].call(inscripcion);
+
+const conceptosPendientes = ({ pagos = {} }) => {
+  const conceptos = [];
+
+  if (pagos.inscripcion?.monto > 0 && !pagos.inscripcion.pagado) conceptos.push('Inscripción');
+  if (pagos.materiales?.monto > 0 && !pagos.materiales.pagado) conceptos.push('Materiales');
+  (pagos.otros || [])
+    .filter(pago => pago.monto > 0 && !pago.pagado)
+    .forEach(pago => conceptos.push(pago.concepto));
+
+  return conceptos.join(', ');
+};
+
+/**
+ * Columnas exportables por listado
+ * - clave: nombre usado en ?columnas=
+ * - titulo: encabezado en español
+ * - tipo: texto | numero | moneda | fecha
+ * - ancho: ancho relativo (caracteres en XLSX, proporción en PDF)
+ * - opcional: solo se incluye si se pide en ?columnas=
+ */
+const ENTIDADES_EXPORTACION = {
+  catequizandos: {
+    titulo: 'Listado de catequizandos',
+    archivo: 'catequizandos',
+    columnas: [
+      { clave: 'apellidos', titulo: 'Apellidos', ancho: 22, valor: c => c.apellidos },
+      { clave: 'nombres', titulo: 'Nombres', ancho: 22, valor: c => c.nombres },
+      { clave: 'documentoIdentidad', titulo: 'Documento', ancho: 14, valor: c => c.documentoIdentidad },
+      { clave: 'tipoDocumento', titulo: 'Tipo de documento', ancho: 14, opcional: true, valor: c => capitalizar(c.tipoDocumento) },
+      { clave: 'fechaNacimiento', titulo: 'Fecha de nacimiento', tipo: 'fecha', ancho: 14, valor: c => c.fechaNacimiento },
+      { clave: 'edad', titulo: 'Edad', tipo: 'numero', ancho: 6, valor: c => c.calcularEdad() },
+      { clave: 'genero', titulo: 'Género', ancho: 10, valor: c => capitalizar(c.genero) },
+      { clave: 'telefono', titulo: 'Teléfono', ancho: 14, valor: c => c.contacto?.telefono },
+      { clave: 'email', titulo: 'Correo electrónico', ancho: 26, opcional: true, valor: c => c.contacto?.email },
+      { clave: 'direccion', titulo: 'Dirección', ancho: 30, opcional: true, valor: c => c.contacto?.direccion },
+      { clave: 'ciudad', titulo: 'Ciudad', ancho: 14, valor: c => c.contacto?.ciudad },
+      { clave: 'responsable', titulo: 'Responsable', ancho: 26, valor: c => nombreCompleto(c.responsable) },
+      { clave: 'telefonoResponsable', titulo: 'Teléfono del responsable', ancho: 14, valor: c => c.responsable?.telefono },
+      { clave: 'bautizado', titulo: 'Bautizado', ancho: 10, opcional: true, valor: c => siNo(c.sacramentos?.bautismo?.recibido) },
+      { clave: 'casoEspecial', titulo: 'Caso especial', ancho: 10, opcional: true, valor: c => siNo(c.estado?.casoEspecial) },
+      { clave: 'estado', titulo: 'Estado', ancho: 10, valor: c => (c.estado?.activo ? 'Activo' : 'Inactivo') }
+    ]
+  },
+
+  grupos: {
+    titulo: 'Listado de grupos',
+    archivo: 'grupos',
+    columnas: [
+      { clave: 'nombre', titulo: 'Grupo', ancho: 24, valor: g => g.nombre },
+      { clave: 'nivel', titulo: 'Nivel', ancho: 20, valor: g => g.nivel?.nombre },
+      { clave: 'periodo', titulo: 'Período', ancho: 10, valor: g => g.periodo },
+      { clave: 'parroquia', titulo: 'Parroquia', ancho: 24, opcional: true, valor: g => g.parroquia?.nombre },
+      {
+        clave: 'catequistas',
+        titulo: 'Catequistas',
+        ancho: 32,
+        valor: g => (g.catequistas || [])
+          .filter(c => c.activo && c.usuario)
+          .map(c => nombreCompleto(c.usuario.datosPersonales) || c.usuario.username)
+          .join(', ')
+      },
+      {
+        clave: 'horario',
+        titulo: 'Horario',
+        ancho: 20,
+        valor: g => (g.horarios?.diaSemana ? `${capitalizar(g.horarios.diaSemana)} ${g.horarios.horaInicio}-${g.horarios.horaFin}` : '')
+      },
+      { clave: 'salon', titulo: 'Salón', ancho: 16, opcional: true, valor: g => g.horarios?.salon?.nombre },
+      { clave: 'capacidad', titulo: 'Capacidad', tipo: 'numero', ancho: 10, valor: g => g.informacion?.capacidadMaxima },
+      { clave: 'inscritos', titulo: 'Inscritos', tipo: 'numero', ancho: 10, valor: g => g.estadisticas?.inscripcionesActivas },
+      { clave: 'inicioClases', titulo: 'Inicio de clases', tipo: 'fecha', ancho: 14, opcional: true, valor: g => g.fechas?.inicioClases },
+      { clave: 'finClases', titulo: 'Fin de clases', tipo: 'fecha', ancho: 14, opcional: true, valor: g => g.fechas?.finClases },
+      { clave: 'estado', titulo: 'Estado', ancho: 14, valor: g => capitalizar(g.estado?.estadoClases) }
+    ]
+  },
+
+  inscripciones: {
+    titulo: 'Listado de inscripciones',
+    archivo: 'inscripciones',
+    columnas: [
+      { clave: 'catequizando', titulo: 'Catequizando', ancho: 30, valor: i => nombreCompleto(i.catequizando) },
+      { clave: 'documento', titulo: 'Documento', ancho: 14, valor: i => i.catequizando?.documentoIdentidad },
+      { clave: 'grupo', titulo: 'Grupo', ancho: 22, valor: i => i.grupo?.nombre },
+      { clave: 'periodo', titulo: 'Período', ancho: 10, valor: i => i.grupo?.periodo },
+      { clave: 'parroquia', titulo: 'Parroquia', ancho: 24, opcional: true, valor: i => i.parroquia?.nombre },
+      { clave: 'fechaInscripcion', titulo: 'Fecha de inscripción', tipo: 'fecha', ancho: 14, valor: i => i.fechaInscripcion },
+      { clave: 'estado', titulo: 'Estado', ancho: 12, valor: i => capitalizar(i.estado) },
+      { clave: 'montoTotal', titulo: 'Monto total', tipo: 'moneda', ancho: 12, valor: i => montoInscripcion('calcularMontoTotal', i) },
+      { clave: 'montoPagado', titulo: 'Monto pagado', tipo: 'moneda', ancho: 12, valor: i => montoInscripcion('calcularMontoPagado', i) },
+      {
+        clave: 'saldo',
+        titulo: 'Saldo pendiente',
+        tipo: 'moneda',
+        ancho: 12,
+        valor: i => montoInscripcion('calcularMontoTotal', i) - montoInscripcion('calcularMontoPagado', i)
+      },
+      { clave: 'asistencia', titulo: '% Asistencia', tipo: 'numero', ancho: 10, valor: i => i.evaluacion?.asistencia?.porcentajeAsistencia },
+      { clave: 'notaFinal', titulo: 'Nota final', tipo: 'numero', ancho: 10, opcional: true, valor: i => i.evaluacion?.notaFinal },
+      { clave: 'aprobado', titulo: 'Aprobado', ancho: 10, opcional: true, valor: i => (i.evaluacion?.aprobado === undefined ? '' : siNo(i.evaluacion.aprobado)) }
+    ]
+  },
+
+  'pagos-pendientes': {
+    titulo: 'Pagos pendientes',
+    archivo: 'pagos-pendientes',
+    columnas: [
+      { clave: 'catequizando', titulo: 'Catequizando', ancho: 30, valor: p => nombreCompleto(p.catequizando) },
+      { clave: 'documento', titulo: 'Documento', ancho: 14, valor: p => p.catequizando?.documentoIdentidad },
+      { clave: 'telefono', titulo: 'Teléfono', ancho: 14, opcional: true, valor: p => p.catequizando?.contacto?.telefono },
+      { clave: 'responsable', titulo: 'Responsable', ancho: 26, opcional: true, valor: p => nombreCompleto(p.catequizando?.responsable) },
+      { clave: 'grupo', titulo: 'Grupo', ancho: 22, valor: p => p.grupo?.nombre },
+      { clave: 'parroquia', titulo: 'Parroquia', ancho: 24, opcional: true, valor: p => p.parroquia?.nombre },
+      { clave: 'fechaInscripcion', titulo: 'Fecha de inscripción', tipo: 'fecha', ancho: 14, valor: p => p.fechaInscripcion },
+      { clave: 'conceptos', titulo: 'Conceptos pendientes', ancho: 26, valor: conceptosPendientes },
+      { clave: 'montoTotal', titulo: 'Monto total', tipo: 'moneda', ancho: 12, valor: p => montoInscripcion('calcularMontoTotal', p) },
+      { clave: 'montoPagado', titulo: 'Monto pagado', tipo: 'moneda', ancho: 12, valor: p => montoInscripcion('calcularMontoPagado', p) },
+      {
+        clave: 'saldo',
+        titulo: 'Saldo pendiente',
+        tipo: 'moneda',
+        ancho: 12,
+        valor: p => montoInscripcion('calcularMontoTotal', p) - montoInscripcion('calcularMontoPagado', p)
+      }
+    ]
+  },
+
+  'reporte-asistencia': {
+    titulo: 'Reporte de asistencia',
+    archivo: 'reporte-asistencia',
+    columnas: [
+      { clave: 'catequizando', titulo: 'Catequizando', ancho: 30, valor: r => r.nombreCatequizando },
+      { clave: 'documento', titulo: 'Documento', ancho: 14, valor: r => r.documentoIdentidad },
+      { clave: 'grupo', titulo: 'Grupo', ancho: 22, valor: r => r.nombreGrupo },
+      { clave: 'parroquia', titulo: 'Parroquia', ancho: 24, opcional: true, valor: r => r.nombreParroquia },
+      { clave: 'totalClases', titulo: 'Clases registradas', tipo: 'numero', ancho: 10, valor: r => r.totalClases },
+      { clave: 'clasesAsistidas', titulo: 'Asistencias', tipo: 'numero', ancho: 10, valor: r => r.clasesAsistidas },
+      { clave: 'ausencias', titulo: 'Ausencias', tipo: 'numero', ancho: 10, valor: r => r.totalClases - r.clasesAsistidas },
+      { clave: 'ausenciasJustificadas', titulo: 'Ausencias justificadas', tipo: 'numero', ancho: 12, valor: r => r.ausenciasJustificadas },
+      { clave: 'llegadasTarde', titulo: 'Llegadas tarde', tipo: 'numero', ancho: 10, valor: r => r.llegadasTarde },
+      { clave: 'porcentajeAsistencia', titulo: '% Asistencia', tipo: 'numero', ancho: 10, valor: r => r.porcentajeAsistencia }
+    ]
+  }
+};
+
+const separarColumnas = (columnas) => String(columnas || '')
+  .split(',')
+  .map(columna => columna.trim())
+  .filter(Boolean);
+
+/**
+ * Claves de ?columnas= que no existen en el listado
+ */
+const columnasInvalidas = (entidad, columnas) => {
+  const disponibles = ENTIDADES_EXPORTACION[entidad].columnas.map(c => c.clave);
+  return separarColumnas(columnas).filter(clave => !disponibles.includes(clave));
+};
+
+/**
+ * Columnas a exportar: las pedidas (en ese orden) o las predeterminadas del listado
+ */
+const seleccionarColumnas = (entidad, columnas) => {
+  const definicion = ENTIDADES_EXPORTACION[entidad].columnas;
+  const claves = separarColumnas(columnas);
+
+  if (claves.length === 0) {
+    return definicion.filter(columna => !columna.opcional);
+  }
+
+  return claves
+    .filter((clave, indice) => claves.indexOf(clave) === indice)
+    .map(clave => definicion.find(columna => columna.clave === clave))
+    .filter(Boolean);
+};
+
+const slug = texto => String(texto)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Nombre de archivo consistente: <listado>_<parroquia>_<aaaammdd>.<formato>
+ */
+const nombreArchivoExportacion = (entidad, nombreParroquia, formato, fecha = new Date()) => {
+  const dia = fecha.toISOString().slice(0, 10).replace(/-/g, '');
+  const parroquia = nombreParroquia ? slug(nombreParroquia) : 'todas-las-parroquias';
+
+  return `${ENTIDADES_EXPORTACION[entidad].archivo}_${parroquia}_${dia}.${formato}`;
+};
+
+/**
+ * Valor de una celda para CSV / PDF (texto) o XLSX (tipado)
+ */
+const valorColumna = (columna, registro) => {
+  const valor = columna.valor(registro);
+  return valor === null || valor === undefined || (typeof valor === 'number' && isNaN(valor)) ? '' : valor;
+};
+
+const textoColumna = (columna, registro) => {
+  const valor = valorColumna(columna, registro);
+  if (valor === '') return '';
+
+  switch (columna.tipo) {
+    case 'fecha':
+      return new Date(valor).toLocaleDateString('es-EC', {
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric',
+        timeZone: 'UTC'
+      });
+    case 'moneda':
+      return Number(valor).toFixed(2);
+    default:
+      return String(valor);
+  }
+};
+
+// Celdas que Excel interpretaría como fórmula (los números negativos se dejan tal cual)
+const neutralizarFormula = (texto) => (
+  /^[=+\-@\t\r]/.test(texto) && !/^-?\d+(\.\d+)?$/.test(texto) ? `'${texto}` : texto
+);
+
+const campoCsv = (valor) => {
+  const texto = neutralizarFormula(valor);
+  return /[;"\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+/**
+ * CSV separado por punto y coma con BOM, como lo abre Excel en español
+ */
+const escribirCsv = async (res, columnas, registros) => {
+  const escribir = async (linea) => {
+    if (!res.write(`${linea}\r\n`)) {
+      await once(res, 'drain');
+    }
+  };
+
+  res.write('\uFEFF');
+  await escribir(columnas.map(columna => campoCsv(columna.titulo)).join(';'));
+
+  let total = 0;
+  for await (const registro of registros) {
+    await escribir(columnas.map(columna => campoCsv(textoColumna(columna, registro))).join(';'));
+    total++;
+  }
+
+  res.end();
+  return total;
+};
+
+const FORMATOS_NUMERICOS_XLSX = {
+  fecha: 'dd/mm/yyyy',
+  moneda: '#,##0.00'
+};
+
+/**
+ * XLSX con el escritor en streaming de ExcelJS (cada fila se confirma al escribirse)
+ */
+const escribirXlsx = async (res, columnas, registros, { titulo }) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  workbook.creator = 'Sistema de Catequesis';
+
+  const hoja = workbook.addWorksheet(titulo.slice(0, 31), {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  hoja.columns = columnas.map(columna => ({
+    header: columna.titulo,
+    key: columna.clave,
+    width: columna.ancho,
+    style: FORMATOS_NUMERICOS_XLSX[columna.tipo] ? { numFmt: FORMATOS_NUMERICOS_XLSX[columna.tipo] } : {}
+  }));
+  hoja.getRow(1).font = { bold: true };
+  hoja.getRow(1).commit();
+
+  let total = 0;
+  for await (const registro of registros) {
+    hoja.addRow(columnas.map(columna => {
+      const valor = valorColumna(columna, registro);
+      return columna.tipo === 'fecha' && valor !== '' ? new Date(valor) : valor;
+    })).commit();
+    total++;
+  }
+
+  hoja.commit();
+  await workbook.commit();
+  return total;
+};
+
+const ALTO_FILA_PDF = 16;
+
+/**
+ * PDF en tabla horizontal; el encabezado de la tabla se repite en cada página
+ */
+const escribirPdf = async (res, columnas, registros, { titulo, nombreParroquia }) => {
+  const doc = crearDocumento(titulo);
+  doc.pipe(res);
+
+  const anchoTotal = columnas.reduce((suma, columna) => suma + columna.ancho, 0);
+  let anchos = [];
+  let x = 0;
+  let paginas = 0;
+
+  const dibujarFila = (textos, { encabezado = false, sombreada = false } = {}) => {
+    const y = doc.y;
+
+    if (encabezado || sombreada) {
+      doc.rect(x, y, anchos.reduce((a, b) => a + b, 0), ALTO_FILA_PDF)
+        .fill(encabezado ? '#8B6F2F' : '#F3EFE6');
+    }
+
+    doc.font(encabezado ? 'Helvetica-Bold' : 'Helvetica')
+      .fontSize(8)
+      .fillColor(encabezado ? '#FFFFFF' : '#333333');
+
+    let posicion = x;
+    textos.forEach((texto, indice) => {
+      doc.text(texto, posicion + 3, y + 4, {
+        width: anchos[indice] - 6,
+        height: ALTO_FILA_PDF - 4,
+        lineBreak: false,
+        ellipsis: true,
+        align: ['numero', 'moneda'].includes(columnas[indice].tipo) ? 'right' : 'left'
+      });
+      posicion += anchos[indice];
+    });
+
+    doc.x = x;
+    doc.y = y + ALTO_FILA_PDF;
+  };
+
+  const nuevaPagina = () => {
+    doc.addPage();
+    paginas++;
+    x = doc.page.margins.left;
+    const anchoUtil = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    anchos = columnas.map(columna => (columna.ancho / anchoTotal) * anchoUtil);
+
+    if (paginas === 1) {
+      doc.font('Helvetica-Bold').fontSize(16).fillColor('#333333')
+        .text(titulo, x, doc.page.margins.top, { width: anchoUtil });
+      doc.font('Helvetica').fontSize(10).fillColor('#555555')
+        .text(`${nombreParroquia || 'Todas las parroquias'} - Generado el ${formatearFecha(new Date())}`, { width: anchoUtil });
+      doc.moveDown();
+    } else {
+      doc.y = doc.page.margins.top;
+    }
+
+    dibujarFila(columnas.map(columna => columna.titulo), { encabezado: true });
+  };
+
+  nuevaPagina();
+
+  let total = 0;
+  for await (const registro of registros) {
+    if (doc.y + ALTO_FILA_PDF > doc.page.height - doc.page.margins.bottom) {
+      nuevaPagina();
+    }
+
+    dibujarFila(columnas.map(columna => textoColumna(columna, registro)), { sombreada: total % 2 === 1 });
+    total++;
+  }
+
+  doc.moveDown()
+    .font('Helvetica-Bold').fontSize(9).fillColor('#333333')
+    .text(`Total de registros: ${total}`, x);
+
+  const terminado = once(res, 'finish');
+  doc.end();
+  await terminado;
+  return total;
+};
+
+const ESCRITORES = {
+  csv: escribirCsv,
+  xlsx: escribirXlsx,
+  pdf: escribirPdf
+};
+
+/**
+ * Exportar un listado en el formato pedido en ?format= con las columnas de ?columnas=
+ * @param {Object} opciones.entidad - clave de ENTIDADES_EXPORTACION
+ * @param {AsyncIterable} opciones.registros - cursor de Mongoose (find o aggregate)
+ * @param {ObjectId|string} [opciones.parroquia] - parroquia filtrada, para el nombre del archivo
+ */
+const exportarListado = async (req, res, { entidad, registros, parroquia }) => {
+  const { format: formato, columnas } = req.query;
+  const definicion = ENTIDADES_EXPORTACION[entidad];
+  const seleccion = seleccionarColumnas(entidad, columnas);
+
+  let nombreParroquia = null;
+  if (parroquia && mongoose.isValidObjectId(parroquia)) {
+    const encontrada = await mongoose.model('Parroquia').findById(parroquia).select('nombre').lean();
+    nombreParroquia = encontrada?.nombre || null;
+  }
+
+  exportHeaders(res, formato, nombreArchivoExportacion(entidad, nombreParroquia, formato));
+
+  try {
+    return await ESCRITORES[formato](res, seleccion, registros, {
+      titulo: definicion.titulo,
+      nombreParroquia
+    });
+  } catch (error) {
+    // Los encabezados ya se enviaron: solo queda cortar la descarga
+    console.error(`Error exportando ${entidad}:`, error);
+    res.destroy(error);
+    return null;
+  } finally {
+    if (typeof registros.close === 'function') {
+      await registros.close().catch(() => {});
+    }
+  }
+};
+
+module.exports = {
+  FORMATOS_EXPORTACION,
+  ENTIDADES_EXPORTACION,
+  columnasInvalidas,
+  seleccionarColumnas,
+  nombreArchivoExportacion,
+  exportarListado
+};
@@ -0,0 +1,106 @@
+const config = require('../config/environment');
+
+/**
+ * Límites del día en la zona horaria configurada, independientes de la zona del servidor
+ */
+
+const formateadores = new Map();
+
+const obtenerFormateador = (zona) => {
+  if (!formateadores.has(zona)) {
+    formateadores.set(zona, new Intl.DateTimeFormat('en-US', {
+      timeZone: zona,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formateadores.get(zona);
+};
+
+/**
+ * Fecha y hora de pared en la zona indicada
+ */
+const partesEnZona = (fecha, zona) => {
+  const partes = {};
+  obtenerFormateador(zona).formatToParts(fecha).forEach(({ type, value }) => {
+    if (type !== 'literal') partes[type] = Number(value);
+  });
+  return partes;
+};
+
+/**
+ * Minutos que la zona se adelanta a UTC en ese instante (negativo al oeste)
+ */
+const desfaseMinutos = (fecha, zona) => {
+  const p = partesEnZona(fecha, zona);
+  const comoUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((comoUTC - Math.floor(fecha.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Instante de la hora en punto (por defecto la medianoche) del día indicado (año, mes 0-11, día) en la zona
+ */
+const instanteEnZona = (anio, mes, dia, zona, hora = 0) => {
+  const aproximado = Date.UTC(anio, mes, dia, hora);
+  const desfase = desfaseMinutos(new Date(aproximado), zona);
+  const instante = aproximado - desfase * 60000;
+
+  // Si el cambio de horario cae entre la aproximación y esa hora, corregir con el desfase real
+  const desfaseReal = desfaseMinutos(new Date(instante), zona);
+  return new Date(desfaseReal === desfase ? instante : aproximado - desfaseReal * 60000);
+};
+
+const inicioDelDia = (fecha, zona = config.server.zonaHoraria) => {
+  const p = partesEnZona(new Date(fecha), zona);
+  return instanteEnZona(p.year, p.month - 1, p.day, zona);
+};
+
+const finDelDia = (fecha, zona = config.server.zonaHoraria) => {
+  const p = partesEnZona(new Date(fecha), zona);
+  return new Date(instanteEnZona(p.year, p.month - 1, p.day + 1, zona).getTime() - 1);
+};
+
+/**
+ * Medianoche en la zona configurada del día de calendario que la fecha tiene en el servidor
+ * (fechas generadas con setHours/setDate, ej. Grupo#calcularFechasClase)
+ */
+const inicioDelDiaCalendario = (fecha, zona = config.server.zonaHoraria) => {
+  const dia = new Date(fecha);
+  return instanteEnZona(dia.getFullYear(), dia.getMonth(), dia.getDate(), zona);
+};
+
+/**
+ * Día de la semana (0 = domingo) y hora HH:MM que marca el reloj de la zona
+ */
+const horaLocal = (fecha = new Date(), zona = config.server.zonaHoraria) => {
+  const p = partesEnZona(new Date(fecha), zona);
+  const pad = (valor) => String(valor).padStart(2, '0');
+
+  return {
+    diaSemana: new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay(),
+    hora: `${pad(p.hour)}:${pad(p.minute)}`
+  };
+};
+
+/**
+ * Próxima vez que el reloj de la zona marca la hora indicada (tareas diarias programadas)
+ */
+const proximaHoraDelDia = (hora, desde = new Date(), zona = config.server.zonaHoraria) => {
+  const p = partesEnZona(desde, zona);
+  const hoy = instanteEnZona(p.year, p.month - 1, p.day, zona, hora);
+
+  return hoy > desde ? hoy : instanteEnZona(p.year, p.month - 1, p.day + 1, zona, hora);
+};
+
+module.exports = {
+  inicioDelDia,
+  finDelDia,
+  inicioDelDiaCalendario,
+  horaLocal,
+  proximaHoraDelDia
+};
@@ -0,0 +1,309 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const {
+  commonSchemas,
+  validateBatch,
+  isValidPhone,
+  isValidEmail,
+  isValidEcuadorianId
+} = require('./validators');
+
+/**
+ * Utilidades para importar catequizandos desde hojas de cálculo (CSV / XLSX)
+ */
+
+// Campos importables y nombres de columna reconocidos automáticamente
+const CAMPOS_IMPORTACION = {
+  nombres: ['nombres', 'nombre', 'nombres_catequizando'],
+  apellidos: ['apellidos', 'apellido'],
+  documentoIdentidad: ['documentoidentidad', 'documento', 'cedula', 'identificacion', 'ci'],
+  tipoDocumento: ['tipodocumento', 'tipo_documento', 'tipo'],
+  fechaNacimiento: ['fechanacimiento', 'fecha_nacimiento', 'nacimiento', 'fecha_de_nacimiento'],
+  genero: ['genero', 'sexo'],
+  direccion: ['direccion', 'domicilio'],
+  telefono: ['telefono', 'celular', 'telefono_contacto'],
+  email: ['email', 'correo', 'correo_electronico'],
+  ciudad: ['ciudad', 'canton'],
+  responsableNombres: ['responsablenombres', 'responsable', 'nombres_responsable', 'representante'],
+  responsableApellidos: ['responsableapellidos', 'apellidos_responsable'],
+  responsableTelefono: ['responsabletelefono', 'telefono_responsable', 'celular_responsable'],
+  responsableRelacion: ['responsablerelacion', 'relacion', 'parentesco'],
+  bautizado: ['bautizado', 'bautismo'],
+  grupo: ['grupo']
+};
+
+// Esquema de validación por fila (validateBatch)
+const ESQUEMA_IMPORTACION = {
+  ...commonSchemas.catequizando,
+  genero: {
+    required: true,
+    validator: (value) => ['masculino', 'femenino'].includes(value),
+    message: 'Género debe ser masculino o femenino'
+  },
+  direccion: {
+    required: true,
+    validator: (value) => String(value).trim().length <= 255,
+    message: 'La dirección no puede exceder 255 caracteres',
+    sanitize: true
+  },
+  telefono: {
+    required: true,
+    validator: isValidPhone,
+    message: 'Teléfono no válido'
+  },
+  ciudad: {
+    required: true,
+    validator: (value) => String(value).trim().length <= 50,
+    message: 'La ciudad no puede exceder 50 caracteres',
+    sanitize: true
+  },
+  email: {
+    required: false,
+    validator: isValidEmail,
+    message: 'Email no válido',
+    sanitize: true
+  },
+  responsableTelefono: {
+    required: false,
+    validator: isValidPhone,
+    message: 'Teléfono del responsable no válido'
+  }
+};
+
+const normalizarEncabezado = (texto) => String(texto || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim()
+  .replace(/[\s-]+/g, '_');
+
+/**
+ * Valor plano de una celda de ExcelJS (texto enriquecido, hipervínculos, fórmulas)
+ */
+const valorCelda = (valor) => {
+  if (valor === null || valor === undefined) return '';
+  if (valor instanceof Date) return valor;
+
+  if (typeof valor === 'object') {
+    if (valor.richText) return valor.richText.map(parte => parte.text).join('');
+    if (valor.text !== undefined) return valorCelda(valor.text);
+    if (valor.result !== undefined) return valorCelda(valor.result);
+    return '';
+  }
+
+  return typeof valor === 'string' ? valor.trim() : valor;
+};
+
+/**
+ * Leer la primera hoja de un archivo CSV o XLSX
+ * Devuelve los encabezados y las filas como objetos { encabezado: valor, _fila }
+ */
+const leerHojaCalculo = async (buffer, extension) => {
+  const workbook = new ExcelJS.Workbook();
+  let hoja;
+
+  if (extension === '.csv') {
+    const texto = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const primeraLinea = texto.split(/\r?\n/, 1)[0];
+    // Excel en español exporta CSV separados por punto y coma
+    const delimiter = (primeraLinea.match(/;/g) || []).length > (primeraLinea.match(/,/g) || []).length ? ';' : ',';
+
+    hoja = await workbook.csv.read(Readable.from([texto]), {
+      map: valor => valor,
+      parserOptions: { delimiter }
+    });
+  } else {
+    await workbook.xlsx.load(buffer);
+    hoja = workbook.worksheets[0];
+  }
+
+  if (!hoja || hoja.rowCount === 0) {
+    return { encabezados: [], filas: [] };
+  }
+
+  const encabezados = [];
+  hoja.getRow(1).eachCell({ includeEmpty: true }, (celda, columna) => {
+    encabezados[columna] = String(valorCelda(celda.value)).trim();
+  });
+
+  const filas = [];
+  hoja.eachRow((fila, numero) => {
+    if (numero === 1) return;
+
+    const registro = { _fila: numero };
+    let vacia = true;
+
+    encabezados.forEach((encabezado, columna) => {
+      if (!encabezado) return;
+      const valor = valorCelda(fila.getCell(columna).value);
+      if (valor !== '') vacia = false;
+      registro[encabezado] = valor;
+    });
+
+    if (!vacia) filas.push(registro);
+  });
+
+  return { encabezados: encabezados.filter(Boolean), filas };
+};
+
+/**
+ * Resolver el mapeo campo -> columna: el indicado por el usuario prevalece sobre el automático
+ */
+const resolverMapeo = (encabezados, mapeoUsuario = {}) => {
+  const mapeo = {};
+
+  Object.entries(CAMPOS_IMPORTACION).forEach(([campo, alias]) => {
+    if (mapeoUsuario[campo]) {
+      mapeo[campo] = mapeoUsuario[campo];
+      return;
+    }
+
+    const encontrado = encabezados.find(encabezado =>
+      normalizarEncabezado(encabezado) === normalizarEncabezado(campo) ||
+      alias.includes(normalizarEncabezado(encabezado))
+    );
+    if (encontrado) mapeo[campo] = encontrado;
+  });
+
+  return mapeo;
+};
+
+/**
+ * Convertir fechas de Excel (Date, número de serie o texto dd/mm/aaaa, aaaa-mm-dd)
+ */
+const convertirFecha = (valor) => {
+  if (!valor) return null;
+  if (valor instanceof Date) return isNaN(valor) ? null : valor;
+
+  if (typeof valor === 'number') {
+    return new Date(Math.round((valor - 25569) * 86400 * 1000));
+  }
+
+  const texto = String(valor).trim();
+  const dma = texto.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dma) {
+    const fecha = new Date(Date.UTC(Number(dma[3]), Number(dma[2]) - 1, Number(dma[1])));
+    return fecha.getUTCDate() === Number(dma[1]) ? fecha : null;
+  }
+
+  const fecha = new Date(texto);
+  return isNaN(fecha) ? null : fecha;
+};
+
+const convertirGenero = (valor) => {
+  const texto = normalizarEncabezado(valor);
+  if (['m', 'masculino', 'hombre', 'h', 'varon'].includes(texto)) return 'masculino';
+  if (['f', 'femenino', 'mujer'].includes(texto)) return 'femenino';
+  return texto;
+};
+
+const convertirBooleano = (valor) => ['si', 's', 'true', '1', 'x'].includes(normalizarEncabezado(valor));
+
+/**
+ * Aplicar el mapeo a una fila y normalizar los valores
+ */
+const extraerRegistro = (fila, mapeo) => {
+  const registro = { fila: fila._fila };
+
+  Object.entries(mapeo).forEach(([campo, columna]) => {
+    const valor = fila[columna];
+    registro[campo] = typeof valor === 'number' || valor instanceof Date ? valor : String(valor ?? '').trim();
+  });
+
+  registro.tipoDocumento = registro.tipoDocumento ? normalizarEncabezado(registro.tipoDocumento) : 'cedula';
+  registro.documentoIdentidad = String(registro.documentoIdentidad ?? '').replace(/\s+/g, '').toUpperCase();
+
+  // Excel elimina el cero inicial de las cédulas guardadas como número
+  if (registro.tipoDocumento === 'cedula' && /^\d{9}$/.test(registro.documentoIdentidad)) {
+    registro.documentoIdentidad = registro.documentoIdentidad.padStart(10, '0');
+  }
+
+  registro.fechaNacimiento = convertirFecha(registro.fechaNacimiento);
+  registro.genero = convertirGenero(registro.genero);
+  ['telefono', 'responsableTelefono'].forEach(campo => {
+    if (registro[campo] === undefined) return;
+    registro[campo] = String(registro[campo]);
+    // Celulares guardados como número pierden el 0 inicial (09XXXXXXXX)
+    if (/^9\d{8}$/.test(registro[campo])) registro[campo] = `0${registro[campo]}`;
+  });
+
+  return registro;
+};
+
+/**
+ * Validar los registros: esquema común (validateBatch), cédula ecuatoriana y documentos repetidos en el archivo
+ */
+const validarRegistros = (registros, { validarCedula = true } = {}) => {
+  const { results } = validateBatch(registros, ESQUEMA_IMPORTACION);
+  const documentos = new Map();
+
+  return results.map((resultado, indice) => {
+    const registro = registros[indice];
+    const errores = resultado.errors.map(error => `${error.field}: ${error.message}`);
+
+    const documentoConError = errores.some(error => error.startsWith('documentoIdentidad:'));
+    if (validarCedula && registro.tipoDocumento === 'cedula' && registro.documentoIdentidad && !documentoConError &&
+        !isValidEcuadorianId(registro.documentoIdentidad)) {
+      errores.push('documentoIdentidad: Cédula ecuatoriana inválida');
+    }
+
+    if (registro.documentoIdentidad) {
+      if (documentos.has(registro.documentoIdentidad)) {
+        errores.push(`documentoIdentidad: Repetido en la fila ${documentos.get(registro.documentoIdentidad)}`);
+      } else {
+        documentos.set(registro.documentoIdentidad, registro.fila);
+      }
+    }
+
+    return {
+      registro: { ...registro, ...resultado.data },
+      errores
+    };
+  });
+};
+
+/**
+ * Construir los datos del catequizando a partir de un registro validado
+ */
+const construirCatequizando = (registro) => {
+  const datos = {
+    nombres: registro.nombres,
+    apellidos: registro.apellidos,
+    documentoIdentidad: registro.documentoIdentidad,
+    tipoDocumento: registro.tipoDocumento,
+    fechaNacimiento: registro.fechaNacimiento,
+    genero: registro.genero,
+    contacto: {
+      direccion: registro.direccion,
+      telefono: registro.telefono,
+      email: registro.email || undefined,
+      ciudad: registro.ciudad
+    }
+  };
+
+  if (registro.responsableNombres) {
+    datos.responsable = {
+      nombres: registro.responsableNombres,
+      apellidos: registro.responsableApellidos,
+      telefono: registro.responsableTelefono,
+      relacion: registro.responsableRelacion ? normalizarEncabezado(registro.responsableRelacion) : undefined
+    };
+  }
+
+  if (registro.bautizado !== undefined && registro.bautizado !== '') {
+    datos.sacramentos = { bautismo: { recibido: convertirBooleano(registro.bautizado) } };
+  }
+
+  return datos;
+};
+
+module.exports = {
+  CAMPOS_IMPORTACION,
+  ESQUEMA_IMPORTACION,
+  leerHojaCalculo,
+  resolverMapeo,
+  convertirFecha,
+  extraerRegistro,
+  validarRegistros,
+  construirCatequizando
+};
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../config/environment');
+
+/**
+ * Envío de correos con transportes intercambiables
+ * - smtp: envío real mediante nodemailer
+ * - file: guarda cada mensaje como .json en config.mail.outputDir
+ * - console: imprime el mensaje en consola sin los tokens de los enlaces (desarrollo)
+ */
+
+// Tokens de un solo uso (reseteo de contraseña, justificaciones): hex de 32+ caracteres
+const TOKEN_REGEX = /[a-f0-9]{32,}/gi;
+
+const ocultarTokens = (texto = '') => String(texto).replace(TOKEN_REGEX, '[token oculto]');
+
+let smtpTransporter = null;
+
+const obtenerSmtpTransporter = () => {
+  if (!smtpTransporter) {
+    const { host, port, secure, user, pass } = config.mail.smtp;
+
+    smtpTransporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  return smtpTransporter;
+};
+
+const transportes = {
+  smtp: async (mensaje) => {
+    const info = await obtenerSmtpTransporter().sendMail(mensaje);
+    return { id: info.messageId };
+  },
+
+  file: async (mensaje) => {
+    const directorio = path.resolve(config.mail.outputDir);
+    await fs.promises.mkdir(directorio, { recursive: true });
+
+    const nombre = `${Date.now()}-${mensaje.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+    const archivo = path.join(directorio, nombre);
+
+    await fs.promises.writeFile(archivo, JSON.stringify({
+      ...mensaje,
+      fecha: new Date().toISOString()
+    }, null, 2));
+
+    return { id: nombre, archivo };
+  },
+
+  console: async (mensaje) => {
+    console.log('📧 [MAIL]', JSON.stringify({
+      para: mensaje.to,
+      asunto: mensaje.subject,
+      texto: ocultarTokens(mensaje.text)
+    }, null, 2));
+
+    return { id: `console-${Date.now()}` };
+  }
+};
+
+/**
+ * Escapar texto de usuario (nombres, grupos) antes de insertarlo en el HTML del correo
+ */
+const escaparHtml = (texto = '') => String(texto)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Registrar un transporte personalizado (ej. SMS, WhatsApp, API externa)
+ */
+const registrarTransporte = (nombre, enviar) => {
+  if (typeof enviar !== 'function') {
+    throw new Error('El transporte debe ser una función');
+  }
+  transportes[nombre] = enviar;
+};
+
+/**
+ * Enviar correo usando el transporte configurado
+ */
+const enviarCorreo = async ({ para, asunto, texto, html }) => {
+  const transporte = transportes[config.mail.transport];
+
+  if (!transporte) {
+    throw new Error(`Transporte de correo no soportado: ${config.mail.transport}`);
+  }
+
+  return transporte({
+    from: config.mail.from,
+    to: para,
+    subject: asunto,
+    text: texto,
+    html
+  });
+};
+
+module.exports = {
+  enviarCorreo,
+  registrarTransporte,
+  escaparHtml
+};
@@ -0,0 +1,325 @@
+const PDFDocument = require('pdfkit');
+const { SACRAMENTOS } = require('./constants');
+
+/**
+ * Utilidades para generar documentos PDF parroquiales
+ */
+
+const NOMBRES_SACRAMENTOS = {
+  [SACRAMENTOS.BAUTISMO]: 'Bautismo',
+  [SACRAMENTOS.PRIMERA_COMUNION]: 'Primera Comunión',
+  [SACRAMENTOS.CONFIRMACION]: 'Confirmación',
+  [SACRAMENTOS.MATRIMONIO]: 'Matrimonio'
+};
+
+/**
+ * Formatear fecha en español (ej. 15 de marzo de 2024)
+ */
+const formatearFecha = (fecha) => {
+  if (!fecha) return '';
+
+  return new Date(fecha).toLocaleDateString('es-EC', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  });
+};
+
+/**
+ * Crear documento PDF con la configuración base
+ */
+const crearDocumento = (titulo, layout = 'landscape') => {
+  return new PDFDocument({
+    size: 'A4',
+    layout,
+    margin: 50,
+    autoFirstPage: false,
+    info: {
+      Title: titulo,
+      Author: 'Sistema de Catequesis',
+      Creator: 'Sistema de Catequesis'
+    }
+  });
+};
+
+/**
+ * Convertir un documento PDF en buffer
+ */
+const documentoABuffer = (doc) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.end();
+  });
+};
+
+/**
+ * Dibujar encabezado con los datos de la parroquia
+ */
+const dibujarEncabezadoParroquial = (doc, parroquia = {}) => {
+  const { informacion = {} } = parroquia;
+  const ancho = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // Marco decorativo
+  doc.lineWidth(3)
+    .rect(25, 25, doc.page.width - 50, doc.page.height - 50)
+    .stroke('#8B6F2F');
+  doc.lineWidth(1)
+    .rect(32, 32, doc.page.width - 64, doc.page.height - 64)
+    .stroke('#8B6F2F');
+
+  doc.fillColor('#333333');
+
+  if (informacion.diocesis) {
+    doc.font('Helvetica').fontSize(11)
+      .text(informacion.diocesis.toUpperCase(), doc.page.margins.left, 55, { width: ancho, align: 'center' });
+  }
+
+  doc.font('Helvetica-Bold').fontSize(20)
+    .text(`Parroquia ${parroquia.nombre || ''}`.trim(), { width: ancho, align: 'center' });
+
+  if (informacion.santo) {
+    doc.font('Helvetica-Oblique').fontSize(11)
+      .text(`Bajo la advocación de ${informacion.santo}`, { width: ancho, align: 'center' });
+  }
+
+  if (parroquia.direccion) {
+    doc.font('Helvetica').fontSize(9)
+      .text(parroquia.direccion, { width: ancho, align: 'center' });
+  }
+
+  doc.moveDown(1.5);
+};
+
+/**
+ * Dibujar una página de certificado
+ */
+const dibujarCertificado = (doc, certificado) => {
+  const { catequizando, nivel, grupo, parroquia, parroco } = certificado;
+  const ancho = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const x = doc.page.margins.left;
+
+  dibujarEncabezadoParroquial(doc, parroquia);
+
+  const sacramento = NOMBRES_SACRAMENTOS[certificado.sacramentoAsociado];
+
+  doc.font('Helvetica-Bold').fontSize(26).fillColor('#8B6F2F')
+    .text('CERTIFICADO', x, doc.y, { width: ancho, align: 'center', characterSpacing: 4 });
+
+  doc.moveDown(0.8);
+  doc.font('Helvetica').fontSize(13).fillColor('#333333')
+    .text('Se certifica que', { width: ancho, align: 'center' });
+
+  doc.moveDown(0.5);
+  const nombre = typeof catequizando?.getNombreCompleto === 'function'
+    ? catequizando.getNombreCompleto()
+    : `${catequizando?.nombres || ''} ${catequizando?.apellidos || ''}`.trim();
+
+  doc.font('Helvetica-Bold').fontSize(22)
+    .text(nombre, { width: ancho, align: 'center' });
+
+  if (catequizando?.documentoIdentidad) {
+    doc.font('Helvetica').fontSize(10)
+      .text(`C.I. ${catequizando.documentoIdentidad}`, { width: ancho, align: 'center' });
+  }
+
+  doc.moveDown(0.8);
+  doc.font('Helvetica').fontSize(13)
+    .text(`ha culminado satisfactoriamente el nivel de catequesis ${nivel?.nombre || ''}`, { width: ancho, align: 'center' });
+
+  if (sacramento) {
+    doc.text(`en preparación al sacramento de ${sacramento}`, { width: ancho, align: 'center' });
+  }
+
+  if (grupo?.nombre) {
+    doc.fontSize(11)
+      .text(`Grupo ${grupo.nombre}${grupo.periodo ? ` - Periodo ${grupo.periodo}` : ''}`, { width: ancho, align: 'center' });
+  }
+
+  doc.moveDown(0.8);
+  const ciudad = parroquia?.ubicacion?.ciudad ? `${parroquia.ubicacion.ciudad}, ` : '';
+  doc.fontSize(11)
+    .text(`${ciudad}${formatearFecha(certificado.fechaEmision)}`, { width: ancho, align: 'center' });
+
+  // Firma del párroco
+  const yFirma = doc.page.height - 140;
+  const anchoFirma = 220;
+  const xFirma = (doc.page.width - anchoFirma) / 2;
+
+  doc.lineWidth(0.8)
+    .moveTo(xFirma, yFirma)
+    .lineTo(xFirma + anchoFirma, yFirma)
+    .stroke('#333333');
+
+  const nombreParroco = parroco?.datosPersonales
+    ? `${parroco.datosPersonales.nombres} ${parroco.datosPersonales.apellidos}`
+    : '';
+
+  doc.font('Helvetica-Bold').fontSize(11)
+    .text(nombreParroco, xFirma, yFirma + 6, { width: anchoFirma, align: 'center' });
+  doc.font('Helvetica').fontSize(10)
+    .text('Párroco', xFirma, doc.y, { width: anchoFirma, align: 'center' });
+
+  // Folio y código de verificación
+  doc.font('Helvetica').fontSize(8).fillColor('#666666')
+    .text(`Folio: ${certificado.folio}`, x, doc.page.height - 80, { width: ancho, align: 'right' });
+
+  if (certificado.codigoVerificacion) {
+    doc.text(`Código de verificación: ${certificado.codigoVerificacion}`, x, doc.y, { width: ancho, align: 'right' });
+  }
+
+  if (certificado.estado && certificado.estado !== 'vigente') {
+    doc.save()
+      .rotate(-25, { origin: [doc.page.width / 2, doc.page.height / 2] })
+      .font('Helvetica-Bold').fontSize(80).fillColor('#CC0000').opacity(0.25)
+      .text(certificado.estado.toUpperCase(), 0, doc.page.height / 2 - 40, { width: doc.page.width, align: 'center' })
+      .restore();
+    doc.opacity(1);
+  }
+};
+
+/**
+ * Generar PDF de un certificado
+ * El certificado debe tener poblados catequizando, nivel, grupo, parroquia y parroco
+ */
+const generarCertificadoPDF = (certificado) => {
+  return generarCertificadosPDF([certificado], `Certificado ${certificado.folio}`);
+};
+
+/**
+ * Generar un único PDF con varios certificados (una página por certificado)
+ */
+const generarCertificadosPDF = (certificados, titulo = 'Certificados') => {
+  const doc = crearDocumento(titulo);
+
+  certificados.forEach(certificado => {
+    doc.addPage();
+    dibujarCertificado(doc, certificado);
+  });
+
+  return documentoABuffer(doc);
+};
+
+/**
+ * Escribir una línea "Etiqueta: valor" de la partida (se omite si no hay valor)
+ */
+const escribirCampo = (doc, etiqueta, valor) => {
+  if (!valor) return;
+
+  doc.font('Helvetica-Bold').fontSize(11)
+    .text(`${etiqueta}: `, { continued: true })
+    .font('Helvetica')
+    .text(valor);
+};
+
+/**
+ * Dibujar una partida sacramental con sus datos vigentes y notas marginales.
+ * Recibe el resultado de RegistroSacramental#obtenerDatosVigentes con la parroquia poblada.
+ */
+const dibujarPartida = (doc, partida) => {
+  const { parroquia, persona = {}, conyuge, padres = {}, ministro = {} } = partida;
+  const ancho = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const x = doc.page.margins.left;
+  const nombreCompleto = (datos) => `${datos?.nombres || ''} ${datos?.apellidos || ''}`.trim();
+
+  dibujarEncabezadoParroquial(doc, parroquia);
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#8B6F2F')
+    .text(`PARTIDA DE ${(NOMBRES_SACRAMENTOS[partida.sacramento] || '').toUpperCase()}`, x, doc.y, { width: ancho, align: 'center' });
+  doc.font('Helvetica').fontSize(11).fillColor('#333333')
+    .text(partida.referencia, { width: ancho, align: 'center' });
+
+  doc.moveDown(1.2);
+
+  const esMatrimonio = Boolean(conyuge?.nombres);
+  escribirCampo(doc, esMatrimonio ? 'Contrayente' : 'Nombre', nombreCompleto(persona));
+  escribirCampo(doc, 'Documento de identidad', persona.documentoIdentidad);
+  escribirCampo(doc, 'Fecha de nacimiento', formatearFecha(persona.fechaNacimiento));
+  escribirCampo(doc, 'Lugar de nacimiento', persona.lugarNacimiento);
+
+  if (esMatrimonio) {
+    doc.moveDown(0.4);
+    escribirCampo(doc, 'Contrayente', nombreCompleto(conyuge));
+    escribirCampo(doc, 'Documento de identidad', conyuge.documentoIdentidad);
+  }
+
+  doc.moveDown(0.4);
+  escribirCampo(doc, 'Padre', padres.padre);
+  escribirCampo(doc, 'Madre', padres.madre);
+
+  doc.moveDown(0.4);
+  escribirCampo(doc, 'Fecha de celebración', formatearFecha(partida.fechaCelebracion));
+  escribirCampo(doc, 'Lugar', partida.lugar || parroquia?.nombre);
+  escribirCampo(doc, 'Ministro', [ministro.nombre, ministro.cargo].filter(Boolean).join(', '));
+
+  const padrinos = partida.padrinos || [];
+  if (padrinos.length > 0) {
+    escribirCampo(
+      doc,
+      esMatrimonio ? 'Testigos' : 'Padrinos',
+      padrinos.map(padrino => nombreCompleto(padrino)).join('; ')
+    );
+  }
+
+  const notas = partida.notasMarginales || [];
+  if (notas.length > 0) {
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(12).text('Notas marginales', { width: ancho });
+    doc.moveDown(0.3);
+
+    notas.forEach(nota => {
+      doc.font('Helvetica').fontSize(10)
+        .text(`${formatearFecha(nota.fecha)}: ${nota.contenido}`, { width: ancho });
+    });
+  }
+
+  doc.moveDown(1.5);
+  const ciudad = parroquia?.ubicacion?.ciudad ? `${parroquia.ubicacion.ciudad}, ` : '';
+  doc.font('Helvetica').fontSize(11)
+    .text('Es fiel copia de la partida original que reposa en el archivo parroquial.', { width: ancho })
+    .text(`${ciudad}${formatearFecha(new Date())}`, { width: ancho });
+
+  // Firma del párroco
+  const anchoFirma = 220;
+  const xFirma = (doc.page.width - anchoFirma) / 2;
+  let yFirma = Math.max(doc.y + 60, doc.page.height - 150);
+
+  if (yFirma > doc.page.height - doc.page.margins.bottom - 20) {
+    doc.addPage();
+    yFirma = doc.page.margins.top + 60;
+  }
+
+  doc.lineWidth(0.8)
+    .moveTo(xFirma, yFirma)
+    .lineTo(xFirma + anchoFirma, yFirma)
+    .stroke('#333333');
+  doc.font('Helvetica').fontSize(10)
+    .text('Párroco', xFirma, yFirma + 6, { width: anchoFirma, align: 'center' });
+};
+
+/**
+ * Generar PDF imprimible de una partida sacramental
+ */
+const generarPartidaPDF = (partida) => {
+  const doc = crearDocumento(`Partida ${partida.referencia}`, 'portrait');
+
+  doc.addPage();
+  dibujarPartida(doc, partida);
+
+  return documentoABuffer(doc);
+};
+
+module.exports = {
+  NOMBRES_SACRAMENTOS,
+  formatearFecha,
+  crearDocumento,
+  documentoABuffer,
+  dibujarEncabezadoParroquial,
+  generarCertificadoPDF,
+  generarCertificadosPDF,
+  generarPartidaPDF
+};
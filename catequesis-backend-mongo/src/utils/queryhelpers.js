@@ -47,6 +47,13 @@ function buildSearchFilter(searchText, searchFields) {
   };
 }
 
+/**
+ * Escapar caracteres especiales para buscar el texto literal con $regex
+ */
+function escapeRegex(texto) {
+  return String(texto).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 /**
  * Construir filtros de fecha
  */
@@ -346,6 +353,7 @@ module.exports = {
   buildPaginationQuery,
   buildSortQuery,
   buildSearchFilter,
+  escapeRegex,
   buildDateFilter,
   applyParroquiaFilter,
   buildPaginatedResponse,
@@ -217,18 +217,28 @@ const reportResponse = (res, reportData, format = 'json', filename = null) => {
 };
 
 /**
- * Respuesta de exportación
+ * Encabezados de descarga de un archivo exportado
  */
-const exportResponse = (res, data, format, filename) => {
+const exportHeaders = (res, format, filename) => {
   const mimeTypes = {
     json: 'application/json',
-    csv: 'text/csv',
+    csv: 'text/csv; charset=utf-8',
     excel: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
     pdf: 'application/pdf'
   };
 
+  // res.attachment agrega filename* (RFC 5987) cuando el nombre no es Latin-1;
+  // se descartan separadores de ruta, comillas y caracteres de control
+  res.attachment(String(filename).replace(/[\u0000-\u001f\u007f"\\/]/g, '-'));
   res.setHeader('Content-Type', mimeTypes[format] || 'application/octet-stream');
-  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+};
+
+/**
+ * Respuesta de exportación
+ */
+const exportResponse = (res, data, format, filename) => {
+  exportHeaders(res, format, filename);
   
   return res.send(data);
 };
@@ -369,6 +379,7 @@ module.exports = {
   loginResponse,
   logoutResponse,
   reportResponse,
+  exportHeaders,
   exportResponse,
   batchResponse,
   healthResponse,
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const config = require('../config/environment');
+
+/**
+ * Utilidades TOTP (RFC 6238) compatibles con Google Authenticator, Authy, etc.
+ */
+
+const ALFABETO_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const codificarBase32 = (buffer) => {
+  let bits = 0;
+  let valor = 0;
+  let resultado = '';
+
+  for (const byte of buffer) {
+    valor = (valor << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      resultado += ALFABETO_BASE32[(valor >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    resultado += ALFABETO_BASE32[(valor << (5 - bits)) & 31];
+  }
+
+  return resultado;
+};
+
+const decodificarBase32 = (texto) => {
+  const limpio = String(texto).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  const bytes = [];
+  let bits = 0;
+  let valor = 0;
+
+  for (const caracter of limpio) {
+    const indice = ALFABETO_BASE32.indexOf(caracter);
+    if (indice === -1) {
+      throw new Error('Secreto base32 inválido');
+    }
+
+    valor = (valor << 5) | indice;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((valor >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generar secreto aleatorio (160 bits) codificado en base32
+ */
+const generarSecreto = () => codificarBase32(crypto.randomBytes(20));
+
+/**
+ * Paso de tiempo actual
+ */
+const obtenerPaso = (fecha = Date.now()) => Math.floor(fecha / 1000 / config.dosFactores.periodo);
+
+/**
+ * Generar código para un paso dado (HOTP, RFC 4226)
+ */
+const generarCodigo = (secreto, paso = obtenerPaso()) => {
+  const contador = Buffer.alloc(8);
+  contador.writeBigUInt64BE(BigInt(paso));
+
+  const hmac = crypto.createHmac('sha1', decodificarBase32(secreto)).update(contador).digest();
+  const desplazamiento = hmac[hmac.length - 1] & 0xf;
+  const binario = hmac.readUInt32BE(desplazamiento) & 0x7fffffff;
+
+  return String(binario % 10 ** config.dosFactores.digitos).padStart(config.dosFactores.digitos, '0');
+};
+
+/**
+ * Verificar un código dentro de la ventana de tolerancia
+ * Devuelve el paso que coincide o null si el código no es válido
+ */
+const verificarCodigo = (secreto, codigo, ventana = config.dosFactores.ventana) => {
+  const normalizado = String(codigo || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalizado) || normalizado.length !== config.dosFactores.digitos) {
+    return null;
+  }
+
+  const pasoActual = obtenerPaso();
+
+  for (let desfase = -ventana; desfase <= ventana; desfase++) {
+    const paso = pasoActual + desfase;
+    const esperado = generarCodigo(secreto, paso);
+
+    if (crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(normalizado))) {
+      return paso;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * URI otpauth:// para generar el código QR en la aplicación autenticadora
+ */
+const generarUriAprovisionamiento = (secreto, cuenta) => {
+  const emisor = config.dosFactores.emisor;
+  const etiqueta = encodeURIComponent(`${emisor}:${cuenta}`);
+  const parametros = new URLSearchParams({
+    secret: secreto,
+    issuer: emisor,
+    algorithm: 'SHA1',
+    digits: String(config.dosFactores.digitos),
+    period: String(config.dosFactores.periodo)
+  });
+
+  return `otpauth://totp/${etiqueta}?${parametros.toString()}`;
+};
+
+/**
+ * Cifrado del secreto en reposo (AES-256-GCM)
+ */
+const obtenerClave = () => crypto.createHash('sha256').update(config.dosFactores.claveCifrado).digest();
+
+const cifrarSecreto = (secreto) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', obtenerClave(), iv);
+  const cifrado = Buffer.concat([cipher.update(secreto, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), cifrado].map(parte => parte.toString('hex')).join(':');
+};
+
+const descifrarSecreto = (valor) => {
+  const [iv, tag, cifrado] = String(valor).split(':').map(parte => Buffer.from(parte, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', obtenerClave(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(cifrado), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Generar códigos de recuperación de un solo uso (formato xxxxx-xxxxx)
+ */
+const generarCodigosRecuperacion = (cantidad = config.dosFactores.codigosRecuperacion) => {
+  return Array.from({ length: cantidad }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+};
+
+const hashCodigoRecuperacion = (codigo) => {
+  const normalizado = String(codigo || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+  return crypto.createHash('sha256').update(normalizado).digest('hex');
+};
+
+module.exports = {
+  codificarBase32,
+  decodificarBase32,
+  generarSecreto,
+  obtenerPaso,
+  generarCodigo,
+  verificarCodigo,
+  generarUriAprovisionamiento,
+  cifrarSecreto,
+  descifrarSecreto,
+  generarCodigosRecuperacion,
+  hashCodigoRecuperacion
+};
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { Catequizando, Grupo, Inscripcion, Nivel } = require('../src/models');
+const inscripcionController = require('../src/controllers/inscripcionController');
+const nivelController = require('../src/controllers/nivelController');
+
+const parroquiaA = new mongoose.Types.ObjectId();
+const parroquiaB = new mongoose.Types.ObjectId();
+
+/**
+ * findOne en memoria que respeta los filtros _id y parroquia
+ */
+const simularColeccion = (Modelo, documentos) => {
+  return jest.spyOn(Modelo, 'findOne').mockImplementation(async (filtro) => {
+    const encontrado = documentos.find(doc =>
+      doc._id.equals(filtro._id) &&
+      (filtro.parroquia === undefined || doc.parroquia.equals(filtro.parroquia))
+    );
+    return encontrado ? Modelo.hydrate(encontrado) : null;
+  });
+};
+
+const crearRespuesta = () => ({
+  status(codigo) {
+    this.statusCode = codigo;
+    return this;
+  },
+  json(cuerpo) {
+    this.body = cuerpo;
+    return this;
+  }
+});
+
+describe('Aislamiento entre parroquias', () => {
+  const catequizandoB = {
+    _id: new mongoose.Types.ObjectId(),
+    nombres: 'Lucía',
+    apellidos: 'Andrade',
+    documentoIdentidad: '1799999999',
+    fechaNacimiento: new Date(2015, 3, 2),
+    parroquia: parroquiaB
+  };
+  const grupoA = {
+    _id: new mongoose.Types.ObjectId(),
+    nombre: 'Grupo A',
+    parroquia: parroquiaA,
+    nivel: new mongoose.Types.ObjectId(),
+    estado: { activo: true }
+  };
+  const grupoB = { ...grupoA, _id: new mongoose.Types.ObjectId(), nombre: 'Grupo B', parroquia: parroquiaB };
+
+  const secretariaA = { id: new mongoose.Types.ObjectId().toString(), tipoPerfil: 'secretaria', parroquia: parroquiaA };
+  const admin = { id: new mongoose.Types.ObjectId().toString(), tipoPerfil: 'admin' };
+
+  let evaluarRequisitos;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    simularColeccion(Catequizando, [catequizandoB]);
+    simularColeccion(Grupo, [grupoA, grupoB]);
+    jest.spyOn(Inscripcion, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Nivel, 'findById').mockResolvedValue(null);
+    evaluarRequisitos = jest.spyOn(Catequizando.prototype, 'esAptoParaNivel');
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('no permite inscribir en su grupo a un catequizando de otra parroquia', async () => {
+    const res = crearRespuesta();
+
+    await inscripcionController.createInscripcion({
+      user: secretariaA,
+      body: { catequizando: catequizandoB._id.toString(), grupo: grupoA._id.toString() }
+    }, res);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.data).toBeUndefined();
+    expect(evaluarRequisitos).not.toHaveBeenCalled();
+  });
+
+  it('no expone los grupos de otra parroquia', async () => {
+    const res = crearRespuesta();
+
+    await inscripcionController.createInscripcion({
+      user: { ...secretariaA, parroquia: parroquiaB },
+      body: { catequizando: catequizandoB._id.toString(), grupo: grupoA._id.toString() }
+    }, res);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toMatch(/Grupo no encontrado/);
+  });
+
+  it('responde 404 aun al admin si el catequizando y el grupo son de parroquias distintas', async () => {
+    const res = crearRespuesta();
+
+    await inscripcionController.createInscripcion({
+      user: admin,
+      body: { catequizando: catequizandoB._id.toString(), grupo: grupoA._id.toString() }
+    }, res);
+
+    expect(res.statusCode).toBe(404);
+    expect(evaluarRequisitos).not.toHaveBeenCalled();
+  });
+
+  it('no muestra la progresión de niveles de catequizandos de otra parroquia', async () => {
+    const res = crearRespuesta();
+
+    await nivelController.getProgresionNiveles({
+      user: secretariaA,
+      params: { idCatequizando: catequizandoB._id.toString() }
+    }, res);
+
+    expect(res.statusCode).toBe(404);
+    expect(Catequizando.findOne).toHaveBeenCalledWith({
+      _id: catequizandoB._id.toString(),
+      parroquia: parroquiaA
+    });
+  });
+});
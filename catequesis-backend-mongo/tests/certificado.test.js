@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const { Certificado, Contador } = require('../src/models');
+
+/**
+ * Contadores en memoria que reproducen $inc y $max de MongoDB
+ */
+const simularContadores = () => {
+  const valores = new Map();
+
+  jest.spyOn(Contador, 'exists').mockImplementation(async ({ _id }) => (valores.has(_id) ? { _id } : null));
+  jest.spyOn(Contador, 'updateOne').mockImplementation(async ({ _id }, { $max }) => {
+    valores.set(_id, Math.max(valores.get(_id) ?? 0, $max.valor));
+  });
+  jest.spyOn(Contador, 'findOneAndUpdate').mockImplementation(async ({ _id }, { $inc }) => {
+    valores.set(_id, (valores.get(_id) ?? 0) + $inc.valor);
+    return { _id, valor: valores.get(_id) };
+  });
+
+  return valores;
+};
+
+const simularUltimoFolio = (folio) => {
+  jest.spyOn(Certificado, 'findOne').mockReturnValue({
+    sort: () => ({ select: async () => (folio ? { folio } : null) })
+  });
+};
+
+describe('Certificado.generarFolio', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('asigna folios consecutivos y únicos aun con emisiones simultáneas', async () => {
+    simularContadores();
+    simularUltimoFolio(null);
+
+    const fecha = new Date(2025, 5, 1);
+    const folios = await Promise.all(Array.from({ length: 5 }, () => Certificado.generarFolio(fecha)));
+
+    expect(new Set(folios).size).toBe(5);
+    expect([...folios].sort()).toEqual([
+      'CERT-2025-000001',
+      'CERT-2025-000002',
+      'CERT-2025-000003',
+      'CERT-2025-000004',
+      'CERT-2025-000005'
+    ]);
+  });
+
+  it('continúa la numeración desde el último folio emitido antes del contador', async () => {
+    simularContadores();
+    simularUltimoFolio('CERT-2025-000041');
+
+    await expect(Certificado.generarFolio(new Date(2025, 0, 10))).resolves.toBe('CERT-2025-000042');
+    await expect(Certificado.generarFolio(new Date(2025, 0, 11))).resolves.toBe('CERT-2025-000043');
+  });
+
+  it('lleva una secuencia independiente por año', async () => {
+    const valores = simularContadores();
+    simularUltimoFolio(null);
+    valores.set('certificados-2024', 120);
+
+    await expect(Certificado.generarFolio(new Date(2024, 11, 31))).resolves.toBe('CERT-2024-000121');
+    await expect(Certificado.generarFolio(new Date(2025, 0, 1))).resolves.toBe('CERT-2025-000001');
+  });
+});
+
+describe('Certificado#reemitir', () => {
+  beforeEach(() => {
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: async (fn) => fn(),
+      endSession: async () => {}
+    });
+    jest.spyOn(Certificado, 'obtenerParrocoFirmante').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const crearCertificado = () => new Certificado({
+    folio: 'CERT-2025-000001',
+    catequizando: new mongoose.Types.ObjectId(),
+    inscripcion: new mongoose.Types.ObjectId(),
+    nivel: new mongoose.Types.ObjectId(),
+    grupo: new mongoose.Types.ObjectId(),
+    parroquia: new mongoose.Types.ObjectId(),
+    fechaEmision: new Date(2025, 0, 1)
+  });
+
+  it('no emite un nuevo certificado si otra reemisión ya lo reemplazó', async () => {
+    const certificado = crearCertificado();
+    const guardar = jest.spyOn(Certificado.prototype, 'save');
+    jest.spyOn(Certificado, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(certificado.reemitir('Error en el nombre')).rejects.toThrow('Solo se pueden reemitir');
+    expect(guardar).not.toHaveBeenCalled();
+  });
+
+  it('reemplaza el certificado y enlaza el nuevo dentro de la transacción', async () => {
+    const certificado = crearCertificado();
+    jest.spyOn(Certificado, 'findOneAndUpdate').mockResolvedValue({ _id: certificado._id });
+    jest.spyOn(Certificado, 'generarFolio').mockResolvedValue('CERT-2025-000002');
+    jest.spyOn(Certificado.prototype, 'save').mockImplementation(async function() { return this; });
+    const enlazar = jest.spyOn(Certificado, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const nuevo = await certificado.reemitir('Error en el nombre');
+
+    expect(nuevo.folio).toBe('CERT-2025-000002');
+    expect(nuevo.reemision.reemplazaA).toEqual(certificado._id);
+    expect(certificado.estado).toBe('reemplazado');
+    expect(enlazar).toHaveBeenCalledWith(
+      { _id: certificado._id },
+      { $set: { 'reemision.reemplazadoPor': nuevo._id } },
+      expect.objectContaining({ session: expect.any(Object) })
+    );
+  });
+});
+
+describe('Certificado#verificarFirma', () => {
+  const config = require('../src/config/environment');
+  const secretoOriginal = config.certificados.secret;
+
+  afterEach(() => {
+    config.certificados.secret = secretoOriginal;
+  });
+
+  it('sigue validando certificados impresos después de rotar el secreto', () => {
+    const certificado = new Certificado({
+      folio: 'CERT-2025-000010',
+      catequizando: new mongoose.Types.ObjectId(),
+      fechaEmision: new Date(2025, 2, 1)
+    });
+    certificado.codigoVerificacion = certificado.generarCodigoVerificacion();
+    const firma = certificado.codigoVerificacion.slice('CERT-2025-000010-'.length);
+
+    config.certificados.secret = 'secreto-rotado';
+
+    expect(certificado.verificarFirma(firma)).toBe(true);
+    expect(certificado.verificarFirma('0'.repeat(20))).toBe(false);
+  });
+});
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { Usuario } = require('../src/models');
+const { requireExportPermission } = require('../src/middleware/auth');
+
+const crearRespuesta = () => ({
+  status(codigo) {
+    this.statusCode = codigo;
+    return this;
+  },
+  json(cuerpo) {
+    this.body = cuerpo;
+    return this;
+  }
+});
+
+describe('requireExportPermission', () => {
+  const usuario = new Usuario({ tipoPerfil: 'catequista', parroquia: new mongoose.Types.ObjectId() });
+  const req = (query) => ({ user: { id: usuario._id.toString(), tipoPerfil: 'catequista' }, query });
+
+  beforeEach(() => {
+    jest.spyOn(Usuario, 'findById').mockResolvedValue(usuario);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('deja pasar el listado en JSON con solo el permiso de lectura', async () => {
+    jest.spyOn(usuario, 'tienePermiso').mockResolvedValue(false);
+    const next = jest.fn();
+
+    await requireExportPermission('catequizandos')(req({}), crearRespuesta(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(usuario.tienePermiso).not.toHaveBeenCalled();
+  });
+
+  it('rechaza la descarga en archivo sin el permiso de exportación', async () => {
+    jest.spyOn(usuario, 'tienePermiso').mockResolvedValue(false);
+    const res = crearRespuesta();
+    const next = jest.fn();
+
+    await requireExportPermission('catequizandos')(req({ format: 'csv' }), res, next);
+
+    expect(usuario.tienePermiso).toHaveBeenCalledWith('catequizandos', 'export');
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('permite la descarga con el permiso de exportación', async () => {
+    jest.spyOn(usuario, 'tienePermiso').mockResolvedValue(true);
+    const next = jest.fn();
+
+    await requireExportPermission('catequizandos')(req({ format: 'xlsx' }), crearRespuesta(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
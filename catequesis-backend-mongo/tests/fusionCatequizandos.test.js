@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const {
+  Catequizando,
+  Inscripcion,
+  Asistencia,
+  Certificado,
+  Padrino,
+  ListaEspera,
+  RegistroSacramental,
+  Celebracion,
+  AlertaRiesgo
+} = require('../src/models');
+
+/**
+ * Consulta encadenable (select/session) que resuelve al resultado indicado
+ */
+const consulta = (resultado) => ({
+  select() { return this; },
+  session() { return this; },
+  then: (resolver, rechazar) => Promise.resolve(resultado).then(resolver, rechazar)
+});
+
+const sinCambios = { modifiedCount: 0, deletedCount: 0 };
+
+describe('Catequizando#fusionarDuplicado', () => {
+  const grupo = new mongoose.Types.ObjectId();
+  const parroquia = new mongoose.Types.ObjectId();
+  const usuario = new mongoose.Types.ObjectId();
+
+  let conservado;
+  let duplicado;
+  let inscripcionPropia;
+  let inscripcionAjena;
+
+  const crearCatequizando = (documentoIdentidad) => new Catequizando({
+    nombres: 'Mateo',
+    apellidos: 'Vera',
+    documentoIdentidad,
+    fechaNacimiento: new Date(2014, 6, 12),
+    parroquia
+  });
+
+  const crearPadrino = (catequizando, rol, estado) => Padrino.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    catequizando: catequizando._id,
+    parroquia,
+    sacramento: 'confirmacion',
+    rol,
+    estado
+  });
+
+  /**
+   * Colecciones en memoria de asistencias y padrinos de ambos registros
+   */
+  const simularFusion = ({ asistencias = [], padrinos = [] }) => {
+    jest.spyOn(Inscripcion, 'find').mockImplementation(filtro => {
+      if (filtro.catequizando?.equals(conservado._id)) return consulta([inscripcionPropia]);
+      if (filtro.catequizando?.equals(duplicado._id)) return consulta([inscripcionAjena]);
+      return consulta([]);
+    });
+    jest.spyOn(Asistencia, 'find').mockImplementation(({ inscripcion }) =>
+      consulta(asistencias.filter(a => a.inscripcion.equals(inscripcion)))
+    );
+    const moverAsistencias = jest.spyOn(Asistencia, 'updateMany').mockResolvedValue(sinCambios);
+    jest.spyOn(Asistencia, 'deleteMany').mockResolvedValue(sinCambios);
+
+    jest.spyOn(Padrino, 'find').mockImplementation(({ catequizando, estado }) =>
+      consulta(padrinos.filter(p => p.catequizando.equals(catequizando) && estado.$in.includes(p.estado)))
+    );
+    const moverPadrinos = jest.spyOn(Padrino, 'updateMany').mockImplementation(async () => {
+      // El índice único parcial { catequizando, sacramento, rol } no admite dos vigentes
+      const vigentes = padrinos.filter(p => ['pendiente', 'aprobado'].includes(p.estado));
+      const claves = vigentes.map(p => `${p.sacramento}.${p.rol}`);
+      if (new Set(claves).size !== claves.length) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      return sinCambios;
+    });
+    jest.spyOn(Padrino.prototype, 'save').mockImplementation(async function() { return this; });
+
+    jest.spyOn(Certificado, 'find').mockReturnValue(consulta([]));
+    jest.spyOn(ListaEspera, 'find').mockReturnValue(consulta([]));
+    jest.spyOn(RegistroSacramental, 'updateMany').mockResolvedValue(sinCambios);
+    jest.spyOn(Celebracion, 'updateMany').mockResolvedValue(sinCambios);
+    jest.spyOn(AlertaRiesgo, 'updateMany').mockResolvedValue(sinCambios);
+    jest.spyOn(Inscripcion, 'deleteMany').mockResolvedValue(sinCambios);
+    jest.spyOn(Catequizando.prototype, 'save').mockImplementation(async function() { return this; });
+
+    return { moverAsistencias, moverPadrinos };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: async (fn) => fn(),
+      endSession: async () => {}
+    });
+
+    conservado = crearCatequizando('1711111111');
+    duplicado = crearCatequizando('1722222222');
+    inscripcionPropia = Inscripcion.hydrate({ _id: new mongoose.Types.ObjectId(), catequizando: conservado._id, grupo });
+    inscripcionAjena = Inscripcion.hydrate({ _id: new mongoose.Types.ObjectId(), catequizando: duplicado._id, grupo });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('no mueve asistencias del mismo día aunque se tomaran a otra hora', async () => {
+    const sesion = new mongoose.Types.ObjectId();
+    const asistencia = (inscripcion, fecha, sesionAsistencia) => ({
+      _id: new mongoose.Types.ObjectId(),
+      inscripcion: inscripcion._id,
+      fecha: new Date(fecha),
+      sesion: sesionAsistencia
+    });
+
+    const mismoDia = asistencia(inscripcionAjena, '2025-03-08T15:30:00Z');
+    const mismaSesion = asistencia(inscripcionAjena, '2025-03-09T06:00:00Z', sesion);
+    const otroDia = asistencia(inscripcionAjena, '2025-03-15T14:00:00Z', new mongoose.Types.ObjectId());
+    const { moverAsistencias } = simularFusion({
+      asistencias: [
+        asistencia(inscripcionPropia, '2025-03-08T14:05:00Z', sesion),
+        mismoDia,
+        mismaSesion,
+        otroDia
+      ]
+    });
+
+    await conservado.fusionarDuplicado(duplicado, { usuario });
+
+    expect(moverAsistencias).toHaveBeenCalledWith(
+      { _id: { $in: [otroDia._id] } },
+      { $set: { inscripcion: inscripcionPropia._id } },
+      expect.anything()
+    );
+  });
+
+  it('rechaza el padrino repetido del duplicado antes de moverlo', async () => {
+    const propio = crearPadrino(conservado, 'padrino', 'aprobado');
+    const repetido = crearPadrino(duplicado, 'padrino', 'pendiente');
+    const madrina = crearPadrino(duplicado, 'madrina', 'aprobado');
+    simularFusion({ padrinos: [propio, repetido, madrina] });
+
+    const resumen = await conservado.fusionarDuplicado(duplicado, { usuario });
+
+    expect(repetido.estado).toBe('rechazado');
+    expect(repetido.revision.revisadoPor).toEqual(usuario);
+    expect(propio.estado).toBe('aprobado');
+    expect(madrina.estado).toBe('aprobado');
+    expect(resumen.padrinosRechazados).toBe(1);
+  });
+
+  it('conserva el padrino aprobado del duplicado frente a uno propio pendiente', async () => {
+    const propio = crearPadrino(conservado, 'madrina', 'pendiente');
+    const aprobado = crearPadrino(duplicado, 'madrina', 'aprobado');
+    simularFusion({ padrinos: [propio, aprobado] });
+
+    await conservado.fusionarDuplicado(duplicado, { usuario });
+
+    expect(propio.estado).toBe('rechazado');
+    expect(aprobado.estado).toBe('aprobado');
+  });
+});
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const { Sesion, Grupo } = require('../src/models');
+const { inicioDelDia, finDelDia, horaLocal, proximaHoraDelDia } = require('../src/utils/fechas');
+
+/**
+ * Colección de sesiones en memoria con el índice único { grupo, fecha }
+ */
+const simularSesiones = () => {
+  const almacen = [];
+  const buscar = filtro => almacen.find(s => s.grupo.equals(filtro.grupo) && s.fecha.getTime() === filtro.fecha.getTime());
+
+  jest.spyOn(Sesion, 'findOneAndUpdate').mockImplementation(async (filtro, cambios) => {
+    // Ceder el turno para que las peticiones simultáneas se intercalen
+    await new Promise(resolve => setImmediate(resolve));
+
+    let sesion = buscar(filtro);
+    if (!sesion) {
+      sesion = { _id: new mongoose.Types.ObjectId(), ...filtro, ...cambios.$setOnInsert, estado: 'programada' };
+      almacen.push(sesion);
+    }
+    return Sesion.hydrate({ ...sesion });
+  });
+
+  jest.spyOn(Sesion, 'findOne').mockImplementation(async filtro => {
+    const sesion = buscar(filtro);
+    return sesion ? Sesion.hydrate({ ...sesion }) : null;
+  });
+
+  jest.spyOn(Sesion.prototype, 'save').mockImplementation(async function() {
+    Object.assign(buscar(this), { estado: this.estado, catequista: this.catequista });
+    return this;
+  });
+
+  return almacen;
+};
+
+describe('Sesion.obtenerParaAsistencia', () => {
+  const grupo = {
+    _id: new mongoose.Types.ObjectId(),
+    parroquia: new mongoose.Types.ObjectId(),
+    horarios: { horaInicio: '09:00', horaFin: '10:30' }
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('dos registros simultáneos del mismo día comparten una sola sesión', async () => {
+    const almacen = simularSesiones();
+    const usuario = new mongoose.Types.ObjectId();
+
+    const [primera, segunda] = await Promise.all([
+      Sesion.obtenerParaAsistencia(grupo, new Date('2025-03-08T14:05:00Z'), { usuario }),
+      Sesion.obtenerParaAsistencia(grupo, new Date('2025-03-08T14:40:00Z'), { usuario })
+    ]);
+
+    expect(almacen).toHaveLength(1);
+    expect(primera._id).toEqual(segunda._id);
+    expect(almacen[0].estado).toBe('realizada');
+    expect(Sesion.findOneAndUpdate).toHaveBeenCalledWith(
+      { grupo: grupo._id, fecha: inicioDelDia(new Date('2025-03-08T14:05:00Z')) },
+      expect.objectContaining({ $setOnInsert: expect.objectContaining({ origen: 'manual' }) }),
+      expect.objectContaining({ upsert: true, setDefaultsOnInsert: true })
+    );
+  });
+
+  it('si pierde la carrera del índice único usa la sesión creada por el otro registro', async () => {
+    const almacen = simularSesiones();
+    almacen.push({
+      _id: new mongoose.Types.ObjectId(),
+      grupo: grupo._id,
+      fecha: inicioDelDia(new Date('2025-03-15T14:00:00Z')),
+      estado: 'programada'
+    });
+    Sesion.findOneAndUpdate.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const sesion = await Sesion.obtenerParaAsistencia(grupo, new Date('2025-03-15T15:00:00Z'));
+
+    expect(sesion._id).toEqual(almacen[0]._id);
+    expect(almacen).toHaveLength(1);
+  });
+});
+
+describe('Límites del día', () => {
+  it('se calculan en la zona horaria configurada y no en la del servidor', () => {
+    // 20:30 en Guayaquil (UTC-5) ya es el día siguiente en UTC
+    const fecha = new Date('2025-03-09T01:30:00Z');
+
+    expect(inicioDelDia(fecha, 'America/Guayaquil').toISOString()).toBe('2025-03-08T05:00:00.000Z');
+    expect(finDelDia(fecha, 'America/Guayaquil').toISOString()).toBe('2025-03-09T04:59:59.999Z');
+    expect(inicioDelDia(fecha, 'UTC').toISOString()).toBe('2025-03-09T00:00:00.000Z');
+  });
+
+  it('respeta los cambios de horario de verano', () => {
+    // El 9 de marzo de 2025 Nueva York pasa de UTC-5 a UTC-4
+    const fecha = new Date('2025-03-09T18:00:00Z');
+
+    expect(inicioDelDia(fecha, 'America/New_York').toISOString()).toBe('2025-03-09T05:00:00.000Z');
+    expect(finDelDia(fecha, 'America/New_York').toISOString()).toBe('2025-03-10T03:59:59.999Z');
+  });
+
+  it('programa las tareas diarias a la misma hora local antes y después del cambio de horario', () => {
+    const antes = proximaHoraDelDia(2, new Date('2025-03-07T12:00:00Z'), 'America/New_York');
+    const despues = proximaHoraDelDia(2, new Date('2025-03-09T12:00:00Z'), 'America/New_York');
+
+    expect(antes.toISOString()).toBe('2025-03-08T07:00:00.000Z');
+    expect(despues.toISOString()).toBe('2025-03-10T06:00:00.000Z');
+  });
+
+  it('da el día de la semana y la hora del reloj de la zona', () => {
+    // Domingo 9 de marzo a las 01:30 UTC es sábado 8 a las 20:30 en Guayaquil
+    const fecha = new Date('2025-03-09T01:30:00Z');
+
+    expect(horaLocal(fecha, 'America/Guayaquil')).toEqual({ diaSemana: 6, hora: '20:30' });
+    expect(horaLocal(fecha, 'UTC')).toEqual({ diaSemana: 0, hora: '01:30' });
+  });
+});
+
+describe('Grupo#estaEnHorario', () => {
+  it('compara el día y la hora de clase en la zona horaria configurada', () => {
+    const grupo = new Grupo({ horarios: { diaSemana: 'sabado', horaInicio: '20:00', horaFin: '21:00' } });
+
+    // 20:30 del sábado en Guayaquil (UTC-5), ya domingo en UTC
+    expect(grupo.estaEnHorario(new Date('2025-03-09T01:30:00Z'))).toBe(true);
+    expect(grupo.estaEnHorario(new Date('2025-03-08T20:30:00Z'))).toBe(false);
+  });
+});
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { SesionUsuario, Usuario } = require('../src/models');
+const authController = require('../src/controllers/authController');
+
+/**
+ * Sesión persistida en memoria: findById, findOneAndUpdate y save operan sobre el mismo registro
+ */
+const simularSesion = () => {
+  const usuarioId = new mongoose.Types.ObjectId();
+  const sesionId = new mongoose.Types.ObjectId();
+  const { token, hash } = SesionUsuario.generarRefreshToken(sesionId);
+
+  const almacen = {
+    _id: sesionId,
+    usuario: usuarioId,
+    refreshTokenHash: hash,
+    tokensRotados: [],
+    rotaciones: 0,
+    revocada: false,
+    expira: new Date(Date.now() + 24 * 60 * 60 * 1000)
+  };
+
+  jest.spyOn(SesionUsuario, 'findById').mockImplementation(() => ({
+    select: async () => SesionUsuario.hydrate({ ...almacen, tokensRotados: [...almacen.tokensRotados] })
+  }));
+
+  jest.spyOn(SesionUsuario, 'findOneAndUpdate').mockImplementation(async (filtro, cambios) => {
+    // Ceder el turno para que las peticiones simultáneas se intercalen
+    await new Promise(resolve => setImmediate(resolve));
+
+    if (!almacen._id.equals(filtro._id) ||
+        almacen.refreshTokenHash !== filtro.refreshTokenHash ||
+        almacen.revocada !== filtro.revocada) {
+      return null;
+    }
+
+    Object.assign(almacen, cambios.$set);
+    almacen.tokensRotados.push(cambios.$push.tokensRotados);
+    almacen.rotaciones += cambios.$inc.rotaciones;
+
+    return SesionUsuario.hydrate({ ...almacen });
+  });
+
+  jest.spyOn(SesionUsuario.prototype, 'save').mockImplementation(async function() {
+    almacen.revocada = this.revocada;
+    almacen.revocacion = this.revocacion;
+    return this;
+  });
+
+  jest.spyOn(Usuario, 'findById').mockResolvedValue({
+    _id: usuarioId,
+    username: 'secretaria',
+    tipoPerfil: 'secretaria',
+    estaActivo: () => true
+  });
+
+  return { almacen, token };
+};
+
+const refrescar = async (refreshToken) => {
+  const res = {
+    status(codigo) {
+      this.statusCode = codigo;
+      return this;
+    },
+    json(cuerpo) {
+      this.body = cuerpo;
+      return this;
+    }
+  };
+
+  await authController.refreshToken({ body: { refreshToken } }, res);
+  return res;
+};
+
+describe('Rotación de refresh tokens', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('rota el token y el anterior deja de servir', async () => {
+    const { almacen, token } = simularSesion();
+
+    const primera = await refrescar(token);
+    expect(primera.statusCode).toBe(200);
+    expect(primera.body.data.refreshToken).not.toBe(token);
+    expect(almacen.rotaciones).toBe(1);
+
+    const segunda = await refrescar(primera.body.data.refreshToken);
+    expect(segunda.statusCode).toBe(200);
+    expect(almacen.revocada).toBe(false);
+  });
+
+  it('revoca la sesión si se reutiliza un token ya rotado', async () => {
+    const { almacen, token } = simularSesion();
+
+    await refrescar(token);
+    const reutilizado = await refrescar(token);
+
+    expect(reutilizado.statusCode).toBe(401);
+    expect(almacen.revocada).toBe(true);
+    expect(almacen.revocacion.motivo).toBe('reutilizacion');
+  });
+
+  it('solo una de dos peticiones simultáneas con el mismo token obtiene tokens nuevos', async () => {
+    const { almacen, token } = simularSesion();
+
+    const respuestas = await Promise.all([refrescar(token), refrescar(token)]);
+    const codigos = respuestas.map(r => r.statusCode).sort();
+
+    expect(codigos).toEqual([200, 401]);
+    expect(almacen.rotaciones).toBe(1);
+    expect(almacen.revocada).toBe(true);
+  });
+});
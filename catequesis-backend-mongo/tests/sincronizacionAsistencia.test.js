@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const { SincronizacionAsistencia, Asistencia, Inscripcion } = require('../src/models');
+
+/**
+ * Registros de sincronización en memoria con el índice único { usuario, clienteId }
+ */
+const simularRegistros = () => {
+  const almacen = new Map();
+  const clave = (usuario, clienteId) => `${usuario}.${clienteId}`;
+
+  jest.spyOn(SincronizacionAsistencia, 'create').mockImplementation(async (datos) => {
+    // Ceder el turno para que los lotes simultáneos se intercalen
+    await new Promise(resolve => setImmediate(resolve));
+
+    if (almacen.has(clave(datos.usuario, datos.clienteId))) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    const registro = SincronizacionAsistencia.hydrate({ _id: new mongoose.Types.ObjectId(), ...datos, updatedAt: new Date() });
+    almacen.set(clave(datos.usuario, datos.clienteId), registro);
+    return registro;
+  });
+
+  jest.spyOn(SincronizacionAsistencia, 'findOne').mockImplementation(async ({ usuario, clienteId }) =>
+    almacen.get(clave(usuario, clienteId)) || null
+  );
+
+  // Ninguna reserva está abandonada
+  jest.spyOn(SincronizacionAsistencia, 'findOneAndUpdate').mockResolvedValue(null);
+
+  jest.spyOn(SincronizacionAsistencia, 'deleteOne').mockImplementation(async ({ _id }) => {
+    for (const [llave, registro] of almacen) {
+      if (registro._id.equals(_id)) almacen.delete(llave);
+    }
+  });
+
+  jest.spyOn(SincronizacionAsistencia.prototype, 'save').mockImplementation(async function() { return this; });
+
+  return almacen;
+};
+
+describe('SincronizacionAsistencia.aplicarLote', () => {
+  const usuario = new mongoose.Types.ObjectId().toString();
+  const inscripcion = new mongoose.Types.ObjectId();
+  const grupo = { _id: new mongoose.Types.ObjectId() };
+
+  const lote = [
+    { clienteId: 'cambio-1', tipo: 'asistencia', inscripcion: inscripcion.toString(), fecha: '2025-03-08', asistio: true },
+    { clienteId: 'cambio-2', tipo: 'observacion', inscripcion: inscripcion.toString(), fecha: '2025-03-08', contenido: 'Participó' }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(Inscripcion, 'find').mockReturnValue({ select: async () => [{ _id: inscripcion }] });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('aplica una sola vez el mismo lote enviado dos veces a la vez', async () => {
+    const almacen = simularRegistros();
+    const asistenciaId = new mongoose.Types.ObjectId();
+    const aplicarAsistencia = jest.spyOn(SincronizacionAsistencia, 'aplicarAsistencia')
+      .mockResolvedValue({ estado: 'creado', asistencia: asistenciaId });
+    const aplicarObservacion = jest.spyOn(SincronizacionAsistencia, 'aplicarObservacion')
+      .mockResolvedValue({ estado: 'creado', asistencia: asistenciaId });
+
+    const [primero, segundo] = await Promise.all([
+      SincronizacionAsistencia.aplicarLote(grupo, lote, { usuario }),
+      SincronizacionAsistencia.aplicarLote(grupo, lote, { usuario })
+    ]);
+
+    expect(aplicarAsistencia).toHaveBeenCalledTimes(1);
+    expect(aplicarObservacion).toHaveBeenCalledTimes(1);
+    expect([...primero, ...segundo].filter(r => r.estado === 'duplicado')).toHaveLength(2);
+    expect([...almacen.values()].map(r => r.resultado.estado)).toEqual(['creado', 'creado']);
+  });
+
+  it('libera la reserva de un cambio rechazado para que pueda reenviarse', async () => {
+    const almacen = simularRegistros();
+    jest.spyOn(SincronizacionAsistencia, 'aplicarAsistencia')
+      .mockResolvedValueOnce({ estado: 'rechazado', mensaje: 'La sesión de esa fecha fue cancelada' })
+      .mockResolvedValueOnce({ estado: 'creado', asistencia: new mongoose.Types.ObjectId() });
+
+    const [rechazado] = await SincronizacionAsistencia.aplicarLote(grupo, [lote[0]], { usuario });
+    expect(rechazado.estado).toBe('rechazado');
+    expect(almacen.size).toBe(0);
+
+    const [reenviado] = await SincronizacionAsistencia.aplicarLote(grupo, [lote[0]], { usuario });
+    expect(reenviado.estado).toBe('creado');
+  });
+});
+
+describe('SincronizacionAsistencia.aplicarAsistencia', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('informa conflicto si otro registro de la misma asistencia ganó la carrera', async () => {
+    const inscripcion = new mongoose.Types.ObjectId();
+    const registrada = Asistencia.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      inscripcion,
+      fecha: new Date('2025-03-08T14:00:00Z'),
+      asistio: false,
+      updatedAt: new Date()
+    });
+
+    jest.spyOn(Asistencia, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(registrada);
+    jest.spyOn(Asistencia, 'registrarParaGrupo')
+      .mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const resultado = await SincronizacionAsistencia.aplicarAsistencia(
+      { _id: new mongoose.Types.ObjectId() },
+      { inscripcion, fecha: '2025-03-08T14:05:00Z', asistio: true },
+      { usuario: new mongoose.Types.ObjectId() }
+    );
+
+    expect(resultado.estado).toBe('conflicto');
+    expect(resultado.asistencia).toEqual(registrada._id);
+    expect(resultado.servidor.asistio).toBe(false);
+  });
+});